@@ -7,8 +7,63 @@
 let activeMediaTabs = new Map(); // tabId -> { url, title, mediaType, timestamp, isPlaying }
 let potentialMediaTabs = new Map(); // tabId -> { url, title, status, timestamp }
 let currentPlayingTab = null;
+let activitySequence = 0; // Orders media activity; timestamps can tie within a millisecond
 let isExtensionEnabled = true; // Extension enabled by default
 
+// Playback arbitration - decides what happens when a second tab starts playing
+const ARBITRATION_POLICIES = ['lastWins', 'firstWins', 'concurrent', 'videoPriority', 'protectFullscreen'];
+let arbitrationPolicy = 'lastWins';
+let maxConcurrentTabs = 2; // Only used by the 'concurrent' policy
+// Mute instead of pause - tabs arbitration would pause are muted and keep playing (live streams,
+// calls). Site profiles choose per site (muteInsteadOfPause in MEDIA_STARTED), else by media type;
+// 'live' covers live streams of either type.
+const MUTABLE_MEDIA_TYPES = ['video', 'audio', 'live'];
+let muteInsteadOfPauseTypes = [];
+
+// Auto-resume - tabs paused by arbitration, newest last: { tabId, interruptedBy, pausedAt }
+let pauseStack = [];
+let pendingResume = null; // { tabId, timer } while waiting out the grace delay
+let autoResumeEnabled = false;
+let autoResumeDelay = 2; // Seconds to wait before resuming the interrupted tab
+let autoResumeFadeIn = true;
+let pauseFadeDuration = 0.5; // Seconds automatic pauses fade out (and popup plays fade in) over, 0 for none
+
+// Picture-in-Picture - the browser shows one PiP window at a time, owned by pipTabId
+let pipTabId = null;
+let pipExemptFromArbitration = true; // Other tabs starting never pause the PiP video
+let autoPictureInPicture = false; // Ask a playing video tab for PiP when the user switches away from it
+const lastActiveTabs = new Map(); // windowId -> active tabId, to know which tab was left
+
+// Saved playback positions for long media ("Continue watching"), kept in storage.local by page URL
+const POSITIONS_STORAGE_KEY = 'playbackPositions';
+const MAX_SAVED_POSITIONS = 50; // Least recently saved entries are evicted beyond this
+let positionWriteQueue = Promise.resolve(); // Serializes read-modify-write of the position store
+let pendingPositionSeeks = new Map(); // tabId -> { url, time } for tabs opened from "Continue watching"
+
+// Sleep timer - pauses every media tab after a while or when the current media ends. Kept in
+// storage.local and driven by an alarm so it survives the service worker being suspended.
+const SLEEP_TIMER_ALARM = 'sleepTimer';
+const SLEEP_TIMER_STORAGE_KEY = 'sleepTimer';
+const SCHEDULED_PAUSE_FADE = 10; // Seconds; drifting off deserves a slower fade than a tab switch
+const SLEEP_TIMER_MAX_MINUTES = 720;
+let sleepTimer = null; // { mode: 'duration', endsAt } | { mode: 'endOfMedia', tabId }, mirrors storage
+
+// Frame relay - each tab's top frame registers a random token that its subframes' content scripts
+// fetch here and attach to relayed media notices. Mirrored in storage.session (which content
+// scripts can't read) so it outlives a suspended service worker.
+const FRAME_RELAY_STORAGE_KEY = 'frameRelayTokens';
+const frameRelayTokens = new Map(); // tabId -> token
+
+// Quiet hours - scheduled volume caps and pauses (rules evaluated by quiet-hours.js, shared with
+// the options page). An alarm wakes the background whenever a rule starts or ends.
+if (typeof importScripts === 'function') {
+  importScripts('quiet-hours.js');
+}
+const quietHours = typeof module !== 'undefined' && module.exports ? require('./quiet-hours.js') : self.umeQuietHours;
+const QUIET_HOURS_ALARM = 'quietHours';
+let quietHoursRules = [];
+let quietHoursVolumeCap = null; // Cap last sent to the tabs, null while no cap rule applies
+
 // Cleanup thresholds (used by tests and for scheduling)
 const staleThreshold = 2 * 60 * 60 * 10000; // 2 hours
 const cleanupIntervalMs = 10 * 60 * 1000; // 10 minutes
@@ -144,10 +199,30 @@ teams.microsoft.com`.replace(/^[\r\t\f\v ]+|[\r\t\f\v ]+$/gm, ''),
   volumeBoosterEnabled: true,
   globalVolume: 1.0, // Global volume multiplier
   perDomainVolume: {}, // Store per-domain volume settings
+  perDomainAudioEffects: {}, // EQ, night mode, mono and balance per site
   volumeBoostLimit: 5.0, // Maximum volume boost (500%)
   volumeStep: 0.1, // Volume adjustment increment
   // Marker functionality
-  markers: {} // Store video markers per URL
+  markers: {}, // Store video markers per URL
+  // Per-site profiles: [{ id, name, pattern, enabled, speed, volume, showController, rewindAmount, advanceAmount, keyBindings }]
+  siteProfiles: [],
+  // Playback arbitration
+  arbitrationPolicy: 'lastWins', // 'lastWins' | 'firstWins' | 'concurrent' | 'videoPriority' | 'protectFullscreen'
+  maxConcurrentTabs: 2, // Tabs allowed to play at once with the 'concurrent' policy
+  // Auto-resume the tab that was paused when the interrupting media ends
+  autoResumeEnabled: false,
+  autoResumeDelay: 2, // Grace delay in seconds
+  autoResumeFadeIn: true,
+  pauseFadeDuration: 0.5, // Seconds to fade out before an automatic pause, 0 cuts instantly
+  muteInsteadOfPauseTypes: [], // 'video' | 'audio' | 'live': arbitration mutes these tabs instead of pausing them
+  // Picture-in-Picture
+  pipExemptFromArbitration: true, // Keep the PiP video playing when another tab starts
+  autoPictureInPicture: false, // Enter PiP when switching away from a playing video tab
+  // Save the position of long media and offer to continue from it
+  rememberPosition: true,
+  rememberPositionMinMinutes: 10, // Media shorter than this isn't remembered
+  // Quiet hours: [{ id, enabled, action: 'capVolume' | 'pause', days, start, end, volume }], see quiet-hours.js
+  quietHoursRules: []
 };
 
 /**
@@ -205,12 +280,18 @@ async function initializeExtension() {
   // Load extension settings
   await loadExtensionSettings();
   
+  // Pick up a sleep timer set before the service worker was suspended
+  await restoreSleepTimer();
+  
   // Set up message listeners
   setupMessageListeners();
   
   // Set up tab event listeners
   setupTabListeners();
   
+  // Set up global keyboard commands
+  setupCommandListeners();
+  
   // Check existing tabs for potential media sites
   await checkExistingTabs();
 
@@ -299,6 +380,15 @@ async function loadExtensionSettings() {
     // Handle case where result is undefined or doesn't have the property
     isExtensionEnabled = safeResult.extensionEnabled === false ? false : true; // Default to true
     console.log('OneTab Media: Extension enabled:', isExtensionEnabled);
+
+    const arbitrationResult = await browserAPI.storage.sync.get([
+      'arbitrationPolicy', 'maxConcurrentTabs', 'autoResumeEnabled', 'autoResumeDelay', 'autoResumeFadeIn',
+      'pauseFadeDuration', 'pipExemptFromArbitration', 'autoPictureInPicture', 'muteInsteadOfPauseTypes'
+    ]);
+    applyArbitrationSettings(arbitrationResult || {});
+    
+    const quietHoursResult = await browserAPI.storage.sync.get([quietHours.STORAGE_KEY]);
+    await applyQuietHoursRules((quietHoursResult || {})[quietHours.STORAGE_KEY]);
     updateBadge();
   } catch (error) {
     console.error('UME - Ultimate Media Extention: Failed to load extension settings:', error);
@@ -328,6 +418,13 @@ function setupMessageListeners() {
         handleMediaPaused(tabId);
         return false; // Synchronous response
         
+      case 'REGISTER_FRAME_RELAY':
+        // Only the tab's top frame hands out the token
+        if (tabId !== undefined && sender.frameId === 0 && typeof message.token === 'string') {
+          setFrameRelayToken(tabId, message.token);
+        }
+        return false; // Synchronous response
+        
       case 'MEDIA_ENDED':
         handleMediaEnded(tabId);
         return false; // Synchronous response
@@ -336,6 +433,26 @@ function setupMessageListeners() {
         pauseTabMedia(message.tabId);
         return false; // Synchronous response
         
+      case 'PLAY_TAB':
+        playTabMedia(message.tabId);
+        sendResponse({ success: true });
+        return false; // Synchronous response
+        
+      case 'SEEK_TAB':
+        seekTabMedia(message.tabId, message.time, message.offset, !!message.liveEdge);
+        sendResponse({ success: true });
+        return false; // Synchronous response
+        
+      case 'SKIP_TRACK_TAB':
+        skipTabTrack(message.tabId, message.direction);
+        sendResponse({ success: true });
+        return false; // Synchronous response
+        
+      case 'MEDIA_SESSION_ACTION_TAB':
+        sendMediaSessionAction(message.tabId, message.action, message.details);
+        sendResponse({ success: true });
+        return false; // Synchronous response
+        
       case 'SET_VOLUME':
         setTabVolume(message.tabId, message.volume);
         return false; // Synchronous response
@@ -355,6 +472,37 @@ function setupMessageListeners() {
       case 'EXTENSION_TOGGLE':
         handleExtensionToggle(message.enabled);
         return false; // Synchronous response
+        
+      case 'FULLSCREEN_CHANGED':
+        handleFullscreenChanged(tabId, message.isFullscreen);
+        return false; // Synchronous response
+        
+      case 'LOOP_CHANGED':
+        handleLoopChanged(tabId, message.loop);
+        return false; // Synchronous response
+        
+      case 'PIP_CHANGED':
+        handlePipChanged(tabId, message.isPip);
+        return false; // Synchronous response
+        
+      case 'SAVE_POSITION':
+        // Private tabs leave nothing behind in storage
+        if (!sender.tab?.incognito) savePlaybackPosition(sender.tab?.url, message.position);
+        return false; // Synchronous response
+        
+      case 'CLEAR_POSITION':
+        if (!sender.tab?.incognito) clearPlaybackPosition(sender.tab?.url);
+        return false; // Synchronous response
+        
+      case 'REMOVE_SAVED_POSITION':
+        clearPlaybackPosition(message.url);
+        sendResponse({ success: true });
+        return false; // Synchronous response
+        
+      case 'OPEN_SAVED_POSITION':
+        openSavedPosition(message.url);
+        sendResponse({ success: true });
+        return false; // Synchronous response
     }
     
     // Handle async messages
@@ -390,10 +538,48 @@ function setupMessageListeners() {
             break;
             
           case 'BROADCAST_SETTINGS_UPDATE':
+            applyArbitrationSettings(message.settings || {});
+            if (message.settings && message.settings[quietHours.STORAGE_KEY] !== undefined) {
+              await applyQuietHoursRules(message.settings[quietHours.STORAGE_KEY]);
+            }
             broadcastSettingsUpdate(message.settings);
             sendResponse({ success: true });
             break;
             
+          case 'GET_TAB_MEDIA_STATE':
+            sendResponse(await getTabMediaState(message.tabId));
+            break;
+            
+          case 'PIP_TAB':
+            sendResponse(await togglePictureInPictureTab(message.tabId));
+            break;
+            
+          case 'SET_TAB_MUTED':
+            await setTabMutedFromPopup(message.tabId, !!message.muted);
+            sendResponse({ success: true });
+            break;
+            
+          case 'GET_FRAME_RELAY_TOKEN':
+            sendResponse({ token: tabId !== undefined ? await getFrameRelayToken(tabId) : null });
+            break;
+            
+          case 'GET_SAVED_POSITION':
+            sendResponse(sender.tab?.incognito ? { position: null } : await getSavedPositionForTab(tabId, sender.tab?.url));
+            break;
+            
+          case 'GET_SAVED_POSITIONS':
+            sendResponse({ positions: await getSavedPositions() });
+            break;
+            
+          case 'SET_SLEEP_TIMER':
+            sendResponse({ success: true, sleepTimer: await startSleepTimer(message.minutes, message.endOfMedia) });
+            break;
+            
+          case 'CANCEL_SLEEP_TIMER':
+            await cancelSleepTimer();
+            sendResponse({ success: true });
+            break;
+            
           default:
             console.warn('Unknown message type:', message.type);
         }
@@ -404,7 +590,9 @@ function setupMessageListeners() {
     })();
     
     // Return true for async messages that need sendResponse
-    return ['GET_SPEED_SETTINGS', 'UPDATE_SPEED_SETTINGS', 'BROADCAST_SETTINGS_UPDATE'].includes(message.type);
+    return ['GET_SPEED_SETTINGS', 'UPDATE_SPEED_SETTINGS', 'BROADCAST_SETTINGS_UPDATE', 'GET_TAB_MEDIA_STATE',
+      'GET_SAVED_POSITION', 'GET_SAVED_POSITIONS', 'SET_SLEEP_TIMER', 'CANCEL_SLEEP_TIMER', 'PIP_TAB',
+      'SET_TAB_MUTED', 'GET_FRAME_RELAY_TOKEN'].includes(message.type);
   });
 }
 
@@ -428,6 +616,9 @@ async function handleExtensionToggle(enabled) {
     // Update badge
     updateBadge();
     
+    // Quiet hours only apply while the extension is on
+    await evaluateQuietHours();
+    
     // Notify popup of state change
     notifyPopupStateChange();
     
@@ -436,6 +627,100 @@ async function handleExtensionToggle(enabled) {
   }
 }
 
+/**
+ * Set up global keyboard commands declared in the manifest
+ */
+function setupCommandListeners() {
+  if (!browserAPI.commands || !browserAPI.commands.onCommand) return;
+  
+  browserAPI.commands.onCommand.addListener((command) => {
+    handleCommand(command);
+  });
+}
+
+/**
+ * Route a global command to the playing tab, or the most recently active media tab
+ */
+async function handleCommand(command) {
+  if (!isExtensionEnabled) return;
+  
+  const targetTab = getCommandTargetTab();
+  console.log(`Command ${command} for tab ${targetTab}`);
+  
+  switch (command) {
+    case 'toggle-playback':
+      if (!targetTab) return;
+      if (activeMediaTabs.get(targetTab).isPlaying) {
+        pauseTabMedia(targetTab);
+      } else {
+        resumeTabMedia(targetTab);
+      }
+      break;
+      
+    case 'pause-all':
+      getPlayingTabIds().forEach(tabId => pauseTabMedia(tabId));
+      break;
+      
+    case 'speed-up':
+      if (targetTab) await sendSpeedActionToTab(targetTab, 'faster');
+      break;
+      
+    case 'speed-down':
+      if (targetTab) await sendSpeedActionToTab(targetTab, 'slower');
+      break;
+      
+    case 'next-media-tab':
+      await focusNextMediaTab();
+      break;
+      
+    default:
+      console.warn('Unknown command:', command);
+  }
+}
+
+/**
+ * Tab that global commands act on: the playing tab, else the last one with media activity
+ */
+function getCommandTargetTab() {
+  if (currentPlayingTab && activeMediaTabs.has(currentPlayingTab)) {
+    return currentPlayingTab;
+  }
+  
+  let targetTab = null;
+  let latestActivity = -1;
+  activeMediaTabs.forEach((info, tabId) => {
+    if (info.activityOrder > latestActivity) {
+      latestActivity = info.activityOrder;
+      targetTab = tabId;
+    }
+  });
+  return targetTab;
+}
+
+/**
+ * Activate the next tab with media after the focused one, in tab strip order
+ */
+async function focusNextMediaTab() {
+  try {
+    const tabs = await browserAPI.tabs.query({});
+    const mediaTabs = tabs.filter(tab =>
+      activeMediaTabs.has(tab.id) || potentialMediaTabs.get(tab.id)?.status === 'has_media'
+    );
+    if (mediaTabs.length === 0) return;
+    
+    const [focusedTab] = await browserAPI.tabs.query({ active: true, lastFocusedWindow: true });
+    const currentIndex = focusedTab ? mediaTabs.findIndex(tab => tab.id === focusedTab.id) : -1;
+    const nextTab = mediaTabs[(currentIndex + 1) % mediaTabs.length];
+    
+    await browserAPI.tabs.update(nextTab.id, { active: true });
+    if (browserAPI.windows && nextTab.windowId !== undefined) {
+      await browserAPI.windows.update(nextTab.windowId, { focused: true });
+    }
+  } catch (error) {
+    console.warn('Failed to switch to the next media tab:', error);
+  }
+}
+
 /**
  * Set up simple proactive tab listeners  
  */
@@ -453,7 +738,15 @@ function setupTabListeners() {
   browserAPI.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     if (!isExtensionEnabled) return;
 
+    if (changeInfo.mutedInfo) {
+      handleMutedInfoChanged(tabId, changeInfo.mutedInfo);
+    }
+
     if (changeInfo.url) {
+      // A mute arbitration put on the old page shouldn't silence the next one
+      if (isMutedByArbitration(tabId)) {
+        setTabMuted(tabId, false);
+      }
       // Remove any previous tracking for this tab on any URL change
       if (potentialMediaTabs.has(tabId)) {
         potentialMediaTabs.delete(tabId);
@@ -464,6 +757,7 @@ function setupTabListeners() {
       if (currentPlayingTab === tabId) {
         currentPlayingTab = null;
       }
+      dropPauseStackEntries(tabId);
 
       // If new URL is a known media site, start monitoring again
       if (isPotentialMediaSite(changeInfo.url)) {
@@ -497,9 +791,23 @@ function setupTabListeners() {
     }
   });
   
+  // Automatic Picture-in-Picture for the tab the user leaves
+  if (browserAPI.tabs.onActivated) {
+    browserAPI.tabs.onActivated.addListener(({ tabId, windowId }) => handleTabActivated(tabId, windowId));
+  }
+  
   // Clean up closed tabs
   browserAPI.tabs.onRemoved.addListener((tabId) => {
     potentialMediaTabs.delete(tabId);
+    setFrameRelayToken(tabId, null);
+    pendingPositionSeeks.delete(tabId);
+    if (pipTabId === tabId) {
+      pipTabId = null;
+    }
+    dropPauseStackEntries(tabId);
+    if (sleepTimer && sleepTimer.mode === 'endOfMedia' && sleepTimer.tabId === tabId) {
+      cancelSleepTimer(); // Its media won't end now
+    }
     if (activeMediaTabs.has(tabId)) {
       activeMediaTabs.delete(tabId);
       if (currentPlayingTab === tabId) {
@@ -525,11 +833,25 @@ function handleMediaStarted(tabId, tab, mediaInfo) {
     return;
   }
   
-  // If there's already a playing tab, pause it
-  if (currentPlayingTab && currentPlayingTab !== tabId) {
-    pauseTabMedia(currentPlayingTab);
+  // A tab muted for another one stays muted when it starts again, and being inaudible it
+  // interrupts nobody and keeps its place in the pause stack
+  const previous = activeMediaTabs.get(tabId);
+  const stayMuted = isMutedByArbitration(tabId);
+  
+  if (!stayMuted) {
+    // New playback supersedes any auto-resume that is still waiting, and this tab no longer needs resuming
+    cancelPendingResume();
+    pauseStack = pauseStack.filter(entry => entry.tabId !== tabId);
   }
   
+  // Let the arbitration policy decide who keeps playing
+  const { pauseTabs, blockNewTab } = stayMuted
+    ? { pauseTabs: [], blockNewTab: false }
+    : resolvePlaybackConflict(tabId, mediaInfo);
+  pauseTabs.forEach(playingTabId => pauseInterruptedTab(playingTabId, tabId));
+  // A blocked tab the policy mutes plays on, muted
+  const muteBlocked = blockNewTab && mutesInsteadOfPausing(mediaInfo.type, mediaInfo.muteInsteadOfPause, mediaInfo.live);
+  
   console.log('DEBUG: About to store tab in activeMediaTabs');
   
   // Handle case where tab info is unavailable
@@ -544,23 +866,52 @@ function handleMediaStarted(tabId, tab, mediaInfo) {
     addPotentialTab(tabId, safeTab.url, safeTab.title);
   }
   // Update potential tab status
-  potentialMediaTabs.get(tabId).status = 'playing';
+  potentialMediaTabs.get(tabId).status = blockNewTab && !muteBlocked ? 'paused' : 'playing';
   
   // Update the active media tabs
+  const now = Date.now();
   activeMediaTabs.set(tabId, {
     url: safeTab.url,
     title: safeTab.title,
     mediaType: mediaInfo.type,
-    timestamp: Date.now(),
+    timestamp: now,
+    startedAt: now, // Unlike timestamp, not refreshed by the periodic cleanup
+    lastActivity: now, // Last play/pause/end
+    activityOrder: ++activitySequence, // Bumped with lastActivity, picks the target of global commands
     favicon: safeTab.favIconUrl,
-    isPlaying: true
+    isPlaying: !blockNewTab || muteBlocked,
+    isFullscreen: !!mediaInfo.isFullscreen,
+    loop: mediaInfo.loop || null, // Active A-B loop { start, end }
+    mediaSession: mediaInfo.mediaSession || null, // Page's Media Session metadata (title, artist, album, artwork)
+    live: !!mediaInfo.live, // Live stream (endless duration or a MediaSource live stream)
+    muteInsteadOfPause: typeof mediaInfo.muteInsteadOfPause === 'boolean' ? mediaInfo.muteInsteadOfPause : null, // Site profile's choice
+    // { muted, reason }: the browser's reason, or 'arbitration' while muted for another tab
+    mutedInfo: stayMuted ? previous.mutedInfo : {
+      muted: !!(safeTab.mutedInfo && safeTab.mutedInfo.muted),
+      reason: (safeTab.mutedInfo && safeTab.mutedInfo.reason) || null
+    }
   });
   
   console.log('DEBUG: activeMediaTabs.size after storing:', activeMediaTabs.size);
   console.log('DEBUG: Tab stored:', activeMediaTabs.get(tabId));
   
-  // Set this tab as the currently playing tab
-  currentPlayingTab = tabId;
+  if (blockNewTab) {
+    // The policy keeps the existing tab playing, so send the new one back to pause (or mute it)
+    console.log(`Arbitration policy '${arbitrationPolicy}' blocked playback in tab ${tabId}`);
+    if (muteBlocked) {
+      setTabMuted(tabId, true, 'arbitration');
+    } else {
+      pauseTabMedia(tabId);
+    }
+  } else if (!stayMuted) {
+    // Set this tab as the currently playing tab
+    currentPlayingTab = tabId;
+  }
+  
+  // A tab opened during quiet hours hasn't been sent the cap yet
+  if (quietHoursVolumeCap !== null) {
+    sendVolumeCap(tabId, quietHoursVolumeCap);
+  }
   
   // Update extension badge
   updateBadge();
@@ -569,6 +920,88 @@ function handleMediaStarted(tabId, tab, mediaInfo) {
   notifyPopupStateChange();
 }
 
+/**
+ * Pause a tab the arbitration policy stops for tabId and remember it for auto-resume; tabs the
+ * mute-instead-of-pause policy covers are muted and keep playing instead
+ * Resolves once the tab has faded out
+ */
+function pauseInterruptedTab(playingTabId, tabId) {
+  const info = activeMediaTabs.get(playingTabId);
+  pauseStack.push({ tabId: playingTabId, interruptedBy: tabId, pausedAt: Date.now() });
+  if (mutesInsteadOfPausing(info.mediaType, info.muteInsteadOfPause, info.live)) {
+    return setTabMuted(playingTabId, true, 'arbitration');
+  }
+  
+  info.isPlaying = false;
+  if (potentialMediaTabs.has(playingTabId)) {
+    potentialMediaTabs.get(playingTabId).status = 'paused';
+  }
+  return pauseTabMedia(playingTabId);
+}
+
+/**
+ * Whether arbitration mutes media instead of pausing it: the site profile's choice when it
+ * makes one, else the media types picked in Options → Playback (live streams count as 'live' too)
+ */
+function mutesInsteadOfPausing(mediaType, profileChoice, live = false) {
+  if (typeof profileChoice === 'boolean') return profileChoice;
+  return muteInsteadOfPauseTypes.includes(mediaType) || (live && muteInsteadOfPauseTypes.includes('live'));
+}
+
+/**
+ * Whether a tab is muted because arbitration let another tab be heard
+ */
+function isMutedByArbitration(tabId) {
+  const info = activeMediaTabs.get(tabId);
+  return !!(info && info.mutedInfo && info.mutedInfo.muted && info.mutedInfo.reason === 'arbitration');
+}
+
+/**
+ * Mute or unmute a tab, remembering why in its mutedInfo
+ */
+async function setTabMuted(tabId, muted, reason = 'extension') {
+  const info = activeMediaTabs.get(tabId);
+  if (info) {
+    info.mutedInfo = { muted, reason: muted ? reason : null };
+  }
+  
+  try {
+    await browserAPI.tabs.update(tabId, { muted });
+  } catch (error) {
+    console.warn(`Failed to ${muted ? 'mute' : 'unmute'} tab ${tabId}:`, error);
+  }
+  notifyPopupStateChange();
+}
+
+/**
+ * Follow mute changes from the browser (the tab's speaker icon, other extensions, our own updates)
+ */
+function handleMutedInfoChanged(tabId, mutedInfo) {
+  const info = activeMediaTabs.get(tabId);
+  if (!info) return;
+  
+  // Our own mute comes back as reason 'extension'; keep knowing it was for arbitration
+  if (mutedInfo.muted && isMutedByArbitration(tabId)) return;
+  info.mutedInfo = { muted: !!mutedInfo.muted, reason: mutedInfo.reason || null };
+  notifyPopupStateChange();
+}
+
+/**
+ * Mute or unmute a tab from the popup. A playing tab that gets unmuted is heard again, so
+ * arbitration treats it like media starting there.
+ */
+async function setTabMutedFromPopup(tabId, muted) {
+  const info = activeMediaTabs.get(tabId);
+  if (!muted && info && info.isPlaying && isExtensionEnabled) {
+    cancelPendingResume();
+    pauseStack = pauseStack.filter(entry => entry.tabId !== tabId);
+    const { pauseTabs } = resolvePlaybackConflict(tabId, { type: info.mediaType });
+    pauseTabs.forEach(playingTabId => pauseInterruptedTab(playingTabId, tabId));
+    currentPlayingTab = tabId;
+  }
+  await setTabMuted(tabId, muted, 'user');
+}
+
 /**
  * Handle when media is paused in a tab
  */
@@ -583,12 +1016,16 @@ function handleMediaPaused(tabId) {
   // Update active tab status
   if (activeMediaTabs.has(tabId)) {
     activeMediaTabs.get(tabId).isPlaying = false;
+    activeMediaTabs.get(tabId).lastActivity = Date.now();
+    activeMediaTabs.get(tabId).activityOrder = ++activitySequence;
   }
   
   if (currentPlayingTab === tabId) {
-    currentPlayingTab = null;
+    currentPlayingTab = getMostRecentPlayingTab();
   }
   
+  scheduleAutoResume(tabId);
+  
   updateBadge();
   
   // Notify popup of state change
@@ -610,34 +1047,286 @@ function handleMediaEnded(tabId) {
   // Update active tab status but keep it tracked
   if (activeMediaTabs.has(tabId)) {
     activeMediaTabs.get(tabId).isPlaying = false;
+    activeMediaTabs.get(tabId).ended = true; // Until MEDIA_STARTED replaces the entry
+    activeMediaTabs.get(tabId).lastActivity = Date.now();
+    activeMediaTabs.get(tabId).activityOrder = ++activitySequence;
   }
   
   // Clear the current playing tab to allow other tabs to play
   if (currentPlayingTab === tabId) {
-    currentPlayingTab = null;
+    currentPlayingTab = getMostRecentPlayingTab();
     console.log(`Cleared currentPlayingTab ${tabId} - other tabs can now play`);
   }
   
+  scheduleAutoResume(tabId);
+  
   updateBadge();
   
   // Notify popup of state change
   notifyPopupStateChange();
+  
+  handleSleepTimerMediaEnded(tabId);
+}
+
+/**
+ * Handle fullscreen changes reported by a content script
+ */
+function handleFullscreenChanged(tabId, isFullscreen) {
+  if (activeMediaTabs.has(tabId)) {
+    activeMediaTabs.get(tabId).isFullscreen = !!isFullscreen;
+  }
+}
+
+/**
+ * Track the tab whose video is in Picture-in-Picture. Entering PiP in another tab closes the
+ * old window, and that tab's leave notice may arrive after the new tab's enter.
+ */
+function handlePipChanged(tabId, isPip) {
+  if (isPip) {
+    pipTabId = tabId;
+  } else if (pipTabId === tabId) {
+    pipTabId = null;
+  }
+  notifyPopupStateChange();
+}
+
+/**
+ * With automatic Picture-in-Picture on, ask the tab the user just left for PiP if it plays video
+ */
+function handleTabActivated(tabId, windowId) {
+  const previousTabId = lastActiveTabs.get(windowId);
+  lastActiveTabs.set(windowId, tabId);
+  if (!autoPictureInPicture || !isExtensionEnabled || previousTabId === undefined || previousTabId === tabId) return;
+  
+  const info = activeMediaTabs.get(previousTabId);
+  if (!info || !info.isPlaying || info.mediaType !== 'video' || pipTabId === previousTabId) return;
+  
+  try {
+    const result = browserAPI.tabs.sendMessage(previousTabId, { type: 'ENTER_PIP' });
+    if (result && typeof result.catch === 'function') {
+      result.catch(error => console.warn(`Failed to request Picture-in-Picture in tab ${previousTabId}:`, error));
+    }
+  } catch (error) {
+    console.warn(`Failed to request Picture-in-Picture in tab ${previousTabId}:`, error);
+  }
+}
+
+/**
+ * Toggle Picture-in-Picture for a tab's primary video from the popup; resolves to
+ * { success, active } or { success: false, error } for the popup to show
+ */
+async function togglePictureInPictureTab(tabId) {
+  try {
+    const response = await browserAPI.tabs.sendMessage(tabId, { type: 'TOGGLE_PIP' });
+    return response || { success: false, error: 'No video in this tab' };
+  } catch (error) {
+    return { success: false, error: 'No video in this tab' };
+  }
+}
+
+/**
+ * Handle an A-B loop being set, toggled or cleared in a tab
+ */
+function handleLoopChanged(tabId, loop) {
+  if (activeMediaTabs.has(tabId)) {
+    activeMediaTabs.get(tabId).loop = loop || null;
+    notifyPopupStateChange();
+  }
+}
+
+/**
+ * Apply arbitration and auto-resume settings from storage or a settings broadcast
+ */
+function applyArbitrationSettings(settings) {
+  if (ARBITRATION_POLICIES.includes(settings.arbitrationPolicy)) {
+    arbitrationPolicy = settings.arbitrationPolicy;
+  }
+  const limit = parseInt(settings.maxConcurrentTabs, 10);
+  if (limit >= 1) {
+    maxConcurrentTabs = limit;
+  }
+  if (typeof settings.autoResumeEnabled === 'boolean') {
+    autoResumeEnabled = settings.autoResumeEnabled;
+    if (!autoResumeEnabled) {
+      cancelPendingResume();
+    }
+  }
+  const delay = parseFloat(settings.autoResumeDelay);
+  if (delay >= 0) {
+    autoResumeDelay = delay;
+  }
+  if (typeof settings.autoResumeFadeIn === 'boolean') {
+    autoResumeFadeIn = settings.autoResumeFadeIn;
+  }
+  const fade = parseFloat(settings.pauseFadeDuration);
+  if (fade >= 0) {
+    pauseFadeDuration = fade;
+  }
+  if (typeof settings.pipExemptFromArbitration === 'boolean') {
+    pipExemptFromArbitration = settings.pipExemptFromArbitration;
+  }
+  if (typeof settings.autoPictureInPicture === 'boolean') {
+    autoPictureInPicture = settings.autoPictureInPicture;
+  }
+  if (Array.isArray(settings.muteInsteadOfPauseTypes)) {
+    muteInsteadOfPauseTypes = settings.muteInsteadOfPauseTypes.filter(type => MUTABLE_MEDIA_TYPES.includes(type));
+  }
+}
+
+/**
+ * When tabId stops on its own, resume the tab it interrupted after the grace delay
+ */
+function scheduleAutoResume(tabId) {
+  if (!autoResumeEnabled) return;
+  
+  // A tab that was itself paused by arbitration didn't stop on its own
+  if (pauseStack.some(entry => entry.tabId === tabId)) return;
+  
+  const entry = [...pauseStack].reverse().find(e => e.interruptedBy === tabId);
+  if (!entry) return;
+  
+  cancelPendingResume();
+  pendingResume = {
+    tabId: entry.tabId,
+    timer: setTimeout(() => {
+      pendingResume = null;
+      if (pauseStack.includes(entry)) {
+        pauseStack = pauseStack.filter(e => e !== entry);
+        resumeTabMedia(entry.tabId);
+      }
+    }, autoResumeDelay * 1000)
+  };
+  console.log(`Auto-resume of tab ${entry.tabId} scheduled in ${autoResumeDelay}s`);
+}
+
+/**
+ * Cancel an auto-resume that is still waiting out its grace delay
+ */
+function cancelPendingResume() {
+  if (pendingResume) {
+    clearTimeout(pendingResume.timer);
+    pendingResume = null;
+  }
 }
 
 /**
- * Pause media in a specific tab
+ * Forget pause stack entries involving a closed or navigated tab
  */
-function pauseTabMedia(tabId) {
+function dropPauseStackEntries(tabId) {
+  pauseStack = pauseStack.filter(entry => entry.tabId !== tabId && entry.interruptedBy !== tabId);
+  if (pendingResume && pendingResume.tabId === tabId) {
+    cancelPendingResume();
+  }
+}
+
+/**
+ * Resume media in a specific tab
+ */
+function resumeTabMedia(tabId) {
   if (!tabId) return;
   
+  // A tab muted instead of paused never stopped playing
+  if (isMutedByArbitration(tabId)) {
+    setTabMuted(tabId, false);
+    return;
+  }
+  
   try {
     const result = browserAPI.tabs.sendMessage(tabId, {
-      type: 'PAUSE_MEDIA'
+      type: 'RESUME_MEDIA',
+      fadeIn: autoResumeFadeIn,
+      fadeDuration: pauseFadeDuration * 1000
     });
     
-    // Handle both Chrome (returns Promise) and Firefox (may return undefined)
     if (result && typeof result.catch === 'function') {
       result.catch(error => {
+        console.warn(`Failed to resume media in tab ${tabId}:`, error);
+      });
+    }
+  } catch (error) {
+    console.warn(`Failed to resume media in tab ${tabId}:`, error);
+  }
+}
+
+/**
+ * Get ids of tabs that are currently playing, oldest first
+ */
+function getPlayingTabIds() {
+  return Array.from(activeMediaTabs.entries())
+    .filter(([, info]) => info.isPlaying)
+    .sort(([, a], [, b]) => (a.startedAt || a.timestamp) - (b.startedAt || b.timestamp))
+    .map(([tabId]) => tabId);
+}
+
+/**
+ * Get the most recently started tab that is still playing, or null
+ */
+function getMostRecentPlayingTab() {
+  const playing = getPlayingTabIds();
+  return playing.length > 0 ? playing[playing.length - 1] : null;
+}
+
+/**
+ * Decide which tabs to pause when media starts in tabId
+ * Returns { pauseTabs, blockNewTab } - blockNewTab means the new tab gets paused instead
+ */
+function resolvePlaybackConflict(tabId, mediaInfo) {
+  // The PiP video plays on beside whatever starts, unless the user wants it treated like any tab.
+  // Tabs muted for another tab already make way.
+  const playing = getPlayingTabIds().filter(id =>
+    id !== tabId && !(pipExemptFromArbitration && id === pipTabId) && !isMutedByArbitration(id)
+  );
+  if (playing.length === 0) {
+    return { pauseTabs: [], blockNewTab: false };
+  }
+  
+  switch (arbitrationPolicy) {
+    case 'firstWins':
+      return { pauseTabs: [], blockNewTab: true };
+      
+    case 'concurrent': {
+      // Pause the oldest tabs so that at most maxConcurrentTabs play, counting the new one
+      const overflow = playing.length + 1 - maxConcurrentTabs;
+      return { pauseTabs: overflow > 0 ? playing.slice(0, overflow) : [], blockNewTab: false };
+    }
+      
+    case 'videoPriority': {
+      // Video pauses anything, but audio never pauses a playing video
+      const videoPlaying = playing.some(id => activeMediaTabs.get(id).mediaType === 'video');
+      if (mediaInfo?.type !== 'video' && videoPlaying) {
+        return { pauseTabs: [], blockNewTab: true };
+      }
+      return { pauseTabs: playing, blockNewTab: false };
+    }
+      
+    case 'protectFullscreen':
+      if (playing.some(id => activeMediaTabs.get(id).isFullscreen)) {
+        return { pauseTabs: [], blockNewTab: true };
+      }
+      return { pauseTabs: playing, blockNewTab: false };
+      
+    case 'lastWins':
+    default:
+      return { pauseTabs: playing, blockNewTab: false };
+  }
+}
+
+/**
+ * Pause media in a specific tab, fading it out over fadeSeconds
+ * Resolves once the tab answers, which it does after the fade
+ */
+async function pauseTabMedia(tabId, fadeSeconds = pauseFadeDuration) {
+  if (!tabId) return;
+  
+  try {
+    const result = browserAPI.tabs.sendMessage(tabId, {
+      type: 'PAUSE_MEDIA',
+      fadeDuration: fadeSeconds * 1000
+    });
+    
+    // Handle both Chrome (returns Promise) and Firefox (may return undefined)
+    if (result && typeof result.catch === 'function') {
+      await result.catch(error => {
         console.warn(`Failed to pause media in tab ${tabId}:`, error);
         // FIXED: Don't remove tab on communication failure - keep it tracked
         // activeMediaTabs.delete(tabId); // REMOVED - this was causing tab loss!
@@ -658,6 +1347,269 @@ function pauseTabMedia(tabId) {
   }
 }
 
+/**
+ * Start media in a specific tab from the popup.
+ * The tab reports MEDIA_STARTED once playing, so handleMediaStarted arbitrates as usual.
+ * With fading on, the tabs arbitration would pause fade out first and the new tab starts after them.
+ */
+async function playTabMedia(tabId) {
+  if (!tabId) return;
+  
+  let fadedTabs = [];
+  if (pauseFadeDuration > 0 && isExtensionEnabled) {
+    const tabInfo = activeMediaTabs.get(tabId);
+    const { pauseTabs, blockNewTab } = resolvePlaybackConflict(tabId, { type: tabInfo && tabInfo.mediaType });
+    if (!blockNewTab) {
+      fadedTabs = pauseTabs;
+      await Promise.all(pauseTabs.map(playingTabId => pauseInterruptedTab(playingTabId, tabId)));
+    }
+  }
+  
+  try {
+    const response = await browserAPI.tabs.sendMessage(tabId, {
+      type: 'PLAY_MEDIA',
+      fadeDuration: pauseFadeDuration * 1000
+    });
+    console.log(`Requested playback in tab ${tabId}`);
+    if (response && response.success === false) {
+      resumeFadedTabs(fadedTabs, tabId);
+    }
+  } catch (error) {
+    console.warn(`Failed to play media in tab ${tabId}:`, error);
+    resumeFadedTabs(fadedTabs, tabId);
+  }
+}
+
+/**
+ * Nothing started in tabId after all, so resume the tabs faded out for it
+ */
+function resumeFadedTabs(fadedTabs, tabId) {
+  fadedTabs.forEach(fadedTabId => {
+    pauseStack = pauseStack.filter(entry => !(entry.tabId === fadedTabId && entry.interruptedBy === tabId));
+    resumeTabMedia(fadedTabId);
+  });
+}
+
+/**
+ * Remember (or with null, forget) the frame relay token of a tab's top frame
+ */
+function setFrameRelayToken(tabId, token) {
+  if (token) {
+    frameRelayTokens.set(tabId, token);
+  } else if (!frameRelayTokens.delete(tabId)) {
+    return;
+  }
+  
+  if (browserAPI.storage.session) {
+    browserAPI.storage.session.set({ [FRAME_RELAY_STORAGE_KEY]: Object.fromEntries(frameRelayTokens) }).catch(error => {
+      console.warn('Failed to store frame relay tokens:', error);
+    });
+  }
+}
+
+/**
+ * The frame relay token of a tab's top frame, reloaded after the service worker was suspended
+ */
+async function getFrameRelayToken(tabId) {
+  if (!frameRelayTokens.has(tabId) && browserAPI.storage.session) {
+    const result = await browserAPI.storage.session.get([FRAME_RELAY_STORAGE_KEY]);
+    const stored = (result && result[FRAME_RELAY_STORAGE_KEY]) || {};
+    Object.entries(stored).forEach(([id, token]) => {
+      if (!frameRelayTokens.has(Number(id))) frameRelayTokens.set(Number(id), token);
+    });
+  }
+  return frameRelayTokens.get(tabId) || null;
+}
+
+/**
+ * Seek media in a specific tab to an absolute time or by an offset, in seconds, or a live
+ * stream to its live edge
+ */
+async function seekTabMedia(tabId, time, offset, liveEdge = false) {
+  if (!tabId) return;
+  
+  try {
+    await browserAPI.tabs.sendMessage(tabId, { type: 'SEEK_MEDIA', time, offset, liveEdge });
+  } catch (error) {
+    console.warn(`Failed to seek media in tab ${tabId}:`, error);
+  }
+}
+
+/**
+ * Skip to the next or previous track in a specific tab
+ */
+async function skipTabTrack(tabId, direction) {
+  if (!tabId) return;
+  
+  try {
+    await browserAPI.tabs.sendMessage(tabId, { type: 'SKIP_TRACK', direction });
+  } catch (error) {
+    console.warn(`Failed to skip track in tab ${tabId}:`, error);
+  }
+}
+
+/**
+ * Invoke a Media Session action handler the page registered (play, pause, nexttrack,
+ * previoustrack, seekto, seekforward, seekbackward)
+ */
+async function sendMediaSessionAction(tabId, action, details) {
+  if (!tabId) return false;
+  
+  try {
+    const response = await browserAPI.tabs.sendMessage(tabId, { type: 'MEDIA_SESSION_ACTION', action, details });
+    return !!(response && response.success);
+  } catch (error) {
+    console.warn(`Failed to send Media Session action ${action} to tab ${tabId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Ask a tab for its media position and state (popup scrubber)
+ */
+async function getTabMediaState(tabId) {
+  try {
+    return await browserAPI.tabs.sendMessage(tabId, { type: 'GET_MEDIA_STATE' }) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Key for the position store: the page URL without its fragment, or null for non-web pages
+ */
+function positionKey(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Saved positions by page URL: { [url]: { url, title, artwork, currentTime, duration, savedAt } }
+ */
+async function loadSavedPositions() {
+  const result = await browserAPI.storage.local.get([POSITIONS_STORAGE_KEY]);
+  return (result && result[POSITIONS_STORAGE_KEY]) || {};
+}
+
+/**
+ * Apply a change to the position store; writes are queued so concurrent saves don't drop entries
+ */
+function updateSavedPositions(change) {
+  positionWriteQueue = positionWriteQueue.then(async () => {
+    const positions = await loadSavedPositions();
+    change(positions);
+    await browserAPI.storage.local.set({ [POSITIONS_STORAGE_KEY]: positions });
+  }).catch(error => {
+    console.warn('Failed to update saved playback positions:', error);
+  });
+  return positionWriteQueue;
+}
+
+/**
+ * Remember how far long media in a page has played, evicting the least recently saved entries
+ */
+function savePlaybackPosition(url, position) {
+  const key = positionKey(url);
+  if (!key || !position || !(position.currentTime > 0)) return Promise.resolve();
+  
+  return updateSavedPositions(positions => {
+    // Re-inserted so key order follows recency, which breaks savedAt ties
+    delete positions[key];
+    positions[key] = {
+      url: key,
+      title: position.title || '',
+      artwork: position.artwork || null,
+      currentTime: position.currentTime,
+      duration: position.duration,
+      savedAt: Date.now()
+    };
+    
+    const keys = Object.keys(positions);
+    if (keys.length > MAX_SAVED_POSITIONS) {
+      keys.sort((a, b) => positions[a].savedAt - positions[b].savedAt)
+        .slice(0, keys.length - MAX_SAVED_POSITIONS)
+        .forEach(oldKey => delete positions[oldKey]);
+    }
+  });
+}
+
+/**
+ * Forget the saved position for a page (media finished or removed from the popup list)
+ */
+function clearPlaybackPosition(url) {
+  const key = positionKey(url);
+  if (!key) return Promise.resolve();
+  
+  return updateSavedPositions(positions => {
+    delete positions[key];
+  });
+}
+
+/**
+ * Saved positions, most recently saved first (reversed key order settles savedAt ties)
+ */
+async function getSavedPositions() {
+  await positionWriteQueue;
+  const positions = await loadSavedPositions();
+  return Object.values(positions).reverse().sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Saved position for the page in a tab; autoSeek is set when the tab was opened from "Continue watching"
+ */
+async function getSavedPositionForTab(tabId, url) {
+  const key = positionKey(url);
+  if (!key) return { position: null };
+  
+  await positionWriteQueue;
+  const positions = await loadSavedPositions();
+  const pending = pendingPositionSeeks.get(tabId);
+  const autoSeek = !!pending && pending.url === key;
+  if (autoSeek) {
+    pendingPositionSeeks.delete(tabId);
+  }
+  return { position: positions[key] || null, autoSeek };
+}
+
+/**
+ * Reopen a saved page and continue from its saved position; an already open tab is focused and seeked
+ */
+async function openSavedPosition(url) {
+  const key = positionKey(url);
+  if (!key) return;
+  
+  try {
+    const positions = await getSavedPositions();
+    const saved = positions.find(entry => entry.url === key);
+    const tabs = await browserAPI.tabs.query({});
+    const openTab = tabs.find(tab => positionKey(tab.url) === key);
+    
+    if (openTab) {
+      await browserAPI.tabs.update(openTab.id, { active: true });
+      if (browserAPI.windows && openTab.windowId !== undefined) {
+        await browserAPI.windows.update(openTab.windowId, { focused: true });
+      }
+      if (saved) {
+        await seekTabMedia(openTab.id, saved.currentTime);
+      }
+      return;
+    }
+    
+    const tab = await browserAPI.tabs.create({ url: key, active: true });
+    if (saved && tab) {
+      pendingPositionSeeks.set(tab.id, { url: key, time: saved.currentTime });
+    }
+  } catch (error) {
+    console.warn('Failed to open saved position:', error);
+  }
+}
+
 /**
  * Set volume for media in a specific tab
  */
@@ -705,7 +1657,8 @@ function setTabVolume(tabId, volume) {
 function updateBadge() {
   // Show potential media tabs count (includes both monitored and active)
   const potentialCount = potentialMediaTabs.size;
-  const badgeText = potentialCount > 0 ? potentialCount.toString() : '';
+  const countText = potentialCount > 0 ? potentialCount.toString() : '';
+  const badgeText = sleepTimer ? `${countText}☾` : countText; // Moon while a sleep timer runs
   
   // Badge color based on status
   let badgeColor = '#9CA3AF'; // Gray (disabled)
@@ -734,6 +1687,197 @@ function updateBadge() {
   }
 }
 
+/**
+ * Start (or replace) the sleep timer: after `minutes`, or when the media playing now ends
+ * Returns the new timer
+ */
+async function startSleepTimer(minutes, endOfMedia = false) {
+  let timer;
+  if (endOfMedia) {
+    const tabId = currentPlayingTab || getMostRecentPlayingTab();
+    if (!tabId) {
+      throw new Error('Nothing is playing');
+    }
+    timer = { mode: 'endOfMedia', tabId };
+  } else {
+    const duration = parseFloat(minutes);
+    if (!(duration >= 1) || duration > SLEEP_TIMER_MAX_MINUTES) {
+      throw new Error(`Sleep timer must be between 1 and ${SLEEP_TIMER_MAX_MINUTES} minutes`);
+    }
+    timer = { mode: 'duration', endsAt: Date.now() + duration * 60 * 1000 };
+  }
+  
+  await browserAPI.alarms.clear(SLEEP_TIMER_ALARM);
+  if (timer.mode === 'duration') {
+    browserAPI.alarms.create(SLEEP_TIMER_ALARM, { when: timer.endsAt });
+  }
+  await browserAPI.storage.local.set({ [SLEEP_TIMER_STORAGE_KEY]: timer });
+  sleepTimer = timer;
+  console.log('Sleep timer set:', timer);
+  
+  updateBadge();
+  notifyPopupStateChange();
+  return timer;
+}
+
+/**
+ * Turn the sleep timer off without pausing anything
+ */
+async function cancelSleepTimer() {
+  sleepTimer = null;
+  try {
+    await browserAPI.alarms.clear(SLEEP_TIMER_ALARM);
+    await browserAPI.storage.local.remove(SLEEP_TIMER_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Failed to clear sleep timer:', error);
+  }
+  updateBadge();
+  notifyPopupStateChange();
+}
+
+/**
+ * Load the sleep timer from storage, the source of truth after a restart
+ */
+async function restoreSleepTimer() {
+  try {
+    const result = await browserAPI.storage.local.get([SLEEP_TIMER_STORAGE_KEY]);
+    sleepTimer = (result && result[SLEEP_TIMER_STORAGE_KEY]) || null;
+    if (sleepTimer && sleepTimer.mode === 'duration' && sleepTimer.endsAt <= Date.now()) {
+      // Ran out while the browser was closed; nothing is playing to pause
+      await cancelSleepTimer();
+      return;
+    }
+    updateBadge();
+  } catch (error) {
+    console.warn('Failed to restore sleep timer:', error);
+  }
+}
+
+/**
+ * Alarms fire even after the service worker was suspended, so this listener is added
+ * synchronously when the script loads rather than after initialization awaits
+ */
+function setupAlarmListener() {
+  if (!browserAPI.alarms || !browserAPI.alarms.onAlarm) return;
+  
+  browserAPI.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === SLEEP_TIMER_ALARM) {
+      fireSleepTimer();
+    } else if (alarm.name === QUIET_HOURS_ALARM) {
+      // A freshly woken service worker hasn't loaded the rules yet
+      await initialization;
+      evaluateQuietHours(true);
+    }
+  });
+}
+
+/**
+ * End-of-media timers fire when the tab they were set on reports MEDIA_ENDED
+ */
+async function handleSleepTimerMediaEnded(tabId) {
+  if (!sleepTimer) {
+    await restoreSleepTimer();
+  }
+  if (sleepTimer && sleepTimer.mode === 'endOfMedia' && sleepTimer.tabId === tabId) {
+    await fireSleepTimer();
+  }
+}
+
+/**
+ * Fade out and pause every tracked media tab. After a suspension activeMediaTabs starts out
+ * empty, so audible tabs are paused as well.
+ */
+async function fireSleepTimer() {
+  console.log('Sleep timer fired - pausing all media');
+  await cancelSleepTimer();
+  await pauseAllMediaTabs();
+}
+
+/**
+ * Slowly fade out and pause every tracked media tab, for the sleep timer and quiet hours.
+ * After a suspension activeMediaTabs starts out empty, so audible tabs are paused as well.
+ */
+async function pauseAllMediaTabs() {
+  // Nothing should start again on its own once everything is paused
+  cancelPendingResume();
+  pauseStack = [];
+  
+  const tabIds = new Set(activeMediaTabs.keys());
+  try {
+    const audible = await browserAPI.tabs.query({ audible: true });
+    (audible || []).forEach(tab => tabIds.add(tab.id));
+  } catch (error) {
+    console.warn('Failed to query audible tabs:', error);
+  }
+  
+  const fadeSeconds = Math.max(pauseFadeDuration, SCHEDULED_PAUSE_FADE);
+  await Promise.all(Array.from(tabIds).map(tabId => pauseTabMedia(tabId, fadeSeconds)));
+}
+
+/**
+ * Apply quiet hours rules from storage or a settings broadcast
+ */
+async function applyQuietHoursRules(rules) {
+  quietHoursRules = quietHours.normalizeRules(rules);
+  await evaluateQuietHours();
+}
+
+/**
+ * Bring the volume cap in line with the rules and schedule the alarm for the next change.
+ * Pause rules only act when the alarm wakes us, so saving the options just after a pause
+ * time doesn't pause everything again.
+ */
+async function evaluateQuietHours(fromAlarm = false) {
+  const now = new Date();
+  const cap = isExtensionEnabled ? quietHours.volumeCap(quietHoursRules, now) : null;
+  if (cap !== quietHoursVolumeCap) {
+    quietHoursVolumeCap = cap;
+    console.log('Quiet hours volume cap:', cap);
+    await sendVolumeCapToAllTabs(cap);
+  }
+  
+  if (fromAlarm && isExtensionEnabled && quietHours.isPauseDue(quietHoursRules, now)) {
+    console.log('Quiet hours - pausing all media');
+    await pauseAllMediaTabs();
+  }
+  
+  try {
+    await browserAPI.alarms.clear(QUIET_HOURS_ALARM);
+    const next = quietHours.nextChange(quietHoursRules, now);
+    if (next) {
+      browserAPI.alarms.create(QUIET_HOURS_ALARM, { when: next });
+    }
+  } catch (error) {
+    console.warn('Failed to schedule quiet hours:', error);
+  }
+}
+
+/**
+ * Send the volume cap (null lifts it) to every tab, media or not: a tab that starts playing
+ * later in the quiet hours is already capped
+ */
+async function sendVolumeCapToAllTabs(volumeCap) {
+  try {
+    const tabs = await browserAPI.tabs.query({});
+    (tabs || []).forEach(tab => sendVolumeCap(tab.id, volumeCap));
+  } catch (error) {
+    console.warn('Failed to send the quiet hours volume cap:', error);
+  }
+}
+
+function sendVolumeCap(tabId, volumeCap) {
+  try {
+    const result = browserAPI.tabs.sendMessage(tabId, { type: 'SET_VOLUME', volumeCap });
+    if (result && typeof result.catch === 'function') {
+      result.catch(() => {
+        // No content script in this tab (browser pages, the store)
+      });
+    }
+  } catch (error) {
+    // Tab closed in the meantime
+  }
+}
+
 /**
  * Get current extension state (for popup)
  */
@@ -743,7 +1887,7 @@ function getExtensionState() {
   
   for (const [tabId, potentialInfo] of potentialMediaTabs.entries()) {
     const activeInfo = activeMediaTabs.get(tabId);
-    const isPlaying = tabId === currentPlayingTab;
+    const isPlaying = tabId === currentPlayingTab || !!activeInfo?.isPlaying;
     
     allTabs.push({
       tabId,
@@ -752,7 +1896,13 @@ function getExtensionState() {
       status: potentialInfo.status,
       timestamp: potentialInfo.timestamp,
       favicon: activeInfo?.favicon,
+      mediaSession: activeInfo?.mediaSession || null,
       mediaType: activeInfo?.mediaType || 'potential',
+      loop: activeInfo?.loop || null,
+      isPip: tabId === pipTabId,
+      ended: !!activeInfo?.ended,
+      live: !!activeInfo?.live,
+      mutedInfo: activeInfo?.mutedInfo || null,
       isPlaying: isPlaying,
       hasActiveMedia: activeInfo !== undefined
     });
@@ -768,7 +1918,8 @@ function getExtensionState() {
     activeTabs: allTabs, // Now shows ALL potential media tabs
     currentPlaying: currentPlayingTab,
     totalTabs: potentialMediaTabs.size,
-    extensionEnabled: isExtensionEnabled
+    extensionEnabled: isExtensionEnabled,
+    sleepTimer
   };
 }
 
@@ -1060,7 +2211,8 @@ function setupPeriodicCleanup() {
 }
 
 // Initialize when background script loads
-initializeExtension();
+setupAlarmListener();
+const initialization = initializeExtension();
 
 // Export for testing purposes (if needed)
 if (typeof module !== 'undefined' && module.exports) {
@@ -1069,6 +2221,33 @@ if (typeof module !== 'undefined' && module.exports) {
     handleMediaPaused,
     handleMediaEnded,
     pauseTabMedia,
-    getExtensionState
+    getExtensionState,
+    applyArbitrationSettings,
+    resolvePlaybackConflict,
+    resumeTabMedia,
+    playTabMedia,
+    seekTabMedia,
+    skipTabTrack,
+    sendMediaSessionAction,
+    handleLoopChanged,
+    handlePipChanged,
+    handleTabActivated,
+    togglePictureInPictureTab,
+    setTabMutedFromPopup,
+    handleMutedInfoChanged,
+    setFrameRelayToken,
+    getFrameRelayToken,
+    handleCommand,
+    savePlaybackPosition,
+    clearPlaybackPosition,
+    getSavedPositions,
+    getSavedPositionForTab,
+    openSavedPosition,
+    startSleepTimer,
+    cancelSleepTimer,
+    restoreSleepTimer,
+    fireSleepTimer,
+    applyQuietHoursRules,
+    evaluateQuietHours
   };
 } 
\ No newline at end of file
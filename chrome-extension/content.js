@@ -25,7 +25,14 @@
   
   // Track media elements and their states
   const trackedElements = new WeakMap();
+  const trackedMediaElements = new Set(); // Keys of trackedElements, so key presses needn't walk the DOM
   const activeMediaElements = new Set();
+  const pausedByExtension = new Set(); // Elements paused by PAUSE_MEDIA, candidates for RESUME_MEDIA
+  let mediaSessionActions = new Set(); // Actions the page registered via mediaSession.setActionHandler
+  const positionSavedAt = new WeakMap(); // Element -> time of the last SAVE_POSITION
+  const positionOffered = new WeakMap(); // Element -> src a saved position was already looked up for
+  let bookmarkStore = {}; // storage.local bookmarks, see bookmarks.js
+  const loopRanges = new WeakMap(); // Element -> { start, end, enabled, frameHandle } for A-B loops
   
   // Enhanced settings to match original videospeed extension
   let speedSettings = {
@@ -48,23 +55,130 @@
       { action: 'advance', key: 88, value: 10, force: false }, // X
       { action: 'reset', key: 82, value: 1.0, force: false }, // R
       { action: 'fast', key: 71, value: 1.8, force: false }, // G
-      { action: 'mark', key: 77, value: 0, force: false }, // M - set marker
-      { action: 'jump', key: 74, value: 0, force: false }, // J - jump to marker
+      { action: 'mark', key: 77, value: 0, force: false }, // M - add bookmark
+      { action: 'jump', key: 74, value: 0, force: false }, // J - jump to latest bookmark
+      { action: 'prevBookmark', key: 219, value: 0, force: false }, // [ - previous bookmark
+      { action: 'nextBookmark', key: 221, value: 0, force: false }, // ] - next bookmark
+      { action: 'setLoopA', key: 65, value: 0, force: false }, // A - loop start
+      { action: 'setLoopB', key: 66, value: 0, force: false }, // B - loop end
+      { action: 'toggleLoop', key: 76, value: 0, force: false }, // L - loop on/off
+      { action: 'frameBackward', key: 188, value: 0, force: false }, // , - previous frame
+      { action: 'frameForward', key: 190, value: 0, force: false }, // . - next frame
+      { action: 'seekToStart', key: 0, value: 0, force: false }, // Unbound; Home is the usual choice
+      { action: 'seekToEnd', key: 0, value: 0, force: false }, // Unbound; End is the usual choice
+      { action: 'jumpToLive', key: 0, value: 0, force: false }, // Unbound - jump to the live edge
+      { action: 'seekPercent', key: 48, value: 0, force: false }, // 0 - start
+      { action: 'seekPercent', key: 49, value: 10, force: false }, // 1 - 10%
+      { action: 'seekPercent', key: 50, value: 20, force: false }, // 2 - 20%
+      { action: 'seekPercent', key: 51, value: 30, force: false }, // 3 - 30%
+      { action: 'seekPercent', key: 52, value: 40, force: false }, // 4 - 40%
+      { action: 'seekPercent', key: 53, value: 50, force: false }, // 5 - 50%
+      { action: 'seekPercent', key: 54, value: 60, force: false }, // 6 - 60%
+      { action: 'seekPercent', key: 55, value: 70, force: false }, // 7 - 70%
+      { action: 'seekPercent', key: 56, value: 80, force: false }, // 8 - 80%
+      { action: 'seekPercent', key: 57, value: 90, force: false }, // 9 - 90%
       { action: 'volumeUp', key: 38, value: 0.1, force: false }, // Up Arrow - increase volume
-      { action: 'volumeDown', key: 40, value: 0.1, force: false } // Down Arrow - decrease volume
+      { action: 'volumeDown', key: 40, value: 0.1, force: false }, // Down Arrow - decrease volume
+      { action: 'pip', key: 0, value: 0, force: false } // Unbound - Picture-in-Picture on/off
     ],
     // Volume booster settings
     volumeBoosterEnabled: true,
     globalVolume: 1.0,
     perDomainVolume: {},
     volumeBoostLimit: 5.0,
-    // Marker functionality
-    markers: {} // Store video markers per URL
+    perDomainAudioEffects: {}, // Hostname -> EQ, night mode, mono and balance, see audio-effects.js
+    // Legacy single markers per URL, moved into bookmarks on load
+    markers: {},
+    // Per-site profile rules (first enabled match wins)
+    siteProfiles: [],
+    // Position memory for long media
+    rememberPosition: true,
+    rememberPositionMinMinutes: 10,
+    // Silence skipping (site profiles can override threshold and minimum duration)
+    silenceSkipEnabled: false,
+    silenceThreshold: -45, // dBFS; quieter than this counts as silence
+    silenceMinDuration: 0.5, // Seconds of silence before speeding up
+    silenceSpeed: 3.0, // Playback rate while silent
+    // Loudness normalization (the booster gain follows short-term loudness toward the target)
+    loudnessNormalization: false,
+    loudnessTarget: -20, // dBFS short-term loudness to aim for
+    // Let the browser put the playing video in Picture-in-Picture when the tab is left
+    autoPictureInPicture: false
   };
 
   // Volume boost context and nodes
   let volumeContext = null;
   let volumeNodes = new WeakMap(); // Map elements to their volume nodes
+  let volumeCap = null; // Quiet hours limit sent by the background, null while none applies
+  const volumesBeforeCap = new WeakMap(); // Element outside the booster -> { volume, capped } to put back
+  const silenceStates = new WeakMap(); // Element -> silence detector state, see startSilenceDetection
+  const SILENCE_CHECK_INTERVAL = 100; // ms between level checks
+  const MAX_SILENCE_SPEED = 4; // Chrome mutes audio above 4x, which would read as endless silence
+
+  // Effects chain between the media source and the volume gain (shared with the popup and options page)
+  const audioEffects = window.umeAudioEffects;
+
+  // Blacklist and site profile patterns (site-patterns.js)
+  const { matchesSitePatterns } = window.umeSitePatterns;
+  const siteSettings = window.umeSiteSettings; // Stored settings and profile key bindings (site-settings.js)
+  const LOUDNESS_CHECK_INTERVAL = 250; // ms between level readings
+  const LOUDNESS_WINDOW_BLOCKS = 12; // Readings averaged into short-term loudness, 3 s at the interval above
+  const LOUDNESS_TIME_CONSTANT = 2; // Seconds; how slowly the gain follows the correction
+
+  // Site exclusion state (driven by speedSettings.blacklist)
+  let isSiteExcluded = false;
+  let mediaObserver = null;
+  let pageKeyboardHandlerInjected = false;
+
+  // Position memory for long media
+  const POSITION_SAVE_INTERVAL = 10000; // ms between periodic SAVE_POSITION messages
+  const POSITION_EDGE_SECONDS = 30; // Nothing to continue this close to the start or end
+  const RESUME_TOAST_DURATION = 10000;
+
+  // Bookmarks (helpers shared with the options page)
+  const bookmarkUtils = window.umeBookmarks;
+  const BOOKMARK_ACTIONS = ['mark', 'jump', 'prevBookmark', 'nextBookmark'];
+
+  // A-B loop
+  const LOOP_ACTIONS = ['setLoopA', 'setLoopB', 'toggleLoop'];
+  const LOOP_END_TOLERANCE = 0.05; // Seconds; timeupdate rarely lands exactly on B
+
+  // Frame stepping
+  const frameDurations = new WeakMap(); // Video -> measured seconds per frame, null while sampling
+  const DEFAULT_FRAME_DURATION = 1 / 30;
+  const FRAME_SAMPLES = 10;
+
+  // Seeking on keys the page itself uses to scroll; only taken over when media is the target
+  const PAGE_KEY_ACTIONS = ['seekToStart', 'seekToEnd'];
+
+  // Live streams
+  const LIVE_PLACEHOLDER_DURATION = 7 * 24 * 60 * 60; // MediaSource players that can't report Infinity set a huge duration instead
+  const LIVE_EDGE_MARGIN = 2; // Seconds behind the seekable end, so jumping to live doesn't stall waiting for data
+
+  // Picture-in-Picture
+  let autoPipVideo = null; // Video put in PiP on leaving the tab, taken out again on return
+  let autoPipHandlerSet = false; // Whether the enterpictureinpicture Media Session handler is ours
+
+  // Content scripts run in every frame; subframes relay media notices through the top frame
+  const isTopFrame = window.top === window;
+  const RELAYED_MESSAGE_TYPES = ['MEDIA_STARTED', 'MEDIA_PAUSED', 'MEDIA_ENDED', 'SPEED_CHANGED', 'FULLSCREEN_CHANGED', 'LOOP_CHANGED',
+    'PIP_CHANGED'];
+  const QUERY_MESSAGE_TYPES = ['PLAY_MEDIA', 'SEEK_MEDIA', 'SKIP_TRACK', 'MEDIA_SESSION_ACTION', 'GET_MEDIA_STATE', 'CHECK_FOR_MEDIA',
+    'TOGGLE_PIP', 'ENTER_PIP'];
+  let playingFrames = new Set(); // Top frame only: subframe windows that reported playback
+  let childFrameHasMedia = false;
+  // Relays must carry the top frame's token, which only our own content scripts get from the
+  // background, so page scripts in other frames (ads) can't forge media notices for the tab
+  let frameRelayToken = null; // Top frame: generated; subframes: promise of the fetched token
+  const FRAME_RELAY_TOKEN_ATTEMPTS = 3;
+  const FRAME_RELAY_TOKEN_RETRY_DELAY = 500; // ms; the top frame may not have registered yet
+
+  // Open shadow roots get their own observers; document-level observers don't see inside them
+  let observedShadowRoots = new WeakSet();
+  let shadowRootObservers = [];
+
+  // Site profile matching the current URL (null when no rule applies)
+  let activeSiteProfile = null;
 
   /**
    * VideoController class - Creates and manages visual speed controller overlay
@@ -87,7 +201,7 @@
       try {
         // Restore speed from settings
         const src = this.video.src || this.video.currentSrc;
-        let storedSpeed = speedSettings.speeds[src] || speedSettings.lastSpeed;
+        let storedSpeed = getStoredSpeed(src);
         this.video.playbackRate = storedSpeed;
 
         this.div = this.initializeControls();
@@ -142,6 +256,18 @@
       speedDisplay.className = 'draggable';
       speedDisplay.textContent = speed + 'x';
 
+      // A-B loop markers, click to clear
+      const loopDisplay = document.createElement('span');
+      loopDisplay.id = 'loop';
+      loopDisplay.title = 'A-B loop (click to clear)';
+      loopDisplay.hidden = true;
+
+      // Time saved by silence skipping
+      const silenceDisplay = document.createElement('span');
+      silenceDisplay.id = 'silence';
+      silenceDisplay.title = 'Time saved by skipping silence';
+      silenceDisplay.hidden = true;
+
       // Create controls container
       const controls = document.createElement('span');
       controls.id = 'controls';
@@ -153,6 +279,7 @@
         { title: 'Rewind (Z)', class: 'rw', text: '«' },
         { title: 'Advance (X)', class: '', text: '»' },
         { title: 'Reset (R)', class: '', text: '⌂' },
+        { title: 'Bookmarks (M adds one)', class: 'bookmarkButton', text: '🔖' },
         { title: 'Hide (V)', class: 'hideButton', text: '×' }
       ];
 
@@ -166,9 +293,17 @@
         controls.appendChild(button);
       });
 
+      // Bookmark panel, opened from the 🔖 button
+      const bookmarkPanel = document.createElement('div');
+      bookmarkPanel.id = 'bookmarks';
+      bookmarkPanel.hidden = true;
+
       // Assemble the DOM structure
       controller.appendChild(speedDisplay);
+      controller.appendChild(loopDisplay);
+      controller.appendChild(silenceDisplay);
       controller.appendChild(controls);
+      controller.appendChild(bookmarkPanel);
       shadow.appendChild(controller);
 
       // Get shadow DOM elements with error checking
@@ -176,27 +311,32 @@
       this.controller = shadow.querySelector('#controller');
       this.speedDisplay = shadow.querySelector('.draggable');
       this.controls = shadow.querySelector('#controls');
+      this.bookmarkPanel = bookmarkPanel;
+      this.loopDisplay = loopDisplay;
+      this.silenceDisplay = silenceDisplay;
       
       if (!this.controller || !this.speedDisplay || !this.controls) {
         console.error('OneTab Media: Failed to find shadow DOM elements');
         return wrapper;
       }
       
-      const buttons = shadow.querySelectorAll('button');
-      if (buttons.length < 6) {
+      const buttons = controls.querySelectorAll('button');
+      if (buttons.length < 7) {
         console.error('OneTab Media: Not all buttons found in shadow DOM');
         return wrapper;
       }
       
-      const [slowerBtn, fasterBtn, rewindBtn, advanceBtn, resetBtn, hideBtn] = buttons;
+      const [slowerBtn, fasterBtn, rewindBtn, advanceBtn, resetBtn, bookmarkBtn, hideBtn] = buttons;
 
       // Set up button event listeners with error handling
       try {
         slowerBtn.addEventListener('click', () => this.handleSpeedAction('slower', 0.1));
         fasterBtn.addEventListener('click', () => this.handleSpeedAction('faster', 0.1));
-        rewindBtn.addEventListener('click', () => this.handleSpeedAction('rewind', 10));
-        advanceBtn.addEventListener('click', () => this.handleSpeedAction('advance', 10));
+        rewindBtn.addEventListener('click', () => this.handleSpeedAction('rewind', getSkipAmount('rewind')));
+        advanceBtn.addEventListener('click', () => this.handleSpeedAction('advance', getSkipAmount('advance')));
         resetBtn.addEventListener('click', () => this.handleSpeedAction('reset', 1.0));
+        bookmarkBtn.addEventListener('click', () => this.toggleBookmarkPanel());
+        loopDisplay.addEventListener('click', () => clearLoop(this.video));
         hideBtn.addEventListener('click', () => this.toggleDisplay());
       } catch (error) {
         console.error('OneTab Media: Failed to set up button listeners:', error);
@@ -225,14 +365,14 @@
       // Handle play events
       this.handlePlay = () => {
         const src = this.video.src || this.video.currentSrc;
-        let storedSpeed = speedSettings.speeds[src] || speedSettings.lastSpeed;
+        let storedSpeed = getStoredSpeed(src);
         this.setSpeed(storedSpeed);
       };
 
       // Handle seeked events
       this.handleSeek = () => {
         const src = this.video.src || this.video.currentSrc;
-        let storedSpeed = speedSettings.speeds[src] || speedSettings.lastSpeed;
+        let storedSpeed = getStoredSpeed(src);
         this.setSpeed(storedSpeed);
       };
 
@@ -343,15 +483,17 @@
           console.error('OneTab Media: speedDisplay element not found for update');
         }
         
-        // Store speed
-        const src = this.video.src || this.video.currentSrc;
-        if (src) {
-          speedSettings.speeds[src] = speed;
+        // Store speed (a live stream's speed is never restored, so it isn't remembered either)
+        if (!isLiveMedia(this.video)) {
+          const src = this.video.src || this.video.currentSrc;
+          if (src) {
+            speedSettings.speeds[src] = speed;
+          }
+          speedSettings.lastSpeed = speed;
+          
+          // Save to storage
+          saveSpeedSettings();
         }
-        speedSettings.lastSpeed = speed;
-        
-        // Save to storage
-        saveSpeedSettings();
         
         // Notify background script of speed change
         sendMessage({
@@ -383,6 +525,111 @@
       }
     }
 
+    /**
+     * Show the loop points: "A 1:23" while only A is set, "A 1:23 – B 1:45" once both are, highlighted while looping
+     */
+    updateLoopDisplay() {
+      if (!this.loopDisplay) return;
+      const loop = loopRanges.get(this.video);
+      this.loopDisplay.hidden = !loop;
+      if (!loop) return;
+      this.loopDisplay.textContent = `🔁 A ${formatTime(loop.start)}` + (loop.end !== null ? ` – B ${formatTime(loop.end)}` : '');
+      this.loopDisplay.classList.toggle('active', loop.enabled);
+    }
+
+    updateSilenceDisplay() {
+      if (!this.silenceDisplay) return;
+      const state = silenceStates.get(this.video);
+      const saved = state ? state.saved : 0;
+      this.silenceDisplay.hidden = saved < 1;
+      this.silenceDisplay.textContent = `⏩ ${formatTime(saved)} saved`;
+      this.silenceDisplay.classList.toggle('active', !!state && state.skipping);
+    }
+
+    toggleBookmarkPanel() {
+      if (!this.bookmarkPanel) return;
+      this.bookmarkPanel.hidden = !this.bookmarkPanel.hidden;
+      this.controller.classList.toggle('bookmarks-open', !this.bookmarkPanel.hidden);
+      this.renderBookmarks();
+    }
+
+    /**
+     * Rebuild the bookmark panel: name field with Add, then time (jump), name (rename) and remove per bookmark
+     */
+    renderBookmarks() {
+      const panel = this.bookmarkPanel;
+      if (!panel || panel.hidden) return;
+      const document = this.video.ownerDocument;
+      panel.textContent = '';
+
+      // Keys typed into the panel are text, not shortcuts for us or the player
+      const keepKeys = input => {
+        ['keydown', 'keyup', 'keypress'].forEach(type => {
+          input.addEventListener(type, event => event.stopPropagation());
+        });
+      };
+
+      const addRow = document.createElement('div');
+      addRow.className = 'bookmark-add';
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.placeholder = `Name (at ${formatTime(this.video.currentTime)})`;
+      keepKeys(nameInput);
+      const addButton = document.createElement('button');
+      addButton.textContent = 'Add';
+      const add = () => addMediaBookmark(this.video, nameInput.value);
+      addButton.addEventListener('click', add);
+      nameInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') add();
+      });
+      addRow.append(nameInput, addButton);
+      panel.appendChild(addRow);
+
+      const bookmarks = getElementBookmarks(this.video);
+      if (bookmarks.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'bookmark-empty';
+        empty.textContent = 'No bookmarks yet';
+        panel.appendChild(empty);
+        return;
+      }
+
+      const list = document.createElement('ol');
+      list.className = 'bookmark-list';
+      bookmarks.forEach(bookmark => {
+        const item = document.createElement('li');
+
+        const timeButton = document.createElement('button');
+        timeButton.className = 'bookmark-time';
+        timeButton.textContent = formatTime(bookmark.time);
+        timeButton.title = 'Jump here';
+        timeButton.addEventListener('click', () => {
+          this.video.currentTime = bookmark.time;
+        });
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'bookmark-name';
+        name.value = bookmark.name;
+        keepKeys(name);
+        name.addEventListener('change', () => {
+          updateBookmarks(store => bookmarkUtils.renameBookmark(store, window.location.href, bookmark.id, name.value));
+        });
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'bookmark-remove';
+        removeButton.textContent = '×';
+        removeButton.title = 'Delete bookmark';
+        removeButton.addEventListener('click', () => {
+          updateBookmarks(store => bookmarkUtils.removeBookmark(store, window.location.href, bookmark.id));
+        });
+
+        item.append(timeButton, name, removeButton);
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
+    }
+
     remove() {
       try {
         if (this.div && this.div.parentNode) {
@@ -443,27 +690,194 @@
   }
 
   /**
-   * Format time in MM:SS format
+   * Format time in MM:SS format (H:MM:SS from an hour up)
    */
   function formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
     const secs = Math.floor(seconds % 60);
+    if (hours > 0) {
+      return `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   }
 
   /**
    * Initialize content script
    */
-  function initialize() {
-    setupMediaDetection();
+  async function initialize() {
     setupMessageListener();
-    setupKeyboardShortcuts();
-    loadSpeedSettings();
+    await loadSpeedSettings();
+    await loadBookmarks();
     
+    // Bookmarks edited in another tab or the options page
+    browserAPI.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[bookmarkUtils.STORAGE_KEY]) {
+        bookmarkStore = changes[bookmarkUtils.STORAGE_KEY].newValue || {};
+        refreshBookmarkPanels();
+      }
+    });
+
+    // Skip media hooks entirely on excluded sites
+    isSiteExcluded = isBlacklisted(window.location.href, speedSettings.blacklist);
+    activeSiteProfile = findSiteProfile(window.location.href);
+    if (activeSiteProfile) {
+      console.log('OneTab Media: Applying site profile', activeSiteProfile.name || activeSiteProfile.pattern);
+    }
+    if (isSiteExcluded) {
+      console.log('OneTab Media: Site is blacklisted, media controls disabled on', window.location.href);
+    } else {
+      setupMediaDetection();
+      setupKeyboardShortcuts();
+      setupAutoPictureInPicture();
+    }
+
     // Handle dynamic content loading
     observeDocumentChanges();
   }
 
+  /**
+   * Check whether a URL matches any entry in the blacklist
+   */
+  function isBlacklisted(url, blacklist) {
+    return matchesSitePatterns(url, blacklist);
+  }
+
+  /**
+   * Find the first enabled site profile whose pattern matches the URL
+   */
+  function findSiteProfile(url) {
+    if (!Array.isArray(speedSettings.siteProfiles)) return null;
+    return speedSettings.siteProfiles.find(profile =>
+      profile && profile.enabled !== false && matchesSitePatterns(url, profile.pattern)
+    ) || null;
+  }
+
+  /**
+   * Re-evaluate the site profile for the current URL (settings change or SPA navigation)
+   */
+  function updateSiteProfile() {
+    const profile = findSiteProfile(window.location.href);
+    if (JSON.stringify(profile) === JSON.stringify(activeSiteProfile)) return;
+
+    activeSiteProfile = profile;
+    console.log('OneTab Media: Site profile changed to', profile ? (profile.name || profile.pattern) : 'none');
+    syncPageKeyBindings();
+
+    // Controller visibility and silence skipping may differ between profiles
+    activeMediaElements.forEach(element => {
+      if (element.vsc && element.vsc.div) {
+        element.vsc.div.classList.toggle('vsc-hidden', !shouldShowController());
+      }
+    });
+    refreshSilenceDetection();
+  }
+
+  /**
+   * Push the effective key bindings to the injected page-level handler
+   */
+  function syncPageKeyBindings() {
+    if (!pageKeyboardHandlerInjected || isSiteExcluded) return;
+    window.postMessage({
+      type: 'UME_SETTINGS_UPDATE',
+      enabled: speedSettings.enabled,
+      keyBindings: getEffectiveKeyBindings()
+    }, '*');
+  }
+
+  /**
+   * Speed to apply to a source: remembered per-src speed, then profile default, then last speed
+   */
+  function getStoredSpeed(src) {
+    if (src && speedSettings.speeds[src]) return speedSettings.speeds[src];
+    if (activeSiteProfile && activeSiteProfile.speed) return activeSiteProfile.speed;
+    return speedSettings.lastSpeed;
+  }
+
+  /**
+   * Controller visibility, honoring a profile override when set
+   */
+  function shouldShowController() {
+    if (activeSiteProfile && typeof activeSiteProfile.showController === 'boolean') {
+      return activeSiteProfile.showController;
+    }
+    return speedSettings.showController;
+  }
+
+  /**
+   * Global key bindings with the active profile's overrides applied (see site-settings.js)
+   */
+  function getEffectiveKeyBindings() {
+    return siteSettings.getEffectiveKeyBindings(speedSettings.keyBindings, activeSiteProfile);
+  }
+
+  /**
+   * Seconds to skip for the controller's rewind/advance buttons
+   */
+  function getSkipAmount(action) {
+    const binding = getEffectiveKeyBindings().find(item => item.action === action);
+    return binding && binding.value ? binding.value : 10;
+  }
+
+  /**
+   * Re-evaluate the blacklist for the current URL and enable/disable media hooks
+   */
+  function updateSiteExclusion() {
+    const excluded = isBlacklisted(window.location.href, speedSettings.blacklist);
+    if (excluded === isSiteExcluded) return;
+
+    isSiteExcluded = excluded;
+
+    if (excluded) {
+      console.log('OneTab Media: Site is now blacklisted, disabling media controls');
+      disableMediaHooks();
+    } else {
+      console.log('OneTab Media: Site removed from blacklist, enabling media controls');
+      setupMediaDetection();
+      setupKeyboardShortcuts();
+    }
+  }
+
+  /**
+   * Tear down controllers, shortcuts and volume boost for an excluded site
+   */
+  function disableMediaHooks() {
+    // Stop watching for new media
+    if (mediaObserver) {
+      mediaObserver.disconnect();
+      mediaObserver = null;
+    }
+    shadowRootObservers.forEach(observer => observer.disconnect());
+    shadowRootObservers = [];
+
+    // Remove keyboard shortcuts and silence the page-level handler
+    document.removeEventListener('keydown', handleKeyboardEvent, true);
+    window.removeEventListener('keydown', handleKeyboardEvent, true);
+    window.postMessage({
+      type: 'UME_SETTINGS_UPDATE',
+      enabled: false
+    }, '*');
+
+    const hadActiveMedia = activeMediaElements.size > 0;
+
+    // Return boosted elements to unity gain (the Web Audio graph cannot be detached)
+    findMediaElements().forEach(element => {
+      if (volumeNodes.has(element) && volumeContext) {
+        const volumeData = volumeNodes.get(element);
+        stopLoudnessNormalization(element);
+        volumeData.correction = 0;
+        volumeData.currentVolume = 1.0;
+        applyElementGain(volumeData);
+      }
+      cleanupMediaElement(element);
+    });
+
+    // Background should no longer treat this tab as playing
+    if (hadActiveMedia) {
+      sendMessage({ type: 'MEDIA_PAUSED' });
+    }
+  }
+
   /**
    * Load speed control settings from storage
    */
@@ -480,12 +894,27 @@
         'displayKeyCode',
         'keyBindings',
         'blacklist',
+        'siteProfiles',
+        'rememberPosition',
+        'rememberPositionMinMinutes',
+        'silenceSkipEnabled',
+        'silenceThreshold',
+        'silenceMinDuration',
+        'silenceSpeed',
+        'perDomainAudioEffects',
+        'volumeBoostLimit',
+        'loudnessNormalization',
+        'loudnessTarget',
+        'autoPictureInPicture',
         // Legacy support
         'videoSpeedSettings', 
         'videoSpeedEnabled',
         'lastSpeed'
       ]);
       
+      // Key bindings, blacklist and site profiles, over the legacy copy
+      siteSettings.mergeStoredSettings(speedSettings, result);
+      
       // Update settings with loaded values
       speedSettings.enabled = result.enabled !== false;
       speedSettings.showController = result.showController !== false;
@@ -496,22 +925,26 @@
       speedSettings.lastSpeed = result.speed || result.lastSpeed || 1.0;
       speedSettings.displayKeyCode = result.displayKeyCode || 86;
       
-      if (result.keyBindings && Array.isArray(result.keyBindings)) {
-        speedSettings.keyBindings = result.keyBindings;
-      }
-      
-      if (result.blacklist) {
-        speedSettings.blacklist = result.blacklist;
+      speedSettings.rememberPosition = result.rememberPosition !== false;
+      if (result.rememberPositionMinMinutes > 0) {
+        speedSettings.rememberPositionMinMinutes = result.rememberPositionMinMinutes;
       }
       
       // Legacy support
-      if (result.videoSpeedSettings) {
-        Object.assign(speedSettings, result.videoSpeedSettings);
-      }
       if (result.videoSpeedEnabled !== undefined) {
         speedSettings.enabled = result.videoSpeedEnabled;
       }
       
+      speedSettings.silenceSkipEnabled = result.silenceSkipEnabled === true;
+      if (typeof result.silenceThreshold === 'number') speedSettings.silenceThreshold = result.silenceThreshold;
+      if (result.silenceMinDuration > 0) speedSettings.silenceMinDuration = result.silenceMinDuration;
+      if (result.silenceSpeed > 1) speedSettings.silenceSpeed = result.silenceSpeed;
+      speedSettings.perDomainAudioEffects = result.perDomainAudioEffects || {};
+      if (result.volumeBoostLimit > 0) speedSettings.volumeBoostLimit = result.volumeBoostLimit;
+      speedSettings.loudnessNormalization = result.loudnessNormalization === true;
+      if (typeof result.loudnessTarget === 'number') speedSettings.loudnessTarget = result.loudnessTarget;
+      speedSettings.autoPictureInPicture = result.autoPictureInPicture === true;
+      
       console.log('OneTab Media: Settings loaded successfully:', speedSettings);
     } catch (error) {
       console.warn('OneTab Media: Failed to load speed settings:', error);
@@ -555,21 +988,27 @@
       return;
     }
     
-    // Ignore if typing in input fields (except when target is video element)
-    if (event.target.nodeName === 'INPUT' || 
-        event.target.nodeName === 'TEXTAREA' || 
-        event.target.isContentEditable) {
+    // Ignore if typing in input fields (except when target is video element); the composed
+    // path reaches fields inside shadow roots, such as the bookmark panel
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    if (target.nodeName === 'INPUT' || 
+        target.nodeName === 'TEXTAREA' || 
+        target.isContentEditable) {
       return;
     }
     
-    // Check for any media elements (playing OR paused) - don't require them to be actively playing
-    const hasAnyMedia = document.querySelectorAll('video, audio').length > 0 || activeMediaElements.size > 0;
+    // Check for any media elements (playing OR paused) - don't require them to be actively playing.
+    // Only tracked media counts: keydown fires too often to search the document each time
+    const hasAnyMedia = activeMediaElements.size > 0 || getTrackedMedia().length > 0;
     if (!hasAnyMedia) {
       return;
     }
     
     // Find matching key binding
-    const binding = speedSettings.keyBindings.find(item => item.key === keyCode);
+    const binding = getEffectiveKeyBindings().find(item => item.key && item.key === keyCode);
+    if (binding && PAGE_KEY_ACTIONS.includes(binding.action) && !isMediaKeyTarget(target)) {
+      return;
+    }
     if (binding && speedSettings.enabled) {
       // CRITICAL: Stop event immediately to prevent player interference
       event.preventDefault();
@@ -583,6 +1022,31 @@
     }
   }
 
+  /**
+   * Whether a key press is meant for media: media in fullscreen, a focused player, or media
+   * playing in view. Anywhere else the page keeps its own keys.
+   */
+  function isMediaKeyTarget(target) {
+    if (getFullscreenElement()) return true;
+    if (target instanceof HTMLMediaElement) return true;
+    if (target !== document.body && target !== document.documentElement &&
+        target.querySelector && target.querySelector('video, audio')) {
+      return true;
+    }
+    return getTrackedMedia().some(element => {
+      if (element.paused || element.ended) return false;
+      const rect = element.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+    });
+  }
+
+  /**
+   * Tracked media elements still in the document; only removed videos are untracked
+   */
+  function getTrackedMedia() {
+    return Array.from(trackedMediaElements).filter(element => element.isConnected);
+  }
+
   /**
    * Get current fullscreen element across browsers
    */
@@ -608,11 +1072,20 @@
     // 2. Document level - backup in case window listener fails
     document.addEventListener('keydown', handleKeyboardEvent, true);
     
-    // 3. Inject a page-level script to handle events in page context
-    injectPageLevelKeyboardHandler();
-    
-    // Set up fullscreen change listeners
-    setupFullscreenListeners();
+    // 3. Inject a page-level script to handle events in page context (once per page)
+    if (!pageKeyboardHandlerInjected) {
+      injectPageLevelKeyboardHandler();
+      
+      // Set up fullscreen change listeners
+      setupFullscreenListeners();
+      pageKeyboardHandlerInjected = true;
+    } else {
+      // Re-enable the already injected handler (e.g. after leaving the blacklist)
+      window.postMessage({
+        type: 'UME_SETTINGS_UPDATE',
+        enabled: speedSettings.enabled
+      }, '*');
+    }
     
     console.log('OneTab Media: Enhanced keyboard shortcuts setup complete');
   }
@@ -625,17 +1098,18 @@
     script.textContent = `
       (function() {
         // Page-level keyboard handler for fullscreen scenarios
-        const UME_KEY_BINDINGS = ${JSON.stringify(speedSettings.keyBindings)};
+        let UME_KEY_BINDINGS = ${JSON.stringify(getEffectiveKeyBindings())};
         let UME_ENABLED = ${speedSettings.enabled};
         
         function handlePageKeyboard(event) {
           // Skip if modifiers are active
           if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
           
-          // Skip if typing in input fields
-          if (event.target.nodeName === 'INPUT' || 
-              event.target.nodeName === 'TEXTAREA' || 
-              event.target.isContentEditable) return;
+          // Skip if typing in input fields, including ones inside shadow roots
+          const target = event.composedPath ? event.composedPath()[0] : event.target;
+          if (target.nodeName === 'INPUT' || 
+              target.nodeName === 'TEXTAREA' || 
+              target.isContentEditable) return;
           
           // Check if we have video elements on the page (playing OR paused)
           const videos = document.querySelectorAll('video');
@@ -670,6 +1144,9 @@
         window.addEventListener('message', function(event) {
           if (event.data.type === 'UME_SETTINGS_UPDATE') {
             UME_ENABLED = event.data.enabled;
+            if (Array.isArray(event.data.keyBindings)) {
+              UME_KEY_BINDINGS = event.data.keyBindings;
+            }
           }
         });
       })();
@@ -681,7 +1158,7 @@
     
     // Listen for messages from page-level script
     window.addEventListener('message', function(event) {
-      if (event.data.type === 'UME_KEYBOARD_ACTION') {
+      if (event.data.type === 'UME_KEYBOARD_ACTION' && !isSiteExcluded) {
         runSpeedAction(event.data.action, event.data.value);
         console.log('OneTab Media: Executed action from page-level:', event.data.action);
       }
@@ -710,6 +1187,14 @@
   function handleFullscreenChange() {
     const fullscreenElement = getFullscreenElement();
     
+    // Let the background know, the 'protectFullscreen' arbitration policy depends on it
+    if (activeMediaElements.size > 0) {
+      sendMessage({
+        type: 'FULLSCREEN_CHANGED',
+        isFullscreen: !!fullscreenElement
+      });
+    }
+    
     if (fullscreenElement) {
       console.log('OneTab Media: Entered fullscreen mode, element:', fullscreenElement.tagName);
       
@@ -740,8 +1225,24 @@
    * Run speed control action on media elements (both playing and paused)
    */
   function runSpeedAction(action, value) {
+    // Bookmarks and loops belong to one media, the one the popup would control
+    if (BOOKMARK_ACTIONS.includes(action)) {
+      runBookmarkAction(action);
+      return;
+    }
+    if (LOOP_ACTIONS.includes(action)) {
+      runLoopAction(action);
+      return;
+    }
+    if (action === 'pip') {
+      togglePictureInPicture().then(result => {
+        if (!result.success) showTemporaryNotification(result.error);
+      });
+      return;
+    }
+
     // Get all media elements, not just active playing ones
-    const allMediaElements = document.querySelectorAll('video, audio');
+    const allMediaElements = findMediaElements();
     const mediaToProcess = new Set();
     
     // Include actively tracked elements
@@ -811,9 +1312,35 @@
           element.currentTime = Math.min(element.currentTime + value, element.duration || element.currentTime + value);
           break;
           
+        case 'frameForward':
+        case 'frameBackward':
+          stepFrame(element, action === 'frameForward' ? 1 : -1);
+          break;
+          
+        case 'seekPercent':
+          // value is the percentage, 0-100
+          if (isFinite(element.duration)) {
+            element.currentTime = element.duration * Math.min(Math.max(value, 0), 100) / 100;
+          }
+          break;
+          
+        case 'seekToStart':
+          element.currentTime = 0;
+          break;
+          
+        case 'seekToEnd':
+          if (isFinite(element.duration)) {
+            element.currentTime = element.duration;
+          }
+          break;
+          
+        case 'jumpToLive':
+          jumpToLiveEdge(element);
+          break;
+          
         case 'display':
           // Toggle visual controller visibility for all video elements
-          document.querySelectorAll('video').forEach(video => {
+          findMediaElements(document, 'video').forEach(video => {
             if (video.vsc) {
               video.vsc.toggleDisplay();
             }
@@ -821,46 +1348,6 @@
           console.log('Speed controller display toggled');
           break;
 
-        case 'mark':
-          // Set marker at current position for all active videos
-          activeMediaElements.forEach(element => {
-            if (element.tagName.toLowerCase() === 'video' && element.currentTime !== undefined) {
-              const url = window.location.href;
-              const marker = element.currentTime;
-              
-              if (!speedSettings.markers[url]) {
-                speedSettings.markers[url] = {};
-              }
-              speedSettings.markers[url][element.src || element.currentSrc || 'default'] = marker;
-              
-              saveSpeedSettings();
-              console.log('Marker set at', marker.toFixed(2), 'seconds');
-              
-              // Show temporary notification
-              showTemporaryNotification(`Marker set at ${formatTime(marker)}`);
-            }
-          });
-          break;
-
-        case 'jump':
-          // Jump to previously set marker
-          activeMediaElements.forEach(element => {
-            if (element.tagName.toLowerCase() === 'video' && element.currentTime !== undefined) {
-              const url = window.location.href;
-              const src = element.src || element.currentSrc || 'default';
-              
-              if (speedSettings.markers[url] && speedSettings.markers[url][src] !== undefined) {
-                element.currentTime = speedSettings.markers[url][src];
-                console.log('Jumped to marker at', speedSettings.markers[url][src].toFixed(2), 'seconds');
-                showTemporaryNotification(`Jumped to marker at ${formatTime(speedSettings.markers[url][src])}`);
-              } else {
-                console.log('No marker found for this video');
-                showTemporaryNotification('No marker found for this video');
-              }
-            }
-          });
-          break;
-
         case 'volumeUp':
           // Increase volume for all active media elements
           activeMediaElements.forEach(element => {
@@ -893,14 +1380,16 @@
     const speedValue = Number(speed.toFixed(2));
     element.playbackRate = speedValue;
     
-    // Store speed settings
-    if (element.src || element.currentSrc) {
-      speedSettings.speeds[element.src || element.currentSrc] = speedValue;
+    // Store speed settings, except for live streams whose speed is never restored
+    if (!isLiveMedia(element)) {
+      if (element.src || element.currentSrc) {
+        speedSettings.speeds[element.src || element.currentSrc] = speedValue;
+      }
+      speedSettings.lastSpeed = speedValue;
+      
+      // Save to storage
+      saveSpeedSettings();
     }
-    speedSettings.lastSpeed = speedValue;
-    
-    // Save to storage
-    saveSpeedSettings();
     
     // Notify background script about speed change
     sendMessage({
@@ -916,51 +1405,149 @@
    * Set up detection for existing and new media elements
    */
   function setupMediaDetection() {
+    // Observers on shadow roots from a previous setup are replaced below
+    shadowRootObservers.forEach(observer => observer.disconnect());
+    shadowRootObservers = [];
+    observedShadowRoots = new WeakSet();
+
     // Detect existing media elements
     detectExistingMedia();
     
     // Watch for new and removed media elements
-    const mediaObserver = new MutationObserver(mutations => {
-      mutations.forEach(mutation => {
-        // Handle added nodes
-        mutation.addedNodes.forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            checkForMediaElements(node);
-          }
-        });
-        
-        // Handle removed nodes
-        mutation.removedNodes.forEach(node => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            cleanupRemovedMediaElements(node);
-          }
-        });
-      });
-    });
+    if (mediaObserver) {
+      mediaObserver.disconnect();
+    }
+    mediaObserver = new MutationObserver(handleMediaMutations);
     
     mediaObserver.observe(document.body || document.documentElement, {
       childList: true,
       subtree: true
     });
   }
-  
+
   /**
-   * Clean up VideoControllers for removed media elements
+   * Mutation callback shared by the document observer and every shadow root observer
    */
-  function cleanupRemovedMediaElements(node) {
-    // Check if the removed node itself is a video element
-    if (node.tagName && node.tagName.toLowerCase() === 'video') {
-      cleanupMediaElement(node);
+  function handleMediaMutations(mutations) {
+    mutations.forEach(mutation => {
+      // Handle added nodes
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          checkForMediaElements(node);
+        }
+      });
+      
+      // Handle removed nodes
+      mutation.removedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          cleanupRemovedMediaElements(node);
+        }
+      });
+    });
+  }
+
+  /**
+   * Call back with every open shadow root at or below a node, nested roots included
+   */
+  function forEachShadowRoot(node, callback) {
+    if (!node) return;
+    if (node.shadowRoot) {
+      callback(node.shadowRoot);
+      forEachShadowRoot(node.shadowRoot, callback);
     }
-    
-    // Check for video elements within the removed node
     if (node.querySelectorAll) {
-      const videoElements = node.querySelectorAll('video');
-      videoElements.forEach(video => {
-        cleanupMediaElement(video);
+      node.querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) {
+          callback(element.shadowRoot);
+          forEachShadowRoot(element.shadowRoot, callback);
+        }
       });
     }
   }
+
+  /**
+   * Media elements at or below a node, including those inside open shadow roots
+   * @param {Node} root - Document, element or shadow root to search (defaults to the document)
+   * @param {string} selector - Element selector (defaults to all media)
+   */
+  function findMediaElements(root = document, selector = 'video, audio') {
+    const found = [];
+    if (root.matches && root.matches(selector)) {
+      found.push(root);
+    }
+    if (root.querySelectorAll) {
+      found.push(...root.querySelectorAll(selector));
+    }
+    forEachShadowRoot(root, shadowRoot => {
+      found.push(...shadowRoot.querySelectorAll(selector));
+    });
+    return found;
+  }
+
+  /**
+   * Observe shadow roots at or below a node; light-DOM observers don't see mutations inside them
+   */
+  function observeShadowRoots(node) {
+    forEachShadowRoot(node, shadowRoot => {
+      if (observedShadowRoots.has(shadowRoot)) return;
+      observedShadowRoots.add(shadowRoot);
+
+      const observer = new MutationObserver(handleMediaMutations);
+      observer.observe(shadowRoot, { childList: true, subtree: true });
+      shadowRootObservers.push(observer);
+    });
+  }
+
+  /**
+   * Report shadow roots attached after load. Custom elements often call attachShadow after
+   * they are inserted, so the added-node scan runs before their media exists.
+   */
+  function injectShadowRootHook() {
+    try {
+      const script = document.createElement('script');
+      script.textContent = `
+        (function() {
+          if (!window.Element || !Element.prototype.attachShadow || Element.prototype.attachShadow.__umeWrapped) return;
+          const originalAttachShadow = Element.prototype.attachShadow;
+          const wrapped = function(init) {
+            const shadowRoot = originalAttachShadow.call(this, init);
+            const host = this;
+            if (init && init.mode === 'open') {
+              // Let the element render its shadow content first
+              setTimeout(function() {
+                host.dispatchEvent(new CustomEvent('ume-shadow-root-attached', { bubbles: true, composed: true }));
+              }, 0);
+            }
+            return shadowRoot;
+          };
+          wrapped.__umeWrapped = true;
+          Element.prototype.attachShadow = wrapped;
+        })();
+      `;
+      (document.head || document.documentElement).appendChild(script);
+      script.remove();
+    } catch (error) {
+      console.warn('OneTab Media: Could not hook attachShadow:', error);
+    }
+
+    document.addEventListener('ume-shadow-root-attached', event => {
+      if (!mediaObserver) return; // Detection not running (disabled or excluded)
+      const host = event.composedPath()[0];
+      if (host && host.nodeType === Node.ELEMENT_NODE) {
+        checkForMediaElements(host);
+      }
+    }, true);
+  }
+  
+  /**
+   * Clean up VideoControllers for removed media elements
+   */
+  function cleanupRemovedMediaElements(node) {
+    // Video elements in the removed subtree, shadow roots included
+    findMediaElements(node, 'video').forEach(video => {
+      cleanupMediaElement(video);
+    });
+  }
   
   /**
    * Clean up a single media element
@@ -980,9 +1567,11 @@
         console.log('OneTab Media: Cleaned up video element attributes');
       }
       
-      // Remove from tracked elements
+      // Detach its listeners and remove from tracked elements
       if (trackedElements.has(element)) {
+        trackedElements.get(element).listeners.abort();
         trackedElements.delete(element);
+        trackedMediaElements.delete(element);
         console.log('OneTab Media: Removed element from tracking');
       }
       
@@ -1000,8 +1589,8 @@
    * Detect all existing media elements on the page
    */
   function detectExistingMedia() {
-    const videoElements = document.querySelectorAll('video');
-    const audioElements = document.querySelectorAll('audio');
+    const videoElements = findMediaElements(document, 'video');
+    const audioElements = findMediaElements(document, 'audio');
     
     console.log('OneTab Media: Detecting existing media elements');
     console.log('OneTab Media: Found', videoElements.length, 'video elements');
@@ -1024,6 +1613,7 @@
     [...videoElements, ...audioElements].forEach(element => {
       attachMediaListeners(element);
     });
+    observeShadowRoots(document);
     
     // Also check for Web Audio API usage
     detectWebAudioUsage();
@@ -1033,34 +1623,34 @@
    * Check if a node or its children contain media elements
    */
   function checkForMediaElements(node) {
-    if (node.tagName === 'VIDEO' || node.tagName === 'AUDIO') {
-      attachMediaListeners(node);
-    }
-    
-    // Check children
-    const mediaChildren = node.querySelectorAll && node.querySelectorAll('video, audio');
-    if (mediaChildren) {
-      mediaChildren.forEach(element => {
-        attachMediaListeners(element);
-      });
-    }
+    // The node itself, its children and anything inside their open shadow roots
+    findMediaElements(node).forEach(element => {
+      attachMediaListeners(element);
+    });
+    observeShadowRoots(node);
   }
   
   /**
    * Attach event listeners to a media element
    */
   function attachMediaListeners(element) {
-    if (trackedElements.has(element)) {
-      return; // Already tracking this element
+    if (isSiteExcluded || trackedElements.has(element)) {
+      return; // Excluded site or already tracking this element
     }
     
+    // Aborted by cleanupMediaElement, so an element tracked again doesn't report twice
+    const listeners = new AbortController();
+    const options = { signal: listeners.signal };
+    
     trackedElements.set(element, {
       isPlaying: false,
-      mediaType: element.tagName.toLowerCase()
+      mediaType: element.tagName.toLowerCase(),
+      listeners
     });
+    trackedMediaElements.add(element);
     
     // Create visual controller for video elements if enabled
-    if (speedSettings.showController && element.tagName.toLowerCase() === 'video') {
+    if (shouldShowController() && element.tagName.toLowerCase() === 'video') {
       // Ensure we don't create multiple controllers for the same element
       if (!element.vsc) {
         try {
@@ -1080,18 +1670,52 @@
     
     // Play event
     element.addEventListener('play', () => {
+      capElementVolume(element);
       handleMediaPlay(element);
-    });
+      measureFrameDuration(element);
+      applyAudioEffects(element);
+      startSilenceDetection(element);
+      startLoudnessNormalization(element);
+    }, options);
     
     // Pause event
     element.addEventListener('pause', () => {
       handleMediaPause(element);
-    });
+      stopSilenceDetection(element);
+      stopLoudnessNormalization(element);
+    }, options);
     
-    // Ended event
+    // Ended event; a loop whose B is the very end starts over instead
     element.addEventListener('ended', () => {
+      if (enforceLoop(element, element.currentTime)) {
+        element.play().catch(() => {});
+        return;
+      }
       handleMediaEnd(element);
-    });
+      stopSilenceDetection(element);
+      stopLoudnessNormalization(element);
+    }, options);
+    
+    // The page raising its own volume during quiet hours
+    element.addEventListener('volumechange', () => {
+      if (volumeCap !== null) capElementVolume(element);
+    }, options);
+    
+    // Picture-in-Picture, however it was entered; the background exempts the tab from arbitration
+    element.addEventListener('enterpictureinpicture', () => {
+      sendMessage({ type: 'PIP_CHANGED', isPip: true });
+    }, options);
+    element.addEventListener('leavepictureinpicture', () => {
+      if (autoPipVideo === element) autoPipVideo = null;
+      sendMessage({ type: 'PIP_CHANGED', isPip: false });
+    }, options);
+    
+    // Periodically remember the position of long media; loops are checked here when
+    // requestVideoFrameCallback isn't available (audio, older browsers)
+    element.addEventListener('timeupdate', () => {
+      savePlaybackPosition(element);
+      enforceLoop(element, element.currentTime);
+    }, options);
     
     console.log('OneTab Media: Attached listeners to', element.tagName.toLowerCase(), 'element');
   }
@@ -1108,6 +1732,7 @@
     
     // Restore speed for this media source if available
     restoreSpeed(element);
+    offerPositionRestore(element);
     
     const mediaInfo = {
       type: elementInfo.mediaType,
@@ -1117,7 +1742,14 @@
       currentTime: element.currentTime,
       volume: element.volume,
       muted: element.muted,
-      playbackRate: element.playbackRate // Add current speed
+      playbackRate: element.playbackRate, // Add current speed
+      isFullscreen: !!getFullscreenElement(),
+      loop: getActiveLoop(element),
+      mediaSession: getMediaSessionInfo(),
+      live: isLiveMedia(element),
+      // The site profile's mute-instead-of-pause choice; null leaves it to the media type
+      muteInsteadOfPause: activeSiteProfile && typeof activeSiteProfile.muteInsteadOfPause === 'boolean'
+        ? activeSiteProfile.muteInsteadOfPause : null
     };
     
     console.log('OneTab Media: Media started playing', mediaInfo);
@@ -1134,13 +1766,13 @@
    * Restore speed for a media element based on stored settings
    */
   function restoreSpeed(element) {
+    // Live streams play at the broadcast's pace; a remembered speed would only run into the live edge
+    if (isLiveMedia(element)) return;
+    
     const src = element.src || element.currentSrc;
-    let targetSpeed = speedSettings.lastSpeed;
     
-    // Check if we have a specific speed stored for this source
-    if (src && speedSettings.speeds[src]) {
-      targetSpeed = speedSettings.speeds[src];
-    }
+    // Per-source speed first, then the site profile default, then the last speed
+    let targetSpeed = getStoredSpeed(src);
     
     // Only set speed if it's different from current and not default
     if (targetSpeed !== 1.0 && Math.abs(element.playbackRate - targetSpeed) > 0.01) {
@@ -1155,34 +1787,446 @@
   }
   
   /**
-   * Handle when media is paused
+   * Whether the element plays a live stream: an endless duration, or a MediaSource stream with a
+   * placeholder duration no recording has
    */
-  function handleMediaPause(element) {
-    const elementInfo = trackedElements.get(element);
-    if (!elementInfo) return;
-    
-    elementInfo.isPlaying = false;
-    activeMediaElements.delete(element);
-    
-          console.log('OneTab Media: Media paused');
-    
-    // Only notify if there are no other playing media elements
-    if (activeMediaElements.size === 0) {
-      sendMessage({
-        type: 'MEDIA_PAUSED'
-      });
-    }
+  function isLiveMedia(element) {
+    if (element.duration === Infinity) return true;
+    const src = element.currentSrc || element.src || '';
+    return src.startsWith('blob:') && element.duration >= LIVE_PLACEHOLDER_DURATION;
   }
   
   /**
-   * Handle when media ends
+   * Seek a live stream to just behind the newest data it can play
    */
-  function handleMediaEnd(element) {
+  function jumpToLiveEdge(element) {
+    if (!element || !isLiveMedia(element) || element.seekable.length === 0) return false;
+    
+    const edge = element.seekable.end(element.seekable.length - 1);
+    element.currentTime = Math.max(element.seekable.start(element.seekable.length - 1), edge - LIVE_EDGE_MARGIN);
+    return true;
+  }
+  
+  /**
+   * Whether the element is long enough for its position to be remembered; private windows never
+   * save or offer positions
+   */
+  function shouldRememberPosition(element) {
+    return speedSettings.rememberPosition &&
+      !isSiteExcluded &&
+      !(browserAPI.extension && browserAPI.extension.inIncognitoContext) &&
+      isFinite(element.duration) &&
+      element.duration >= speedSettings.rememberPositionMinMinutes * 60;
+  }
+  
+  /**
+   * Report the position of long media to the background, at most every POSITION_SAVE_INTERVAL
+   * unless forced. Close to the start or end there is nothing worth continuing, so finished
+   * media clears its entry instead.
+   */
+  function savePlaybackPosition(element, force = false) {
+    if (!shouldRememberPosition(element)) return;
+    
+    const now = Date.now();
+    if (!force && now - (positionSavedAt.get(element) || 0) < POSITION_SAVE_INTERVAL) return;
+    positionSavedAt.set(element, now);
+    
+    if (element.currentTime < POSITION_EDGE_SECONDS) return;
+    if (element.duration - element.currentTime < POSITION_EDGE_SECONDS) {
+      sendMessage({ type: 'CLEAR_POSITION' });
+      return;
+    }
+    
+    const metadata = getMediaSessionInfo();
+    sendMessage({
+      type: 'SAVE_POSITION',
+      position: {
+        currentTime: element.currentTime,
+        duration: element.duration,
+        title: (metadata && metadata.title) || document.title,
+        artwork: metadata && metadata.artwork
+      }
+    });
+  }
+  
+  /**
+   * Look up a saved position when long media starts and offer to continue from it.
+   * Pages opened from the popup's "Continue watching" list seek straight there.
+   */
+  async function offerPositionRestore(element) {
+    if (!shouldRememberPosition(element)) return;
+    
+    const src = element.src || element.currentSrc;
+    if (positionOffered.get(element) === src) return;
+    positionOffered.set(element, src);
+    
+    try {
+      const response = await browserAPI.runtime.sendMessage({ type: 'GET_SAVED_POSITION' });
+      const saved = response && response.position;
+      if (!saved) return;
+      
+      // A different video on the same page, or already past the saved point
+      if (Math.abs(saved.duration - element.duration) > 5) return;
+      if (saved.currentTime - element.currentTime < POSITION_EDGE_SECONDS) return;
+      
+      if (response.autoSeek) {
+        element.currentTime = saved.currentTime;
+        showTemporaryNotification(`Continuing from ${formatTime(saved.currentTime)}`);
+      } else {
+        showResumeToast(element, saved.currentTime);
+      }
+    } catch (error) {
+      console.warn('OneTab Media: Failed to look up saved position:', error);
+    }
+  }
+  
+  /**
+   * Toast over the media offering to jump to a saved position; dismisses itself after a few seconds
+   */
+  function showResumeToast(element, time) {
+    const rect = element.getBoundingClientRect();
+    const visible = rect.width > 0 && rect.height > 0;
+    
+    const toast = document.createElement('div');
+    toast.className = 'ume-resume-toast';
+    toast.style.cssText = `
+      position: fixed !important;
+      left: ${visible ? Math.max(8, rect.left + 16) : 20}px !important;
+      top: ${visible ? Math.max(8, rect.bottom - 64) : 20}px !important;
+      display: flex !important;
+      align-items: center !important;
+      gap: 10px !important;
+      background: rgba(0, 0, 0, 0.85) !important;
+      color: white !important;
+      padding: 8px 12px !important;
+      border-radius: 6px !important;
+      font-family: Arial, sans-serif !important;
+      font-size: 14px !important;
+      z-index: 2147483647 !important;
+    `;
+    
+    const label = document.createElement('span');
+    label.textContent = `Continue from ${formatTime(time)}?`;
+    
+    const buttonStyle = `
+      background: transparent !important;
+      color: white !important;
+      border: 1px solid rgba(255, 255, 255, 0.6) !important;
+      border-radius: 4px !important;
+      padding: 2px 8px !important;
+      font: inherit !important;
+      cursor: pointer !important;
+    `;
+    const resumeButton = document.createElement('button');
+    resumeButton.textContent = 'Resume';
+    resumeButton.style.cssText = buttonStyle;
+    const dismissButton = document.createElement('button');
+    dismissButton.textContent = '✕';
+    dismissButton.title = 'Dismiss';
+    dismissButton.style.cssText = buttonStyle;
+    
+    const dismiss = () => {
+      clearTimeout(dismissTimer);
+      toast.remove();
+    };
+    const dismissTimer = setTimeout(dismiss, RESUME_TOAST_DURATION);
+    
+    resumeButton.addEventListener('click', event => {
+      event.stopPropagation();
+      element.currentTime = time;
+      dismiss();
+    });
+    dismissButton.addEventListener('click', event => {
+      event.stopPropagation();
+      dismiss();
+    });
+    
+    toast.append(label, resumeButton, dismissButton);
+    // A fullscreen <video> can't hold children, its container can
+    const fullscreenElement = getFullscreenElement();
+    const container = fullscreenElement && fullscreenElement.tagName !== 'VIDEO' ? fullscreenElement : document.body;
+    (container || document.documentElement).appendChild(toast);
+  }
+  
+  /**
+   * Load bookmarks from storage.local and move any legacy marker for this page into them
+   */
+  async function loadBookmarks() {
+    try {
+      const result = await browserAPI.storage.local.get([bookmarkUtils.STORAGE_KEY]);
+      bookmarkStore = (result && result[bookmarkUtils.STORAGE_KEY]) || {};
+      
+      const legacyMarkers = speedSettings.markers && speedSettings.markers[window.location.href];
+      if (legacyMarkers) {
+        await updateBookmarks(store => {
+          Object.entries(legacyMarkers).forEach(([src, time]) => {
+            bookmarkUtils.addBookmark(store, {
+              url: window.location.href,
+              title: document.title,
+              src: src === 'default' ? '' : src,
+              time,
+              name: 'Marker'
+            });
+          });
+        });
+        delete speedSettings.markers[window.location.href];
+        saveSpeedSettings();
+      }
+    } catch (error) {
+      console.warn('OneTab Media: Failed to load bookmarks:', error);
+    }
+  }
+  
+  /**
+   * Apply a change to the stored bookmarks (re-read first, other tabs and the options page write too)
+   */
+  async function updateBookmarks(change) {
+    try {
+      const result = await browserAPI.storage.local.get([bookmarkUtils.STORAGE_KEY]);
+      const store = (result && result[bookmarkUtils.STORAGE_KEY]) || {};
+      const outcome = change(store);
+      await browserAPI.storage.local.set({ [bookmarkUtils.STORAGE_KEY]: store });
+      bookmarkStore = store;
+      refreshBookmarkPanels();
+      return outcome;
+    } catch (error) {
+      console.warn('OneTab Media: Failed to update bookmarks:', error);
+      return null;
+    }
+  }
+  
+  function getElementBookmarks(element) {
+    return bookmarkUtils.forMedia(bookmarkStore, window.location.href, element.currentSrc || element.src);
+  }
+  
+  function refreshBookmarkPanels() {
+    findMediaElements(document, 'video').forEach(video => {
+      if (video.vsc && video.vsc.isInitialized) {
+        video.vsc.renderBookmarks();
+      }
+    });
+  }
+  
+  async function addMediaBookmark(element, name) {
+    const bookmark = await updateBookmarks(store => bookmarkUtils.addBookmark(store, {
+      url: window.location.href,
+      title: document.title,
+      src: element.currentSrc || element.src,
+      time: element.currentTime,
+      name
+    }));
+    if (bookmark) {
+      showTemporaryNotification(`${bookmark.name} added at ${formatTime(bookmark.time)}`);
+    }
+  }
+  
+  /**
+   * mark adds a bookmark, jump returns to the latest one, prev/nextBookmark step through them in time order
+   */
+  function runBookmarkAction(action) {
+    const element = getPrimaryMediaElement();
+    if (!element || !isFinite(element.duration)) return;
+    
+    if (action === 'mark') {
+      addMediaBookmark(element);
+      return;
+    }
+    
+    const bookmarks = getElementBookmarks(element);
+    let target = null;
+    if (action === 'jump') {
+      target = bookmarks.slice().sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+    } else {
+      target = bookmarkUtils.adjacentBookmark(bookmarks, element.currentTime, action === 'nextBookmark' ? 1 : -1);
+    }
+    
+    if (!target) {
+      showTemporaryNotification(bookmarks.length === 0 ? 'No bookmarks for this media' : 'No more bookmarks this way');
+      return;
+    }
+    element.currentTime = target.time;
+    showTemporaryNotification(`${target.name} (${formatTime(target.time)})`);
+  }
+  
+  /**
+   * setLoopA/setLoopB place the loop points at the playhead (B turns the loop on), toggleLoop pauses and resumes it
+   */
+  function runLoopAction(action) {
+    const element = getPrimaryMediaElement();
+    if (!element || !isFinite(element.duration)) return;
+    
+    const time = element.currentTime;
+    const loop = loopRanges.get(element) || { start: 0, end: null, enabled: false, frameHandle: null };
+    
+    switch (action) {
+      case 'setLoopA':
+        loop.start = time;
+        if (loop.end !== null && loop.end <= time) {
+          loop.end = null;
+          loop.enabled = false;
+        }
+        loopRanges.set(element, loop);
+        showTemporaryNotification(`Loop start (A) at ${formatTime(time)}`);
+        break;
+        
+      case 'setLoopB':
+        if (time <= loop.start) {
+          showTemporaryNotification('Loop end (B) must come after the start (A)');
+          return;
+        }
+        loop.end = time;
+        loop.enabled = true;
+        loopRanges.set(element, loop);
+        showTemporaryNotification(`Looping ${formatTime(loop.start)} – ${formatTime(time)}`);
+        break;
+        
+      case 'toggleLoop':
+        if (loop.end === null) {
+          showTemporaryNotification('Set the loop start (A) and end (B) first');
+          return;
+        }
+        loop.enabled = !loop.enabled;
+        showTemporaryNotification(loop.enabled ? 'Loop on' : 'Loop off');
+        break;
+    }
+    
+    updateLoop(element);
+  }
+  
+  /**
+   * Remove both loop points
+   */
+  function clearLoop(element) {
+    const loop = loopRanges.get(element);
+    if (!loop) return;
+    loop.enabled = false;
+    updateLoop(element);
+    loopRanges.delete(element);
+    if (element.vsc && element.vsc.isInitialized) {
+      element.vsc.updateLoopDisplay();
+    }
+    showTemporaryNotification('Loop cleared');
+  }
+  
+  /**
+   * Apply a loop change: frame callbacks, controller markers and the popup's loop indicator
+   */
+  function updateLoop(element) {
+    const loop = loopRanges.get(element);
+    
+    if (loop && loop.frameHandle !== null && typeof element.cancelVideoFrameCallback === 'function') {
+      element.cancelVideoFrameCallback(loop.frameHandle);
+      loop.frameHandle = null;
+    }
+    // Video frames are checked as they are presented, much tighter than timeupdate's ~250ms
+    if (loop && loop.enabled && typeof element.requestVideoFrameCallback === 'function') {
+      const onFrame = (now, metadata) => {
+        enforceLoop(element, metadata.mediaTime);
+        if (loop.enabled) {
+          loop.frameHandle = element.requestVideoFrameCallback(onFrame);
+        }
+      };
+      loop.frameHandle = element.requestVideoFrameCallback(onFrame);
+    }
+    
+    if (element.vsc && element.vsc.isInitialized) {
+      element.vsc.updateLoopDisplay();
+    }
+    sendMessage({
+      type: 'LOOP_CHANGED',
+      loop: getActiveLoop(element)
+    });
+  }
+  
+  /**
+   * Jump back to A once the playhead reaches B; true when it did
+   */
+  function enforceLoop(element, time) {
+    const loop = loopRanges.get(element);
+    if (!loop || !loop.enabled || loop.end === null) return false;
+    if (time < loop.end - LOOP_END_TOLERANCE) return false;
+    element.currentTime = loop.start;
+    return true;
+  }
+  
+  function getActiveLoop(element) {
+    const loop = loopRanges.get(element);
+    return loop && loop.enabled ? { start: loop.start, end: loop.end } : null;
+  }
+  
+  /**
+   * Estimate a video's frame duration from the media time between consecutively presented frames.
+   * Runs once per element while it plays; the median of the samples ignores dropped frames.
+   */
+  function measureFrameDuration(video) {
+    if (typeof video.requestVideoFrameCallback !== 'function' || frameDurations.has(video)) return;
+    frameDurations.set(video, null);
+    
+    const samples = [];
+    let previous = null;
+    const onFrame = (now, metadata) => {
+      if (previous && metadata.presentedFrames - previous.presentedFrames === 1) {
+        const delta = metadata.mediaTime - previous.mediaTime;
+        if (delta > 0) samples.push(delta);
+      }
+      previous = metadata;
+      
+      if (samples.length < FRAME_SAMPLES) {
+        video.requestVideoFrameCallback(onFrame);
+        return;
+      }
+      samples.sort((a, b) => a - b);
+      frameDurations.set(video, samples[Math.floor(samples.length / 2)]);
+      console.log('OneTab Media: Measured frame rate', Math.round(1 / frameDurations.get(video)), 'fps');
+    };
+    video.requestVideoFrameCallback(onFrame);
+  }
+  
+  /**
+   * Pause and move one frame forward (1) or back (-1)
+   */
+  function stepFrame(element, direction) {
+    if (element.tagName !== 'VIDEO') return;
+    if (!element.paused) element.pause();
+    
+    const frame = frameDurations.get(element) || DEFAULT_FRAME_DURATION;
+    const end = isFinite(element.duration) ? element.duration : Infinity;
+    element.currentTime = Math.min(Math.max(element.currentTime + direction * frame, 0), end);
+  }
+  
+  /**
+   * Handle when media is paused
+   */
+  function handleMediaPause(element) {
+    const elementInfo = trackedElements.get(element);
+    if (!elementInfo) return;
+    
+    elementInfo.isPlaying = false;
+    activeMediaElements.delete(element);
+    savePlaybackPosition(element, true);
+    
+          console.log('OneTab Media: Media paused');
+    
+    // Only notify if there are no other playing media elements
+    if (activeMediaElements.size === 0) {
+      sendMessage({
+        type: 'MEDIA_PAUSED'
+      });
+    }
+  }
+  
+  /**
+   * Handle when media ends
+   */
+  function handleMediaEnd(element) {
     const elementInfo = trackedElements.get(element);
     if (!elementInfo) return;
     
     elementInfo.isPlaying = false;
     activeMediaElements.delete(element);
+    if (shouldRememberPosition(element)) {
+      sendMessage({ type: 'CLEAR_POSITION' });
+    }
     
           console.log('OneTab Media: Media ended');
     
@@ -1255,8 +2299,37 @@
       if (newSettings.controllerOpacity !== undefined) speedSettings.controllerOpacity = newSettings.controllerOpacity;
       if (newSettings.speed !== undefined) speedSettings.lastSpeed = newSettings.speed;
       if (newSettings.displayKeyCode !== undefined) speedSettings.displayKeyCode = newSettings.displayKeyCode;
-      if (newSettings.keyBindings !== undefined) speedSettings.keyBindings = newSettings.keyBindings;
-      if (newSettings.blacklist !== undefined) speedSettings.blacklist = newSettings.blacklist;
+      if (newSettings.keyBindings !== undefined) {
+        speedSettings.keyBindings = newSettings.keyBindings;
+        syncPageKeyBindings();
+      }
+      if (newSettings.blacklist !== undefined) {
+        speedSettings.blacklist = newSettings.blacklist;
+        updateSiteExclusion();
+      }
+      if (newSettings.siteProfiles !== undefined) {
+        speedSettings.siteProfiles = Array.isArray(newSettings.siteProfiles) ? newSettings.siteProfiles : [];
+        updateSiteProfile();
+      }
+      if (newSettings.rememberPosition !== undefined) speedSettings.rememberPosition = newSettings.rememberPosition;
+      if (newSettings.rememberPositionMinMinutes > 0) speedSettings.rememberPositionMinMinutes = newSettings.rememberPositionMinMinutes;
+      if (newSettings.silenceSkipEnabled !== undefined) speedSettings.silenceSkipEnabled = newSettings.silenceSkipEnabled;
+      if (typeof newSettings.silenceThreshold === 'number') speedSettings.silenceThreshold = newSettings.silenceThreshold;
+      if (newSettings.silenceMinDuration > 0) speedSettings.silenceMinDuration = newSettings.silenceMinDuration;
+      if (newSettings.silenceSpeed > 1) speedSettings.silenceSpeed = newSettings.silenceSpeed;
+      refreshSilenceDetection();
+      if (newSettings.perDomainAudioEffects !== undefined) {
+        speedSettings.perDomainAudioEffects = newSettings.perDomainAudioEffects || {};
+        activeMediaElements.forEach(applyAudioEffects);
+      }
+      if (newSettings.volumeBoostLimit > 0) speedSettings.volumeBoostLimit = newSettings.volumeBoostLimit;
+      if (newSettings.loudnessNormalization !== undefined) speedSettings.loudnessNormalization = newSettings.loudnessNormalization;
+      if (typeof newSettings.loudnessTarget === 'number') speedSettings.loudnessTarget = newSettings.loudnessTarget;
+      refreshLoudnessNormalization();
+      if (newSettings.autoPictureInPicture !== undefined) {
+        speedSettings.autoPictureInPicture = newSettings.autoPictureInPicture === true;
+        updateAutoPictureInPicture();
+      }
       
       // Apply settings to existing video controllers
       activeMediaElements.forEach(element => {
@@ -1278,7 +2351,7 @@
             try {
               const wrapper = element.vsc.div;
               if (wrapper) {
-                if (newSettings.showController) {
+                if (shouldShowController()) {
                   wrapper.classList.remove('vsc-hidden');
                 } else {
                   wrapper.classList.add('vsc-hidden');
@@ -1314,13 +2387,69 @@
    */
   function setupMessageListener() {
       browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Leave queries to the frame that holds the media
+    if (QUERY_MESSAGE_TYPES.includes(message.type) && !shouldAnswerQuery()) {
+      return false;
+    }
+    
     switch (message.type) {
-      case 'PAUSE_MEDIA':
-        pauseAllMedia();
-        break;
+      case 'PAUSE_MEDIA': {
+        // Answer once the fade is over, so the background can start the next tab after it
+        const answersPause = shouldAnswerQuery();
+        pauseAllMedia(message.fadeDuration).then(paused => {
+          if (answersPause) sendResponse({ success: true, paused });
+        });
+        return answersPause;
+      }
+        
+      case 'RESUME_MEDIA': {
+        const resumedCount = resumePausedMedia(message.fadeIn, message.fadeDuration);
+        if (resumedCount === 0 && !shouldAnswerQuery()) {
+          return false; // Let the frame that resumed report success
+        }
+        sendResponse({ success: resumedCount > 0, resumed: resumedCount });
+        return true;
+      }
+        
+      case 'PLAY_MEDIA':
+        sendResponse({ success: playMedia(message.fadeDuration) });
+        return true;
+        
+      case 'SEEK_MEDIA': {
+        if (message.liveEdge) {
+          // Only live media has an edge to jump to; there is no time to fall back on
+          const position = jumpToLive();
+          sendResponse({ success: position !== null, position });
+          return true;
+        }
+        const position = seekMedia(message.time, message.offset);
+        const seeked = position !== null || seekViaMediaSession(message.time, message.offset);
+        sendResponse({ success: seeked, position });
+        return true;
+      }
+        
+      case 'MEDIA_SESSION_ACTION':
+        sendResponse({ success: invokeMediaSessionAction(message.action, message.details) });
+        return true;
+        
+      case 'SKIP_TRACK':
+        sendResponse({ success: skipTrack(message.direction) });
+        return true;
+        
+      case 'TOGGLE_PIP':
+        togglePictureInPicture().then(sendResponse);
+        return true;
+        
+      case 'ENTER_PIP':
+        // Sent by the background when the user switches away from this tab
+        enterPictureInPicture(true).then(sendResponse);
+        return true;
         
       case 'SET_VOLUME':
-        if (message.volume !== undefined) {
+        if (message.volumeCap !== undefined) {
+          setVolumeCap(message.volumeCap);
+          sendResponse({ success: true, volumeCap });
+        } else if (message.volume !== undefined) {
           try {
             setAllMediaVolume(message.volume);
             sendResponse({ success: true, volume: message.volume });
@@ -1333,14 +2462,34 @@
           sendResponse({ success: false, error: 'Volume not specified' });
         }
         return true; // Indicate we're handling this message asynchronously
+        
+      case 'GET_VOLUME_STATE':
+        sendResponse(getVolumeState());
+        return true;
+        
+      case 'SET_AUDIO_EFFECTS':
+        try {
+          sendResponse({ success: true, effects: setAudioEffects(message.effects) });
+        } catch (error) {
+          console.error('Content script: Failed to set audio effects:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        return true;
           
         case 'SET_SPEED':
           setSpeedForAllMedia(message.speed);
           break;
           
-        case 'SPEED_ACTION':
-          runSpeedAction(message.action, message.value);
+        case 'SPEED_ACTION': {
+          // Global commands send no value; use the step from the matching key binding
+          let actionValue = message.value;
+          if (actionValue === undefined) {
+            const binding = getEffectiveKeyBindings().find(item => item.action === message.action);
+            actionValue = binding ? binding.value : 0.1;
+          }
+          runSpeedAction(message.action, actionValue);
           break;
+        }
           
         case 'GET_MEDIA_STATE':
           const mediaState = [];
@@ -1358,6 +2507,9 @@
             hasActiveMedia: activeMediaElements.size > 0,
             mediaCount: activeMediaElements.size,
             mediaElements: mediaState,
+            primaryMedia: getMediaPosition(getPrimaryMediaElement()) || getAdapterPosition(),
+            mediaSession: getMediaSessionInfo(),
+            mediaSessionActions: Array.from(mediaSessionActions),
             speedSettings: speedSettings
           });
           break;
@@ -1372,16 +2524,16 @@
           break;
           
         case 'CHECK_FOR_MEDIA':
-          const mediaElements = document.querySelectorAll('video, audio');
+          const mediaElements = findMediaElements();
           const hasMedia = mediaElements.length > 0;
-          const mediaTypes = Array.from(mediaElements).map(el => el.tagName.toLowerCase());
+          const mediaTypes = mediaElements.map(el => el.tagName.toLowerCase());
           
           sendResponse({
             hasMedia: hasMedia,
             mediaCount: mediaElements.length,
             mediaTypes: [...new Set(mediaTypes)], // Remove duplicates
-            videoCount: document.querySelectorAll('video').length,
-            audioCount: document.querySelectorAll('audio').length
+            videoCount: mediaTypes.filter(type => type === 'video').length,
+            audioCount: mediaTypes.filter(type => type === 'audio').length
           });
           return true;
           
@@ -1403,89 +2555,411 @@
   }
   
   /**
-   * Pause all media elements in this tab
+   * Pause all media elements in this tab, fading playing ones out over fadeDuration ms first
+   * Resolves with the number of elements paused once the fade is over
    */
-  function pauseAllMedia() {
+  async function pauseAllMedia(fadeDuration = 0) {
           console.log('OneTab Media: Pausing all media in tab');
     
-    // Pause HTML5 media elements
-    activeMediaElements.forEach(element => {
-      if (element && typeof element.pause === 'function') {
-        element.pause();
-      }
-    });
+    // Pause HTML5 media elements, remembering them for RESUME_MEDIA
+    const elements = Array.from(activeMediaElements).filter(element => element && typeof element.pause === 'function');
+    pausedByExtension.clear();
+    elements.forEach(element => pausedByExtension.add(element));
+    
+    const restoreLevels = fadeDuration > 0
+      ? await Promise.all(elements.filter(element => !element.paused).map(element => fadeOutElement(element, fadeDuration)))
+      : [];
+    elements.forEach(element => element.pause());
+    restoreLevels.forEach(restore => restore());
     
     // For Web Audio API, we can't directly pause, but we can try common patterns
     pauseWebAudioMedia();
     
-    // Try to find and click pause buttons (fallback for complex players)
-    pauseViaUI();
+    // Let the page pause its own player; when no element was reachable, use the site adapter
+    if (!invokeMediaSessionAction('pause') && pausedByExtension.size === 0) {
+      const adapter = getSiteAdapter();
+      if (adapter && adapter.pause(document)) {
+        console.log('OneTab Media: Paused via site adapter', adapter.name);
+      }
+    }
+    return elements.length;
   }
   
 
   
   /**
-   * Attempt to pause Web Audio API media
+   * Resume media that the extension paused (auto-resume after an interruption)
+   * Returns the number of elements that were asked to play
    */
-  function pauseWebAudioMedia() {
-    // This is a best-effort approach since Web Audio API doesn't have standard pause
-    try {
-      // Look for common Web Audio patterns
-      if (window.audioContext) {
-        // Try to suspend the audio context
-        if (typeof window.audioContext.suspend === 'function') {
-          window.audioContext.suspend();
+  function resumePausedMedia(fadeIn = false, fadeDuration = 1000) {
+    let candidates = Array.from(pausedByExtension).filter(element => element.isConnected && element.paused);
+    pausedByExtension.clear();
+    
+    // Paused through the page UI or before a re-render - fall back to media with progress
+    if (candidates.length === 0) {
+      candidates = findMediaElements()
+        .filter(element => element.paused && element.currentTime > 0 && !element.ended)
+        .slice(0, 1);
+    }
+    
+    candidates.forEach(element => {
+      if (fadeIn && fadeDuration > 0) {
+        fadeInElement(element, fadeDuration);
+      }
+      
+      try {
+        const result = element.play();
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => console.warn('OneTab Media: Failed to resume media:', error));
         }
+      } catch (error) {
+        console.warn('OneTab Media: Failed to resume media:', error);
       }
-    } catch (error) {
-      console.warn('Failed to pause Web Audio API:', error);
+    });
+    
+    if (window.audioContext && window.audioContext.state === 'suspended') {
+      window.audioContext.resume().catch(() => {});
     }
+    
+    console.log(`OneTab Media: Resumed ${candidates.length} media element(s)`);
+    return candidates.length;
   }
   
-
-  
   /**
-   * Try to pause media by clicking pause buttons (fallback method)
+   * The element popup controls act on: playing media, then media with progress, then the longest.
+   * A selector of 'video' leaves audio out.
    */
-  function pauseViaUI() {
-    // Common selectors for pause buttons
-    const pauseSelectors = [
-      '[aria-label*="pause" i]',
-      '[title*="pause" i]',
-      '.pause-button',
-      '.pause-btn',
-      '.play-pause-button.playing',
-      '.ytp-play-button[aria-label*="Pause"]', // YouTube
-      '[data-testid="control-button-playpause"]', // Spotify
-      '.playerBarPlay', // Various players
-      '.pause'
-    ];
+  function getPrimaryMediaElement(selector) {
+    const elements = findMediaElements(document, selector);
+    if (elements.length === 0) return null;
     
-    pauseSelectors.forEach(selector => {
-      try {
-        const buttons = document.querySelectorAll(selector);
-        buttons.forEach(button => {
-          if (button && typeof button.click === 'function') {
-            // Check if button appears to be a pause button
-            const text = button.textContent || button.getAttribute('aria-label') || button.getAttribute('title') || '';
-            if (text.toLowerCase().includes('pause')) {
-              button.click();
-              console.log('OneTab Media: Clicked pause button via selector', selector);
-            }
-          }
-        });
-      } catch (error) {
-        console.warn('Error trying pause selector', selector, error);
-      }
-    });
+    const playing = elements.find(element => !element.paused && !element.ended);
+    if (playing) return playing;
+    
+    const started = elements.find(element => element.currentTime > 0 && !element.ended);
+    if (started) return started;
+    
+    const length = element => (isFinite(element.duration) ? element.duration : 0);
+    return elements.sort((a, b) => length(b) - length(a))[0];
   }
   
-
+  /**
+   * Leave Picture-in-Picture, or enter it with the primary video
+   */
+  async function togglePictureInPicture() {
+    if (document.pictureInPictureElement) {
+      await document.exitPictureInPicture();
+      return { success: true, active: false };
+    }
+    return enterPictureInPicture(false);
+  }
   
   /**
-   * Observe document changes for dynamic content
+   * Put the primary video in Picture-in-Picture. Browsers only allow it shortly after the user
+   * interacted with the page, so requests from the popup or on tab switches can be refused.
+   * auto marks the video to be taken out again when the user comes back to the tab.
    */
-  function observeDocumentChanges() {
+  async function enterPictureInPicture(auto) {
+    if (document.pictureInPictureElement) {
+      return { success: true, active: true };
+    }
+    const video = getPrimaryMediaElement('video');
+    if (!video) {
+      return { success: false, error: 'No video on this page' };
+    }
+    if (!document.pictureInPictureEnabled) {
+      return { success: false, error: 'Picture-in-Picture is not available in this browser' };
+    }
+    if (video.disablePictureInPicture) {
+      return { success: false, error: 'This video does not allow Picture-in-Picture' };
+    }
+    
+    try {
+      await video.requestPictureInPicture();
+      autoPipVideo = auto ? video : null;
+      return { success: true, active: true };
+    } catch (error) {
+      console.log('OneTab Media: Picture-in-Picture refused:', error.message);
+      return {
+        success: false,
+        error: error.name === 'NotAllowedError' ? 'Click the video once, then try Picture-in-Picture again' : error.message
+      };
+    }
+  }
+  
+  /**
+   * Automatic Picture-in-Picture: browsers that support the Media Session enterpictureinpicture
+   * action call it when the tab is hidden while playing, the background sends ENTER_PIP on tab
+   * switches elsewhere. Either way the video leaves PiP when the tab is shown again.
+   */
+  function setupAutoPictureInPicture() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && autoPipVideo && document.pictureInPictureElement === autoPipVideo) {
+        document.exitPictureInPicture().catch(() => {});
+      }
+    });
+    updateAutoPictureInPicture();
+  }
+  
+  function updateAutoPictureInPicture() {
+    if (!('mediaSession' in navigator)) return;
+    // Leave a handler the page registered itself alone unless the setting needs ours
+    const wanted = speedSettings.autoPictureInPicture && !isSiteExcluded;
+    if (!wanted && !autoPipHandlerSet) return;
+    
+    try {
+      navigator.mediaSession.setActionHandler('enterpictureinpicture', wanted ? () => enterPictureInPicture(true) : null);
+      autoPipHandlerSet = wanted;
+    } catch (error) {
+      // Browsers without automatic Picture-in-Picture don't know the action
+    }
+  }
+  
+  /**
+   * Site adapter for this page (see site-adapters.js), or null for the generic HTML5 path
+   */
+  function getSiteAdapter() {
+    const registry = window.umeSiteAdapters;
+    return registry ? registry.findAdapter(window.location.hostname, document) : null;
+  }
+  
+  /**
+   * Position read from the player UI when no media element is reachable
+   */
+  function getAdapterPosition() {
+    const adapter = getSiteAdapter();
+    return adapter ? adapter.getPosition(document) : null;
+  }
+  
+  /**
+   * Position snapshot for the popup scrubber (duration is null while unknown or live)
+   */
+  function getMediaPosition(element) {
+    if (!element) return null;
+    return {
+      currentTime: element.currentTime,
+      duration: isFinite(element.duration) && !isLiveMedia(element) ? element.duration : null,
+      paused: element.paused,
+      playbackRate: element.playbackRate,
+      live: isLiveMedia(element)
+    };
+  }
+  
+  /**
+   * Track metadata the page published through the Media Session API, else what the
+   * site adapter reads from the player UI. positionState has no getter, so position
+   * comes from getMediaPosition or the adapter.
+   */
+  function getMediaSessionInfo() {
+    const metadata = navigator.mediaSession && navigator.mediaSession.metadata;
+    if (!metadata) {
+      const adapter = getSiteAdapter();
+      return adapter ? adapter.getMetadata(document) : null;
+    }
+    
+    return {
+      title: metadata.title || '',
+      artist: metadata.artist || '',
+      album: metadata.album || '',
+      artwork: pickArtwork(metadata.artwork)
+    };
+  }
+  
+  /**
+   * Largest artwork entry by its declared sizes ("96x96 128x128"), else the last one
+   */
+  function pickArtwork(artwork) {
+    const images = Array.from(artwork || []).filter(image => image && image.src);
+    if (images.length === 0) return null;
+    
+    const area = image => Math.max(0, ...String(image.sizes || '').split(/\s+/).map(size => {
+      const [width, height] = size.toLowerCase().split('x').map(Number);
+      return width && height ? width * height : 0;
+    }));
+    
+    const best = images.reduce((largest, image) => (area(image) > area(largest) ? image : largest), images[images.length - 1]);
+    return best.src;
+  }
+  
+  /**
+   * Start playback requested from the popup. The element's play event reports
+   * MEDIA_STARTED, so the background arbitration decides what else to pause.
+   */
+  function playMedia(fadeDuration = 0) {
+    if (resumePausedMedia(fadeDuration > 0, fadeDuration) > 0) return true;
+    
+    const element = getPrimaryMediaElement();
+    if (!element) {
+      const adapter = getSiteAdapter();
+      return invokeMediaSessionAction('play') || (!!adapter && adapter.play(document));
+    }
+    
+    try {
+      const result = element.play();
+      if (result && typeof result.catch === 'function') {
+        result.catch(error => console.warn('OneTab Media: Failed to play media:', error));
+      }
+      return true;
+    } catch (error) {
+      console.warn('OneTab Media: Failed to play media:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Seek the primary element to an absolute time or by a relative offset (seconds)
+   */
+  function seekMedia(time, offset) {
+    const element = getPrimaryMediaElement();
+    if (!element) return null;
+    
+    let target = typeof time === 'number' ? time : element.currentTime + (offset || 0);
+    target = Math.max(0, target);
+    if (isFinite(element.duration)) {
+      target = Math.min(target, element.duration);
+    }
+    element.currentTime = target;
+    
+    return getMediaPosition(element);
+  }
+  
+  /**
+   * Jump the main media to the live edge; null when it isn't a live stream
+   */
+  function jumpToLive() {
+    const element = getPrimaryMediaElement();
+    return jumpToLiveEdge(element) ? getMediaPosition(element) : null;
+  }
+  
+  /**
+   * Seek through the page's Media Session handlers, for players without a reachable element
+   */
+  function seekViaMediaSession(time, offset) {
+    if (typeof time === 'number') {
+      return invokeMediaSessionAction('seekto', { seekTime: time });
+    }
+    if (offset > 0) {
+      return invokeMediaSessionAction('seekforward', { seekOffset: offset });
+    }
+    if (offset < 0) {
+      return invokeMediaSessionAction('seekbackward', { seekOffset: -offset });
+    }
+    return false;
+  }
+  
+  /**
+   * Go to the next or previous track, via Media Session handlers or the site adapter.
+   * Without a previous track, restart the current media instead.
+   */
+  function skipTrack(direction) {
+    // The page's own Media Session handlers beat clicking buttons
+    if (invokeMediaSessionAction(direction === 'next' ? 'nexttrack' : 'previoustrack')) {
+      return true;
+    }
+    
+    const adapter = getSiteAdapter();
+    if (adapter && (direction === 'next' ? adapter.next(document) : adapter.prev(document))) {
+      console.log('OneTab Media: Skipped track via site adapter', adapter.name);
+      return true;
+    }
+    
+    if (direction === 'previous') {
+      return seekMedia(0) !== null;
+    }
+    return false;
+  }
+  
+  /**
+   * Fade a media element in from silence over duration ms
+   * Uses the booster gain node when present, otherwise steps element.volume
+   */
+  function fadeInElement(element, duration) {
+    const volumeData = volumeNodes.get(element);
+    if (volumeData && volumeContext) {
+      const gain = volumeData.gainNode.gain;
+      const now = volumeContext.currentTime;
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(0, now);
+      gain.linearRampToValueAtTime(elementGain(volumeData), now + duration / 1000);
+      volumeData.fadeEnd = now + duration / 1000;
+      return;
+    }
+    
+    const targetVolume = element.volume;
+    const steps = 20;
+    let step = 0;
+    element.volume = 0;
+    const timer = setInterval(() => {
+      step++;
+      element.volume = Math.min(targetVolume, targetVolume * step / steps);
+      if (step >= steps) {
+        clearInterval(timer);
+      }
+    }, duration / steps);
+  }
+  
+  /**
+   * Fade a playing element out over duration ms: the booster gain when the element has one,
+   * else element.volume in steps. Resolves with a function that puts the level back, to call
+   * once the element is paused.
+   */
+  function fadeOutElement(element, duration) {
+    return new Promise(resolve => {
+      const volumeData = volumeNodes.get(element);
+      if (volumeData && volumeContext) {
+        const gain = volumeData.gainNode.gain;
+        const now = volumeContext.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + duration / 1000);
+        volumeData.fadeEnd = now + duration / 1000;
+        setTimeout(() => resolve(() => {
+          volumeData.fadeEnd = 0;
+          applyElementGain(volumeData);
+        }), duration);
+        return;
+      }
+      
+      const startVolume = element.volume;
+      const steps = 20;
+      let step = 0;
+      const timer = setInterval(() => {
+        step++;
+        element.volume = Math.max(0, startVolume * (1 - step / steps));
+        if (step >= steps) {
+          clearInterval(timer);
+          resolve(() => {
+            element.volume = startVolume;
+          });
+        }
+      }, duration / steps);
+    });
+  }
+  
+  /**
+   * Attempt to pause Web Audio API media
+   */
+  function pauseWebAudioMedia() {
+    // This is a best-effort approach since Web Audio API doesn't have standard pause
+    try {
+      // Look for common Web Audio patterns
+      if (window.audioContext) {
+        // Try to suspend the audio context
+        if (typeof window.audioContext.suspend === 'function') {
+          window.audioContext.suspend();
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to pause Web Audio API:', error);
+    }
+  }
+  
+
+  
+  /**
+   * Observe document changes for dynamic content
+   */
+  function observeDocumentChanges() {
     // Handle single-page app navigation
     let lastUrl = location.href;
     new MutationObserver(() => {
@@ -1497,8 +2971,14 @@
         // Clean up all existing controllers before re-scanning
         cleanupAllMediaElements();
         
+        // Path-prefix and regex blacklist entries may match the new URL
+        updateSiteExclusion();
+        updateSiteProfile();
+        
         setTimeout(() => {
-          detectExistingMedia();
+          if (!isSiteExcluded) {
+            detectExistingMedia();
+          }
         }, 1000);
       }
     }).observe(document, { subtree: true, childList: true });
@@ -1510,15 +2990,19 @@
   function cleanupAllMediaElements() {
     try {
       // Clean up all VideoControllers
-      trackedElements.forEach((info, element) => {
+      trackedMediaElements.forEach(element => {
         if (element.vsc && typeof element.vsc.remove === 'function') {
           element.vsc.remove();
           element.vsc = null;
         }
       });
       
-      // Clear all tracking data
-      trackedElements.clear();
+      // Clear all tracking data (a WeakMap can't be iterated or cleared, hence the Set)
+      trackedMediaElements.forEach(element => {
+        trackedElements.get(element).listeners.abort();
+        trackedElements.delete(element);
+      });
+      trackedMediaElements.clear();
       activeMediaElements.clear();
       
       console.log('OneTab Media: Cleaned up all media elements and controllers');
@@ -1531,6 +3015,17 @@
    * Send message to background script
    */
   function sendMessage(message) {
+    // Subframes report through the top frame so the background sees one media tab
+    if (!isTopFrame && RELAYED_MESSAGE_TYPES.includes(message.type)) {
+      relayToTopFrame(message);
+      return;
+    }
+    
+    // Another frame is still playing, the tab as a whole hasn't stopped
+    if ((message.type === 'MEDIA_PAUSED' || message.type === 'MEDIA_ENDED') && hasPlayingChildFrames()) {
+      return;
+    }
+    
     try {
       browserAPI.runtime.sendMessage(message);
     } catch (error) {
@@ -1538,6 +3033,125 @@
     }
   }
   
+  /**
+   * Subframe: post a media notice to the top frame with the relay token (dropped without one)
+   */
+  function relayToTopFrame(message) {
+    getFrameRelayToken().then(token => {
+      if (!token) return;
+      try {
+        window.top.postMessage({ type: 'UME_FRAME_RELAY', token, message }, '*');
+      } catch (error) {
+        console.warn('OneTab Media: Failed to relay message to top frame:', error);
+      }
+    });
+  }
+  
+  /**
+   * Subframe: the top frame's relay token, asked of the background once and shared by every
+   * relay so notices keep their order
+   */
+  function getFrameRelayToken() {
+    if (!frameRelayToken) {
+      frameRelayToken = requestFrameRelayToken(FRAME_RELAY_TOKEN_ATTEMPTS).then(token => {
+        if (!token) frameRelayToken = null; // Ask again on the next notice
+        return token;
+      });
+    }
+    return frameRelayToken;
+  }
+  
+  async function requestFrameRelayToken(attempts) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, FRAME_RELAY_TOKEN_RETRY_DELAY));
+      }
+      try {
+        const response = await browserAPI.runtime.sendMessage({ type: 'GET_FRAME_RELAY_TOKEN' });
+        if (response && response.token) return response.token;
+      } catch (error) {
+        console.warn('OneTab Media: Failed to get the frame relay token:', error);
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Whether win is a frame nested somewhere in this page
+   */
+  function isDescendantFrame(win) {
+    const pending = [window];
+    while (pending.length > 0) {
+      const frames = pending.pop().frames;
+      for (let i = 0; i < frames.length; i++) {
+        if (frames[i] === win) return true;
+        pending.push(frames[i]);
+      }
+    }
+    return false;
+  }
+  
+  /**
+   * Top frame: forward media notices relayed by subframes, tracking which frames are playing
+   */
+  function setupFrameRelay() {
+    if (!isTopFrame) return;
+    
+    const token = new Uint8Array(16);
+    crypto.getRandomValues(token);
+    frameRelayToken = Array.from(token, byte => byte.toString(16).padStart(2, '0')).join('');
+    try {
+      browserAPI.runtime.sendMessage({ type: 'REGISTER_FRAME_RELAY', token: frameRelayToken });
+    } catch (error) {
+      console.warn('OneTab Media: Failed to register the frame relay token:', error);
+    }
+    
+    window.addEventListener('message', event => {
+      if (event.source === window || !event.data || event.data.type !== 'UME_FRAME_RELAY') return;
+      if (event.data.token !== frameRelayToken || !isDescendantFrame(event.source)) return;
+      const message = event.data.message;
+      if (!message || !RELAYED_MESSAGE_TYPES.includes(message.type)) return;
+      
+      childFrameHasMedia = true;
+      if (message.type === 'MEDIA_STARTED') {
+        playingFrames.add(event.source);
+      } else if (message.type === 'MEDIA_PAUSED' || message.type === 'MEDIA_ENDED') {
+        playingFrames.delete(event.source);
+        if (activeMediaElements.size > 0) return; // This frame keeps the tab playing
+      }
+      sendMessage(message);
+    });
+  }
+  
+  /**
+   * Whether a subframe has reported playback that hasn't paused since (closed frames are dropped)
+   */
+  function hasPlayingChildFrames() {
+    playingFrames.forEach(frame => {
+      if (frame.closed) playingFrames.delete(frame);
+    });
+    return playingFrames.size > 0;
+  }
+  
+  /**
+   * Whether this frame has anything the popup or background could control
+   */
+  function frameHasMedia() {
+    return activeMediaElements.size > 0 ||
+      findMediaElements().length > 0 ||
+      mediaSessionActions.size > 0 ||
+      !!getSiteAdapter();
+  }
+  
+  /**
+   * Background messages reach every frame but only one response is used. Frames with media
+   * answer; the top frame also answers when no subframe has reported media, so there is
+   * always a response.
+   */
+  function shouldAnswerQuery() {
+    return frameHasMedia() || (isTopFrame && !childFrameHasMedia);
+  }
+  
   /**
    * Debounce media state changes to avoid spam
    */
@@ -1550,8 +3164,8 @@
    * Initialize volume booster for a media element
    */
   function initializeVolumeBooster(element) {
-    if (!speedSettings.volumeBoosterEnabled || volumeNodes.has(element)) {
-      return; // Already initialized or disabled
+    if (isSiteExcluded || !speedSettings.volumeBoosterEnabled || volumeNodes.has(element)) {
+      return; // Already initialized, disabled or excluded site
     }
 
     try {
@@ -1565,16 +3179,20 @@
         volumeContext = new AudioContext();
       }
 
-      // Create audio graph: source -> gain -> destination
+      // Create audio graph: source -> effects -> gain -> destination
       const source = volumeContext.createMediaElementSource(element);
+      const effects = audioEffects.createEffectsChain(volumeContext, getDomainEffects());
       const gainNode = volumeContext.createGain();
       
-      source.connect(gainNode);
+      source.connect(effects.input);
+      effects.output.connect(gainNode);
       gainNode.connect(volumeContext.destination);
       
       // Apply volume settings
+      // Volume adjusted on this domain wins over the profile default, which wins over global
       const hostname = window.location.hostname;
-      const domainVolume = speedSettings.perDomainVolume[hostname] || speedSettings.globalVolume;
+      const profileVolume = activeSiteProfile && activeSiteProfile.volume;
+      const domainVolume = speedSettings.perDomainVolume[hostname] || profileVolume || speedSettings.globalVolume;
       const limitedVolume = Math.min(domainVolume, speedSettings.volumeBoostLimit);
       
       gainNode.gain.setValueAtTime(limitedVolume, volumeContext.currentTime);
@@ -1583,7 +3201,9 @@
       volumeNodes.set(element, {
         gainNode: gainNode,
         source: source,
-        currentVolume: limitedVolume
+        effects: effects,
+        currentVolume: limitedVolume,
+        correction: 0 // dB from loudness normalization, see startLoudnessNormalization
       });
 
       console.log(`OneTab Media: Volume booster initialized for ${element.tagName.toLowerCase()} - Volume: ${limitedVolume.toFixed(1)}x`);
@@ -1605,8 +3225,8 @@
       const volumeData = volumeNodes.get(element);
       const limitedVolume = Math.max(0.1, Math.min(volume, speedSettings.volumeBoostLimit));
       
-      volumeData.gainNode.gain.setValueAtTime(limitedVolume, volumeContext.currentTime);
       volumeData.currentVolume = limitedVolume;
+      applyElementGain(volumeData);
 
       // Store per-domain volume setting
       const hostname = window.location.hostname;
@@ -1648,8 +3268,8 @@
       activeMediaElements.forEach(element => {
         if (volumeNodes.has(element)) {
           const volumeData = volumeNodes.get(element);
-          volumeData.gainNode.gain.setValueAtTime(limitedVolume, volumeContext.currentTime);
           volumeData.currentVolume = limitedVolume;
+          applyElementGain(volumeData);
           volumeAppliedCount++;
           console.log(`Applied volume to existing element: ${element.tagName}`);
         } else {
@@ -1659,8 +3279,8 @@
           setTimeout(() => {
             if (volumeNodes.has(element)) {
               const volumeData = volumeNodes.get(element);
-              volumeData.gainNode.gain.setValueAtTime(limitedVolume, volumeContext.currentTime);
               volumeData.currentVolume = limitedVolume;
+              applyElementGain(volumeData);
               console.log(`Applied volume to newly initialized element: ${element.tagName}`);
             }
           }, 100);
@@ -1683,6 +3303,51 @@
     }
   }
 
+  /**
+   * Effects saved for this domain (neutral when there are none)
+   */
+  function getDomainEffects() {
+    return audioEffects.effectsForDomain(speedSettings.perDomainAudioEffects, window.location.hostname);
+  }
+
+  /**
+   * Route media through the effects chain when this domain has effects set. Media already in
+   * the graph picks up changes, including a reset to neutral; media that isn't stays out of it.
+   */
+  function applyAudioEffects(element) {
+    const effects = getDomainEffects();
+    if (!volumeNodes.has(element)) {
+      if (audioEffects.isNeutral(effects) || !canAnalyseAudio(element)) return;
+      initializeVolumeBooster(element);
+      resumeAudioContext();
+    }
+
+    const volumeData = volumeNodes.get(element);
+    if (!volumeData) return; // Booster disabled or Web Audio unavailable
+    try {
+      volumeData.effects.update(effects);
+    } catch (error) {
+      console.warn('OneTab Media: Failed to apply audio effects:', error);
+    }
+  }
+
+  /**
+   * Set this domain's effects (from the popup) and apply them to playing media
+   */
+  function setAudioEffects(effects) {
+    if (!speedSettings.volumeBoosterEnabled) {
+      throw new Error('Volume booster is disabled. Enable it in extension options.');
+    }
+
+    const hostname = window.location.hostname;
+    speedSettings.perDomainAudioEffects = audioEffects.setDomainEffects(speedSettings.perDomainAudioEffects, hostname, effects);
+    activeMediaElements.forEach(applyAudioEffects);
+
+    const applied = getDomainEffects();
+    console.log(`OneTab Media: Audio effects set for ${hostname}:`, applied);
+    return applied;
+  }
+
   /**
    * Resume audio context if suspended (required for user interaction)
    */
@@ -1697,6 +3362,393 @@
     }
   }
 
+  /**
+   * Silence skipping settings with the active profile's overrides applied
+   */
+  function getSilenceSettings() {
+    const profile = activeSiteProfile || {};
+    return {
+      enabled: typeof profile.silenceSkip === 'boolean' ? profile.silenceSkip : speedSettings.silenceSkipEnabled,
+      threshold: typeof profile.silenceThreshold === 'number' ? profile.silenceThreshold : speedSettings.silenceThreshold,
+      minDuration: typeof profile.silenceMinDuration === 'number' ? profile.silenceMinDuration : speedSettings.silenceMinDuration,
+      speed: Math.min(speedSettings.silenceSpeed, MAX_SILENCE_SPEED)
+    };
+  }
+
+  /**
+   * Web Audio only hears cross-origin media served with CORS; anything else would read as
+   * silence (and be muted by routing it through the graph)
+   */
+  function canAnalyseAudio(element) {
+    const src = element.currentSrc || element.src;
+    if (!src || /^(blob|data):/i.test(src) || element.crossOrigin !== null) return true;
+    try {
+      return new URL(src, window.location.href).origin === window.location.origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Tap the volume booster's source with an AnalyserNode and check the level while the media plays
+   */
+  function startSilenceDetection(element) {
+    const existing = silenceStates.get(element);
+    if (existing && existing.timer) return;
+    if (isSiteExcluded || !getSilenceSettings().enabled || !canAnalyseAudio(element)) return;
+
+    initializeVolumeBooster(element);
+    const volumeData = volumeNodes.get(element);
+    if (!volumeData) return; // Booster disabled or Web Audio unavailable
+
+    try {
+      if (!volumeData.analyser) {
+        volumeData.analyser = volumeContext.createAnalyser();
+        volumeData.analyser.fftSize = 2048;
+        volumeData.source.connect(volumeData.analyser); // Before the gain, so boosting doesn't move the threshold
+      }
+    } catch (error) {
+      console.warn('OneTab Media: Failed to set up silence detection:', error);
+      return;
+    }
+    resumeAudioContext();
+
+    const state = existing || { timer: null, silentSince: null, skipping: false, userRate: 1, skipRate: 1, skipStart: null, saved: 0 };
+    const samples = new Float32Array(volumeData.analyser.fftSize);
+    state.timer = setInterval(() => checkSilence(element, volumeData.analyser, samples), SILENCE_CHECK_INTERVAL);
+    silenceStates.set(element, state);
+  }
+
+  function stopSilenceDetection(element) {
+    const state = silenceStates.get(element);
+    if (!state || !state.timer) return;
+    clearInterval(state.timer);
+    state.timer = null;
+    state.silentSince = null;
+    if (state.skipping) finishSilenceSkip(element, state, true);
+  }
+
+  /**
+   * Start or stop detection on playing media after a settings or profile change
+   */
+  function refreshSilenceDetection() {
+    const enabled = getSilenceSettings().enabled;
+    activeMediaElements.forEach(element => {
+      if (enabled && !element.paused) {
+        startSilenceDetection(element);
+      } else {
+        stopSilenceDetection(element);
+      }
+    });
+  }
+
+  /**
+   * Speed up once the level stays under the threshold for the minimum duration, restore the
+   * user's speed as soon as sound returns
+   */
+  function checkSilence(element, analyser, samples) {
+    const state = silenceStates.get(element);
+    // A suspended context reads as silence, so don't judge until it runs
+    if (!state || element.paused || volumeContext.state !== 'running') return;
+
+    const settings = getSilenceSettings();
+    const now = performance.now();
+
+    // The user or the player changed speed mid-skip: keep theirs
+    if (state.skipping && element.playbackRate !== state.skipRate) {
+      finishSilenceSkip(element, state, false);
+    }
+
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const level = 10 * Math.log10(sum / samples.length || 1e-12); // RMS in dBFS
+
+    if (level >= settings.threshold) {
+      state.silentSince = null;
+      if (state.skipping) finishSilenceSkip(element, state, true);
+      return;
+    }
+
+    if (state.silentSince === null) state.silentSince = now;
+    if (!state.skipping && now - state.silentSince >= settings.minDuration * 1000 && settings.speed > element.playbackRate) {
+      state.skipping = true;
+      state.userRate = element.playbackRate;
+      state.skipRate = settings.speed;
+      state.skipStart = { media: element.currentTime, wall: now };
+      element.playbackRate = settings.speed;
+      if (element.vsc) element.vsc.updateSilenceDisplay();
+    }
+  }
+
+  /**
+   * End a skip, adding the time it saved: the stretch at the user's speed minus the time it took
+   */
+  function finishSilenceSkip(element, state, restoreSpeed) {
+    const wallSeconds = (performance.now() - state.skipStart.wall) / 1000;
+    // Capped at what the skip speed can cover, so a seek during the skip doesn't count
+    const mediaSeconds = Math.min(Math.max(element.currentTime - state.skipStart.media, 0), wallSeconds * state.skipRate);
+    state.saved += Math.max(0, mediaSeconds / state.userRate - wallSeconds);
+    state.skipping = false;
+    state.skipStart = null;
+
+    if (restoreSpeed) element.playbackRate = state.userRate;
+    if (element.vsc) element.vsc.updateSilenceDisplay();
+  }
+
+  /**
+   * Set the booster gain to the element's volume plus its loudness correction, capped at the
+   * boost limit. Normalization glides there; volume changes by the user jump.
+   */
+  function applyElementGain(volumeData, smooth = false) {
+    const gain = volumeData.gainNode.gain;
+    const target = elementGain(volumeData);
+    const now = volumeContext.currentTime;
+
+    gain.cancelScheduledValues(now);
+    if (smooth) {
+      gain.setTargetAtTime(target, now, LOUDNESS_TIME_CONSTANT);
+    } else {
+      gain.setValueAtTime(target, now);
+    }
+  }
+
+  /**
+   * Gain for the element's volume and loudness correction, capped at the boost limit
+   */
+  function elementGain(volumeData) {
+    const gain = audioEffects.correctedGain(volumeData.currentVolume, volumeData.correction, speedSettings.volumeBoostLimit);
+    return volumeCap === null ? gain : Math.min(gain, volumeCap);
+  }
+
+  /**
+   * Hold all media at or below the quiet hours cap, or lift it (null). Booster gains are
+   * capped in elementGain; other media has its own volume lowered and put back afterwards.
+   */
+  function setVolumeCap(cap) {
+    volumeCap = typeof cap === 'number' ? cap : null;
+    console.log('OneTab Media: Quiet hours volume cap', volumeCap);
+
+    findMediaElements().forEach(element => {
+      const volumeData = volumeNodes.get(element);
+      if (!volumeData) {
+        capElementVolume(element);
+      } else if (!(volumeData.fadeEnd > volumeContext.currentTime)) {
+        applyElementGain(volumeData, true); // A running fade ends at the capped gain by itself
+      }
+    });
+  }
+
+  function capElementVolume(element) {
+    if (volumeNodes.has(element)) return;
+
+    if (volumeCap !== null && element.volume > volumeCap) {
+      const before = volumesBeforeCap.get(element);
+      volumesBeforeCap.set(element, { volume: before ? before.volume : element.volume, capped: volumeCap });
+      element.volume = volumeCap;
+    } else if (volumeCap === null && volumesBeforeCap.has(element)) {
+      const { volume, capped } = volumesBeforeCap.get(element);
+      volumesBeforeCap.delete(element);
+      // Only if nobody turned it down further in the meantime
+      if (Math.abs(element.volume - capped) < 0.01) {
+        element.volume = volume;
+      }
+    }
+  }
+
+  /**
+   * Measure short-term loudness after the effects while the media plays and move the booster
+   * gain toward the target level
+   */
+  function startLoudnessNormalization(element) {
+    if (isSiteExcluded || !speedSettings.loudnessNormalization || !canAnalyseAudio(element)) return;
+
+    initializeVolumeBooster(element);
+    const volumeData = volumeNodes.get(element);
+    if (!volumeData) return; // Booster disabled or Web Audio unavailable
+    if (volumeData.loudness && volumeData.loudness.timer) return;
+
+    try {
+      if (!volumeData.loudness) {
+        const analyser = volumeContext.createAnalyser();
+        analyser.fftSize = 2048;
+        volumeData.effects.output.connect(analyser); // Before the gain, so the correction isn't measured back
+        volumeData.loudness = {
+          analyser,
+          samples: new Float32Array(analyser.fftSize),
+          meter: audioEffects.createLoudnessMeter(LOUDNESS_WINDOW_BLOCKS),
+          timer: null
+        };
+      }
+    } catch (error) {
+      console.warn('OneTab Media: Failed to set up loudness normalization:', error);
+      return;
+    }
+    resumeAudioContext();
+
+    const loudness = volumeData.loudness;
+    loudness.timer = setInterval(() => {
+      // A suspended context reads as silence, which the meter would ignore anyway
+      if (element.paused || volumeContext.state !== 'running') return;
+      loudness.analyser.getFloatTimeDomainData(loudness.samples);
+      loudness.meter.add(audioEffects.levelDb(loudness.samples, element.volume));
+      volumeData.correction = audioEffects.loudnessCorrection(loudness.meter.loudness(), speedSettings.loudnessTarget);
+      // A pause or resume fade owns the gain until it is over
+      if (volumeData.fadeEnd > volumeContext.currentTime) return;
+      applyElementGain(volumeData, true);
+    }, LOUDNESS_CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop measuring; the correction stays for when playback resumes
+   */
+  function stopLoudnessNormalization(element) {
+    const volumeData = volumeNodes.get(element);
+    if (!volumeData || !volumeData.loudness || !volumeData.loudness.timer) return;
+    clearInterval(volumeData.loudness.timer);
+    volumeData.loudness.timer = null;
+  }
+
+  /**
+   * Start or stop normalization on playing media after a settings change; turning it off
+   * glides back to the plain volume
+   */
+  function refreshLoudnessNormalization() {
+    activeMediaElements.forEach(element => {
+      if (speedSettings.loudnessNormalization && !element.paused) {
+        startLoudnessNormalization(element);
+        return;
+      }
+      stopLoudnessNormalization(element);
+      const volumeData = volumeNodes.get(element);
+      if (volumeData && volumeData.correction !== 0) {
+        volumeData.correction = 0;
+        applyElementGain(volumeData, true);
+      }
+    });
+  }
+
+  /**
+   * Volume and loudness correction (dB actually applied, after the boost limit) of the
+   * primary media, for the popup's volume display
+   */
+  function getVolumeState() {
+    const element = getPrimaryMediaElement();
+    const volumeData = element && volumeNodes.get(element);
+    if (!volumeData) {
+      return { volume: null, correction: 0, normalizing: false };
+    }
+
+    const gain = audioEffects.correctedGain(volumeData.currentVolume, volumeData.correction, speedSettings.volumeBoostLimit);
+    return {
+      volume: volumeData.currentVolume,
+      correction: 20 * Math.log10(gain / volumeData.currentVolume),
+      normalizing: speedSettings.loudnessNormalization && !!volumeData.loudness
+    };
+  }
+
+  /**
+   * Inject a page-world shim that records handlers passed to mediaSession.setActionHandler.
+   * Must run as early as possible, before the page registers its handlers.
+   */
+  function injectMediaSessionShim() {
+    const script = document.createElement('script');
+    script.textContent = `
+      (function() {
+        // Runs in the page, so a failure here must never break the page's own Media Session use
+        try {
+          if (!window.MediaSession || window.__umeMediaSessionShim) return;
+          window.__umeMediaSessionShim = true;
+          
+          const handlers = new Map();
+          const originalSetActionHandler = MediaSession.prototype.setActionHandler;
+          
+          function announceActions() {
+            window.postMessage({ type: 'UME_MEDIA_SESSION_HANDLERS', actions: Array.from(handlers.keys()) }, '*');
+          }
+          
+          MediaSession.prototype.setActionHandler = function(action, handler) {
+            const result = originalSetActionHandler.apply(this, arguments);
+            try {
+              if (typeof handler === 'function') {
+                handlers.set(action, handler);
+              } else {
+                handlers.delete(action);
+              }
+              announceActions();
+            } catch (error) {
+              console.warn('OneTab Media: Failed to record Media Session handler:', action, error);
+            }
+            return result;
+          };
+          
+          // Invoke a recorded handler on request from the content script
+          window.addEventListener('message', function(event) {
+            if (event.source !== window || !event.data || event.data.type !== 'UME_MEDIA_SESSION_ACTION') return;
+            const handler = handlers.get(event.data.action);
+            if (!handler) return;
+            try {
+              handler(Object.assign({}, event.data.details, { action: event.data.action }));
+            } catch (error) {
+              console.warn('OneTab Media: Media Session handler failed:', event.data.action, error);
+            }
+          });
+        } catch (error) {
+          console.warn('OneTab Media: Media Session shim failed:', error);
+        }
+      })();
+    `;
+    
+    (document.head || document.documentElement).appendChild(script);
+    script.remove();
+    
+    window.addEventListener('message', function(event) {
+      if (event.source !== window || !event.data || event.data.type !== 'UME_MEDIA_SESSION_HANDLERS') return;
+      if (Array.isArray(event.data.actions)) {
+        mediaSessionActions = new Set(event.data.actions);
+      }
+    });
+  }
+  
+  /**
+   * Inject the Media Session shim unless the blacklist excludes this site. Only the blacklist is
+   * read first: initialize() waits for DOMContentLoaded, too late to wrap setActionHandler.
+   */
+  async function injectMediaSessionShimUnlessExcluded() {
+    try {
+      const stored = await browserAPI.storage.sync.get(['blacklist', 'videoSpeedSettings']);
+      const { blacklist } = siteSettings.mergeStoredSettings({}, stored);
+      if (isBlacklisted(window.location.href, blacklist)) {
+        console.log('OneTab Media: Site is blacklisted, skipping Media Session shim');
+        return;
+      }
+    } catch (error) {
+      console.warn('OneTab Media: Failed to read blacklist for Media Session shim:', error);
+    }
+    injectMediaSessionShim();
+  }
+  
+  /**
+   * Trigger a page-registered Media Session action (play, pause, nexttrack, seekto, ...)
+   * Returns false when the page has no handler for it.
+   */
+  function invokeMediaSessionAction(action, details = {}) {
+    if (isSiteExcluded || !mediaSessionActions.has(action)) return false;
+    
+    window.postMessage({ type: 'UME_MEDIA_SESSION_ACTION', action, details }, '*');
+    console.log('OneTab Media: Invoked Media Session action', action);
+    return true;
+  }
+  
+  // Wrap setActionHandler and attachShadow before any page script runs
+  injectMediaSessionShimUnlessExcluded();
+  injectShadowRootHook();
+  
+  // Subframes may start playing before the top frame finishes loading
+  setupFrameRelay();
+  
   // Auto-resume audio context on user interaction
   document.addEventListener('click', resumeAudioContext, { once: true, passive: true });
   document.addEventListener('keydown', resumeAudioContext, { once: true, passive: true });
@@ -80,6 +80,22 @@ async function syncRemove(keys) {
   } catch (_) {}
 }
 
+async function localSet(obj) {
+  try {
+    if (typeof browser !== 'undefined' && browser.storage?.local?.set) {
+      return await browser.storage.local.set(obj);
+    }
+    if (typeof chrome !== 'undefined' && chrome.storage?.local?.set) {
+      return await new Promise((resolve, reject) => {
+        chrome.storage.local.set(obj, () => {
+          if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+          else resolve();
+        });
+      });
+    }
+  } catch (_) {}
+}
+
 async function localRemove(keys) {
   try {
     if (typeof browser !== 'undefined' && browser.storage?.local?.remove) {
@@ -122,10 +138,31 @@ const defaultSettings = {
     { action: 'advance', key: 88, value: 10, force: false, predefined: true }, // X
     { action: 'reset', key: 82, value: 1.0, force: false, predefined: true }, // R
     { action: 'fast', key: 71, value: 1.8, force: false, predefined: true }, // G
-    { action: 'mark', key: 77, value: 0, force: false, predefined: true }, // M - set marker
-    { action: 'jump', key: 74, value: 0, force: false, predefined: true }, // J - jump to marker
+    { action: 'mark', key: 77, value: 0, force: false, predefined: true }, // M - add bookmark
+    { action: 'jump', key: 74, value: 0, force: false, predefined: true }, // J - jump to latest bookmark
+    { action: 'prevBookmark', key: 219, value: 0, force: false, predefined: true }, // [ - previous bookmark
+    { action: 'nextBookmark', key: 221, value: 0, force: false, predefined: true }, // ] - next bookmark
+    { action: 'setLoopA', key: 65, value: 0, force: false, predefined: true }, // A - loop start
+    { action: 'setLoopB', key: 66, value: 0, force: false, predefined: true }, // B - loop end
+    { action: 'toggleLoop', key: 76, value: 0, force: false, predefined: true }, // L - loop on/off
+    { action: 'frameBackward', key: 188, value: 0, force: false, predefined: true }, // , - previous frame
+    { action: 'frameForward', key: 190, value: 0, force: false, predefined: true }, // . - next frame
+    { action: 'seekToStart', key: 0, value: 0, force: false, predefined: true }, // Unbound; Home is the usual choice
+    { action: 'seekToEnd', key: 0, value: 0, force: false, predefined: true }, // Unbound; End is the usual choice
+    { action: 'jumpToLive', key: 0, value: 0, force: false, predefined: true }, // Unbound - jump to the live edge
+    { action: 'seekPercent', key: 48, value: 0, force: false, predefined: true }, // 0 - start
+    { action: 'seekPercent', key: 49, value: 10, force: false, predefined: true }, // 1 - 10%
+    { action: 'seekPercent', key: 50, value: 20, force: false, predefined: true }, // 2 - 20%
+    { action: 'seekPercent', key: 51, value: 30, force: false, predefined: true }, // 3 - 30%
+    { action: 'seekPercent', key: 52, value: 40, force: false, predefined: true }, // 4 - 40%
+    { action: 'seekPercent', key: 53, value: 50, force: false, predefined: true }, // 5 - 50%
+    { action: 'seekPercent', key: 54, value: 60, force: false, predefined: true }, // 6 - 60%
+    { action: 'seekPercent', key: 55, value: 70, force: false, predefined: true }, // 7 - 70%
+    { action: 'seekPercent', key: 56, value: 80, force: false, predefined: true }, // 8 - 80%
+    { action: 'seekPercent', key: 57, value: 90, force: false, predefined: true }, // 9 - 90%
     { action: 'volumeUp', key: 38, value: 0.1, force: false, predefined: true }, // Up Arrow - increase volume
-    { action: 'volumeDown', key: 40, value: 0.1, force: false, predefined: true } // Down Arrow - decrease volume
+    { action: 'volumeDown', key: 40, value: 0.1, force: false, predefined: true }, // Down Arrow - decrease volume
+    { action: 'pip', key: 0, value: 0, force: false, predefined: true } // Unbound - Picture-in-Picture
   ],
   blacklist: `www.instagram.com
 twitter.com
@@ -135,15 +172,46 @@ teams.microsoft.com`.replace(/^[\r\t\f\v ]+|[\r\t\f\v ]+$/gm, ''),
   volumeBoosterEnabled: true,
   globalVolume: 1.0, // Global volume multiplier
   perDomainVolume: {}, // Store per-domain volume settings
+  perDomainAudioEffects: {}, // EQ, night mode, mono and balance per site, see audio-effects.js
   volumeBoostLimit: 5.0, // Maximum volume boost (500%)
+  loudnessNormalization: false, // Move the volume toward loudnessTarget, capped at volumeBoostLimit
+  loudnessTarget: -20, // dBFS
   volumeStep: 0.1, // Volume adjustment increment
   // Marker functionality
-  markers: {} // Store video markers per URL
+  markers: {}, // Store video markers per URL
+  // Playback arbitration
+  arbitrationPolicy: 'lastWins', // What happens when a second tab starts playing
+  maxConcurrentTabs: 2, // Tabs allowed to play at once with the 'concurrent' policy
+  // Auto-resume the interrupted tab
+  autoResumeEnabled: false,
+  autoResumeDelay: 2, // Grace delay in seconds
+  autoResumeFadeIn: true,
+  pauseFadeDuration: 0.5, // Seconds to fade out before an automatic pause, 0 for none
+  muteInsteadOfPauseTypes: [], // Media types arbitration mutes instead of pausing ('video', 'audio', 'live')
+  // Picture-in-Picture
+  pipExemptFromArbitration: true, // Another tab starting never pauses the PiP video
+  autoPictureInPicture: false, // Enter PiP when switching away from a playing video tab
+  // Position memory for long media ("Continue watching")
+  rememberPosition: true,
+  rememberPositionMinMinutes: 10, // Minimum media length in minutes
+  // Silence skipping for spoken content (site profiles can override threshold and duration)
+  silenceSkipEnabled: false,
+  silenceThreshold: -45, // dBFS
+  silenceMinDuration: 0.5, // Seconds
+  silenceSpeed: 3.0, // Playback rate while silent
+  // Per-site profiles (first enabled match wins)
+  siteProfiles: [],
+  // Scheduled volume caps and pauses, see quiet-hours.js
+  quietHoursRules: []
 };
 
 // Actions that don't need custom values
 const customActionsNoValues = ['display', 'reset'];
 
+// Bindings added in later versions, appended to stored key bindings that predate them
+const addedKeyBindingActions = ['prevBookmark', 'nextBookmark', 'setLoopA', 'setLoopB', 'toggleLoop',
+  'frameBackward', 'frameForward', 'seekToStart', 'seekToEnd', 'seekPercent', 'pip', 'jumpToLive'];
+
 // Action descriptions for user-friendly display
 const actionDescriptions = {
   display: 'Show/Hide Controller',
@@ -153,10 +221,22 @@ const actionDescriptions = {
   advance: 'Advance',
   reset: 'Reset Speed',
   fast: 'Preferred Speed',
-  mark: 'Set Marker',
-  jump: 'Jump to Marker',
+  mark: 'Add Bookmark',
+  jump: 'Jump to Latest Bookmark',
+  prevBookmark: 'Previous Bookmark',
+  nextBookmark: 'Next Bookmark',
+  setLoopA: 'Set Loop Start (A)',
+  setLoopB: 'Set Loop End (B)',
+  toggleLoop: 'Toggle A-B Loop',
+  frameForward: 'Next Frame',
+  frameBackward: 'Previous Frame',
+  seekPercent: 'Seek to % (value)',
+  seekToStart: 'Seek to Start',
+  seekToEnd: 'Seek to End',
+  jumpToLive: 'Jump to Live Edge',
   volumeUp: 'Volume Up',
-  volumeDown: 'Volume Down'
+  volumeDown: 'Volume Down',
+  pip: 'Picture-in-Picture'
 };
 
 // Key code to name mapping
@@ -173,6 +253,10 @@ const keyCodeNames = {
 };
 
 let keyBindings = [];
+let siteProfiles = [];
+let audioEffectsSites = []; // [{ hostname, effects }] edited in the Volume section
+let quietHoursRules = [];
+let bookmarkStore = {}; // storage.local bookmarks, see bookmarks.js
 let currentSettings = {};
 
 document.addEventListener('DOMContentLoaded', function() {
@@ -191,6 +275,7 @@ async function initializeOptionsPage() {
   
   // Load current settings
   await loadSettings();
+  await loadBookmarks();
   logOptions('init: after loadSettings');
   
   // Set up UI event listeners
@@ -419,6 +504,15 @@ function setupEventListeners() {
         try {
           const text = await file.text();
           const json = JSON.parse(text);
+          if (json.siteProfiles !== undefined) {
+            json.siteProfiles = normalizeSiteProfiles(json.siteProfiles);
+          }
+          if (json.perDomainAudioEffects !== undefined) {
+            json.perDomainAudioEffects = audioEffectsFromList(audioEffectsToList(json.perDomainAudioEffects));
+          }
+          if (json.quietHoursRules !== undefined) {
+            json.quietHoursRules = umeQuietHours.normalizeRules(json.quietHoursRules);
+          }
           await browserAPI.storage.sync.set(json);
           await loadSettings();
           showStatus('Settings imported', 'success', 1500);
@@ -437,6 +531,41 @@ function setupEventListeners() {
     addButton.addEventListener('click', addNewKeybinding);
   }
   
+  // Export every bookmark as JSON
+  const exportBookmarksBtn = document.getElementById('exportBookmarks');
+  if (exportBookmarksBtn) {
+    exportBookmarksBtn.addEventListener('click', () => {
+      downloadText('ume-bookmarks.json', JSON.stringify(umeBookmarks.listPages(bookmarkStore), null, 2), 'application/json');
+      showStatus('Bookmarks exported', 'success', 1500);
+    });
+  }
+  
+  // Bookmarks added or edited in a tab while this page is open
+  browserAPI.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[umeBookmarks.STORAGE_KEY]) {
+      bookmarkStore = changes[umeBookmarks.STORAGE_KEY].newValue || {};
+      populateBookmarks();
+    }
+  });
+  
+  // Add site profile button
+  const addProfileButton = document.getElementById('addSiteProfile');
+  if (addProfileButton) {
+    addProfileButton.addEventListener('click', addNewSiteProfile);
+  }
+  
+  // Add audio effects button
+  const addEffectsButton = document.getElementById('addAudioEffects');
+  if (addEffectsButton) {
+    addEffectsButton.addEventListener('click', addNewAudioEffects);
+  }
+  
+  // Add quiet hours rule button
+  const addQuietHoursButton = document.getElementById('addQuietHoursRule');
+  if (addQuietHoursButton) {
+    addQuietHoursButton.addEventListener('click', addNewQuietHoursRule);
+  }
+  
   // Opacity slider
   const opacitySlider = document.getElementById('controllerOpacity');
   const opacityValue = document.getElementById('opacityValue');
@@ -487,11 +616,109 @@ async function loadSettings() {
       volumeBoostLimitEl.value = currentSettings.volumeBoostLimit || 5.0;
     }
     
+    const loudnessNormalizationEl = document.getElementById('loudnessNormalization');
+    if (loudnessNormalizationEl) {
+      loudnessNormalizationEl.checked = currentSettings.loudnessNormalization === true;
+    }
+    
+    const loudnessTargetEl = document.getElementById('loudnessTarget');
+    if (loudnessTargetEl) {
+      loudnessTargetEl.value = currentSettings.loudnessTarget !== undefined ? currentSettings.loudnessTarget : -20;
+    }
+    
     const globalVolumeEl = document.getElementById('globalVolume');  
     if (globalVolumeEl) {
       globalVolumeEl.value = currentSettings.globalVolume || 1.0;
     }
     
+    // Load playback arbitration settings
+    const arbitrationPolicyEl = document.getElementById('arbitrationPolicy');
+    if (arbitrationPolicyEl) {
+      arbitrationPolicyEl.value = currentSettings.arbitrationPolicy || 'lastWins';
+    }
+    
+    const maxConcurrentTabsEl = document.getElementById('maxConcurrentTabs');
+    if (maxConcurrentTabsEl) {
+      maxConcurrentTabsEl.value = currentSettings.maxConcurrentTabs || 2;
+    }
+    
+    const autoResumeEnabledEl = document.getElementById('autoResumeEnabled');
+    if (autoResumeEnabledEl) {
+      autoResumeEnabledEl.checked = currentSettings.autoResumeEnabled === true;
+    }
+    
+    const autoResumeDelayEl = document.getElementById('autoResumeDelay');
+    if (autoResumeDelayEl) {
+      autoResumeDelayEl.value = currentSettings.autoResumeDelay !== undefined ? currentSettings.autoResumeDelay : 2;
+    }
+    
+    const autoResumeFadeInEl = document.getElementById('autoResumeFadeIn');
+    if (autoResumeFadeInEl) {
+      autoResumeFadeInEl.checked = currentSettings.autoResumeFadeIn !== false;
+    }
+    
+    const pauseFadeDurationEl = document.getElementById('pauseFadeDuration');
+    if (pauseFadeDurationEl) {
+      pauseFadeDurationEl.value = currentSettings.pauseFadeDuration !== undefined ? currentSettings.pauseFadeDuration : 0.5;
+    }
+    
+    const muteTypes = Array.isArray(currentSettings.muteInsteadOfPauseTypes) ? currentSettings.muteInsteadOfPauseTypes : [];
+    const muteInsteadOfPauseVideoEl = document.getElementById('muteInsteadOfPauseVideo');
+    if (muteInsteadOfPauseVideoEl) {
+      muteInsteadOfPauseVideoEl.checked = muteTypes.includes('video');
+    }
+    
+    const muteInsteadOfPauseAudioEl = document.getElementById('muteInsteadOfPauseAudio');
+    if (muteInsteadOfPauseAudioEl) {
+      muteInsteadOfPauseAudioEl.checked = muteTypes.includes('audio');
+    }
+    
+    const muteInsteadOfPauseLiveEl = document.getElementById('muteInsteadOfPauseLive');
+    if (muteInsteadOfPauseLiveEl) {
+      muteInsteadOfPauseLiveEl.checked = muteTypes.includes('live');
+    }
+    
+    const pipExemptFromArbitrationEl = document.getElementById('pipExemptFromArbitration');
+    if (pipExemptFromArbitrationEl) {
+      pipExemptFromArbitrationEl.checked = currentSettings.pipExemptFromArbitration !== false;
+    }
+    
+    const autoPictureInPictureEl = document.getElementById('autoPictureInPicture');
+    if (autoPictureInPictureEl) {
+      autoPictureInPictureEl.checked = currentSettings.autoPictureInPicture === true;
+    }
+    
+    const rememberPositionEl = document.getElementById('rememberPosition');
+    if (rememberPositionEl) {
+      rememberPositionEl.checked = currentSettings.rememberPosition !== false;
+    }
+    
+    const rememberPositionMinMinutesEl = document.getElementById('rememberPositionMinMinutes');
+    if (rememberPositionMinMinutesEl) {
+      rememberPositionMinMinutesEl.value = currentSettings.rememberPositionMinMinutes !== undefined ? currentSettings.rememberPositionMinMinutes : 10;
+    }
+    
+    // Load silence skipping settings
+    const silenceSkipEnabledEl = document.getElementById('silenceSkipEnabled');
+    if (silenceSkipEnabledEl) {
+      silenceSkipEnabledEl.checked = currentSettings.silenceSkipEnabled === true;
+    }
+    
+    const silenceThresholdEl = document.getElementById('silenceThreshold');
+    if (silenceThresholdEl) {
+      silenceThresholdEl.value = currentSettings.silenceThreshold !== undefined ? currentSettings.silenceThreshold : -45;
+    }
+    
+    const silenceMinDurationEl = document.getElementById('silenceMinDuration');
+    if (silenceMinDurationEl) {
+      silenceMinDurationEl.value = currentSettings.silenceMinDuration || 0.5;
+    }
+    
+    const silenceSpeedEl = document.getElementById('silenceSpeed');
+    if (silenceSpeedEl) {
+      silenceSpeedEl.value = currentSettings.silenceSpeed || 3.0;
+    }
+    
     // Load opacity setting
     const opacitySlider = document.getElementById('controllerOpacity');
     const opacityValue = document.getElementById('opacityValue');
@@ -514,8 +741,28 @@ async function loadSettings() {
       });
     }
     
+    addedKeyBindingActions.forEach(action => {
+      if (!keyBindings.some(binding => binding.action === action)) {
+        defaultSettings.keyBindings
+          .filter(binding => binding.action === action)
+          .forEach(binding => keyBindings.push({ ...binding }));
+      }
+    });
+    
     populateKeyBindings();
     
+    // Load site profiles
+    siteProfiles = normalizeSiteProfiles(currentSettings.siteProfiles);
+    populateSiteProfiles();
+    
+    // Load per-site audio effects
+    audioEffectsSites = audioEffectsToList(currentSettings.perDomainAudioEffects);
+    populateAudioEffects();
+    
+    // Load quiet hours
+    quietHoursRules = umeQuietHours.normalizeRules(currentSettings.quietHoursRules);
+    populateQuietHoursRules();
+    
   } catch (error) {
     console.error('[UME Options] loadSettings error:', error);
     showStatus('Failed to load settings', 'error');
@@ -543,10 +790,103 @@ function validateSettings() {
     errors.push('Controller opacity must be between 0 and 1');
   }
   
+  // Validate concurrent tab limit
+  const maxConcurrentTabsEl = document.getElementById('maxConcurrentTabs');
+  if (maxConcurrentTabsEl) {
+    const limit = parseInt(maxConcurrentTabsEl.value, 10);
+    if (isNaN(limit) || limit < 1 || limit > 10) {
+      errors.push('Concurrent tabs must be between 1 and 10');
+    }
+  }
+  
+  // Validate auto-resume delay
+  const autoResumeDelayEl = document.getElementById('autoResumeDelay');
+  if (autoResumeDelayEl) {
+    const delay = parseFloat(autoResumeDelayEl.value);
+    if (isNaN(delay) || delay < 0 || delay > 30) {
+      errors.push('Resume delay must be between 0 and 30 seconds');
+    }
+  }
+  
+  // Validate pause fade
+  const pauseFadeDurationEl = document.getElementById('pauseFadeDuration');
+  if (pauseFadeDurationEl) {
+    const fade = parseFloat(pauseFadeDurationEl.value);
+    if (isNaN(fade) || fade < 0 || fade > 5) {
+      errors.push('Fade duration must be between 0 and 5 seconds');
+    }
+  }
+  
+  // Validate position memory threshold
+  const rememberPositionMinMinutesEl = document.getElementById('rememberPositionMinMinutes');
+  if (rememberPositionMinMinutesEl) {
+    const minutes = parseFloat(rememberPositionMinMinutesEl.value);
+    if (isNaN(minutes) || minutes < 1 || minutes > 180) {
+      errors.push('Minimum length for remembering position must be between 1 and 180 minutes');
+    }
+  }
+  
+  // Validate loudness normalization
+  const loudnessTargetEl = document.getElementById('loudnessTarget');
+  if (loudnessTargetEl) {
+    const target = parseFloat(loudnessTargetEl.value);
+    if (isNaN(target) || target < -40 || target > -10) {
+      errors.push('Target loudness must be between -40 and -10 dB');
+    }
+  }
+  
+  // Validate silence skipping
+  const silenceThresholdEl = document.getElementById('silenceThreshold');
+  if (silenceThresholdEl) {
+    const threshold = parseFloat(silenceThresholdEl.value);
+    if (isNaN(threshold) || threshold < -80 || threshold > -10) {
+      errors.push('Silence threshold must be between -80 and -10 dB');
+    }
+  }
+  
+  const silenceMinDurationEl = document.getElementById('silenceMinDuration');
+  if (silenceMinDurationEl) {
+    const duration = parseFloat(silenceMinDurationEl.value);
+    if (isNaN(duration) || duration < 0.1 || duration > 10) {
+      errors.push('Minimum silence must be between 0.1 and 10 seconds');
+    }
+  }
+  
+  const silenceSpeedEl = document.getElementById('silenceSpeed');
+  if (silenceSpeedEl) {
+    const speed = parseFloat(silenceSpeedEl.value);
+    if (isNaN(speed) || speed < 1.5 || speed > 4) {
+      errors.push('Silence speed must be between 1.5x and 4x');
+    }
+  }
+  
+  // Validate regex entries in the blacklist
+  const blacklistEl = document.getElementById('blacklist');
+  if (blacklistEl) {
+    blacklistEl.value.split('\n').forEach(line => {
+      const regexMatch = line.trim().match(/^\/(.+)\/([gimsuy]*)$/);
+      if (!regexMatch) return;
+      try {
+        new RegExp(regexMatch[1], regexMatch[2]);
+      } catch (e) {
+        errors.push(`Invalid blacklist pattern: ${line.trim()}`);
+      }
+    });
+  }
+  
   // Validate key bindings
   const keyBindingErrors = validateKeyBindings();
   errors.push(...keyBindingErrors);
   
+  // Validate site profiles
+  errors.push(...validateSiteProfiles());
+  
+  // Validate audio effects sites
+  errors.push(...validateAudioEffects());
+  
+  // Validate quiet hours rules
+  errors.push(...validateQuietHoursRules());
+  
   if (errors.length > 0) {
     showStatus('Validation errors: ' + errors.join(', '), 'error', 5000);
     return false;
@@ -611,7 +951,8 @@ async function saveSettings() {
       rememberSpeed: document.getElementById('rememberSpeed').checked,
       audioBoolean: document.getElementById('audioBoolean').checked,
       controllerOpacity: parseFloat(document.getElementById('controllerOpacity').value),
-      keyBindings: keyBindings
+      keyBindings: keyBindings,
+      siteProfiles: normalizeSiteProfiles(siteProfiles)
     };
     
     // Add new settings if elements exist
@@ -647,13 +988,112 @@ async function saveSettings() {
       settings.volumeBoostLimit = parseFloat(volumeBoostLimitEl.value) || 5.0;
     }
     
+    const loudnessNormalizationEl = document.getElementById('loudnessNormalization');
+    if (loudnessNormalizationEl) {
+      settings.loudnessNormalization = loudnessNormalizationEl.checked;
+    }
+    
+    const loudnessTargetEl = document.getElementById('loudnessTarget');
+    if (loudnessTargetEl) {
+      const target = parseFloat(loudnessTargetEl.value);
+      settings.loudnessTarget = isNaN(target) ? -20 : target;
+    }
+    
     const globalVolumeEl = document.getElementById('globalVolume');
     if (globalVolumeEl) {
       settings.globalVolume = parseFloat(globalVolumeEl.value) || 1.0;
     }
     
+    // Playback arbitration settings
+    const arbitrationPolicyEl = document.getElementById('arbitrationPolicy');
+    if (arbitrationPolicyEl) {
+      settings.arbitrationPolicy = arbitrationPolicyEl.value || 'lastWins';
+    }
+    
+    const maxConcurrentTabsEl = document.getElementById('maxConcurrentTabs');
+    if (maxConcurrentTabsEl) {
+      settings.maxConcurrentTabs = parseInt(maxConcurrentTabsEl.value, 10) || 2;
+    }
+    
+    const autoResumeEnabledEl = document.getElementById('autoResumeEnabled');
+    if (autoResumeEnabledEl) {
+      settings.autoResumeEnabled = autoResumeEnabledEl.checked;
+    }
+    
+    const autoResumeDelayEl = document.getElementById('autoResumeDelay');
+    if (autoResumeDelayEl) {
+      const delay = parseFloat(autoResumeDelayEl.value);
+      settings.autoResumeDelay = isNaN(delay) ? 2 : delay;
+    }
+    
+    const autoResumeFadeInEl = document.getElementById('autoResumeFadeIn');
+    if (autoResumeFadeInEl) {
+      settings.autoResumeFadeIn = autoResumeFadeInEl.checked;
+    }
+    
+    const pauseFadeDurationEl = document.getElementById('pauseFadeDuration');
+    if (pauseFadeDurationEl) {
+      const fade = parseFloat(pauseFadeDurationEl.value);
+      settings.pauseFadeDuration = isNaN(fade) ? 0.5 : fade;
+    }
+    
+    const muteInsteadOfPauseVideoEl = document.getElementById('muteInsteadOfPauseVideo');
+    const muteInsteadOfPauseAudioEl = document.getElementById('muteInsteadOfPauseAudio');
+    const muteInsteadOfPauseLiveEl = document.getElementById('muteInsteadOfPauseLive');
+    if (muteInsteadOfPauseVideoEl && muteInsteadOfPauseAudioEl && muteInsteadOfPauseLiveEl) {
+      settings.muteInsteadOfPauseTypes = [
+        muteInsteadOfPauseVideoEl.checked && 'video',
+        muteInsteadOfPauseAudioEl.checked && 'audio',
+        muteInsteadOfPauseLiveEl.checked && 'live'
+      ].filter(Boolean);
+    }
+    
+    const pipExemptFromArbitrationEl = document.getElementById('pipExemptFromArbitration');
+    if (pipExemptFromArbitrationEl) {
+      settings.pipExemptFromArbitration = pipExemptFromArbitrationEl.checked;
+    }
+    
+    const autoPictureInPictureEl = document.getElementById('autoPictureInPicture');
+    if (autoPictureInPictureEl) {
+      settings.autoPictureInPicture = autoPictureInPictureEl.checked;
+    }
+    
+    const rememberPositionEl = document.getElementById('rememberPosition');
+    if (rememberPositionEl) {
+      settings.rememberPosition = rememberPositionEl.checked;
+    }
+    
+    const rememberPositionMinMinutesEl = document.getElementById('rememberPositionMinMinutes');
+    if (rememberPositionMinMinutesEl) {
+      const minutes = parseFloat(rememberPositionMinMinutesEl.value);
+      settings.rememberPositionMinMinutes = isNaN(minutes) ? 10 : minutes;
+    }
+    
+    const silenceSkipEnabledEl = document.getElementById('silenceSkipEnabled');
+    if (silenceSkipEnabledEl) {
+      settings.silenceSkipEnabled = silenceSkipEnabledEl.checked;
+    }
+    
+    const silenceThresholdEl = document.getElementById('silenceThreshold');
+    if (silenceThresholdEl) {
+      const threshold = parseFloat(silenceThresholdEl.value);
+      settings.silenceThreshold = isNaN(threshold) ? -45 : threshold;
+    }
+    
+    const silenceMinDurationEl = document.getElementById('silenceMinDuration');
+    if (silenceMinDurationEl) {
+      settings.silenceMinDuration = parseFloat(silenceMinDurationEl.value) || 0.5;
+    }
+    
+    const silenceSpeedEl = document.getElementById('silenceSpeed');
+    if (silenceSpeedEl) {
+      settings.silenceSpeed = parseFloat(silenceSpeedEl.value) || 3.0;
+    }
+    
     // Include additional settings
     settings.perDomainVolume = currentSettings.perDomainVolume || {};
+    settings.perDomainAudioEffects = audioEffectsFromList(audioEffectsSites);
+    settings.quietHoursRules = umeQuietHours.normalizeRules(quietHoursRules);
     settings.volumeStep = currentSettings.volumeStep || 0.1;
     settings.markers = currentSettings.markers || {};
     
@@ -799,7 +1239,865 @@ function addNewKeybinding() {
   populateKeyBindings();
 }
 
+/**
+ * Coerce stored or imported site profiles into the shape the content script expects.
+ * Empty numeric fields become null, meaning "use the global setting".
+ */
+function normalizeSiteProfiles(profiles) {
+  if (!Array.isArray(profiles)) return [];
+  
+  const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  };
+  
+  return profiles
+    .filter(profile => profile && typeof profile.pattern === 'string')
+    .map((profile, index) => ({
+      id: profile.id || `profile-${Date.now().toString(36)}-${index}`,
+      name: typeof profile.name === 'string' ? profile.name : '',
+      pattern: profile.pattern.trim(),
+      enabled: profile.enabled !== false,
+      speed: toNumber(profile.speed),
+      volume: toNumber(profile.volume),
+      showController: typeof profile.showController === 'boolean' ? profile.showController : null,
+      rewindAmount: toNumber(profile.rewindAmount),
+      advanceAmount: toNumber(profile.advanceAmount),
+      silenceSkip: typeof profile.silenceSkip === 'boolean' ? profile.silenceSkip : null,
+      muteInsteadOfPause: typeof profile.muteInsteadOfPause === 'boolean' ? profile.muteInsteadOfPause : null,
+      silenceThreshold: toNumber(profile.silenceThreshold),
+      silenceMinDuration: toNumber(profile.silenceMinDuration),
+      keyBindings: Array.isArray(profile.keyBindings)
+        ? profile.keyBindings
+          .filter(binding => binding && actionDescriptions[binding.action] && typeof binding.key === 'number')
+          .map(binding => (typeof binding.value === 'number'
+            ? { action: binding.action, key: binding.key, value: binding.value }
+            : { action: binding.action, key: binding.key }))
+        : []
+    }));
+}
+
+/**
+ * Validate site profile rules
+ */
+function validateSiteProfiles() {
+  const errors = [];
+  const volumeBoostLimitEl = document.getElementById('volumeBoostLimit');
+  const volumeLimit = (volumeBoostLimitEl && parseFloat(volumeBoostLimitEl.value)) || defaultSettings.volumeBoostLimit;
+  
+  siteProfiles.forEach((profile, index) => {
+    const label = profile.name || `Profile ${index + 1}`;
+    const pattern = (profile.pattern || '').trim();
+    
+    if (!pattern) {
+      errors.push(`${label} needs a site pattern`);
+    } else {
+      const regexMatch = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+      if (regexMatch) {
+        try {
+          new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (e) {
+          errors.push(`Invalid profile pattern: ${pattern}`);
+        }
+      }
+    }
+    
+    if (profile.speed !== null && (profile.speed < 0.1 || profile.speed > 16)) {
+      errors.push(`${label} speed must be between 0.1 and 16`);
+    }
+    if (profile.volume !== null && (profile.volume < 0.1 || profile.volume > volumeLimit)) {
+      errors.push(`${label} volume must be between 0.1 and ${volumeLimit}`);
+    }
+    ['rewindAmount', 'advanceAmount'].forEach(field => {
+      if (profile[field] !== null && (profile[field] <= 0 || profile[field] > 300)) {
+        errors.push(`${label} skip amounts must be between 1 and 300 seconds`);
+      }
+    });
+    if (profile.silenceThreshold !== null && (profile.silenceThreshold < -80 || profile.silenceThreshold > -10)) {
+      errors.push(`${label} silence threshold must be between -80 and -10 dB`);
+    }
+    if (profile.silenceMinDuration !== null && (profile.silenceMinDuration < 0.1 || profile.silenceMinDuration > 10)) {
+      errors.push(`${label} minimum silence must be between 0.1 and 10 seconds`);
+    }
+    
+    const usedKeys = new Set();
+    profile.keyBindings.forEach(binding => {
+      if (!binding.key) return;
+      if (usedKeys.has(binding.key)) {
+        errors.push(`${label} has duplicate key: ${getKeyName(binding.key)}`);
+      }
+      usedKeys.add(binding.key);
+    });
+  });
+  
+  return errors;
+}
+
+function populateSiteProfiles() {
+  const container = document.getElementById('siteProfilesContainer');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  if (siteProfiles.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-description';
+    empty.textContent = 'No site profiles yet. Sites use the global settings.';
+    container.appendChild(empty);
+    return;
+  }
+  
+  siteProfiles.forEach((profile, index) => {
+    container.appendChild(createSiteProfileItem(profile, index));
+  });
+}
+
+function createSiteProfileItem(profile, index) {
+  const item = document.createElement('div');
+  item.className = 'profile-item';
+  
+  // Numeric override input; empty means "use the global setting"
+  const createNumberField = (labelText, field, attrs) => {
+    const label = document.createElement('label');
+    label.className = 'profile-field';
+    label.textContent = labelText;
+    
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'shortcut-value';
+    input.min = attrs.min;
+    input.max = attrs.max;
+    input.step = attrs.step;
+    input.placeholder = 'Global';
+    input.value = profile[field] !== null ? profile[field] : '';
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      siteProfiles[index][field] = isNaN(value) ? null : value;
+    });
+    
+    label.appendChild(input);
+    return label;
+  };
+  
+  // Header: enabled, name, pattern, remove
+  const header = document.createElement('div');
+  header.className = 'profile-header';
+  
+  const enabledToggle = document.createElement('label');
+  enabledToggle.className = 'toggle-switch';
+  enabledToggle.title = 'Enable this profile';
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.checked = profile.enabled;
+  const enabledSlider = document.createElement('span');
+  enabledSlider.className = 'toggle-slider';
+  enabledToggle.appendChild(enabledInput);
+  enabledToggle.appendChild(enabledSlider);
+  
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'shortcut-action profile-name';
+  nameInput.placeholder = 'Name';
+  nameInput.value = profile.name;
+  
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.className = 'shortcut-action profile-pattern';
+  patternInput.placeholder = 'youtube.com, *.example.com, site.com/path or /regex/';
+  patternInput.value = profile.pattern;
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'shortcut-remove';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove profile';
+  
+  enabledInput.addEventListener('change', () => {
+    siteProfiles[index].enabled = enabledInput.checked;
+  });
+  nameInput.addEventListener('input', () => {
+    siteProfiles[index].name = nameInput.value;
+  });
+  patternInput.addEventListener('input', () => {
+    siteProfiles[index].pattern = patternInput.value;
+  });
+  removeBtn.addEventListener('click', () => {
+    siteProfiles.splice(index, 1);
+    populateSiteProfiles();
+  });
+  
+  header.appendChild(enabledToggle);
+  header.appendChild(nameInput);
+  header.appendChild(patternInput);
+  header.appendChild(removeBtn);
+  
+  // Overrides: speed, volume, controller, skip amounts
+  const fields = document.createElement('div');
+  fields.className = 'profile-fields';
+  fields.appendChild(createNumberField('Speed', 'speed', { min: 0.1, max: 16, step: 0.05 }));
+  fields.appendChild(createNumberField('Volume', 'volume', { min: 0.1, max: 5, step: 0.1 }));
+  fields.appendChild(createNumberField('Rewind (s)', 'rewindAmount', { min: 1, max: 300, step: 1 }));
+  fields.appendChild(createNumberField('Advance (s)', 'advanceAmount', { min: 1, max: 300, step: 1 }));
+  fields.appendChild(createNumberField('Silence (dB)', 'silenceThreshold', { min: -80, max: -10, step: 1 }));
+  fields.appendChild(createNumberField('Min silence (s)', 'silenceMinDuration', { min: 0.1, max: 10, step: 0.1 }));
+  
+  const controllerLabel = document.createElement('label');
+  controllerLabel.className = 'profile-field';
+  controllerLabel.textContent = 'Controller';
+  const controllerSelect = document.createElement('select');
+  controllerSelect.className = 'shortcut-value';
+  [['', 'Global'], ['show', 'Show'], ['hide', 'Hide']].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    controllerSelect.appendChild(option);
+  });
+  controllerSelect.value = profile.showController === null ? '' : (profile.showController ? 'show' : 'hide');
+  controllerSelect.addEventListener('change', () => {
+    siteProfiles[index].showController = controllerSelect.value === '' ? null : controllerSelect.value === 'show';
+  });
+  controllerLabel.appendChild(controllerSelect);
+  fields.appendChild(controllerLabel);
+  
+  const silenceLabel = document.createElement('label');
+  silenceLabel.className = 'profile-field';
+  silenceLabel.textContent = 'Skip silence';
+  const silenceSelect = document.createElement('select');
+  silenceSelect.className = 'shortcut-value';
+  [['', 'Global'], ['on', 'On'], ['off', 'Off']].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    silenceSelect.appendChild(option);
+  });
+  silenceSelect.value = profile.silenceSkip === null ? '' : (profile.silenceSkip ? 'on' : 'off');
+  silenceSelect.addEventListener('change', () => {
+    siteProfiles[index].silenceSkip = silenceSelect.value === '' ? null : silenceSelect.value === 'on';
+  });
+  silenceLabel.appendChild(silenceSelect);
+  fields.appendChild(silenceLabel);
+  
+  const interruptLabel = document.createElement('label');
+  interruptLabel.className = 'profile-field';
+  interruptLabel.textContent = 'When interrupted';
+  const interruptSelect = document.createElement('select');
+  interruptSelect.className = 'shortcut-value';
+  [['', 'Global'], ['mute', 'Mute'], ['pause', 'Pause']].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    interruptSelect.appendChild(option);
+  });
+  interruptSelect.value = profile.muteInsteadOfPause === null ? '' : (profile.muteInsteadOfPause ? 'mute' : 'pause');
+  interruptSelect.addEventListener('change', () => {
+    siteProfiles[index].muteInsteadOfPause = interruptSelect.value === '' ? null : interruptSelect.value === 'mute';
+  });
+  interruptLabel.appendChild(interruptSelect);
+  fields.appendChild(interruptLabel);
+  
+  // Key binding overrides replace the global key for the same action
+  const bindingsList = document.createElement('div');
+  bindingsList.className = 'profile-bindings';
+  
+  profile.keyBindings.forEach((binding, bindingIndex) => {
+    const row = document.createElement('div');
+    row.className = 'profile-binding';
+    
+    const actionSelect = document.createElement('select');
+    actionSelect.className = 'shortcut-action';
+    Object.entries(actionDescriptions).forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      option.selected = binding.action === value;
+      actionSelect.appendChild(option);
+    });
+    
+    const keyInput = document.createElement('input');
+    keyInput.className = 'shortcut-key';
+    keyInput.type = 'text';
+    keyInput.value = getKeyName(binding.key);
+    keyInput.placeholder = 'Press a key';
+    keyInput.readOnly = true;
+    
+    const removeBindingBtn = document.createElement('button');
+    removeBindingBtn.className = 'shortcut-remove';
+    removeBindingBtn.textContent = '✕';
+    removeBindingBtn.title = 'Remove key override';
+    
+    actionSelect.addEventListener('change', () => {
+      siteProfiles[index].keyBindings[bindingIndex].action = actionSelect.value;
+    });
+    keyInput.addEventListener('keydown', (e) => {
+      e.preventDefault();
+      siteProfiles[index].keyBindings[bindingIndex].key = e.keyCode;
+      keyInput.value = getKeyName(e.keyCode);
+    });
+    removeBindingBtn.addEventListener('click', () => {
+      siteProfiles[index].keyBindings.splice(bindingIndex, 1);
+      populateSiteProfiles();
+    });
+    
+    row.appendChild(actionSelect);
+    row.appendChild(keyInput);
+    row.appendChild(removeBindingBtn);
+    bindingsList.appendChild(row);
+  });
+  
+  const addBindingBtn = document.createElement('button');
+  addBindingBtn.className = 'btn btn-secondary';
+  addBindingBtn.textContent = 'Add key override';
+  addBindingBtn.addEventListener('click', () => {
+    siteProfiles[index].keyBindings.push({ action: 'faster', key: 70 }); // F key
+    populateSiteProfiles();
+  });
+  
+  item.appendChild(header);
+  item.appendChild(fields);
+  item.appendChild(bindingsList);
+  item.appendChild(addBindingBtn);
+  
+  return item;
+}
+
+function addNewSiteProfile() {
+  siteProfiles.push(...normalizeSiteProfiles([{ pattern: '' }]));
+  populateSiteProfiles();
+}
+
+/**
+ * Stored per-domain effects as an editable list, one entry per site
+ */
+function audioEffectsToList(perDomain) {
+  return Object.entries(perDomain || {}).map(([hostname, effects]) => ({
+    hostname,
+    effects: umeAudioEffects.normalizeEffects(effects)
+  }));
+}
+
+/**
+ * Editable list back to the stored object; sites left neutral are dropped
+ */
+function audioEffectsFromList(list) {
+  return list.reduce((perDomain, site) => {
+    const hostname = site.hostname.trim().toLowerCase();
+    return hostname ? umeAudioEffects.setDomainEffects(perDomain, hostname, site.effects) : perDomain;
+  }, {});
+}
+
+/**
+ * Validate audio effects sites
+ */
+function validateAudioEffects() {
+  const errors = [];
+  const seen = new Set();
+  
+  audioEffectsSites.forEach((site, index) => {
+    const hostname = site.hostname.trim().toLowerCase();
+    if (!hostname) {
+      errors.push(`Audio effects ${index + 1} needs a site`);
+    } else if (!/^[a-z0-9.-]+$/.test(hostname)) {
+      errors.push(`Audio effects site must be a host name like example.com: ${hostname}`);
+    } else if (seen.has(hostname)) {
+      errors.push(`Duplicate audio effects site: ${hostname}`);
+    }
+    seen.add(hostname);
+  });
+  
+  return errors;
+}
+
+function populateAudioEffects() {
+  const container = document.getElementById('audioEffectsContainer');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  if (audioEffectsSites.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-description';
+    empty.textContent = 'No audio effects yet. Add a site here or use Audio effects in the popup.';
+    container.appendChild(empty);
+    return;
+  }
+  
+  audioEffectsSites.forEach((site, index) => {
+    container.appendChild(createAudioEffectsItem(site, index));
+  });
+}
+
+function createAudioEffectsItem(site, index) {
+  const item = document.createElement('div');
+  item.className = 'profile-item';
+  
+  // Header: site, preset, remove
+  const header = document.createElement('div');
+  header.className = 'profile-header';
+  
+  const hostnameInput = document.createElement('input');
+  hostnameInput.type = 'text';
+  hostnameInput.className = 'shortcut-action profile-pattern';
+  hostnameInput.placeholder = 'www.youtube.com';
+  hostnameInput.value = site.hostname;
+  
+  const presetSelect = document.createElement('select');
+  presetSelect.className = 'shortcut-value';
+  presetSelect.title = 'Equalizer preset';
+  Object.entries(umeAudioEffects.PRESETS).forEach(([value, preset]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = preset.name;
+    presetSelect.appendChild(option);
+  });
+  const customOption = document.createElement('option');
+  customOption.value = 'custom';
+  customOption.textContent = 'Custom';
+  customOption.disabled = true;
+  presetSelect.appendChild(customOption);
+  presetSelect.value = site.effects.preset;
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'shortcut-remove';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove effects for this site';
+  
+  hostnameInput.addEventListener('input', () => {
+    site.hostname = hostnameInput.value;
+  });
+  presetSelect.addEventListener('change', () => {
+    site.effects = umeAudioEffects.applyPreset(site.effects, presetSelect.value);
+    populateAudioEffects();
+  });
+  removeBtn.addEventListener('click', () => {
+    audioEffectsSites.splice(index, 1);
+    populateAudioEffects();
+  });
+  
+  header.appendChild(hostnameInput);
+  header.appendChild(presetSelect);
+  header.appendChild(removeBtn);
+  
+  // One vertical slider per EQ band; moving one switches the preset to Custom
+  const bands = document.createElement('div');
+  bands.className = 'eq-bands';
+  umeAudioEffects.EQ_FREQUENCIES.forEach((frequency, bandIndex) => {
+    const band = document.createElement('label');
+    band.className = 'eq-band';
+    
+    const gainLabel = document.createElement('span');
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = -umeAudioEffects.EQ_RANGE;
+    slider.max = umeAudioEffects.EQ_RANGE;
+    slider.step = 1;
+    slider.value = site.effects.eq[bandIndex];
+    const frequencyLabel = document.createElement('span');
+    frequencyLabel.textContent = frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+    
+    const showGain = () => {
+      const gain = parseInt(slider.value, 10);
+      gainLabel.textContent = gain > 0 ? `+${gain}` : String(gain);
+    };
+    showGain();
+    slider.addEventListener('input', () => {
+      showGain();
+      const eq = site.effects.eq.slice();
+      eq[bandIndex] = parseInt(slider.value, 10);
+      site.effects = umeAudioEffects.normalizeEffects({ ...site.effects, eq });
+      presetSelect.value = site.effects.preset;
+    });
+    
+    band.title = `${frequency} Hz (dB)`;
+    band.appendChild(gainLabel);
+    band.appendChild(slider);
+    band.appendChild(frequencyLabel);
+    bands.appendChild(band);
+  });
+  
+  // Night mode, mono, balance
+  const fields = document.createElement('div');
+  fields.className = 'profile-fields';
+  
+  const createToggleField = (labelText, field, title) => {
+    const label = document.createElement('label');
+    label.className = 'profile-field';
+    label.textContent = labelText;
+    label.title = title;
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = site.effects[field];
+    input.addEventListener('change', () => {
+      site.effects[field] = input.checked;
+    });
+    label.appendChild(input);
+    return label;
+  };
+  fields.appendChild(createToggleField('Night mode', 'nightMode', 'Compress loud and quiet passages for late-night listening'));
+  fields.appendChild(createToggleField('Mono', 'mono', 'Mix both channels into each speaker'));
+  
+  const balanceLabel = document.createElement('label');
+  balanceLabel.className = 'profile-field';
+  const balanceSlider = document.createElement('input');
+  balanceSlider.type = 'range';
+  balanceSlider.className = 'effects-balance';
+  balanceSlider.min = -100;
+  balanceSlider.max = 100;
+  balanceSlider.step = 10;
+  balanceSlider.value = Math.round(site.effects.pan * 100);
+  const showBalance = () => {
+    const pan = parseInt(balanceSlider.value, 10);
+    balanceLabel.firstChild.textContent = pan === 0 ? 'Balance: center' : `Balance: ${pan < 0 ? 'L' : 'R'} ${Math.abs(pan)}%`;
+  };
+  balanceLabel.appendChild(document.createTextNode(''));
+  balanceLabel.appendChild(balanceSlider);
+  showBalance();
+  balanceSlider.addEventListener('input', () => {
+    showBalance();
+    site.effects.pan = parseInt(balanceSlider.value, 10) / 100;
+  });
+  fields.appendChild(balanceLabel);
+  
+  item.appendChild(header);
+  item.appendChild(bands);
+  item.appendChild(fields);
+  
+  return item;
+}
+
+function addNewAudioEffects() {
+  audioEffectsSites.push({ hostname: '', effects: umeAudioEffects.defaultEffects() });
+  populateAudioEffects();
+}
+
+/**
+ * Validate quiet hours rules
+ */
+function validateQuietHoursRules() {
+  const errors = [];
+  quietHoursRules.forEach((rule, index) => {
+    errors.push(...umeQuietHours.validateRule(rule, `Quiet hours rule ${index + 1}`));
+  });
+  return errors;
+}
+
+function populateQuietHoursRules() {
+  const container = document.getElementById('quietHoursContainer');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  if (quietHoursRules.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-description';
+    empty.textContent = 'No quiet hours yet. Add a rule to cap the volume or pause media at set times.';
+    container.appendChild(empty);
+    return;
+  }
+  
+  quietHoursRules.forEach((rule, index) => {
+    container.appendChild(createQuietHoursItem(rule, index));
+  });
+}
+
+function createQuietHoursItem(rule, index) {
+  const item = document.createElement('div');
+  item.className = 'profile-item';
+  
+  // Header: enabled, action, remove
+  const header = document.createElement('div');
+  header.className = 'profile-header';
+  
+  const enabledToggle = document.createElement('label');
+  enabledToggle.className = 'toggle-switch';
+  enabledToggle.title = 'Enable this rule';
+  const enabledInput = document.createElement('input');
+  enabledInput.type = 'checkbox';
+  enabledInput.checked = rule.enabled;
+  const enabledSlider = document.createElement('span');
+  enabledSlider.className = 'toggle-slider';
+  enabledToggle.appendChild(enabledInput);
+  enabledToggle.appendChild(enabledSlider);
+  
+  const actionSelect = document.createElement('select');
+  actionSelect.className = 'shortcut-action';
+  Object.entries(umeQuietHours.ACTIONS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    actionSelect.appendChild(option);
+  });
+  actionSelect.value = rule.action;
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'shortcut-remove';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove rule';
+  
+  enabledInput.addEventListener('change', () => {
+    rule.enabled = enabledInput.checked;
+  });
+  // End time and volume only apply to caps
+  actionSelect.addEventListener('change', () => {
+    rule.action = actionSelect.value;
+    populateQuietHoursRules();
+  });
+  removeBtn.addEventListener('click', () => {
+    quietHoursRules.splice(index, 1);
+    populateQuietHoursRules();
+  });
+  
+  header.appendChild(enabledToggle);
+  header.appendChild(actionSelect);
+  header.appendChild(removeBtn);
+  
+  // Times and volume
+  const fields = document.createElement('div');
+  fields.className = 'profile-fields';
+  
+  const createTimeField = (labelText, field) => {
+    const label = document.createElement('label');
+    label.className = 'profile-field';
+    label.textContent = labelText;
+    const input = document.createElement('input');
+    input.type = 'time';
+    input.className = 'shortcut-value';
+    input.value = rule[field];
+    input.addEventListener('change', () => {
+      rule[field] = input.value;
+    });
+    label.appendChild(input);
+    return label;
+  };
+  
+  if (rule.action === 'capVolume') {
+    fields.appendChild(createTimeField('From', 'start'));
+    fields.appendChild(createTimeField('Until', 'end'));
+    
+    const volumeLabel = document.createElement('label');
+    volumeLabel.className = 'profile-field';
+    volumeLabel.textContent = 'Max volume %';
+    volumeLabel.title = 'No tab plays louder than this, boosted or not';
+    const volumeInput = document.createElement('input');
+    volumeInput.type = 'number';
+    volumeInput.className = 'shortcut-value';
+    volumeInput.min = umeQuietHours.MIN_VOLUME * 100;
+    volumeInput.max = 100;
+    volumeInput.step = 5;
+    volumeInput.value = Math.round(rule.volume * 100);
+    volumeInput.addEventListener('change', () => {
+      const volume = parseFloat(volumeInput.value);
+      rule.volume = isNaN(volume) ? rule.volume : Math.min(Math.max(volume / 100, umeQuietHours.MIN_VOLUME), 1);
+      volumeInput.value = Math.round(rule.volume * 100);
+    });
+    volumeLabel.appendChild(volumeInput);
+    fields.appendChild(volumeLabel);
+  } else {
+    fields.appendChild(createTimeField('At', 'start'));
+  }
+  
+  // Days of the week; an overnight cap belongs to the day it starts
+  const days = document.createElement('div');
+  days.className = 'quiet-hours-days';
+  umeQuietHours.DAY_NAMES.forEach((dayName, day) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = rule.days.includes(day);
+    input.addEventListener('change', () => {
+      rule.days = umeQuietHours.ALL_DAYS.filter(other => other === day ? input.checked : rule.days.includes(other));
+    });
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(dayName));
+    days.appendChild(label);
+  });
+  
+  item.appendChild(header);
+  item.appendChild(fields);
+  item.appendChild(days);
+  
+  return item;
+}
+
+function addNewQuietHoursRule() {
+  quietHoursRules.push(...umeQuietHours.normalizeRules([
+    { action: 'capVolume', start: '22:00', end: '07:00', volume: 0.5 }
+  ]));
+  populateQuietHoursRules();
+}
+
+/**
+ * Load the bookmarks that content scripts keep in storage.local
+ */
+async function loadBookmarks() {
+  const result = await localGet([umeBookmarks.STORAGE_KEY]);
+  bookmarkStore = (result && result[umeBookmarks.STORAGE_KEY]) || {};
+  populateBookmarks();
+}
+
+/**
+ * Rename or delete bookmarks; written straight to storage.local, not through Save Settings
+ */
+async function updateBookmarks(change) {
+  try {
+    const result = await localGet([umeBookmarks.STORAGE_KEY]);
+    const store = (result && result[umeBookmarks.STORAGE_KEY]) || {};
+    change(store);
+    await localSet({ [umeBookmarks.STORAGE_KEY]: store });
+    bookmarkStore = store;
+    populateBookmarks();
+  } catch (error) {
+    console.error('Failed to update bookmarks:', error);
+    showStatus('Failed to update bookmarks', 'error');
+  }
+}
+
+function populateBookmarks() {
+  const container = document.getElementById('bookmarksContainer');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  
+  const pages = umeBookmarks.listPages(bookmarkStore);
+  if (pages.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'setting-description';
+    empty.textContent = 'No bookmarks yet. Add them from the 🔖 button on a video or with the Add Bookmark key.';
+    container.appendChild(empty);
+    return;
+  }
+  
+  pages.forEach(page => container.appendChild(createBookmarkPageItem(page)));
+}
+
+/**
+ * One page: title and URL, then its bookmarks per media with chapter copy/export
+ */
+function createBookmarkPageItem(page) {
+  const item = document.createElement('div');
+  item.className = 'profile-item';
+  
+  const header = document.createElement('div');
+  header.className = 'profile-header';
+  
+  const link = document.createElement('a');
+  link.className = 'bookmark-page-title';
+  link.href = page.url;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = page.title || page.url;
+  link.title = page.url;
+  
+  const removePageBtn = document.createElement('button');
+  removePageBtn.className = 'shortcut-remove';
+  removePageBtn.textContent = '✕';
+  removePageBtn.title = 'Delete all bookmarks of this page';
+  removePageBtn.addEventListener('click', () => {
+    if (!confirm(`Delete all ${page.bookmarks.length} bookmarks of this page?`)) return;
+    updateBookmarks(store => {
+      delete store[umeBookmarks.pageKey(page.url)];
+    });
+  });
+  
+  header.appendChild(link);
+  header.appendChild(removePageBtn);
+  item.appendChild(header);
+  
+  // Pages rarely have more than one bookmarked media; label them only when they do
+  const mediaKeys = [...new Set(page.bookmarks.map(bookmark => bookmark.media))];
+  mediaKeys.forEach((media, mediaIndex) => {
+    const bookmarks = umeBookmarks.forMedia(bookmarkStore, page.url, media);
+    
+    if (mediaKeys.length > 1) {
+      const label = document.createElement('div');
+      label.className = 'setting-description bookmark-media';
+      label.textContent = `Media ${mediaIndex + 1}${media ? ': ' + media : ''}`;
+      item.appendChild(label);
+    }
+    
+    const list = document.createElement('div');
+    list.className = 'profile-bindings bookmark-list';
+    bookmarks.forEach(bookmark => list.appendChild(createBookmarkRow(page, bookmark)));
+    item.appendChild(list);
+    
+    const chapters = umeBookmarks.toChapterText(bookmarks);
+    const actions = document.createElement('div');
+    actions.className = 'profile-binding';
+    
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'btn btn-secondary';
+    copyBtn.textContent = 'Copy Chapters';
+    copyBtn.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(chapters);
+        showStatus('Chapters copied', 'success', 1500);
+      } catch (error) {
+        showStatus('Failed to copy chapters', 'error');
+      }
+    });
+    
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn btn-secondary';
+    exportBtn.textContent = 'Export Chapters';
+    exportBtn.addEventListener('click', () => {
+      downloadText('chapters.txt', chapters + '\n', 'text/plain');
+    });
+    
+    actions.appendChild(copyBtn);
+    actions.appendChild(exportBtn);
+    item.appendChild(actions);
+  });
+  
+  return item;
+}
+
+function createBookmarkRow(page, bookmark) {
+  const row = document.createElement('div');
+  row.className = 'profile-binding';
+  
+  const time = document.createElement('span');
+  time.className = 'bookmark-time';
+  time.textContent = umeBookmarks.formatChapterTime(bookmark.time);
+  
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'shortcut-action bookmark-name';
+  nameInput.value = bookmark.name;
+  nameInput.addEventListener('change', () => {
+    updateBookmarks(store => umeBookmarks.renameBookmark(store, page.url, bookmark.id, nameInput.value));
+  });
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'shortcut-remove';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Delete bookmark';
+  removeBtn.addEventListener('click', () => {
+    updateBookmarks(store => umeBookmarks.removeBookmark(store, page.url, bookmark.id));
+  });
+  
+  row.appendChild(time);
+  row.appendChild(nameInput);
+  row.appendChild(removeBtn);
+  return row;
+}
+
+function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 function getKeyName(keyCode) {
+  // Unbound actions show the input's "Press a key" placeholder
+  if (!keyCode) {
+    return '';
+  }
+  
   if (keyCodeNames[keyCode]) {
     return keyCodeNames[keyCode];
   }
@@ -0,0 +1,204 @@
+/**
+ * UME - Ultimate Media Extention - Media dashboard
+ * The side panel (Chrome) / sidebar (Firefox): every media tab grouped by browser window, with
+ * the popup's tab rows (media-list.js) and bulk actions per window. Unlike the popup it stays
+ * open, so it refreshes itself as tabs change.
+ */
+
+(function() {
+  'use strict';
+
+  const browserAPI = typeof chrome !== 'undefined' && chrome.runtime ? chrome : browser;
+  const mediaListUtils = window.umeMediaList;
+
+  const REFRESH_DELAY = 150; // Tab events come in bursts (a closed window removes all its tabs)
+
+  let windowsList, noTabsMessage, refreshButton;
+  let mediaList = null;
+  let refreshTimer = null;
+  let progressTimer = null;
+
+  function initialize() {
+    windowsList = document.getElementById('dashboardWindows');
+    noTabsMessage = document.getElementById('noTabsMessage');
+    refreshButton = document.getElementById('dashboardRefresh');
+
+    mediaList = mediaListUtils.createMediaList({
+      browserAPI,
+      sendMessage,
+      showError,
+      refresh: loadDashboard,
+      speedButtons: true,
+      closeOnSwitch: false
+    });
+
+    applyStoredTheme();
+    loadDashboard();
+
+    refreshButton.addEventListener('click', loadDashboard);
+
+    browserAPI.runtime.onMessage.addListener((message) => {
+      if (message.type === 'MEDIA_STATE_CHANGED') {
+        scheduleRefresh();
+      }
+    });
+    // Which window a tab is in, which one is current and which are muted aren't media events
+    browserAPI.tabs.onActivated.addListener(scheduleRefresh);
+    browserAPI.tabs.onRemoved.addListener(scheduleRefresh);
+    browserAPI.tabs.onAttached.addListener(scheduleRefresh);
+    browserAPI.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (changeInfo.mutedInfo || changeInfo.title || changeInfo.status === 'complete') {
+        scheduleRefresh();
+      }
+    });
+
+    progressTimer = setInterval(() => mediaList.tickProgress(), 1000);
+    window.addEventListener('unload', () => clearInterval(progressTimer));
+  }
+
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(loadDashboard, REFRESH_DELAY);
+  }
+
+  /**
+   * Load the media tabs and every browser tab, and render them grouped by window
+   */
+  async function loadDashboard() {
+    try {
+      const [state, browserTabs, currentWindow] = await Promise.all([
+        sendMessage({ type: 'GET_ACTIVE_TABS' }),
+        browserAPI.tabs.query({}),
+        browserAPI.windows.getCurrent()
+      ]);
+      const mediaTabs = (state && state.activeTabs) || [];
+      render(mediaListUtils.groupByWindow(mediaTabs, browserTabs, currentWindow.id), state && state.currentPlaying, currentWindow.id);
+    } catch (error) {
+      console.error('Failed to load the dashboard:', error);
+      showError('Failed to load media tabs');
+    }
+  }
+
+  function render(groups, currentPlaying, currentWindowId) {
+    windowsList.innerHTML = '';
+    mediaList.clearTrackers();
+    noTabsMessage.style.display = groups.length === 0 ? 'block' : 'none';
+
+    groups.forEach((group, index) => {
+      const section = document.createElement('section');
+      section.className = 'dashboard-window';
+
+      const title = document.createElement('h2');
+      title.className = 'section-title';
+      title.textContent = group.windowId === currentWindowId ? 'This window' : `Window ${index + 1}`;
+      const count = document.createElement('span');
+      count.className = 'dashboard-window-count';
+      count.textContent = `${group.tabs.length} tab${group.tabs.length !== 1 ? 's' : ''}`;
+      title.appendChild(count);
+
+      const tabsList = document.createElement('div');
+      tabsList.className = 'tabs-list';
+      group.tabs.forEach((tabData) => {
+        const { tabId, ...tabInfo } = tabData;
+        tabsList.appendChild(mediaList.createTabItem(tabId, tabInfo, tabData.isPlaying || tabId === currentPlaying));
+      });
+
+      section.appendChild(title);
+      section.appendChild(createWindowActions(group));
+      section.appendChild(tabsList);
+      windowsList.appendChild(section);
+    });
+  }
+
+  // ============================================================================
+  // BULK ACTIONS
+  // ============================================================================
+
+  /**
+   * Pause all / mute all except the window's current tab / close tabs whose media ended
+   */
+  function createWindowActions(group) {
+    const actions = document.createElement('div');
+    actions.className = 'dashboard-actions';
+
+    const playing = group.tabs.filter(tab => tab.isPlaying);
+    const others = group.tabs.filter(tab => tab.tabId !== group.activeTabId && !tab.muted);
+    const ended = group.tabs.filter(tab => tab.ended);
+
+    const addAction = (text, title, tabs, run) => {
+      const button = document.createElement('button');
+      button.className = 'control-button secondary';
+      button.textContent = text;
+      button.title = title;
+      button.disabled = tabs.length === 0;
+      button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+          await run(tabs.map(tab => tab.tabId));
+        } catch (error) {
+          console.error(`Dashboard action "${text}" failed:`, error);
+          showError(`Failed: ${text}`);
+        }
+        scheduleRefresh();
+      });
+      actions.appendChild(button);
+    };
+
+    addAction('⏸️ Pause all', 'Pause every playing tab in this window', playing, async (tabIds) => {
+      for (const tabId of tabIds) {
+        await mediaList.pauseTab(tabId);
+      }
+    });
+    addAction('🔇 Mute others', 'Mute every media tab in this window except the current one', others, (tabIds) =>
+      Promise.all(tabIds.map(tabId => browserAPI.tabs.update(tabId, { muted: true }))));
+    addAction(`✖ Close ended (${ended.length})`, 'Close the tabs in this window whose media has ended', ended, (tabIds) =>
+      browserAPI.tabs.remove(tabIds));
+
+    return actions;
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  function sendMessage(message) {
+    if (typeof browser !== 'undefined' && browser.runtime) {
+      return browser.runtime.sendMessage(message);
+    }
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  function showError(message) {
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'dashboard-error';
+    errorDiv.textContent = message;
+    document.body.appendChild(errorDiv);
+    setTimeout(() => errorDiv.remove(), 3000);
+  }
+
+  /**
+   * Follow the theme picked in the popup
+   */
+  async function applyStoredTheme() {
+    try {
+      const result = await browserAPI.storage.sync.get(['theme']);
+      document.documentElement.setAttribute('data-theme', result && result.theme === 'dark' ? 'dark' : 'light');
+    } catch (error) {
+      document.documentElement.setAttribute('data-theme', 'light');
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
+})();
@@ -0,0 +1,77 @@
+/**
+ * UME - Ultimate Media Extention - Mini player host
+ * Opens popup.html?view=mini in a Document Picture-in-Picture window, which stays on top of other
+ * windows. That window belongs to the page that opened it and closes with it, so it can't come
+ * from the popup (closed on every click-away); this page opens it and stays in the background.
+ */
+
+(function() {
+  'use strict';
+  
+  const browserAPI = typeof chrome !== 'undefined' && chrome.runtime ? chrome : browser;
+  
+  const MINI_PLAYER_SIZE = { width: 380, height: 560 };
+  
+  let openButton, statusText;
+  let pipWindow = null;
+  
+  function initialize() {
+    openButton = document.getElementById('openMiniPlayer');
+    statusText = document.getElementById('miniHostStatus');
+    
+    if (!('documentPictureInPicture' in window)) {
+      openButton.disabled = true;
+      statusText.textContent = 'This browser has no Document Picture-in-Picture; use the mini player button in the popup instead.';
+      return;
+    }
+    
+    // Browsers only open the window on a user gesture, so this can't happen on load
+    openButton.addEventListener('click', openMiniPlayer);
+  }
+  
+  async function openMiniPlayer() {
+    if (pipWindow) {
+      pipWindow.focus();
+      return;
+    }
+    
+    try {
+      pipWindow = await window.documentPictureInPicture.requestWindow(MINI_PLAYER_SIZE);
+    } catch (error) {
+      console.error('Failed to open the mini player:', error);
+      statusText.textContent = `The browser refused to open the mini player: ${error.message}`;
+      return;
+    }
+    
+    // The popup page runs unchanged in a frame, with its own document and extension APIs
+    const pipDocument = pipWindow.document;
+    pipDocument.title = 'UME - Mini player';
+    pipDocument.documentElement.style.height = '100%';
+    pipDocument.body.style.cssText = 'margin: 0; height: 100%;';
+    
+    const frame = pipDocument.createElement('iframe');
+    frame.src = browserAPI.runtime.getURL('popup/popup.html?view=mini');
+    frame.title = 'UME mini player';
+    frame.style.cssText = 'display: block; width: 100%; height: 100%; border: 0;';
+    pipDocument.body.appendChild(frame);
+    
+    pipWindow.addEventListener('pagehide', () => {
+      pipWindow = null;
+      updateStatus();
+    });
+    updateStatus();
+  }
+  
+  function updateStatus() {
+    statusText.textContent = pipWindow
+      ? 'The mini player is open. Keep this tab open while you use it.'
+      : 'The mini player floats above your other windows and shows every media tab.';
+    openButton.querySelector('.button-text').textContent = pipWindow ? 'Show mini player' : 'Open mini player';
+  }
+  
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  } else {
+    initialize();
+  }
+})();
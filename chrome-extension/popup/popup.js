@@ -22,9 +22,12 @@
   let statusDot, statusText, tabsList, noTabsMessage, pauseAllButton, refreshButton;
   let extensionToggle, toggleLabel, footerStatus, popupContainer;
   let speedControlSection, currentSpeedDisplay;
-  let volumeControlSection, currentVolumeDisplay, volumeSlider;
+  let volumeControlSection, currentVolumeDisplay, volumeCorrectionDisplay, volumeSlider;
   let volumeUpBtn, volumeDownBtn, volumeResetBtn;
-  let optionsButton;
+  let effectsPreset, effectsBalance, effectsBalanceValue, effectsNightMode, effectsMono, effectsDomain;
+  let optionsButton, miniPlayerButton, dashboardButton;
+  let continueSection, continueList;
+  let sleepTimerStatus, sleepTimerCountdown, sleepTimerCancel, sleepTimerMinutes, sleepTimerCustom;
   let themeToggle, themeLabel;
   
   // State
@@ -34,15 +37,48 @@
   let currentVolume = 1.0; // Volume multiplier (1.0 = 100%)
   let speedSettings = {};
   let volumeSettings = {};
+  let effectsHostname = null; // Domain the audio effects controls edit, the active tab's
+  let volumeTabId = null; // Active tab whose loudness correction is shown next to the volume
+  let correctionTimer = null;
+  const CORRECTION_REFRESH_INTERVAL = 2000; // The correction glides over seconds, no need to poll faster
+  const effectsUtils = window.umeAudioEffects;
+  const mediaListUtils = window.umeMediaList;
+  const { formatTime, formatUrl, createFaviconPlaceholder } = mediaListUtils;
+  let mediaList = null; // Tab rows and their controls, shared with the mini player and dashboard
+  let progressTimer = null;
+  let sleepTimer = null; // The background's timer: { mode: 'duration', endsAt } | { mode: 'endOfMedia', tabId }
+  let sleepTimerTicker = null; // Counts down while a duration timer runs
+  const CONTINUE_WATCHING_LIMIT = 5; // Entries shown in the popup; the background keeps more
   let currentFilter = 'all'; // all | playing | has_media | monitoring
+  let currentPlayingTabId = null;
+  let popupWindowId = null; // For sidePanel.open(), which has to be called straight from the click
+  
+  // popup.html?view=mini is the mini player: the same page in a Document Picture-in-Picture window
+  // (see mini-player.js) or, without that API, a small browser window. It stays open, so its
+  // speed and volume controls follow the playing tab instead of the active one.
+  const isMiniView = new URLSearchParams(window.location.search).get('view') === 'mini';
+  const MINI_PLAYER_SIZE = { width: 380, height: 560 };
   
   /**
    * Initialize popup when DOM is loaded
    */
   function initialize() {
+    if (isMiniView) {
+      document.body.classList.add('mini-view');
+    }
+    
     // Get DOM elements
     getElements();
     
+    mediaList = mediaListUtils.createMediaList({
+      browserAPI,
+      sendMessage,
+      showError,
+      refresh: loadTabsData,
+      speedButtons: isMiniView,
+      closeOnSwitch: !isMiniView
+    });
+    
     // Set up event listeners
     setupEventListeners();
     
@@ -54,11 +90,29 @@
     // Load initial data
     loadTabsData();
     
+    if (browserAPI.sidePanel) {
+      browserAPI.windows.getCurrent().then(win => { popupWindowId = win.id; });
+    } else if (dashboardButton) {
+      dashboardButton.style.display = 'none'; // Chrome before 114
+    }
+    
     // Load volume settings
     loadVolumeSettings();
     
+    // Load saved positions for "Continue watching"
+    loadSavedPositions();
+    
     // Listen for changes from background script
     setupBackgroundListener();
+    
+    // Advance progress bars while the popup is open
+    progressTimer = setInterval(() => mediaList.tickProgress(), 1000);
+    window.addEventListener('unload', () => clearInterval(progressTimer));
+    window.addEventListener('unload', () => clearInterval(sleepTimerTicker));
+    
+    // Follow the loudness correction as it settles
+    correctionTimer = setInterval(refreshVolumeCorrection, CORRECTION_REFRESH_INTERVAL);
+    window.addEventListener('unload', () => clearInterval(correctionTimer));
   }
   
   /**
@@ -83,12 +137,28 @@
     // Volume control elements
     volumeControlSection = document.getElementById('volumeControlSection');
     currentVolumeDisplay = document.getElementById('currentVolume');
+    volumeCorrectionDisplay = document.getElementById('volumeCorrection');
     volumeSlider = document.getElementById('volumeSlider');
     volumeUpBtn = document.getElementById('volumeUpBtn');
     volumeDownBtn = document.getElementById('volumeDownBtn');
     volumeResetBtn = document.getElementById('volumeResetBtn');
+    effectsPreset = document.getElementById('effectsPreset');
+    effectsBalance = document.getElementById('effectsBalance');
+    effectsBalanceValue = document.getElementById('effectsBalanceValue');
+    effectsNightMode = document.getElementById('effectsNightMode');
+    effectsMono = document.getElementById('effectsMono');
+    effectsDomain = document.getElementById('effectsDomain');
     
     optionsButton = document.getElementById('optionsButton');
+    miniPlayerButton = document.getElementById('miniPlayerButton');
+    dashboardButton = document.getElementById('dashboardButton');
+    continueSection = document.getElementById('continueSection');
+    continueList = document.getElementById('continueList');
+    sleepTimerStatus = document.getElementById('sleepTimerStatus');
+    sleepTimerCountdown = document.getElementById('sleepTimerCountdown');
+    sleepTimerCancel = document.getElementById('sleepTimerCancel');
+    sleepTimerMinutes = document.getElementById('sleepTimerMinutes');
+    sleepTimerCustom = document.getElementById('sleepTimerCustom');
     themeToggle = document.getElementById('themeToggle');
     themeLabel = document.getElementById('themeLabel');
   }
@@ -106,6 +176,23 @@
     // Options button
     optionsButton?.addEventListener('click', handleOptions);
     
+    // Mini player button (hidden inside the mini player itself)
+    miniPlayerButton?.addEventListener('click', openMiniPlayer);
+    
+    // Media dashboard in the side panel / sidebar
+    dashboardButton?.addEventListener('click', openDashboard);
+    
+    // Sleep timer presets, custom minutes and cancel
+    document.querySelectorAll('.sleep-timer-button[data-minutes], .sleep-timer-button[data-end-of-media]').forEach(button => {
+      button.addEventListener('click', () => {
+        setSleepTimer(button.dataset.endOfMedia ? { endOfMedia: true } : { minutes: parseFloat(button.dataset.minutes) });
+      });
+    });
+    sleepTimerCustom?.addEventListener('click', () => {
+      setSleepTimer({ minutes: parseFloat(sleepTimerMinutes.value) });
+    });
+    sleepTimerCancel?.addEventListener('click', cancelSleepTimer);
+    
     // Extension toggle
     extensionToggle?.addEventListener('change', handleExtensionToggle);
     // Theme toggle
@@ -117,11 +204,19 @@
     volumeDownBtn?.addEventListener('click', handleVolumeDown);
     volumeResetBtn?.addEventListener('click', handleVolumeReset);
     
+    // Audio effects; the balance label follows the slider, the change applies on release
+    effectsPreset?.addEventListener('change', handleEffectsChange);
+    effectsNightMode?.addEventListener('change', handleEffectsChange);
+    effectsMono?.addEventListener('change', handleEffectsChange);
+    effectsBalance?.addEventListener('input', updateBalanceLabel);
+    effectsBalance?.addEventListener('change', handleEffectsChange);
+    
     // Refresh when popup becomes visible (user opens it)
     document.addEventListener('visibilitychange', () => {
       if (!document.hidden) {
         loadTabsData();
         loadVolumeSettings();
+        loadSavedPositions();
       }
     });
 
@@ -302,6 +397,7 @@
   function updateUI(data) {
     const { activeTabs = [], currentPlaying } = data;
     currentTabs = activeTabs;
+    currentPlayingTabId = currentPlaying || null;
     
     console.log('DEBUG: updateUI called with data:', data);
     console.log('DEBUG: activeTabs:', activeTabs);
@@ -321,6 +417,8 @@
     
     // Update volume controls
     updateVolumeControls(activeTabs);
+    
+    updateSleepTimerDisplay(data.sleepTimer || null);
   }
   
   /**
@@ -357,6 +455,7 @@
     
     // Clear existing content
     tabsList.innerHTML = '';
+    mediaList.clearTrackers();
     
     if (tabs.length === 0) {
       // Show no tabs message
@@ -372,7 +471,7 @@
     // Create tab items
     tabs.forEach((tabData) => {
       const { tabId, ...tabInfo } = tabData;
-      const tabItem = createTabItem(tabId, tabInfo, tabId === currentPlaying);
+      const tabItem = mediaList.createTabItem(tabId, tabInfo, tabId === currentPlaying);
       tabsList.appendChild(tabItem);
     });
   }
@@ -395,156 +494,109 @@
   }
   
   /**
-   * Create a tab item element
+   * Load saved playback positions from the background script
    */
-  function createTabItem(tabId, tabInfo, isPlaying) {
-    // Determine display status
-    const status = tabInfo.status || (isPlaying ? 'playing' : 'paused');
-    
-    const tabItem = document.createElement('div');
-    tabItem.className = `tab-item ${status} fade-in`;
-    tabItem.setAttribute('data-tab-id', tabId);
-    tabItem.setAttribute('data-status', status);
-    
-    // Create favicon
-    let favicon = document.createElement('img');
-    favicon.className = 'tab-favicon';
-    if (tabInfo.favicon) {
-      favicon.src = tabInfo.favicon;
-      favicon.onerror = () => {
-        const placeholder = createFaviconPlaceholder(favicon, tabInfo.mediaType);
-        if (placeholder && favicon.parentNode) {
-          // createFaviconPlaceholder already handled the replacement
-        }
-      };
-    } else {
-      // No favicon URL, use placeholder directly
-      const placeholder = createFaviconPlaceholder(favicon, tabInfo.mediaType);
-      if (placeholder) {
-        favicon = placeholder; // Use the placeholder element instead
-      }
+  async function loadSavedPositions() {
+    try {
+      const response = await sendMessage({ type: 'GET_SAVED_POSITIONS' });
+      renderSavedPositions((response && response.positions) || []);
+    } catch (error) {
+      console.error('Failed to load saved positions:', error);
     }
+  }
+  
+  /**
+   * Render the "Continue watching" list, most recent first
+   */
+  function renderSavedPositions(positions) {
+    if (!continueSection || !continueList) return;
     
-    // Create tab info
-    const tabInfoDiv = document.createElement('div');
-    tabInfoDiv.className = 'tab-info';
-    
-    const tabTitle = document.createElement('div');
-    tabTitle.className = 'tab-title';
-    tabTitle.textContent = tabInfo.title || 'Unknown Title';
-    tabTitle.title = tabInfo.title || 'Unknown Title';
-    
-    const tabUrl = document.createElement('div');
-    tabUrl.className = 'tab-url';
-    const urlText = formatUrl(tabInfo.url);
-    tabUrl.textContent = urlText;
-    tabUrl.title = tabInfo.url;
-    
-    tabInfoDiv.appendChild(tabTitle);
-    tabInfoDiv.appendChild(tabUrl);
-    
-    // Create status indicator
-    const statusDiv = document.createElement('div');
-    statusDiv.className = `tab-status ${status}`;
-    
-    const statusIcon = document.createElement('span');
-    const statusText = document.createElement('span');
-    
-    // Set icon and text based on status
-    switch (status) {
-      case 'playing':
-        statusIcon.textContent = '▶️';
-        const playbackRate = tabInfo.playbackRate || 1.0;
-        statusText.textContent = `Playing (${playbackRate.toFixed(2)}x)`;
-        break;
-      case 'paused':
-        statusIcon.textContent = '⏸️';
-        statusText.textContent = 'Paused';
-        break;
-      case 'has_media':
-        statusIcon.textContent = '🎬';
-        statusText.textContent = 'Media available';
-        break;
-      case 'monitoring':
-      default:
-        statusIcon.textContent = '👁️';
-        statusText.textContent = 'Monitoring...';
-        break;
+    continueList.innerHTML = '';
+    positions.slice(0, CONTINUE_WATCHING_LIMIT).forEach(entry => {
+      continueList.appendChild(createSavedPositionItem(entry));
+    });
+    continueSection.hidden = positions.length === 0;
+  }
+  
+  /**
+   * Create a "Continue watching" entry: click reopens the page at the saved position
+   */
+  function createSavedPositionItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'tab-item continue-item';
+    item.title = entry.url;
+    
+    let thumbnail = document.createElement('img');
+    thumbnail.className = 'tab-favicon';
+    if (entry.artwork) {
+      thumbnail.src = entry.artwork;
+      thumbnail.classList.add('artwork');
+      thumbnail.onerror = () => createFaviconPlaceholder(thumbnail, 'video');
+    } else {
+      thumbnail = createFaviconPlaceholder(thumbnail, 'video');
     }
     
-    statusDiv.appendChild(statusIcon);
-    statusDiv.appendChild(statusText);
-    
-    // Create controls
-    const controlsDiv = document.createElement('div');
-    controlsDiv.className = 'tab-controls';
-    
-    // Pause button (only show if playing)
-    const pauseBtn = document.createElement('button');
-    pauseBtn.className = 'tab-control-btn';
-    pauseBtn.innerHTML = '⏸️';
-    pauseBtn.title = 'Pause this tab';
-    pauseBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      pauseTab(tabId);
-    });
-    pauseBtn.style.display = isPlaying ? 'flex' : 'none';
-    
-    const focusBtn = document.createElement('button');
-    focusBtn.className = 'tab-control-btn';
-    focusBtn.innerHTML = '🔍';
-    focusBtn.title = 'Switch to this tab';
-    focusBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      switchToTab(tabId);
-    });
+    const info = document.createElement('div');
+    info.className = 'tab-info';
+    
+    const title = document.createElement('div');
+    title.className = 'tab-title';
+    title.textContent = entry.title || formatUrl(entry.url);
+    
+    const details = document.createElement('div');
+    details.className = 'tab-url';
+    details.textContent = `${formatTime(entry.currentTime)} / ${formatTime(entry.duration)} · ${formatUrl(entry.url)}`;
     
-    controlsDiv.appendChild(pauseBtn);
-    controlsDiv.appendChild(focusBtn);
+    const progress = document.createElement('div');
+    progress.className = 'continue-progress';
+    const progressBar = document.createElement('div');
+    progressBar.className = 'continue-progress-bar';
+    progressBar.style.width = `${entry.duration > 0 ? Math.min(100, (entry.currentTime / entry.duration) * 100) : 0}%`;
+    progress.appendChild(progressBar);
     
-    // Add click handler for tab item
-    tabItem.addEventListener('click', () => switchToTab(tabId));
+    info.appendChild(title);
+    info.appendChild(details);
+    info.appendChild(progress);
     
-    // Assemble the tab item
-    tabItem.appendChild(favicon);
-    tabItem.appendChild(tabInfoDiv);
-    tabItem.appendChild(statusDiv);
-    tabItem.appendChild(controlsDiv);
+    const removeButton = document.createElement('button');
+    removeButton.className = 'tab-control-btn';
+    removeButton.textContent = '✕';
+    removeButton.title = 'Remove from Continue watching';
+    removeButton.addEventListener('click', async (event) => {
+      event.stopPropagation();
+      await removeSavedPosition(entry.url);
+    });
+    
+    item.appendChild(thumbnail);
+    item.appendChild(info);
+    item.appendChild(removeButton);
+    item.addEventListener('click', () => openSavedPosition(entry.url));
     
-    return tabItem;
+    return item;
   }
   
   /**
-   * Create a placeholder favicon when image fails to load
+   * Reopen a saved page (or focus it if open) and continue from the saved position
    */
-  function createFaviconPlaceholder(imgElement, mediaType) {
-    // Replace img with div for placeholder
-    const placeholder = document.createElement('div');
-    placeholder.className = 'tab-favicon placeholder';
-    placeholder.textContent = mediaType === 'video' ? '📹' : '🎵';
-    
-    // Check if imgElement has a parent before replacing
-    if (imgElement.parentNode) {
-      imgElement.parentNode.replaceChild(placeholder, imgElement);
-    } else {
-      // If no parent, copy the className and return the placeholder
-      // This handles cases where the element isn't in the DOM yet
-      placeholder.className = imgElement.className + ' placeholder';
-      return placeholder;
+  async function openSavedPosition(url) {
+    try {
+      await sendMessage({ type: 'OPEN_SAVED_POSITION', url });
+      window.close();
+    } catch (error) {
+      console.error('Failed to open saved position:', error);
+      showError('Failed to open saved media');
     }
   }
   
   /**
-   * Format URL for display
+   * Drop an entry from "Continue watching"
    */
-  function formatUrl(url) {
-    if (!url) return 'Unknown URL';
-    
+  async function removeSavedPosition(url) {
     try {
-      const urlObj = new URL(url);
-      return urlObj.hostname;
+      await sendMessage({ type: 'REMOVE_SAVED_POSITION', url });
+      await loadSavedPositions();
     } catch (error) {
-      return url.length > 30 ? url.substring(0, 30) + '...' : url;
+      console.error('Failed to remove saved position:', error);
     }
   }
   
@@ -566,7 +618,7 @@
       
       // Pause all active tabs
       for (const tabData of currentTabs) {
-        await pauseTab(tabData.tabId);
+        await mediaList.pauseTab(tabData.tabId);
       }
       
       // Refresh data after a short delay
@@ -582,6 +634,62 @@
     }
   }
   
+  /**
+   * Ask the background to start the sleep timer ({ minutes } or { endOfMedia: true })
+   */
+  async function setSleepTimer(options) {
+    try {
+      const response = await sendMessage({ type: 'SET_SLEEP_TIMER', ...options });
+      if (!response || response.error) {
+        showError(response && response.error ? response.error : 'Failed to set sleep timer');
+        return;
+      }
+      updateSleepTimerDisplay(response.sleepTimer);
+      if (sleepTimerMinutes) sleepTimerMinutes.value = '';
+    } catch (error) {
+      console.error('Failed to set sleep timer:', error);
+      showError('Failed to set sleep timer');
+    }
+  }
+  
+  async function cancelSleepTimer() {
+    try {
+      await sendMessage({ type: 'CANCEL_SLEEP_TIMER' });
+      updateSleepTimerDisplay(null);
+    } catch (error) {
+      console.error('Failed to cancel sleep timer:', error);
+      showError('Failed to cancel sleep timer');
+    }
+  }
+  
+  /**
+   * Show the running timer, with a countdown that ticks while the popup is open
+   */
+  function updateSleepTimerDisplay(timer) {
+    sleepTimer = timer;
+    clearInterval(sleepTimerTicker);
+    sleepTimerTicker = null;
+    
+    if (sleepTimerStatus) sleepTimerStatus.hidden = !timer;
+    if (!timer) return;
+    
+    renderSleepTimerCountdown();
+    if (timer.mode === 'duration') {
+      sleepTimerTicker = setInterval(renderSleepTimerCountdown, 1000);
+    }
+  }
+  
+  function renderSleepTimerCountdown() {
+    if (!sleepTimer || !sleepTimerCountdown) return;
+    
+    if (sleepTimer.mode === 'endOfMedia') {
+      sleepTimerCountdown.textContent = '☾ Pausing when the current media ends';
+      return;
+    }
+    const remaining = (sleepTimer.endsAt - Date.now()) / 1000;
+    sleepTimerCountdown.textContent = `☾ Pausing in ${formatTime(remaining)}`;
+  }
+  
   /**
    * Handle refresh button click
    */
@@ -610,30 +718,68 @@
   }
   
   /**
-   * Pause media in a specific tab
+   * Open the mini player: a Document Picture-in-Picture window where the browser has one, which
+   * needs a page of its own to stay open (the popup closes on every click-away), else a small window
    */
-  async function pauseTab(tabId) {
+  async function openMiniPlayer() {
     try {
-      await sendMessage({ type: 'PAUSE_TAB', tabId });
+      if ('documentPictureInPicture' in window) {
+        await browserAPI.tabs.create({ url: browserAPI.runtime.getURL('popup/mini-player.html') });
+      } else {
+        await browserAPI.windows.create({
+          url: browserAPI.runtime.getURL('popup/popup.html?view=mini'),
+          type: 'popup',
+          width: MINI_PLAYER_SIZE.width,
+          height: MINI_PLAYER_SIZE.height
+        });
+      }
+      window.close();
     } catch (error) {
-      console.error(`Failed to pause tab ${tabId}:`, error);
-      throw error;
+      console.error('Failed to open the mini player:', error);
+      showError('Failed to open the mini player');
     }
   }
   
-
-  
   /**
-   * Switch to a specific tab
+   * Open the media dashboard in this window's side panel
    */
-  async function switchToTab(tabId) {
+  async function openDashboard() {
     try {
-      await browserAPI.tabs.update(parseInt(tabId), { active: true });
-      window.close(); // Close popup after switching
+      await browserAPI.sidePanel.open({ windowId: popupWindowId });
+      window.close();
     } catch (error) {
-      console.error(`Failed to switch to tab ${tabId}:`, error);
-      showError('Failed to switch to tab');
+      console.error('Failed to open the dashboard:', error);
+      showError('Failed to open the dashboard');
+    }
+  }
+  
+  /**
+   * The tabs the volume and audio effects controls act on: the active tab for the popup, the
+   * playing tab (else the active tab of the last used browser window) for the mini player
+   */
+  async function queryControlledTabs() {
+    if (isMiniView && currentPlayingTabId) {
+      try {
+        return [await browserAPI.tabs.get(currentPlayingTabId)];
+      } catch (error) {
+        // Closed since the last refresh
+      }
+    }
+    const query = isMiniView
+      ? { active: true, lastFocusedWindow: true, windowType: 'normal' }
+      : { active: true, currentWindow: true };
+    if (typeof browser !== 'undefined' && browser.tabs) {
+      return browser.tabs.query(query);
     }
+    return new Promise((resolve, reject) => {
+      chrome.tabs.query(query, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(result);
+        }
+      });
+    });
   }
   
   /**
@@ -777,10 +923,10 @@
       // Get volume settings from storage
       let result;
       if (typeof browser !== 'undefined' && browser.storage) {
-        result = await browser.storage.sync.get(['globalVolume', 'perDomainVolume', 'volumeBoosterEnabled']);
+        result = await browser.storage.sync.get(['globalVolume', 'perDomainVolume', 'volumeBoosterEnabled', 'perDomainAudioEffects']);
       } else if (typeof chrome !== 'undefined' && chrome.storage) {
         result = await new Promise((resolve, reject) => {
-          chrome.storage.sync.get(['globalVolume', 'perDomainVolume', 'volumeBoosterEnabled'], (data) => {
+          chrome.storage.sync.get(['globalVolume', 'perDomainVolume', 'volumeBoosterEnabled', 'perDomainAudioEffects'], (data) => {
             if (chrome.runtime.lastError) {
               reject(new Error(chrome.runtime.lastError.message));
             } else {
@@ -795,7 +941,8 @@
       volumeSettings = {
         globalVolume: result.globalVolume || 1.0,
         perDomainVolume: result.perDomainVolume || {},
-        volumeBoosterEnabled: result.volumeBoosterEnabled !== false
+        volumeBoosterEnabled: result.volumeBoosterEnabled !== false,
+        perDomainAudioEffects: result.perDomainAudioEffects || {}
       };
       
       // Get current active tab's domain volume
@@ -803,7 +950,7 @@
       
     } catch (error) {
       console.error('Failed to load volume settings:', error);
-      volumeSettings = { globalVolume: 1.0, perDomainVolume: {}, volumeBoosterEnabled: true };
+      volumeSettings = { globalVolume: 1.0, perDomainVolume: {}, volumeBoosterEnabled: true, perDomainAudioEffects: {} };
       updateCurrentVolumeDisplay();
     }
   }
@@ -813,23 +960,8 @@
    */
   async function updateCurrentVolumeDisplay() {
     try {
-      // Get the current active tab's domain
-      let tabs;
-      if (typeof browser !== 'undefined' && browser.tabs) {
-        tabs = await browser.tabs.query({ active: true, currentWindow: true });
-      } else if (typeof chrome !== 'undefined' && chrome.tabs) {
-        tabs = await new Promise((resolve, reject) => {
-          chrome.tabs.query({ active: true, currentWindow: true }, (result) => {
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-            } else {
-              resolve(result);
-            }
-          });
-        });
-      } else {
-        throw new Error('No tabs API available');
-      }
+      // Get the controlled tab's domain
+      const tabs = await queryControlledTabs();
       
       if (tabs && tabs.length > 0) {
         const currentTab = tabs[0];
@@ -839,15 +971,70 @@
         const domainVolume = volumeSettings.perDomainVolume[hostname] || volumeSettings.globalVolume;
         
         updateVolumeDisplay(domainVolume);
+        updateEffectsDisplay(hostname);
+        volumeTabId = currentTab.id;
       } else {
         updateVolumeDisplay(volumeSettings.globalVolume);
+        updateEffectsDisplay(null);
+        volumeTabId = null;
       }
     } catch (error) {
       console.error('Failed to get current tab domain:', error);
       updateVolumeDisplay(volumeSettings.globalVolume);
+      updateEffectsDisplay(null);
+      volumeTabId = null;
+    }
+    refreshVolumeCorrection();
+  }
+
+  /**
+   * Ask the active tab for its loudness correction and show it next to the volume
+   */
+  async function refreshVolumeCorrection() {
+    if (!volumeTabId) {
+      updateCorrectionDisplay(null);
+      return;
+    }
+    
+    const message = { type: 'GET_VOLUME_STATE' };
+    try {
+      let state;
+      if (typeof browser !== 'undefined' && browser.tabs) {
+        state = await browser.tabs.sendMessage(volumeTabId, message);
+      } else {
+        state = await new Promise((resolve, reject) => {
+          chrome.tabs.sendMessage(volumeTabId, message, (result) => {
+            if (chrome.runtime.lastError) {
+              reject(new Error(chrome.runtime.lastError.message));
+            } else {
+              resolve(result);
+            }
+          });
+        });
+      }
+      updateCorrectionDisplay(state);
+    } catch (error) {
+      // No content script on this page (new tab, store pages)
+      updateCorrectionDisplay(null);
     }
   }
 
+  /**
+   * Show the correction normalization currently applies, hidden while it is off
+   */
+  function updateCorrectionDisplay(state) {
+    if (!volumeCorrectionDisplay) return;
+    
+    if (!state || !state.normalizing) {
+      volumeCorrectionDisplay.hidden = true;
+      return;
+    }
+    const correction = Math.round(state.correction * 10) / 10;
+    volumeCorrectionDisplay.textContent = `Auto ${correction > 0 ? '+' : ''}${correction.toFixed(1)} dB`;
+    volumeCorrectionDisplay.title = 'Loudness normalization correction';
+    volumeCorrectionDisplay.hidden = false;
+  }
+
   /**
    * Update volume display in the popup
    */
@@ -929,24 +1116,7 @@
       // Get the current active tab with better error handling
       let tabs;
       try {
-        // Handle both Promise-based (Firefox) and callback-based (Chrome) APIs
-        if (typeof browser !== 'undefined' && browser.tabs) {
-          // Firefox - returns a Promise
-          tabs = await browser.tabs.query({ active: true, currentWindow: true });
-        } else if (typeof chrome !== 'undefined' && chrome.tabs) {
-          // Chrome - use callback wrapped in Promise
-          tabs = await new Promise((resolve, reject) => {
-            chrome.tabs.query({ active: true, currentWindow: true }, (result) => {
-              if (chrome.runtime.lastError) {
-                reject(new Error(chrome.runtime.lastError.message));
-              } else {
-                resolve(result);
-              }
-            });
-          });
-        } else {
-          throw new Error('No browser tabs API available');
-        }
+        tabs = await queryControlledTabs();
       } catch (queryError) {
         console.error('Failed to query tabs:', queryError);
         showError('Failed to access browser tabs: ' + queryError.message);
@@ -1058,6 +1228,121 @@
     }
   }
 
+  /**
+   * Show the active tab's domain effects in the effects controls; null disables them
+   */
+  function updateEffectsDisplay(hostname) {
+    effectsHostname = hostname;
+    const effects = effectsUtils.effectsForDomain(volumeSettings.perDomainAudioEffects, hostname);
+    
+    if (effectsDomain) effectsDomain.textContent = hostname ? `(${hostname})` : '';
+    if (effectsPreset) effectsPreset.value = effects.preset;
+    if (effectsNightMode) effectsNightMode.checked = effects.nightMode;
+    if (effectsMono) effectsMono.checked = effects.mono;
+    if (effectsBalance) effectsBalance.value = Math.round(effects.pan * 100);
+    updateBalanceLabel();
+    
+    [effectsPreset, effectsNightMode, effectsMono, effectsBalance].forEach(control => {
+      if (control) control.disabled = !hostname;
+    });
+  }
+
+  /**
+   * Balance slider label: "Center", "L 40%" or "R 40%"
+   */
+  function updateBalanceLabel() {
+    if (!effectsBalance || !effectsBalanceValue) return;
+    const pan = parseInt(effectsBalance.value, 10) || 0;
+    effectsBalanceValue.textContent = pan === 0 ? 'Center' : `${pan < 0 ? 'L' : 'R'} ${Math.abs(pan)}%`;
+  }
+
+  /**
+   * Handle a change to any effects control
+   */
+  async function handleEffectsChange() {
+    if (!effectsHostname) return;
+    
+    // Picking a preset replaces the EQ gains; "custom" keeps the ones set in options
+    let effects = effectsUtils.effectsForDomain(volumeSettings.perDomainAudioEffects, effectsHostname);
+    if (effectsPreset.value !== effects.preset) {
+      effects = effectsUtils.applyPreset(effects, effectsPreset.value);
+    }
+    effects = effectsUtils.normalizeEffects({
+      ...effects,
+      nightMode: effectsNightMode.checked,
+      mono: effectsMono.checked,
+      pan: (parseInt(effectsBalance.value, 10) || 0) / 100
+    });
+    
+    await setActiveTabEffects(effects);
+  }
+
+  /**
+   * Apply audio effects in the active tab and save them for its domain
+   */
+  async function setActiveTabEffects(effects) {
+    try {
+      const tabs = await queryControlledTabs();
+      
+      const activeTab = tabs && tabs[0];
+      if (!activeTab || !activeTab.id || !/^(https?|file):/.test(activeTab.url || '')) {
+        showError('Cannot change audio effects on this page');
+        return;
+      }
+      const hostname = new URL(activeTab.url).hostname;
+      
+      // Send message DIRECTLY to content script in the specific tab
+      const message = { type: 'SET_AUDIO_EFFECTS', effects };
+      let response;
+      try {
+        if (typeof browser !== 'undefined' && browser.tabs) {
+          response = await browser.tabs.sendMessage(activeTab.id, message);
+        } else {
+          response = await new Promise((resolve, reject) => {
+            chrome.tabs.sendMessage(activeTab.id, message, (result) => {
+              if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+              } else {
+                resolve(result);
+              }
+            });
+          });
+        }
+      } catch (messageError) {
+        console.error('Failed to send message to content script:', messageError);
+        showError('Could not communicate with page. Try refreshing the page.');
+        return;
+      }
+      
+      if (!response || !response.success) {
+        showError('Failed to change audio effects: ' + (response?.error || 'Unknown error'));
+        updateEffectsDisplay(effectsHostname);
+        return;
+      }
+      
+      volumeSettings.perDomainAudioEffects = effectsUtils.setDomainEffects(volumeSettings.perDomainAudioEffects, hostname, effects);
+      const update = { [effectsUtils.STORAGE_KEY]: volumeSettings.perDomainAudioEffects };
+      if (typeof browser !== 'undefined' && browser.storage) {
+        await browser.storage.sync.set(update);
+      } else {
+        await new Promise((resolve, reject) => {
+          chrome.storage.sync.set(update, () => {
+            if (chrome.runtime.lastError) {
+              reject(new Error(chrome.runtime.lastError.message));
+            } else {
+              resolve();
+            }
+          });
+        });
+      }
+      updateEffectsDisplay(hostname);
+      
+    } catch (error) {
+      console.error('Failed to set audio effects:', error);
+      showError('Failed to change audio effects: ' + error.message);
+    }
+  }
+
   /**
    * Update volume controls based on current tab data
    */
@@ -0,0 +1,187 @@
+/**
+ * UME - Quiet hours
+ * Scheduled volume caps and pauses, shared by the background script and the options page.
+ * Rules are stored in storage.sync under STORAGE_KEY:
+ *   [{ id, enabled, action, days: [0-6, Sunday first], start: 'HH:MM', end: 'HH:MM', volume }]
+ *   capVolume - between start and end, no tab plays louder than volume (0.05-1); a rule whose
+ *               end is before its start runs overnight, and days are the days it starts on
+ *   pause     - at start, every tab is paused; end and volume are ignored
+ * Times are local. The helpers here only evaluate rules, the background applies them.
+ */
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'quietHoursRules';
+
+  const ACTIONS = {
+    capVolume: 'Cap volume',
+    pause: 'Pause all media'
+  };
+
+  const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+  const MIN_VOLUME = 0.05;
+
+  // A pause that comes due while the computer sleeps still happens if it wakes within this many
+  // minutes; much later, nobody is around to be kept quiet
+  const PAUSE_GRACE_MINUTES = 5;
+
+  // ============================================================================
+  // RULES
+  // ============================================================================
+
+  /**
+   * Minutes after midnight for 'HH:MM', or null
+   */
+  function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+  }
+
+  /**
+   * Coerce stored or imported rules into the full shape; unknown actions are dropped
+   */
+  function normalizeRules(rules) {
+    if (!Array.isArray(rules)) return [];
+
+    return rules
+      .filter(rule => rule && ACTIONS[rule.action])
+      .map((rule, index) => {
+        const volume = parseFloat(rule.volume);
+        const days = Array.isArray(rule.days)
+          ? ALL_DAYS.filter(day => rule.days.map(Number).includes(day))
+          : ALL_DAYS.slice();
+        return {
+          id: rule.id || `quiet-${Date.now().toString(36)}-${index}`,
+          enabled: rule.enabled !== false,
+          action: rule.action,
+          days,
+          start: typeof rule.start === 'string' ? rule.start.trim() : '',
+          end: typeof rule.end === 'string' ? rule.end.trim() : '',
+          volume: isNaN(volume) ? 0.5 : Math.min(Math.max(volume, MIN_VOLUME), 1)
+        };
+      });
+  }
+
+  /**
+   * Problems that would keep a rule from ever applying, for the options page
+   */
+  function validateRule(rule, label) {
+    const errors = [];
+    if (parseTime(rule.start) === null) {
+      errors.push(`${label} needs a start time`);
+    }
+    if (rule.action === 'capVolume') {
+      if (parseTime(rule.end) === null) {
+        errors.push(`${label} needs an end time`);
+      } else if (parseTime(rule.end) === parseTime(rule.start)) {
+        errors.push(`${label} must end at a different time than it starts`);
+      }
+    }
+    if (rule.days.length === 0) {
+      errors.push(`${label} needs at least one day`);
+    }
+    return errors;
+  }
+
+  function usableRules(rules, action) {
+    return rules.filter(rule => rule.enabled && rule.action === action && parseTime(rule.start) !== null &&
+      (action !== 'capVolume' || parseTime(rule.end) !== null));
+  }
+
+  // ============================================================================
+  // EVALUATION
+  // ============================================================================
+
+  function minutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+  }
+
+  function isCapActive(rule, date) {
+    const start = parseTime(rule.start);
+    const end = parseTime(rule.end);
+    const now = minutesOfDay(date);
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+
+    if (start < end) {
+      return rule.days.includes(today) && now >= start && now < end;
+    }
+    // Overnight: the part after start today, or the part before end that began yesterday
+    return (rule.days.includes(today) && now >= start) || (rule.days.includes(yesterday) && now < end);
+  }
+
+  /**
+   * The lowest volume allowed right now, or null while no cap rule applies
+   */
+  function volumeCap(rules, date) {
+    const caps = usableRules(rules, 'capVolume')
+      .filter(rule => isCapActive(rule, date))
+      .map(rule => rule.volume);
+    return caps.length > 0 ? Math.min(...caps) : null;
+  }
+
+  /**
+   * Whether a pause rule came due in the last PAUSE_GRACE_MINUTES
+   */
+  function isPauseDue(rules, date) {
+    const now = minutesOfDay(date);
+    const today = date.getDay();
+
+    return usableRules(rules, 'pause').some(rule => {
+      const start = parseTime(rule.start);
+      const elapsed = (now - start + 1440) % 1440;
+      const day = now >= start ? today : (today + 6) % 7;
+      return elapsed < PAUSE_GRACE_MINUTES && rule.days.includes(day);
+    });
+  }
+
+  /**
+   * Timestamp of the next time any rule starts or ends, or null without usable rules.
+   * Days are ignored: waking on a day a rule doesn't run just finds nothing to do.
+   */
+  function nextChange(rules, date) {
+    const boundaries = new Set();
+    usableRules(rules, 'capVolume').forEach(rule => {
+      boundaries.add(parseTime(rule.start));
+      boundaries.add(parseTime(rule.end));
+    });
+    usableRules(rules, 'pause').forEach(rule => boundaries.add(parseTime(rule.start)));
+    if (boundaries.size === 0) return null;
+
+    const candidates = [];
+    [0, 1].forEach(dayOffset => {
+      boundaries.forEach(minutes => {
+        const at = new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset, 0, minutes);
+        if (at.getTime() > date.getTime()) candidates.push(at.getTime());
+      });
+    });
+    return Math.min(...candidates);
+  }
+
+  const api = {
+    STORAGE_KEY,
+    ACTIONS,
+    DAY_NAMES,
+    ALL_DAYS,
+    MIN_VOLUME,
+    PAUSE_GRACE_MINUTES,
+    parseTime,
+    normalizeRules,
+    validateRule,
+    isCapActive,
+    volumeCap,
+    isPauseDue,
+    nextChange
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.umeQuietHours = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,245 @@
+/**
+ * UME - Site adapters
+ * Player-specific control for sites whose UI state lives outside the <video>/<audio> element.
+ * Each adapter declares the hosts it serves and implements:
+ *   detect(doc)      - true when the player is present on the page
+ *   play(doc), pause(doc), next(doc), prev(doc) - click the player's own control, true if handled
+ *   getMetadata(doc) - { title, artist, album, artwork } or null
+ *   getPosition(doc) - { currentTime, duration, paused } in seconds, or null
+ * When no adapter matches, content.js keeps to the generic HTML5 element path.
+ */
+
+(function(root) {
+  'use strict';
+
+  // ============================================================================
+  // DOM HELPERS
+  // ============================================================================
+
+  function text(doc, selector) {
+    const element = doc.querySelector(selector);
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  function attr(doc, selector, name) {
+    const element = doc.querySelector(selector);
+    return element ? element.getAttribute(name) || '' : '';
+  }
+
+  // Accessible label of a control: aria-label, then title, then its text
+  function labelOf(element) {
+    return (element.getAttribute('aria-label') || element.getAttribute('title') || element.textContent || '').trim();
+  }
+
+  function isEnabled(element) {
+    return !element.hasAttribute('disabled') && element.getAttribute('aria-disabled') !== 'true';
+  }
+
+  // Click the first enabled match; with a filter (label pattern or predicate), only a control it accepts
+  function clickControl(doc, selector, filter) {
+    const accepts = element => !filter ||
+      (typeof filter === 'function' ? filter(element) : filter.test(labelOf(element)));
+    const controls = Array.from(doc.querySelectorAll(selector));
+    const control = controls.find(element => isEnabled(element) && accepts(element));
+    if (!control) return false;
+    control.click();
+    return true;
+  }
+
+  // "1:02:03", "2:03" or "45" to seconds; null when unparseable
+  function parseClock(value) {
+    const clock = String(value || '').trim().replace(/^-/, '');
+    if (!/^(\d+:){0,2}\d+$/.test(clock)) return null;
+    return clock.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+  }
+
+  function position(currentText, durationText, paused) {
+    const currentTime = parseClock(currentText);
+    if (currentTime === null) return null;
+    return { currentTime, duration: parseClock(durationText), paused };
+  }
+
+  function metadata(title, artist, album, artwork) {
+    if (!title && !artist) return null;
+    return { title: title || '', artist: artist || '', album: album || '', artwork: artwork || null };
+  }
+
+  // url("...") out of an inline background-image style
+  function backgroundImage(style) {
+    const match = String(style || '').match(/url\(["']?([^"')]+)["']?\)/);
+    return match ? match[1] : null;
+  }
+
+  // ============================================================================
+  // ADAPTERS
+  // ============================================================================
+
+  const PLAY_LABEL = /^play\b/i;
+  const PAUSE_LABEL = /^pause\b/i;
+
+  const youtube = {
+    name: 'youtube',
+    hosts: ['youtube.com'],
+    detect: doc => !!doc.querySelector('.html5-video-player'),
+    play: doc => clickControl(doc, '.ytp-play-button', PLAY_LABEL),
+    pause: doc => clickControl(doc, '.ytp-play-button', PAUSE_LABEL),
+    next: doc => clickControl(doc, '.ytp-next-button'),
+    prev: doc => clickControl(doc, '.ytp-prev-button'),
+    getMetadata: doc => metadata(
+      text(doc, 'h1.ytd-watch-metadata') || attr(doc, 'meta[name="title"]', 'content'),
+      text(doc, 'ytd-channel-name a') || attr(doc, 'link[itemprop="name"]', 'content'),
+      '',
+      attr(doc, 'link[itemprop="thumbnailUrl"]', 'href') || attr(doc, 'meta[property="og:image"]', 'content')
+    ),
+    getPosition: doc => {
+      const player = doc.querySelector('.html5-video-player');
+      return position(
+        text(doc, '.ytp-time-current'),
+        text(doc, '.ytp-time-duration'),
+        !!player && player.classList.contains('paused-mode')
+      );
+    }
+  };
+
+  const spotify = {
+    name: 'spotify',
+    hosts: ['open.spotify.com'],
+    detect: doc => !!doc.querySelector('[data-testid="control-button-playpause"]'),
+    play: doc => clickControl(doc, '[data-testid="control-button-playpause"]', PLAY_LABEL),
+    pause: doc => clickControl(doc, '[data-testid="control-button-playpause"]', PAUSE_LABEL),
+    next: doc => clickControl(doc, '[data-testid="control-button-skip-forward"]'),
+    prev: doc => clickControl(doc, '[data-testid="control-button-skip-back"]'),
+    getMetadata: doc => metadata(
+      text(doc, '[data-testid="context-item-info-title"]'),
+      Array.from(doc.querySelectorAll('[data-testid="context-item-info-artist"]'))
+        .map(element => element.textContent.trim())
+        .join(', '),
+      '',
+      attr(doc, '[data-testid="now-playing-widget"] [data-testid="cover-art-image"]', 'src')
+    ),
+    getPosition: doc => {
+      const button = doc.querySelector('[data-testid="control-button-playpause"]');
+      return position(
+        text(doc, '[data-testid="playback-position"]'),
+        text(doc, '[data-testid="playback-duration"]'),
+        !!button && PLAY_LABEL.test(labelOf(button))
+      );
+    }
+  };
+
+  const soundcloud = {
+    name: 'soundcloud',
+    hosts: ['soundcloud.com'],
+    detect: doc => !!doc.querySelector('.playControls .playControl'),
+    // The toggle carries .playing while audio plays, its label doesn't change reliably
+    play: doc => clickControl(doc, '.playControls .playControl', element => !element.classList.contains('playing')),
+    pause: doc => clickControl(doc, '.playControls .playControl', element => element.classList.contains('playing')),
+    next: doc => clickControl(doc, '.skipControl__next'),
+    prev: doc => clickControl(doc, '.skipControl__previous'),
+    getMetadata: doc => metadata(
+      attr(doc, '.playbackSoundBadge__titleLink', 'title') || text(doc, '.playbackSoundBadge__titleLink span[aria-hidden="true"]'),
+      attr(doc, '.playbackSoundBadge__lightLink', 'title') || text(doc, '.playbackSoundBadge__lightLink'),
+      '',
+      backgroundImage(attr(doc, '.playbackSoundBadge span.sc-artwork', 'style'))
+    ),
+    getPosition: doc => position(
+      text(doc, '.playbackTimeline__timePassed span[aria-hidden="true"]'),
+      text(doc, '.playbackTimeline__duration span[aria-hidden="true"]'),
+      !doc.querySelector('.playControls .playControl.playing')
+    )
+  };
+
+  const twitch = {
+    name: 'twitch',
+    hosts: ['twitch.tv'],
+    detect: doc => !!doc.querySelector('[data-a-target="player-play-pause-button"]'),
+    play: doc => clickControl(doc, '[data-a-target="player-play-pause-button"]', PLAY_LABEL),
+    pause: doc => clickControl(doc, '[data-a-target="player-play-pause-button"]', PAUSE_LABEL),
+    // Live channels have no track list
+    next: () => false,
+    prev: () => false,
+    getMetadata: doc => metadata(
+      text(doc, '[data-a-target="stream-title"]'),
+      text(doc, '.channel-info-content h1'),
+      '',
+      attr(doc, '.channel-info-content img.tw-image-avatar', 'src')
+    ),
+    // Only VODs show a seekbar clock; live streams report no position
+    getPosition: doc => {
+      const button = doc.querySelector('[data-a-target="player-play-pause-button"]');
+      return position(
+        text(doc, '[data-a-target="player-seekbar-current-time"]'),
+        text(doc, '[data-a-target="player-seekbar-duration"]'),
+        !!button && button.getAttribute('data-a-player-state') === 'paused'
+      );
+    }
+  };
+
+  const netflix = {
+    name: 'netflix',
+    hosts: ['netflix.com'],
+    detect: doc => !!doc.querySelector('.watch-video, [data-uia="player"]'),
+    play: doc => clickControl(doc, '[data-uia="control-play-pause-play"]'),
+    pause: doc => clickControl(doc, '[data-uia="control-play-pause-pause"]'),
+    next: doc => clickControl(doc, '[data-uia="control-next"]'),
+    prev: () => false,
+    // Series name in <h4>, episode number and title in the spans after it
+    getMetadata: doc => {
+      const series = text(doc, '[data-uia="video-title"] h4');
+      const episode = Array.from(doc.querySelectorAll('[data-uia="video-title"] span'))
+        .map(element => element.textContent.trim())
+        .filter(Boolean)
+        .join(' ');
+      return series
+        ? metadata(episode || series, '', episode ? series : '', null)
+        : metadata(text(doc, '[data-uia="video-title"]'), '', '', null);
+    },
+    // The player only shows time remaining; the <video> element has the real position
+    getPosition: () => null
+  };
+
+  // ============================================================================
+  // REGISTRY
+  // ============================================================================
+
+  const adapters = [];
+
+  function registerAdapter(adapter) {
+    const required = ['detect', 'play', 'pause', 'next', 'prev', 'getMetadata', 'getPosition'];
+    const missing = required.filter(method => typeof adapter[method] !== 'function');
+    if (!adapter.name || !Array.isArray(adapter.hosts) || missing.length > 0) {
+      throw new Error(`Invalid site adapter ${adapter.name || '(unnamed)'}: missing ${missing.join(', ') || 'name/hosts'}`);
+    }
+    adapters.push(adapter);
+  }
+
+  // Host equals an adapter host or is a subdomain of it
+  function matchesHost(adapter, hostname) {
+    const host = String(hostname || '').toLowerCase();
+    return adapter.hosts.some(pattern => host === pattern || host.endsWith('.' + pattern));
+  }
+
+  /**
+   * Adapter for the page, or null to use the generic HTML5 path
+   */
+  function findAdapter(hostname, doc) {
+    return adapters.find(adapter => {
+      if (!matchesHost(adapter, hostname)) return false;
+      try {
+        return adapter.detect(doc);
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+  }
+
+  [youtube, spotify, soundcloud, twitch, netflix].forEach(registerAdapter);
+
+  const api = { adapters, registerAdapter, findAdapter, matchesHost, parseClock };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.umeSiteAdapters = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
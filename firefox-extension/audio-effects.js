@@ -0,0 +1,288 @@
+/**
+ * UME - Audio effects
+ * Per-domain effects applied between the media source and the volume gain, shared by the
+ * content script, the popup and the options page, plus the loudness meter that drives
+ * loudness normalization. Effects are stored in storage.sync under STORAGE_KEY:
+ *   { [hostname]: { preset, eq: [10 gains in dB], nightMode, mono, pan } }
+ * Sites without an entry (or with neutral settings) are left untouched.
+ * The pipeline is a list of stages; each builds its nodes once and is bypassed while inactive:
+ *   name              - identifies the stage
+ *   isActive(effects) - whether the stage changes anything with these settings
+ *   create(context)   - { input, output, update(effects) } AudioNodes for the stage
+ */
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'perDomainAudioEffects';
+
+  const EQ_FREQUENCIES = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+  const EQ_RANGE = 12; // dB, either way
+
+  const PRESETS = {
+    flat: { name: 'Flat', eq: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    voice: { name: 'Voice', eq: [-6, -5, -3, -1, 1, 3, 4, 3, 1, -1] },
+    bassBoost: { name: 'Bass boost', eq: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] }
+  };
+
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    return isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+  }
+
+  function defaultEffects() {
+    return { preset: 'flat', eq: PRESETS.flat.eq.slice(), nightMode: false, mono: false, pan: 0 };
+  }
+
+  /**
+   * Coerce stored or imported effects into the full shape; a preset name that doesn't
+   * match the gains becomes 'custom'
+   */
+  function normalizeEffects(effects) {
+    const source = effects || {};
+    const eq = EQ_FREQUENCIES.map((frequency, index) =>
+      clamp(Array.isArray(source.eq) ? source.eq[index] : 0, -EQ_RANGE, EQ_RANGE, 0));
+    const preset = PRESETS[source.preset] && PRESETS[source.preset].eq.every((gain, index) => gain === eq[index])
+      ? source.preset
+      : 'custom';
+
+    return {
+      preset: preset === 'custom' && eq.every(gain => gain === 0) ? 'flat' : preset,
+      eq,
+      nightMode: source.nightMode === true,
+      mono: source.mono === true,
+      pan: clamp(source.pan, -1, 1, 0)
+    };
+  }
+
+  function applyPreset(effects, presetName) {
+    const preset = PRESETS[presetName];
+    if (!preset) return normalizeEffects(effects);
+    return normalizeEffects({ ...effects, preset: presetName, eq: preset.eq });
+  }
+
+  function isNeutral(effects) {
+    const normalized = normalizeEffects(effects);
+    return STAGES.every(stage => !stage.isActive(normalized));
+  }
+
+  function effectsForDomain(perDomain, hostname) {
+    const stored = perDomain && perDomain[hostname];
+    return stored ? normalizeEffects(stored) : defaultEffects();
+  }
+
+  /**
+   * Store a domain's effects; neutral settings remove the entry instead
+   */
+  function setDomainEffects(perDomain, hostname, effects) {
+    const updated = { ...(perDomain || {}) };
+    if (isNeutral(effects)) {
+      delete updated[hostname];
+    } else {
+      updated[hostname] = normalizeEffects(effects);
+    }
+    return updated;
+  }
+
+  // ============================================================================
+  // PIPELINE
+  // ============================================================================
+
+  const equalizer = {
+    name: 'eq',
+    isActive: effects => effects.eq.some(gain => gain !== 0),
+    create(context) {
+      const filters = EQ_FREQUENCIES.map((frequency, index) => {
+        const filter = context.createBiquadFilter();
+        // Shelves at the ends so the outer bands cover everything below/above them
+        filter.type = index === 0 ? 'lowshelf' : index === EQ_FREQUENCIES.length - 1 ? 'highshelf' : 'peaking';
+        filter.frequency.value = frequency;
+        filter.Q.value = 1.4; // About one octave per band
+        return filter;
+      });
+      filters.reduce((previous, filter) => {
+        previous.connect(filter);
+        return filter;
+      });
+      return {
+        input: filters[0],
+        output: filters[filters.length - 1],
+        update(effects) {
+          filters.forEach((filter, index) => {
+            filter.gain.value = effects.eq[index];
+          });
+        }
+      };
+    }
+  };
+
+  // Evens out loud and quiet passages, with make-up gain so dialogue isn't quieter than before
+  const nightMode = {
+    name: 'nightMode',
+    isActive: effects => effects.nightMode,
+    create(context) {
+      const compressor = context.createDynamicsCompressor();
+      compressor.threshold.value = -40;
+      compressor.knee.value = 20;
+      compressor.ratio.value = 8;
+      compressor.attack.value = 0.005;
+      compressor.release.value = 0.25;
+      const makeup = context.createGain();
+      makeup.gain.value = 2; // About +6 dB
+      compressor.connect(makeup);
+      return { input: compressor, output: makeup, update() {} };
+    }
+  };
+
+  // A one-channel node downmixes; the nodes after it upmix back to both speakers
+  const mono = {
+    name: 'mono',
+    isActive: effects => effects.mono,
+    create(context) {
+      const downmix = context.createGain();
+      downmix.channelCount = 1;
+      downmix.channelCountMode = 'explicit';
+      downmix.channelInterpretation = 'speakers';
+      return { input: downmix, output: downmix, update() {} };
+    }
+  };
+
+  const balance = {
+    name: 'balance',
+    isActive: effects => effects.pan !== 0,
+    create(context) {
+      const panner = context.createStereoPanner();
+      return {
+        input: panner,
+        output: panner,
+        update(effects) {
+          panner.pan.value = effects.pan;
+        }
+      };
+    }
+  };
+
+  const STAGES = [equalizer, nightMode, mono, balance];
+
+  /**
+   * Build the pipeline for one media source. Connect source -> input and output -> the rest
+   * of the graph; update(effects) rewires it through the active stages only.
+   */
+  function createEffectsChain(context, effects, stages = STAGES) {
+    const input = context.createGain();
+    const output = context.createGain();
+    const built = stages.map(stage => ({ stage, nodes: stage.create(context) }));
+    let current = null;
+
+    function update(next) {
+      current = normalizeEffects(next);
+      input.disconnect();
+      built.forEach(({ nodes }) => nodes.output.disconnect());
+
+      let tail = input;
+      built.forEach(({ stage, nodes }) => {
+        if (!stage.isActive(current)) return;
+        nodes.update(current);
+        tail.connect(nodes.input);
+        tail = nodes.output;
+      });
+      tail.connect(output);
+      return current;
+    }
+
+    update(effects);
+    return {
+      input,
+      output,
+      update,
+      getEffects: () => current,
+      activeStages: () => built.filter(({ stage }) => stage.isActive(current)).map(({ stage }) => stage.name)
+    };
+  }
+
+  // ============================================================================
+  // LOUDNESS
+  // ============================================================================
+
+  // Short-term loudness is the mean power of the last few seconds of blocks above the gate,
+  // an unweighted take on EBU R128 short-term loudness in dBFS
+  const LOUDNESS_GATE = -60; // dBFS; quieter blocks (pauses, silence) leave the reading alone
+  const MAX_CORRECTION = 12; // dB either way
+
+  /**
+   * RMS level of a block of samples in dBFS, -Infinity for digital silence. With the media
+   * element's volume, the level before it: the page's own volume control stays in effect
+   * instead of being normalized away.
+   */
+  function levelDb(samples, volume = 1) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    return sum === 0 ? -Infinity : 10 * Math.log10(sum / samples.length) - 20 * Math.log10(volume);
+  }
+
+  /**
+   * Meter over the last `blocks` levels above the gate; loudness() is null until one arrives
+   */
+  function createLoudnessMeter(blocks) {
+    const powers = [];
+    return {
+      add(db) {
+        if (!(db > LOUDNESS_GATE)) return;
+        powers.push(Math.pow(10, db / 10));
+        if (powers.length > blocks) powers.shift();
+      },
+      loudness() {
+        if (powers.length === 0) return null;
+        return 10 * Math.log10(powers.reduce((sum, power) => sum + power, 0) / powers.length);
+      }
+    };
+  }
+
+  /**
+   * Correction in dB that brings the measured loudness to the target, 0 before any measurement
+   */
+  function loudnessCorrection(loudness, target) {
+    if (loudness === null) return 0;
+    return clamp(target - loudness, -MAX_CORRECTION, MAX_CORRECTION, 0);
+  }
+
+  /**
+   * Gain for a volume with a correction applied, never above the boost limit
+   */
+  function correctedGain(volume, correction, limit) {
+    return Math.min(volume * Math.pow(10, correction / 20), limit);
+  }
+
+  const api = {
+    STORAGE_KEY,
+    EQ_FREQUENCIES,
+    EQ_RANGE,
+    PRESETS,
+    STAGES,
+    defaultEffects,
+    normalizeEffects,
+    applyPreset,
+    isNeutral,
+    effectsForDomain,
+    setDomainEffects,
+    createEffectsChain,
+    LOUDNESS_GATE,
+    MAX_CORRECTION,
+    levelDb,
+    createLoudnessMeter,
+    loudnessCorrection,
+    correctedGain
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.umeAudioEffects = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -20,6 +20,9 @@ const log = {
   error: (msg, data) => console.error(`[UME-BACKGROUND] ${msg}`, data || '')
 };
 
+// Quiet hours rules are evaluated by quiet-hours.js, shared with the options page
+const quietHours = typeof module !== 'undefined' && module.exports ? require('./quiet-hours.js') : window.umeQuietHours;
+
 // ============================================================================
 // STORAGE MANAGER
 // ============================================================================
@@ -88,9 +91,23 @@ class SettingsManager {
         volumeBoosterEnabled: true,
         globalVolume: 1.0,
         perDomainVolume: {},
+        perDomainAudioEffects: {}, // EQ, night mode, mono and balance per site
         volumeBoostLimit: 5.0,
         speeds: {}, // Per-video speed storage
-        markers: {} // Video bookmarks
+        markers: {}, // Video bookmarks
+        siteProfiles: [], // Per-site rules overriding speed, volume, controller and key bindings
+        arbitrationPolicy: 'lastWins', // lastWins, firstWins, concurrent, videoPriority, protectFullscreen
+        maxConcurrentTabs: 2, // Used by the concurrent policy
+        autoResumeEnabled: false, // Resume the interrupted tab when the interrupting media stops
+        autoResumeDelay: 2, // Grace delay in seconds
+        autoResumeFadeIn: true,
+        pauseFadeDuration: 0.5, // Seconds to fade out before an automatic pause, 0 cuts instantly
+        muteInsteadOfPauseTypes: [], // 'video' | 'audio' | 'live': arbitration mutes these tabs instead of pausing them
+        pipExemptFromArbitration: true, // Keep the Picture-in-Picture video playing when another tab starts
+        autoPictureInPicture: false, // Enter Picture-in-Picture when switching away from a playing video tab
+        rememberPosition: true, // Save the position of long media and offer to continue from it
+        rememberPositionMinMinutes: 10, // Media shorter than this isn't remembered
+        quietHoursRules: [] // Scheduled volume caps and pauses, see quiet-hours.js
       };
   }
   
@@ -169,7 +186,14 @@ class TabManager {
     this.detector = new MediaSiteDetector();
     this.tabs = new Map(); // tabId -> TabInfo
     this.currentPlayingTab = null;
+    this.activitySequence = 0; // Orders media activity; timestamps can tie within a millisecond
     this.cleanupTimer = null;
+    this.pauseStack = []; // Tabs paused by arbitration, newest last: { tabId, interruptedBy, pausedAt }
+    this.pendingResume = null; // { tabId, timer } while waiting out the grace delay
+    this.sleepTimer = null; // Set by SleepTimer, shown in the badge and the popup
+    this.volumeCap = null; // Set by QuietHours while a cap rule applies
+    this.pipTabId = null; // The tab whose video is in Picture-in-Picture
+    this.lastActiveTabs = new Map(); // windowId -> active tabId, to know which tab was left
     
     this.init();
   }
@@ -201,7 +225,15 @@ class TabManager {
     browserAPI.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       if (!this.settings.get('extensionEnabled')) return;
       
+      if (changeInfo.mutedInfo) {
+        this.handleMutedInfoChanged(tabId, changeInfo.mutedInfo);
+      }
+      
       if (changeInfo.url) {
+        // A mute arbitration put on the old page shouldn't silence the next one
+        if (this.isMutedByArbitration(tabId)) {
+          this.setTabMuted(tabId, false);
+        }
         // URL changed - remove old tracking and add new if it's a media site
         this.removeTab(tabId);
         
@@ -216,8 +248,16 @@ class TabManager {
       }
     });
     
+    // Automatic Picture-in-Picture for the tab the user leaves
+    if (browserAPI.tabs.onActivated) {
+      browserAPI.tabs.onActivated.addListener(({ tabId, windowId }) => this.handleTabActivated(tabId, windowId));
+    }
+    
     // Tab closed
     browserAPI.tabs.onRemoved.addListener((tabId) => {
+      if (this.pipTabId === tabId) {
+        this.pipTabId = null;
+      }
       this.removeTab(tabId);
     });
   }
@@ -254,6 +294,7 @@ class TabManager {
       mediaType: null,
       timestamp: Date.now(),
       lastActivity: Date.now(),
+      activityOrder: ++this.activitySequence, // Bumped with lastActivity, picks the target of global commands
       playbackRate: 1.0
     };
     
@@ -275,6 +316,8 @@ class TabManager {
       this.currentPlayingTab = null;
     }
     
+    this.dropPauseStackEntries(tabId);
+    
     this.updateBadge();
     this.notifyPopupStateChange();
     
@@ -299,7 +342,7 @@ class TabManager {
             tabInfo.status = 'has_media';
           }
           
-          tabInfo.lastActivity = Date.now();
+          this.markActivity(tabInfo);
           this.notifyPopupStateChange();
           this.updateBadge();
           
@@ -317,18 +360,33 @@ class TabManager {
     }
   }
   
-  handleMediaStarted(tabId, mediaInfo) {
+  handleMediaStarted(tabId, mediaInfo, tab) {
+    // A tab muted for another one stays muted when it starts again
+    const stayMuted = this.isMutedByArbitration(tabId);
+    // Handle auto-pause logic first so a blocked tab is never marked as playing
+    const allowed = this.handleNewMediaPlaying(tabId, mediaInfo, stayMuted);
+    const status = allowed ? 'playing' : 'paused';
+    const muteInsteadOfPause = typeof mediaInfo.muteInsteadOfPause === 'boolean' ? mediaInfo.muteInsteadOfPause : null;
+    const tabMutedInfo = tab && tab.mutedInfo;
+    
     const tabInfo = this.tabs.get(tabId);
     if (!tabInfo) {
       // Add tab if not tracked (content script found media on non-media site)
       try {
         browserAPI.tabs.get(tabId).then(tab => {
           if (tab) {
-            this.addTab(tabId, tab.url, tab.title, 'playing');
+            this.addTab(tabId, tab.url, tab.title, status);
             const newTabInfo = this.tabs.get(tabId);
             if (newTabInfo) {
               newTabInfo.mediaType = mediaInfo.type;
               newTabInfo.playbackRate = mediaInfo.playbackRate || 1.0;
+              newTabInfo.isFullscreen = !!mediaInfo.isFullscreen;
+              newTabInfo.loop = mediaInfo.loop || null;
+              newTabInfo.mediaSession = mediaInfo.mediaSession || null;
+              newTabInfo.live = !!mediaInfo.live;
+              newTabInfo.muteInsteadOfPause = muteInsteadOfPause;
+              newTabInfo.mutedInfo = { muted: !!(tab.mutedInfo && tab.mutedInfo.muted), reason: (tab.mutedInfo && tab.mutedInfo.reason) || null };
+              newTabInfo.startedAt = Date.now();
             }
           }
         });
@@ -336,14 +394,26 @@ class TabManager {
         log.warn('Failed to get tab info for new media', { tabId });
       }
     } else {
-      tabInfo.status = 'playing';
+      tabInfo.status = status;
       tabInfo.mediaType = mediaInfo.type;
       tabInfo.playbackRate = mediaInfo.playbackRate || 1.0;
-      tabInfo.lastActivity = Date.now();
+      tabInfo.isFullscreen = !!mediaInfo.isFullscreen;
+      tabInfo.loop = mediaInfo.loop || null;
+      tabInfo.mediaSession = mediaInfo.mediaSession || null;
+      tabInfo.live = !!mediaInfo.live;
+      tabInfo.muteInsteadOfPause = muteInsteadOfPause;
+      if (!stayMuted && tabMutedInfo) {
+        tabInfo.mutedInfo = { muted: !!tabMutedInfo.muted, reason: tabMutedInfo.reason || null };
+      }
+      tabInfo.ended = false;
+      this.markActivity(tabInfo);
+      tabInfo.startedAt = Date.now();
     }
     
-    // Handle auto-pause logic
-    this.handleNewMediaPlaying(tabId, mediaInfo);
+    // A tab opened during quiet hours hasn't been sent the cap yet
+    if (this.volumeCap !== null) {
+      this.sendVolumeCap(tabId, this.volumeCap);
+    }
     
     this.updateBadge();
     this.notifyPopupStateChange();
@@ -355,13 +425,15 @@ class TabManager {
     const tabInfo = this.tabs.get(tabId);
     if (tabInfo) {
       tabInfo.status = 'paused';
-      tabInfo.lastActivity = Date.now();
+      this.markActivity(tabInfo);
     }
     
     if (this.currentPlayingTab === tabId) {
-      this.currentPlayingTab = null;
+      this.currentPlayingTab = this.getMostRecentPlayingTab();
     }
     
+    this.scheduleAutoResume(tabId);
+    
     this.updateBadge();
     this.notifyPopupStateChange();
     
@@ -372,13 +444,16 @@ class TabManager {
     const tabInfo = this.tabs.get(tabId);
     if (tabInfo) {
       tabInfo.status = 'has_media'; // Keep tracked but mark as not playing
-      tabInfo.lastActivity = Date.now();
+      tabInfo.ended = true; // Until media starts again
+      this.markActivity(tabInfo);
     }
     
     if (this.currentPlayingTab === tabId) {
-      this.currentPlayingTab = null;
+      this.currentPlayingTab = this.getMostRecentPlayingTab();
     }
     
+    this.scheduleAutoResume(tabId);
+    
     this.updateBadge();
     this.notifyPopupStateChange();
     
@@ -389,31 +464,365 @@ class TabManager {
     const tabInfo = this.tabs.get(tabId);
     if (tabInfo) {
       tabInfo.playbackRate = speed;
-      tabInfo.lastActivity = Date.now();
+      this.markActivity(tabInfo);
       this.notifyPopupStateChange();
     }
     
     log.info('Speed changed in tab', { tabId, speed });
   }
   
-  handleNewMediaPlaying(tabId, mediaInfo) {
-    // Simple auto-pause logic: pause previous playing tab if different
-    if (this.currentPlayingTab && this.currentPlayingTab !== tabId) {
-      this.pauseTab(this.currentPlayingTab);
+  handleFullscreenChanged(tabId, isFullscreen) {
+    const tabInfo = this.tabs.get(tabId);
+    if (tabInfo) {
+      tabInfo.isFullscreen = !!isFullscreen;
+    }
+  }
+  
+  // A-B loop set, toggled or cleared; null when the tab isn't looping
+  handleLoopChanged(tabId, loop) {
+    const tabInfo = this.tabs.get(tabId);
+    if (tabInfo) {
+      tabInfo.loop = loop || null;
+      this.notifyPopupStateChange();
+    }
+  }
+  
+  // Entering PiP in another tab closes the old window, and that tab's leave notice may arrive
+  // after the new tab's enter
+  handlePipChanged(tabId, isPip) {
+    if (isPip) {
+      this.pipTabId = tabId;
+    } else if (this.pipTabId === tabId) {
+      this.pipTabId = null;
+    }
+    this.notifyPopupStateChange();
+  }
+  
+  // With automatic Picture-in-Picture on, ask the tab the user just left for PiP if it plays video
+  handleTabActivated(tabId, windowId) {
+    const previousTabId = this.lastActiveTabs.get(windowId);
+    this.lastActiveTabs.set(windowId, tabId);
+    if (!this.settings.get('autoPictureInPicture') || !this.settings.get('extensionEnabled') ||
+        previousTabId === undefined || previousTabId === tabId) return;
+    
+    const tabInfo = this.tabs.get(previousTabId);
+    if (!tabInfo || tabInfo.status !== 'playing' || tabInfo.mediaType !== 'video' || this.pipTabId === previousTabId) return;
+    
+    browserAPI.tabs.sendMessage(previousTabId, { type: 'ENTER_PIP' }).catch(error => {
+      log.warn('Failed to request Picture-in-Picture', { tabId: previousTabId, error: error.message });
+    });
+  }
+  
+  // Resolves to { success, active } or { success: false, error } for the popup to show
+  async togglePictureInPictureTab(tabId) {
+    try {
+      const response = await browserAPI.tabs.sendMessage(tabId, { type: 'TOGGLE_PIP' });
+      return response || { success: false, error: 'No video in this tab' };
+    } catch (error) {
+      return { success: false, error: 'No video in this tab' };
+    }
+  }
+  
+  // Returns false when the arbitration policy keeps the new tab from playing
+  handleNewMediaPlaying(tabId, mediaInfo, stayMuted = false) {
+    // Being inaudible, a tab muted for another one interrupts nobody and keeps its place in the pause stack
+    if (stayMuted) return true;
+    
+    // New playback supersedes a waiting auto-resume, and this tab no longer needs resuming
+    this.cancelPendingResume();
+    this.pauseStack = this.pauseStack.filter(entry => entry.tabId !== tabId);
+    
+    const { pauseTabs, blockNewTab } = this.resolvePlaybackConflict(tabId, mediaInfo);
+    
+    pauseTabs.forEach(playingTabId => this.pauseInterruptedTab(playingTabId, tabId));
+    
+    if (blockNewTab) {
+      log.info('Arbitration policy blocked new media', { tabId, policy: this.settings.get('arbitrationPolicy') });
+      // A blocked tab the policy mutes plays on, muted
+      if (this.mutesInsteadOfPausing(mediaInfo.type, mediaInfo.muteInsteadOfPause, mediaInfo.live)) {
+        this.setTabMuted(tabId, true, 'arbitration');
+        return true;
+      }
+      this.pauseTab(tabId);
+      return false;
     }
     
     this.currentPlayingTab = tabId;
+    return true;
+  }
+  
+  // Pause a tab the arbitration policy stops for tabId and remember it for auto-resume;
+  // resolves once the tab has faded out. Tabs the mute-instead-of-pause policy covers are
+  // muted and keep playing instead.
+  pauseInterruptedTab(playingTabId, tabId) {
+    const tabInfo = this.tabs.get(playingTabId);
+    this.pauseStack.push({ tabId: playingTabId, interruptedBy: tabId, pausedAt: Date.now() });
+    if (this.mutesInsteadOfPausing(tabInfo.mediaType, tabInfo.muteInsteadOfPause, tabInfo.live)) {
+      return this.setTabMuted(playingTabId, true, 'arbitration');
+    }
+    
+    tabInfo.status = 'paused';
+    return this.pauseTab(playingTabId);
   }
   
-  async pauseTab(tabId) {
+  // Whether arbitration mutes media instead of pausing it: the site profile's choice when it
+  // makes one, else the media types picked in Options → Playback (live streams count as 'live' too)
+  mutesInsteadOfPausing(mediaType, profileChoice, live = false) {
+    if (typeof profileChoice === 'boolean') return profileChoice;
+    const types = this.settings.get('muteInsteadOfPauseTypes');
+    return Array.isArray(types) && (types.includes(mediaType) || (live && types.includes('live')));
+  }
+  
+  // Whether a tab is muted because arbitration let another tab be heard
+  isMutedByArbitration(tabId) {
+    const tabInfo = this.tabs.get(tabId);
+    return !!(tabInfo && tabInfo.mutedInfo && tabInfo.mutedInfo.muted && tabInfo.mutedInfo.reason === 'arbitration');
+  }
+  
+  // Mute or unmute a tab, remembering why in its mutedInfo
+  async setTabMuted(tabId, muted, reason = 'extension') {
+    const tabInfo = this.tabs.get(tabId);
+    if (tabInfo) {
+      tabInfo.mutedInfo = { muted, reason: muted ? reason : null };
+    }
+    
     try {
-      await browserAPI.tabs.sendMessage(tabId, { type: 'PAUSE_MEDIA' });
+      await browserAPI.tabs.update(tabId, { muted });
+      log.info(muted ? 'Tab muted' : 'Tab unmuted', { tabId, reason });
+    } catch (error) {
+      log.warn('Failed to change tab mute', { tabId, muted, error: error.message });
+    }
+    this.notifyPopupStateChange();
+  }
+  
+  // Follow mute changes from the browser (the tab's speaker icon, other extensions, our own updates)
+  handleMutedInfoChanged(tabId, mutedInfo) {
+    const tabInfo = this.tabs.get(tabId);
+    if (!tabInfo) return;
+    
+    // Our own mute comes back as reason 'extension'; keep knowing it was for arbitration
+    if (mutedInfo.muted && this.isMutedByArbitration(tabId)) return;
+    tabInfo.mutedInfo = { muted: !!mutedInfo.muted, reason: mutedInfo.reason || null };
+    this.notifyPopupStateChange();
+  }
+  
+  // Mute or unmute a tab from the popup. A playing tab that gets unmuted is heard again, so
+  // arbitration treats it like media starting there.
+  async setTabMutedFromPopup(tabId, muted) {
+    const tabInfo = this.tabs.get(tabId);
+    if (!muted && tabInfo && tabInfo.status === 'playing' && this.settings.get('extensionEnabled')) {
+      this.cancelPendingResume();
+      this.pauseStack = this.pauseStack.filter(entry => entry.tabId !== tabId);
+      const { pauseTabs } = this.resolvePlaybackConflict(tabId, { type: tabInfo.mediaType });
+      pauseTabs.forEach(playingTabId => this.pauseInterruptedTab(playingTabId, tabId));
+      this.currentPlayingTab = tabId;
+    }
+    await this.setTabMuted(tabId, muted, 'user');
+  }
+  
+  // Milliseconds automatic pauses fade out and popup plays fade in over
+  getFadeDuration() {
+    const seconds = parseFloat(this.settings.get('pauseFadeDuration'));
+    return seconds >= 0 ? seconds * 1000 : 0;
+  }
+  
+  getPlayingTabIds() {
+    return Array.from(this.tabs.values())
+      .filter(tabInfo => tabInfo.status === 'playing')
+      .sort((a, b) => (a.startedAt || a.timestamp) - (b.startedAt || b.timestamp))
+      .map(tabInfo => tabInfo.id);
+  }
+  
+  getMostRecentPlayingTab() {
+    const playing = this.getPlayingTabIds();
+    return playing.length > 0 ? playing[playing.length - 1] : null;
+  }
+  
+  resolvePlaybackConflict(tabId, mediaInfo) {
+    // The PiP video plays on beside whatever starts, unless the user wants it treated like any tab.
+    // Tabs muted for another tab already make way.
+    const pipExempt = this.settings.get('pipExemptFromArbitration') !== false;
+    const playing = this.getPlayingTabIds().filter(id =>
+      id !== tabId && !(pipExempt && id === this.pipTabId) && !this.isMutedByArbitration(id)
+    );
+    if (playing.length === 0) {
+      return { pauseTabs: [], blockNewTab: false };
+    }
+    
+    switch (this.settings.get('arbitrationPolicy')) {
+      case 'firstWins':
+        return { pauseTabs: [], blockNewTab: true };
+        
+      case 'concurrent': {
+        // Pause the oldest tabs so that at most maxConcurrentTabs play, counting the new one
+        const limit = Math.max(1, parseInt(this.settings.get('maxConcurrentTabs'), 10) || 1);
+        const overflow = playing.length + 1 - limit;
+        return { pauseTabs: overflow > 0 ? playing.slice(0, overflow) : [], blockNewTab: false };
+      }
+        
+      case 'videoPriority': {
+        // Video pauses anything, but audio never pauses a playing video
+        const videoPlaying = playing.some(id => this.tabs.get(id).mediaType === 'video');
+        if (mediaInfo?.type !== 'video' && videoPlaying) {
+          return { pauseTabs: [], blockNewTab: true };
+        }
+        return { pauseTabs: playing, blockNewTab: false };
+      }
+        
+      case 'protectFullscreen':
+        if (playing.some(id => this.tabs.get(id).isFullscreen)) {
+          return { pauseTabs: [], blockNewTab: true };
+        }
+        return { pauseTabs: playing, blockNewTab: false };
+        
+      case 'lastWins':
+      default:
+        return { pauseTabs: playing, blockNewTab: false };
+    }
+  }
+  
+  // When tabId stops on its own, resume the tab it interrupted after the grace delay
+  scheduleAutoResume(tabId) {
+    if (!this.settings.get('autoResumeEnabled')) return;
+    
+    // A tab that was itself paused by arbitration didn't stop on its own
+    if (this.pauseStack.some(entry => entry.tabId === tabId)) return;
+    
+    const entry = [...this.pauseStack].reverse().find(e => e.interruptedBy === tabId);
+    if (!entry) return;
+    
+    const delay = parseFloat(this.settings.get('autoResumeDelay'));
+    this.cancelPendingResume();
+    this.pendingResume = {
+      tabId: entry.tabId,
+      timer: setTimeout(() => {
+        this.pendingResume = null;
+        if (this.pauseStack.includes(entry)) {
+          this.pauseStack = this.pauseStack.filter(e => e !== entry);
+          this.resumeTab(entry.tabId);
+        }
+      }, (delay >= 0 ? delay : 2) * 1000)
+    };
+    
+    log.info('Auto-resume scheduled', { tabId: entry.tabId, interruptedBy: tabId });
+  }
+  
+  cancelPendingResume() {
+    if (this.pendingResume) {
+      clearTimeout(this.pendingResume.timer);
+      this.pendingResume = null;
+    }
+  }
+  
+  dropPauseStackEntries(tabId) {
+    this.pauseStack = this.pauseStack.filter(entry => entry.tabId !== tabId && entry.interruptedBy !== tabId);
+    if (this.pendingResume && this.pendingResume.tabId === tabId) {
+      this.cancelPendingResume();
+    }
+  }
+  
+  async resumeTab(tabId) {
+    // A tab muted instead of paused never stopped playing
+    if (this.isMutedByArbitration(tabId)) {
+      return this.setTabMuted(tabId, false);
+    }
+    
+    try {
+      await browserAPI.tabs.sendMessage(tabId, {
+        type: 'RESUME_MEDIA',
+        fadeIn: this.settings.get('autoResumeFadeIn') !== false,
+        fadeDuration: this.getFadeDuration()
+      });
+      log.info('Tab resumed', { tabId });
+    } catch (error) {
+      log.warn('Failed to resume tab', { tabId, error: error.message });
+    }
+  }
+  
+  // The tab answers once its media has faded out
+  async pauseTab(tabId, fadeDuration = this.getFadeDuration()) {
+    try {
+      await browserAPI.tabs.sendMessage(tabId, { type: 'PAUSE_MEDIA', fadeDuration });
       log.info('Tab paused', { tabId });
     } catch (error) {
       log.warn('Failed to pause tab', { tabId, error: error.message });
     }
   }
   
+  /**
+   * Start media from the popup; the tab's MEDIA_STARTED goes through handleMediaStarted arbitration.
+   * With fading on, the tabs arbitration would pause fade out first and the new tab starts after them.
+   */
+  async playTab(tabId) {
+    const fadeDuration = this.getFadeDuration();
+    let fadedTabs = [];
+    if (fadeDuration > 0 && this.settings.get('extensionEnabled')) {
+      const tabInfo = this.tabs.get(tabId);
+      const { pauseTabs, blockNewTab } = this.resolvePlaybackConflict(tabId, { type: tabInfo && tabInfo.mediaType });
+      if (!blockNewTab) {
+        fadedTabs = pauseTabs;
+        await Promise.all(pauseTabs.map(playingTabId => this.pauseInterruptedTab(playingTabId, tabId)));
+      }
+    }
+    
+    try {
+      const response = await browserAPI.tabs.sendMessage(tabId, { type: 'PLAY_MEDIA', fadeDuration });
+      log.info('Tab play requested', { tabId });
+      if (response && response.success === false) {
+        this.resumeFadedTabs(fadedTabs, tabId);
+      }
+    } catch (error) {
+      log.warn('Failed to play tab', { tabId, error: error.message });
+      this.resumeFadedTabs(fadedTabs, tabId);
+    }
+  }
+  
+  // Nothing started in tabId after all, so resume the tabs faded out for it
+  resumeFadedTabs(fadedTabs, tabId) {
+    fadedTabs.forEach(fadedTabId => {
+      this.pauseStack = this.pauseStack.filter(entry => !(entry.tabId === fadedTabId && entry.interruptedBy === tabId));
+      this.resumeTab(fadedTabId);
+    });
+  }
+  
+  // An absolute time or an offset in seconds, or the live edge of a live stream
+  async seekTab(tabId, time, offset, liveEdge = false) {
+    try {
+      await browserAPI.tabs.sendMessage(tabId, { type: 'SEEK_MEDIA', time, offset, liveEdge });
+    } catch (error) {
+      log.warn('Failed to seek tab', { tabId, error: error.message });
+    }
+  }
+  
+  async skipTrack(tabId, direction) {
+    try {
+      await browserAPI.tabs.sendMessage(tabId, { type: 'SKIP_TRACK', direction });
+      log.info('Track skip sent', { tabId, direction });
+    } catch (error) {
+      log.warn('Failed to skip track', { tabId, direction, error: error.message });
+    }
+  }
+  
+  // Invoke a Media Session handler the page registered (play, pause, nexttrack, seekto, ...)
+  async sendMediaSessionAction(tabId, action, details) {
+    try {
+      const response = await browserAPI.tabs.sendMessage(tabId, { type: 'MEDIA_SESSION_ACTION', action, details });
+      log.info('Media Session action sent', { tabId, action, handled: !!(response && response.success) });
+      return !!(response && response.success);
+    } catch (error) {
+      log.warn('Failed to send Media Session action', { tabId, action, error: error.message });
+      return false;
+    }
+  }
+  
+  async getTabMediaState(tabId) {
+    try {
+      return await browserAPI.tabs.sendMessage(tabId, { type: 'GET_MEDIA_STATE' }) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
   async setTabVolume(tabId, volume) {
     try {
       const response = await browserAPI.tabs.sendMessage(tabId, { 
@@ -431,6 +840,34 @@ class TabManager {
     }
   }
   
+  // Quiet hours cap through SET_VOLUME; null lifts it
+  sendVolumeCap(tabId, volumeCap) {
+    browserAPI.tabs.sendMessage(tabId, { type: 'SET_VOLUME', volumeCap }).catch(() => {
+      // No content script in this tab (browser pages, add-ons site)
+    });
+  }
+  
+  // Slowly fade out and pause every tab that played media and anything else audible, for the
+  // sleep timer and quiet hours
+  async pauseAllMediaTabs() {
+    // Nothing should start again on its own once everything is paused
+    this.cancelPendingResume();
+    this.pauseStack = [];
+    
+    const tabIds = new Set(Array.from(this.tabs.values())
+      .filter(tabInfo => tabInfo.mediaType) // Played something, like Chrome's activeMediaTabs
+      .map(tabInfo => tabInfo.id));
+    try {
+      const audible = await browserAPI.tabs.query({ audible: true });
+      (audible || []).forEach(tab => tabIds.add(tab.id));
+    } catch (error) {
+      log.warn('Failed to query audible tabs', { error: error.message });
+    }
+    
+    const fadeDuration = Math.max(this.getFadeDuration(), SCHEDULED_PAUSE_FADE * 1000);
+    await Promise.all(Array.from(tabIds).map(tabId => this.pauseTab(tabId, fadeDuration)));
+  }
+  
   async setTabSpeed(tabId, speed) {
     try {
       await browserAPI.tabs.sendMessage(tabId, { 
@@ -443,6 +880,68 @@ class TabManager {
     }
   }
   
+  async sendSpeedAction(tabId, action, value) {
+    try {
+      await browserAPI.tabs.sendMessage(tabId, { type: 'SPEED_ACTION', action, value });
+      log.info('Speed action sent', { tabId, action });
+    } catch (error) {
+      log.warn('Failed to send speed action', { tabId, action, error: error.message });
+    }
+  }
+  
+  /**
+   * Record a play, pause or end on a tab
+   */
+  markActivity(tabInfo) {
+    tabInfo.lastActivity = Date.now();
+    tabInfo.activityOrder = ++this.activitySequence;
+  }
+  
+  /**
+   * Tab that global commands act on: the playing tab, else the last one with media activity
+   */
+  getCommandTargetTab() {
+    if (this.currentPlayingTab && this.tabs.has(this.currentPlayingTab)) {
+      return this.currentPlayingTab;
+    }
+    
+    let targetTab = null;
+    let latestActivity = -1;
+    this.tabs.forEach(tabInfo => {
+      if (!tabInfo.mediaType) return; // Never played anything
+      if (tabInfo.activityOrder > latestActivity) {
+        latestActivity = tabInfo.activityOrder;
+        targetTab = tabInfo.id;
+      }
+    });
+    return targetTab;
+  }
+  
+  /**
+   * Activate the next tab with media after the focused one, in tab strip order
+   */
+  async focusNextMediaTab() {
+    try {
+      const tabs = await browserAPI.tabs.query({});
+      const mediaTabs = tabs.filter(tab => {
+        const tabInfo = this.tabs.get(tab.id);
+        return tabInfo && tabInfo.status !== 'potential';
+      });
+      if (mediaTabs.length === 0) return;
+      
+      const [focusedTab] = await browserAPI.tabs.query({ active: true, lastFocusedWindow: true });
+      const currentIndex = focusedTab ? mediaTabs.findIndex(tab => tab.id === focusedTab.id) : -1;
+      const nextTab = mediaTabs[(currentIndex + 1) % mediaTabs.length];
+      
+      await browserAPI.tabs.update(nextTab.id, { active: true });
+      if (browserAPI.windows && nextTab.windowId !== undefined) {
+        await browserAPI.windows.update(nextTab.windowId, { focused: true });
+      }
+    } catch (error) {
+      log.warn('Failed to switch to the next media tab', { error: error.message });
+    }
+  }
+  
   setupCleanup() {
     // Clean up stale tabs every 10 minutes
     this.cleanupTimer = setInterval(() => {
@@ -487,6 +986,12 @@ class TabManager {
       isPlaying: tabInfo.status === 'playing',
       hasActiveMedia: ['playing', 'paused', 'has_media'].includes(tabInfo.status),
       playbackRate: tabInfo.playbackRate,
+      mediaSession: tabInfo.mediaSession || null,
+      loop: tabInfo.loop || null,
+      isPip: tabInfo.id === this.pipTabId,
+      ended: !!tabInfo.ended,
+      live: !!tabInfo.live,
+      mutedInfo: tabInfo.mutedInfo || null,
       timestamp: tabInfo.timestamp
     }));
     
@@ -500,13 +1005,15 @@ class TabManager {
       activeTabs,
       currentPlaying: this.currentPlayingTab,
       totalTabs: this.tabs.size,
-      extensionEnabled: this.settings.get('extensionEnabled')
+      extensionEnabled: this.settings.get('extensionEnabled'),
+      sleepTimer: this.sleepTimer
     };
   }
   
   updateBadge() {
     const tabCount = this.tabs.size;
-    const badgeText = tabCount > 0 ? tabCount.toString() : '';
+    const countText = tabCount > 0 ? tabCount.toString() : '';
+    const badgeText = this.sleepTimer ? `${countText}☾` : countText; // Moon while a sleep timer runs
     
     let badgeColor = '#9CA3AF'; // Gray (disabled)
     if (this.settings.get('extensionEnabled')) {
@@ -545,6 +1052,8 @@ class TabManager {
       this.cleanupTimer = null;
     }
     
+    this.cancelPendingResume();
+    this.pauseStack = [];
     this.tabs.clear();
     this.currentPlayingTab = null;
     
@@ -552,19 +1061,328 @@ class TabManager {
   }
 }
 
+// ============================================================================
+// POSITION STORE
+// ============================================================================
+
+const POSITIONS_STORAGE_KEY = 'playbackPositions';
+const MAX_SAVED_POSITIONS = 50; // Least recently saved entries are evicted beyond this
+
+// Saved playback positions of long media by page URL, backing the popup's "Continue watching" list.
+// Kept in storage.local: entries change every few seconds while media plays.
+class PositionStore {
+  constructor(tabManager) {
+    this.tabManager = tabManager;
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write of the stored map
+    this.pendingSeeks = new Map(); // tabId -> { url, time } for tabs opened from "Continue watching"
+    
+    browserAPI.tabs.onRemoved.addListener((tabId) => {
+      this.pendingSeeks.delete(tabId);
+    });
+  }
+  
+  // Page URL without its fragment, or null for non-web pages
+  static key(url) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+      parsed.hash = '';
+      return parsed.href;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  async load() {
+    const result = await browserAPI.storage.local.get([POSITIONS_STORAGE_KEY]);
+    return (result && result[POSITIONS_STORAGE_KEY]) || {};
+  }
+  
+  update(change) {
+    this.writeQueue = this.writeQueue.then(async () => {
+      const positions = await this.load();
+      change(positions);
+      await browserAPI.storage.local.set({ [POSITIONS_STORAGE_KEY]: positions });
+    }).catch(error => {
+      log.warn('Failed to update saved positions', { error: error.message });
+    });
+    return this.writeQueue;
+  }
+  
+  save(url, position) {
+    const key = PositionStore.key(url);
+    if (!key || !position || !(position.currentTime > 0)) return Promise.resolve();
+    
+    return this.update(positions => {
+      // Re-inserted so key order follows recency, which breaks savedAt ties
+      delete positions[key];
+      positions[key] = {
+        url: key,
+        title: position.title || '',
+        artwork: position.artwork || null,
+        currentTime: position.currentTime,
+        duration: position.duration,
+        savedAt: Date.now()
+      };
+      
+      const keys = Object.keys(positions);
+      if (keys.length > MAX_SAVED_POSITIONS) {
+        keys.sort((a, b) => positions[a].savedAt - positions[b].savedAt)
+          .slice(0, keys.length - MAX_SAVED_POSITIONS)
+          .forEach(oldKey => delete positions[oldKey]);
+      }
+    });
+  }
+  
+  clear(url) {
+    const key = PositionStore.key(url);
+    if (!key) return Promise.resolve();
+    
+    return this.update(positions => {
+      delete positions[key];
+    });
+  }
+  
+  // Most recently saved first (reversed key order settles savedAt ties)
+  async list() {
+    await this.writeQueue;
+    const positions = await this.load();
+    return Object.values(positions).reverse().sort((a, b) => b.savedAt - a.savedAt);
+  }
+  
+  async getForTab(tabId, url) {
+    const key = PositionStore.key(url);
+    if (!key) return { position: null };
+    
+    await this.writeQueue;
+    const positions = await this.load();
+    const pending = this.pendingSeeks.get(tabId);
+    const autoSeek = !!pending && pending.url === key;
+    if (autoSeek) {
+      this.pendingSeeks.delete(tabId);
+    }
+    return { position: positions[key] || null, autoSeek };
+  }
+  
+  // Focus and seek an open tab with the page, else open it and seek once its media plays
+  async open(url) {
+    const key = PositionStore.key(url);
+    if (!key) return;
+    
+    try {
+      const saved = (await this.list()).find(entry => entry.url === key);
+      const tabs = await browserAPI.tabs.query({});
+      const openTab = tabs.find(tab => PositionStore.key(tab.url) === key);
+      
+      if (openTab) {
+        await browserAPI.tabs.update(openTab.id, { active: true });
+        if (browserAPI.windows && openTab.windowId !== undefined) {
+          await browserAPI.windows.update(openTab.windowId, { focused: true });
+        }
+        if (saved) {
+          await this.tabManager.seekTab(openTab.id, saved.currentTime);
+        }
+        return;
+      }
+      
+      const tab = await browserAPI.tabs.create({ url: key, active: true });
+      if (saved && tab) {
+        this.pendingSeeks.set(tab.id, { url: key, time: saved.currentTime });
+      }
+    } catch (error) {
+      log.warn('Failed to open saved position', { url: key, error: error.message });
+    }
+  }
+}
+
+// ============================================================================
+// SLEEP TIMER
+// ============================================================================
+
+const SLEEP_TIMER_ALARM = 'sleepTimer';
+const SLEEP_TIMER_STORAGE_KEY = 'sleepTimer';
+const SCHEDULED_PAUSE_FADE = 10; // Seconds; drifting off deserves a slower fade than a tab switch
+const SLEEP_TIMER_MAX_MINUTES = 720;
+
+// Pauses every media tab after a while ({ mode: 'duration', endsAt }) or when the media playing
+// now ends ({ mode: 'endOfMedia', tabId }). Driven by an alarm and kept in storage.local, like
+// the Chrome service worker's.
+class SleepTimer {
+  constructor(tabManager) {
+    this.tabManager = tabManager;
+    this.timer = null;
+    
+    if (browserAPI.alarms && browserAPI.alarms.onAlarm) {
+      browserAPI.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name === SLEEP_TIMER_ALARM) {
+          this.fire();
+        }
+      });
+    }
+    browserAPI.tabs.onRemoved.addListener((tabId) => {
+      if (this.timer && this.timer.mode === 'endOfMedia' && this.timer.tabId === tabId) {
+        this.cancel(); // Its media won't end now
+      }
+    });
+  }
+  
+  // Mirror the timer into the tab manager for the badge and the popup state
+  set(timer) {
+    this.timer = timer;
+    this.tabManager.sleepTimer = timer;
+    this.tabManager.updateBadge();
+    this.tabManager.notifyPopupStateChange();
+  }
+  
+  async restore() {
+    try {
+      const result = await browserAPI.storage.local.get([SLEEP_TIMER_STORAGE_KEY]);
+      const timer = (result && result[SLEEP_TIMER_STORAGE_KEY]) || null;
+      if (timer && timer.mode === 'duration' && timer.endsAt <= Date.now()) {
+        // Ran out while the browser was closed; nothing is playing to pause
+        await this.cancel();
+        return;
+      }
+      this.set(timer);
+    } catch (error) {
+      log.warn('Failed to restore sleep timer', { error: error.message });
+    }
+  }
+  
+  async start(minutes, endOfMedia = false) {
+    let timer;
+    if (endOfMedia) {
+      const tabId = this.tabManager.currentPlayingTab || this.tabManager.getMostRecentPlayingTab();
+      if (!tabId) {
+        throw new Error('Nothing is playing');
+      }
+      timer = { mode: 'endOfMedia', tabId };
+    } else {
+      const duration = parseFloat(minutes);
+      if (!(duration >= 1) || duration > SLEEP_TIMER_MAX_MINUTES) {
+        throw new Error(`Sleep timer must be between 1 and ${SLEEP_TIMER_MAX_MINUTES} minutes`);
+      }
+      timer = { mode: 'duration', endsAt: Date.now() + duration * 60 * 1000 };
+    }
+    
+    await browserAPI.alarms.clear(SLEEP_TIMER_ALARM);
+    if (timer.mode === 'duration') {
+      browserAPI.alarms.create(SLEEP_TIMER_ALARM, { when: timer.endsAt });
+    }
+    await browserAPI.storage.local.set({ [SLEEP_TIMER_STORAGE_KEY]: timer });
+    this.set(timer);
+    log.info('Sleep timer set', timer);
+    return timer;
+  }
+  
+  async cancel() {
+    this.set(null);
+    try {
+      await browserAPI.alarms.clear(SLEEP_TIMER_ALARM);
+      await browserAPI.storage.local.remove(SLEEP_TIMER_STORAGE_KEY);
+    } catch (error) {
+      log.warn('Failed to clear sleep timer', { error: error.message });
+    }
+  }
+  
+  async handleMediaEnded(tabId) {
+    if (this.timer && this.timer.mode === 'endOfMedia' && this.timer.tabId === tabId) {
+      await this.fire();
+    }
+  }
+  
+  async fire() {
+    log.info('Sleep timer fired, pausing all media');
+    await this.cancel();
+    await this.tabManager.pauseAllMediaTabs();
+  }
+}
+
+// ============================================================================
+// QUIET HOURS
+// ============================================================================
+
+const QUIET_HOURS_ALARM = 'quietHours';
+
+// Scheduled volume caps and pauses from the quietHoursRules setting. An alarm wakes this
+// whenever a rule starts or ends.
+class QuietHours {
+  constructor(tabManager, settings) {
+    this.tabManager = tabManager;
+    this.settings = settings;
+    
+    if (browserAPI.alarms && browserAPI.alarms.onAlarm) {
+      browserAPI.alarms.onAlarm.addListener((alarm) => {
+        if (alarm.name === QUIET_HOURS_ALARM) {
+          this.evaluate(true);
+        }
+      });
+    }
+  }
+  
+  // Bring the volume cap in line with the rules and schedule the alarm for the next change.
+  // Pause rules only act when the alarm fires, so saving the options just after a pause time
+  // doesn't pause everything again.
+  async evaluate(fromAlarm = false) {
+    const rules = quietHours.normalizeRules(this.settings.get(quietHours.STORAGE_KEY));
+    const enabled = this.settings.get('extensionEnabled') !== false;
+    const now = new Date();
+    
+    const cap = enabled ? quietHours.volumeCap(rules, now) : null;
+    if (cap !== this.tabManager.volumeCap) {
+      this.tabManager.volumeCap = cap;
+      log.info('Quiet hours volume cap', { volumeCap: cap });
+      await this.sendVolumeCapToAllTabs(cap);
+    }
+    
+    if (fromAlarm && enabled && quietHours.isPauseDue(rules, now)) {
+      log.info('Quiet hours, pausing all media');
+      await this.tabManager.pauseAllMediaTabs();
+    }
+    
+    try {
+      await browserAPI.alarms.clear(QUIET_HOURS_ALARM);
+      const next = quietHours.nextChange(rules, now);
+      if (next) {
+        browserAPI.alarms.create(QUIET_HOURS_ALARM, { when: next });
+      }
+    } catch (error) {
+      log.warn('Failed to schedule quiet hours', { error: error.message });
+    }
+  }
+  
+  // Every tab, media or not: a tab that starts playing later in the quiet hours is already capped
+  async sendVolumeCapToAllTabs(volumeCap) {
+    try {
+      const tabs = await browserAPI.tabs.query({});
+      (tabs || []).forEach(tab => this.tabManager.sendVolumeCap(tab.id, volumeCap));
+    } catch (error) {
+      log.warn('Failed to send the quiet hours volume cap', { error: error.message });
+    }
+  }
+}
+
 // ============================================================================
 // MESSAGE HANDLER
 // ============================================================================
 
 class MessageHandler {
-  constructor(tabManager, settings) {
+  constructor(tabManager, settings, positionStore, sleepTimer, quietHours) {
     this.tabManager = tabManager;
     this.settings = settings;
+    this.positionStore = positionStore;
+    this.sleepTimer = sleepTimer;
+    this.quietHours = quietHours;
+    // tabId -> token the tab's top frame registered; subframes' content scripts fetch it here and
+    // attach it to relayed media notices, which page scripts in other frames can't forge
+    this.frameRelayTokens = new Map();
     
     this.init();
   }
   
   init() {
+    browserAPI.tabs.onRemoved.addListener((tabId) => this.frameRelayTokens.delete(tabId));
+    
     browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const tabId = sender.tab?.id;
       
@@ -580,8 +1398,21 @@ class MessageHandler {
           sendResponse({ success: true });
           return false;
           
+        case 'REGISTER_FRAME_RELAY':
+          // Only the tab's top frame hands out the token
+          if (tabId !== undefined && sender.frameId === 0 && typeof message.token === 'string') {
+            this.frameRelayTokens.set(tabId, message.token);
+          }
+          sendResponse({ success: true });
+          return false;
+          
+        case 'GET_FRAME_RELAY_TOKEN':
+          sendResponse({ token: (tabId !== undefined && this.frameRelayTokens.get(tabId)) || null });
+          return false;
+          
         case 'MEDIA_ENDED':
           this.tabManager.handleMediaEnded(tabId);
+          this.sleepTimer.handleMediaEnded(tabId);
           sendResponse({ success: true });
           return false;
           
@@ -590,6 +1421,26 @@ class MessageHandler {
           sendResponse({ success: true });
           return false;
           
+        case 'PLAY_TAB':
+          this.tabManager.playTab(message.tabId);
+          sendResponse({ success: true });
+          return false;
+          
+        case 'SEEK_TAB':
+          this.tabManager.seekTab(message.tabId, message.time, message.offset, !!message.liveEdge);
+          sendResponse({ success: true });
+          return false;
+          
+        case 'SKIP_TRACK_TAB':
+          this.tabManager.skipTrack(message.tabId, message.direction);
+          sendResponse({ success: true });
+          return false;
+          
+        case 'MEDIA_SESSION_ACTION_TAB':
+          this.tabManager.sendMediaSessionAction(message.tabId, message.action, message.details);
+          sendResponse({ success: true });
+          return false;
+          
         case 'SET_VOLUME':
           this.tabManager.setTabVolume(message.tabId, message.volume);
           sendResponse({ success: true });
@@ -609,6 +1460,42 @@ class MessageHandler {
           this.handleExtensionToggle(message.enabled);
           sendResponse({ success: true });
           return false;
+          
+        case 'FULLSCREEN_CHANGED':
+          this.tabManager.handleFullscreenChanged(tabId, message.isFullscreen);
+          sendResponse({ success: true });
+          return false;
+          
+        case 'LOOP_CHANGED':
+          this.tabManager.handleLoopChanged(tabId, message.loop);
+          sendResponse({ success: true });
+          return false;
+          
+        case 'PIP_CHANGED':
+          this.tabManager.handlePipChanged(tabId, message.isPip);
+          sendResponse({ success: true });
+          return false;
+          
+        case 'SAVE_POSITION':
+          // Private tabs leave nothing behind in storage
+          if (!sender.tab?.incognito) this.positionStore.save(sender.tab?.url, message.position);
+          sendResponse({ success: true });
+          return false;
+          
+        case 'CLEAR_POSITION':
+          if (!sender.tab?.incognito) this.positionStore.clear(sender.tab?.url);
+          sendResponse({ success: true });
+          return false;
+          
+        case 'REMOVE_SAVED_POSITION':
+          this.positionStore.clear(message.url);
+          sendResponse({ success: true });
+          return false;
+          
+        case 'OPEN_SAVED_POSITION':
+          this.positionStore.open(message.url);
+          sendResponse({ success: true });
+          return false;
       }
       
       // Handle async messages
@@ -623,7 +1510,7 @@ class MessageHandler {
     try {
       switch (message.type) {
         case 'MEDIA_STARTED':
-          this.tabManager.handleMediaStarted(tabId, message.mediaInfo);
+          this.tabManager.handleMediaStarted(tabId, message.mediaInfo, sender.tab);
           sendResponse({ success: true });
           break;
           
@@ -638,10 +1525,45 @@ class MessageHandler {
           break;
           
         case 'BROADCAST_SETTINGS_UPDATE':
+          // Options page already saved these; keep the in-memory copy in step
+          this.settings.update(message.settings || {});
+          if (message.settings && message.settings[quietHours.STORAGE_KEY] !== undefined) {
+            await this.quietHours.evaluate();
+          }
           await this.broadcastSettingsUpdate(message.settings);
           sendResponse({ success: true });
           break;
           
+        case 'GET_TAB_MEDIA_STATE':
+          sendResponse(await this.tabManager.getTabMediaState(message.tabId));
+          break;
+          
+        case 'PIP_TAB':
+          sendResponse(await this.tabManager.togglePictureInPictureTab(message.tabId));
+          break;
+          
+        case 'SET_TAB_MUTED':
+          await this.tabManager.setTabMutedFromPopup(message.tabId, !!message.muted);
+          sendResponse({ success: true });
+          break;
+          
+        case 'GET_SAVED_POSITION':
+          sendResponse(sender.tab?.incognito ? { position: null } : await this.positionStore.getForTab(tabId, sender.tab?.url));
+          break;
+          
+        case 'GET_SAVED_POSITIONS':
+          sendResponse({ positions: await this.positionStore.list() });
+          break;
+          
+        case 'SET_SLEEP_TIMER':
+          sendResponse({ success: true, sleepTimer: await this.sleepTimer.start(message.minutes, message.endOfMedia) });
+          break;
+          
+        case 'CANCEL_SLEEP_TIMER':
+          await this.sleepTimer.cancel();
+          sendResponse({ success: true });
+          break;
+          
         default:
           log.warn('Unknown message type', { type: message.type });
           sendResponse({ error: 'Unknown message type' });
@@ -664,6 +1586,9 @@ class MessageHandler {
     this.tabManager.updateBadge();
     this.tabManager.notifyPopupStateChange();
     
+    // Quiet hours only apply while the extension is on
+    await this.quietHours.evaluate();
+    
     log.info('Extension toggled', { enabled });
   }
   
@@ -740,6 +1665,66 @@ class MessageHandler {
   }
 }
 
+// ============================================================================
+// COMMAND HANDLER
+// ============================================================================
+
+class CommandHandler {
+  constructor(tabManager, settings) {
+    this.tabManager = tabManager;
+    this.settings = settings;
+    
+    this.init();
+  }
+  
+  init() {
+    // Global keyboard commands declared in the manifest
+    if (!browserAPI.commands || !browserAPI.commands.onCommand) return;
+    
+    browserAPI.commands.onCommand.addListener((command) => {
+      this.handleCommand(command);
+    });
+  }
+  
+  async handleCommand(command) {
+    if (!this.settings.get('extensionEnabled')) return;
+    
+    const tabManager = this.tabManager;
+    const targetTab = tabManager.getCommandTargetTab();
+    log.info('Command received', { command, targetTab });
+    
+    switch (command) {
+      case 'toggle-playback':
+        if (!targetTab) return;
+        if (tabManager.tabs.get(targetTab).status === 'playing') {
+          await tabManager.pauseTab(targetTab);
+        } else {
+          await tabManager.resumeTab(targetTab);
+        }
+        break;
+        
+      case 'pause-all':
+        await Promise.all(tabManager.getPlayingTabIds().map(tabId => tabManager.pauseTab(tabId)));
+        break;
+        
+      case 'speed-up':
+        if (targetTab) await tabManager.sendSpeedAction(targetTab, 'faster');
+        break;
+        
+      case 'speed-down':
+        if (targetTab) await tabManager.sendSpeedAction(targetTab, 'slower');
+        break;
+        
+      case 'next-media-tab':
+        await tabManager.focusNextMediaTab();
+        break;
+        
+      default:
+        log.warn('Unknown command', { command });
+    }
+  }
+}
+
 // ============================================================================
 // BACKGROUND SCRIPT INITIALIZATION
 // ============================================================================
@@ -748,7 +1733,11 @@ class BackgroundScript {
   constructor() {
     this.settings = new SettingsManager();
     this.tabManager = null;
+    this.positionStore = null;
+    this.sleepTimer = null;
+    this.quietHours = null;
     this.messageHandler = null;
+    this.commandHandler = null;
     this.initialized = false;
   }
   
@@ -765,8 +1754,23 @@ class BackgroundScript {
       // Initialize tab manager
       this.tabManager = new TabManager(this.settings);
       
+      // Saved playback positions ("Continue watching")
+      this.positionStore = new PositionStore(this.tabManager);
+      
+      // Sleep timer, possibly set before the browser restarted
+      this.sleepTimer = new SleepTimer(this.tabManager);
+      await this.sleepTimer.restore();
+      
+      // Quiet hours volume caps and pauses
+      this.quietHours = new QuietHours(this.tabManager, this.settings);
+      await this.quietHours.evaluate();
+      
       // Initialize message handler
-      this.messageHandler = new MessageHandler(this.tabManager, this.settings);
+      this.messageHandler = new MessageHandler(this.tabManager, this.settings, this.positionStore, this.sleepTimer,
+        this.quietHours);
+      
+      // Initialize global keyboard commands
+      this.commandHandler = new CommandHandler(this.tabManager, this.settings);
       
       // Setup browser event listeners
       this.setupBrowserListeners();
@@ -840,7 +1844,11 @@ class BackgroundScript {
       this.tabManager = null;
     }
     
+    this.positionStore = null;
+    this.sleepTimer = null;
+    this.quietHours = null;
     this.messageHandler = null;
+    this.commandHandler = null;
     this.initialized = false;
     
     log.info('Background script destroyed');
@@ -867,5 +1875,5 @@ log.info('UME Background Script loaded');
 
 // Export for testing purposes
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { backgroundScript, TabManager, MessageHandler, StorageManager };
+  module.exports = { backgroundScript, TabManager, MessageHandler, CommandHandler, StorageManager, PositionStore, SleepTimer, QuietHours };
 }
@@ -0,0 +1,152 @@
+/**
+ * UME - Media bookmarks
+ * Named, timestamped bookmarks per page and media, shared by the content script and the options page.
+ * Stored in storage.local under STORAGE_KEY:
+ *   { [pageUrl]: { url, title, updatedAt, bookmarks: [{ id, media, time, name, createdAt }] } }
+ * pageUrl has its fragment stripped; media is the element src, or '' for blob:/data: sources
+ * that change on every load. The helpers here only reshape that object, callers read and write storage.
+ */
+
+(function(root) {
+  'use strict';
+
+  const STORAGE_KEY = 'bookmarks';
+
+  // Next/previous ignore bookmarks this close behind the playhead, so "previous" right after
+  // jumping to a bookmark goes to the one before it
+  const PREVIOUS_THRESHOLD = 1.5;
+  const NEXT_THRESHOLD = 0.5;
+
+  function pageKey(url) {
+    return String(url || '').split('#')[0];
+  }
+
+  function mediaKey(src) {
+    const value = String(src || '');
+    return /^(blob|data):/i.test(value) ? '' : value;
+  }
+
+  function byTime(a, b) {
+    return a.time - b.time;
+  }
+
+  /**
+   * Bookmarks of one media in a page, earliest first
+   */
+  function forMedia(store, url, src) {
+    const page = store[pageKey(url)];
+    if (!page) return [];
+    const media = mediaKey(src);
+    return page.bookmarks.filter(bookmark => bookmark.media === media).sort(byTime);
+  }
+
+  /**
+   * Add a bookmark; without a name it becomes "Bookmark N" for that media
+   */
+  function addBookmark(store, { url, title, src, time, name }) {
+    const key = pageKey(url);
+    const page = store[key] || { url: key, title: '', updatedAt: 0, bookmarks: [] };
+    const media = mediaKey(src);
+    const count = page.bookmarks.filter(bookmark => bookmark.media === media).length;
+    const now = Date.now();
+
+    const bookmark = {
+      id: now.toString(36) + Math.random().toString(36).slice(2, 6),
+      media,
+      time: Math.max(0, Number(time) || 0),
+      name: String(name || '').trim() || `Bookmark ${count + 1}`,
+      createdAt: now
+    };
+
+    page.bookmarks.push(bookmark);
+    page.title = title || page.title;
+    page.updatedAt = now;
+    store[key] = page;
+    return bookmark;
+  }
+
+  function renameBookmark(store, url, id, name) {
+    const page = store[pageKey(url)];
+    const bookmark = page && page.bookmarks.find(item => item.id === id);
+    const trimmed = String(name || '').trim();
+    if (!bookmark || !trimmed) return false;
+    bookmark.name = trimmed;
+    page.updatedAt = Date.now();
+    return true;
+  }
+
+  /**
+   * Remove a bookmark; a page without bookmarks left is dropped from the store
+   */
+  function removeBookmark(store, url, id) {
+    const key = pageKey(url);
+    const page = store[key];
+    if (!page) return false;
+    const remaining = page.bookmarks.filter(item => item.id !== id);
+    if (remaining.length === page.bookmarks.length) return false;
+
+    if (remaining.length === 0) {
+      delete store[key];
+    } else {
+      page.bookmarks = remaining;
+      page.updatedAt = Date.now();
+    }
+    return true;
+  }
+
+  /**
+   * Bookmark to go to from currentTime; direction 1 for next, -1 for previous. null when there is none
+   */
+  function adjacentBookmark(bookmarks, currentTime, direction) {
+    const sorted = bookmarks.slice().sort(byTime);
+    if (direction > 0) {
+      return sorted.find(bookmark => bookmark.time > currentTime + NEXT_THRESHOLD) || null;
+    }
+    return sorted.reverse().find(bookmark => bookmark.time < currentTime - PREVIOUS_THRESHOLD) || null;
+  }
+
+  /**
+   * Pages with bookmarks, most recently changed first
+   */
+  function listPages(store) {
+    return Object.values(store || {})
+      .filter(page => page && Array.isArray(page.bookmarks) && page.bookmarks.length > 0)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  // 754.2 -> "00:12:34"
+  function formatChapterTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+  }
+
+  /**
+   * Chapter list, one "00:12:34 Title" line per bookmark in time order
+   */
+  function toChapterText(bookmarks) {
+    return bookmarks.slice().sort(byTime)
+      .map(bookmark => `${formatChapterTime(bookmark.time)} ${bookmark.name}`)
+      .join('\n');
+  }
+
+  const api = {
+    STORAGE_KEY,
+    pageKey,
+    mediaKey,
+    forMedia,
+    addBookmark,
+    renameBookmark,
+    removeBookmark,
+    adjacentBookmark,
+    listPages,
+    formatChapterTime,
+    toChapterText
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.umeBookmarks = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -27,6 +27,21 @@
     error: (msg, data) => console.error(`[UME-CONTENT] ${msg}`, data || '')
   };
   
+  // Short message in the top right corner of the page
+  function showNotification(message) {
+    const notification = document.createElement('div');
+    notification.textContent = message;
+    notification.style.cssText = `
+      position: fixed; top: 20px; right: 20px;
+      background: rgba(0, 0, 0, 0.8); color: white;
+      padding: 12px 16px; border-radius: 6px;
+      font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+      font-size: 14px; z-index: 2147483647; pointer-events: none;
+    `;
+    document.body.appendChild(notification);
+    setTimeout(() => notification.remove(), 2000);
+  }
+  
   // ============================================================================
   // STORAGE AND SETTINGS MANAGER
   // ============================================================================
@@ -61,6 +76,7 @@
   class SettingsManager {
     constructor() {
       this.settings = this.getDefaultSettings();
+      this.siteProfile = null;
       this.loaded = false;
     }
     
@@ -82,11 +98,46 @@
           { action: 'rewind', key: 90, value: 10, force: false },     // Z
           { action: 'advance', key: 88, value: 10, force: false },    // X
           { action: 'reset', key: 82, value: 1.0, force: false },     // R
-          { action: 'fast', key: 71, value: 1.8, force: false }       // G
+          { action: 'fast', key: 71, value: 1.8, force: false },      // G
+          { action: 'mark', key: 77, value: 0, force: false },        // M - add bookmark
+          { action: 'jump', key: 74, value: 0, force: false },        // J - jump to latest bookmark
+          { action: 'prevBookmark', key: 219, value: 0, force: false }, // [
+          { action: 'nextBookmark', key: 221, value: 0, force: false }, // ]
+          { action: 'setLoopA', key: 65, value: 0, force: false },    // A - loop start
+          { action: 'setLoopB', key: 66, value: 0, force: false },    // B - loop end
+          { action: 'toggleLoop', key: 76, value: 0, force: false },  // L - loop on/off
+          { action: 'frameBackward', key: 188, value: 0, force: false }, // , - previous frame
+          { action: 'frameForward', key: 190, value: 0, force: false },  // . - next frame
+          { action: 'seekToStart', key: 0, value: 0, force: false },  // Unbound; Home is the usual choice
+          { action: 'seekToEnd', key: 0, value: 0, force: false },    // Unbound; End is the usual choice
+          { action: 'jumpToLive', key: 0, value: 0, force: false },   // Unbound - jump to the live edge
+          { action: 'pip', key: 0, value: 0, force: false },          // Unbound - Picture-in-Picture on/off
+          { action: 'seekPercent', key: 48, value: 0, force: false }, // 0 - start
+          { action: 'seekPercent', key: 49, value: 10, force: false }, // 1 - 10%
+          { action: 'seekPercent', key: 50, value: 20, force: false }, // 2 - 20%
+          { action: 'seekPercent', key: 51, value: 30, force: false }, // 3 - 30%
+          { action: 'seekPercent', key: 52, value: 40, force: false }, // 4 - 40%
+          { action: 'seekPercent', key: 53, value: 50, force: false }, // 5 - 50%
+          { action: 'seekPercent', key: 54, value: 60, force: false }, // 6 - 60%
+          { action: 'seekPercent', key: 55, value: 70, force: false }, // 7 - 70%
+          { action: 'seekPercent', key: 56, value: 80, force: false }, // 8 - 80%
+          { action: 'seekPercent', key: 57, value: 90, force: false }  // 9 - 90%
         ],
         blacklist: 'www.instagram.com\ntwitter.com\nimgur.com\nteams.microsoft.com',
         speeds: {}, // Per-video speed storage
-        markers: {} // Video bookmarks
+        markers: {}, // Legacy single markers per URL, moved into bookmarks on load
+        siteProfiles: [], // Per-site rules, first enabled match wins
+        rememberPosition: true, // Save the position of long media
+        rememberPositionMinMinutes: 10,
+        silenceSkipEnabled: false, // Speed through silent stretches
+        silenceThreshold: -45, // dBFS; quieter than this counts as silence
+        silenceMinDuration: 0.5, // Seconds of silence before speeding up
+        silenceSpeed: 3.0, // Playback rate while silent
+        perDomainAudioEffects: {}, // Hostname -> EQ, night mode, mono and balance, see audio-effects.js
+        volumeBoostLimit: 5.0, // Ceiling for the loudness normalization gain
+        loudnessNormalization: false, // Move the output gain toward loudnessTarget
+        loudnessTarget: -20, // dBFS short-term loudness to aim for
+        autoPictureInPicture: false // Enter Picture-in-Picture when the tab is hidden while a video plays
       };
     }
     
@@ -113,20 +164,59 @@
       }
     }
     
-    get(key) { return this.settings[key]; }
+    /**
+     * Read a setting. Speed, controller visibility and key bindings honor
+     * the active site profile without touching the stored settings.
+     */
+    get(key) {
+      const profile = this.siteProfile;
+      if (profile) {
+        if (key === 'speed' && profile.speed) return profile.speed;
+        if (key === 'showController' && typeof profile.showController === 'boolean') return profile.showController;
+        if (key === 'keyBindings') return this.getEffectiveKeyBindings();
+        if (key === 'silenceSkipEnabled' && typeof profile.silenceSkip === 'boolean') return profile.silenceSkip;
+        if ((key === 'silenceThreshold' || key === 'silenceMinDuration') && typeof profile[key] === 'number') return profile[key];
+      }
+      return this.settings[key];
+    }
     set(key, value) { this.settings[key] = value; }
     update(updates) { Object.assign(this.settings, updates); }
     
-    isBlacklisted(url) {
-      if (!this.settings.blacklist) return false;
-      
-      const blacklistItems = this.settings.blacklist.split('\n').map(item => item.trim()).filter(item => item);
-      const hostname = new URL(url).hostname.toLowerCase();
+    getSiteProfile() { return this.siteProfile; }
+    
+    /**
+     * Select the first enabled site profile matching the URL
+     */
+    applySiteProfile(url) {
+      const profiles = Array.isArray(this.settings.siteProfiles) ? this.settings.siteProfiles : [];
+      this.siteProfile = profiles.find(profile =>
+        profile && profile.enabled !== false && this.matchesSitePatterns(url, profile.pattern)
+      ) || null;
       
-      return blacklistItems.some(item => {
-        const blacklistedHost = item.toLowerCase();
-        return hostname === blacklistedHost || hostname.endsWith('.' + blacklistedHost);
-      });
+      if (this.siteProfile) {
+        log.info('Site profile applied', { profile: this.siteProfile.name || this.siteProfile.pattern });
+      }
+      return this.siteProfile;
+    }
+    
+    /**
+     * Global key bindings with the site profile's overrides applied (see site-settings.js)
+     */
+    getEffectiveKeyBindings() {
+      return window.umeSiteSettings.getEffectiveKeyBindings(this.settings.keyBindings, this.siteProfile);
+    }
+    
+    getSkipAmount(action) {
+      const binding = this.getEffectiveKeyBindings().find(item => item.action === action);
+      return binding && binding.value ? binding.value : 10;
+    }
+    
+    isBlacklisted(url) {
+      return this.matchesSitePatterns(url, this.settings.blacklist);
+    }
+    
+    matchesSitePatterns(url, patterns) {
+      return window.umeSitePatterns.matchesSitePatterns(url, patterns);
     }
   }
   
@@ -135,9 +225,14 @@
   // ============================================================================
   
   class SpeedController {
-    constructor(mediaElement, settings) {
+    constructor(mediaElement, settings, frameRelay, bookmarks) {
       this.media = mediaElement;
       this.settings = settings;
+      this.frameRelay = frameRelay;
+      this.bookmarks = bookmarks;
+      this.bookmarkListener = null;
+      this.onClearLoop = null; // Set by MediaManager, which owns the loop points
+      this.isSkippingSilence = null; // Set by MediaManager; its temporary speed-ups aren't stored
       this.container = null;
       this.shadowRoot = null;
       this.isInitialized = false;
@@ -188,6 +283,8 @@
           display: flex;
           align-items: center;
           gap: 8px;
+          flex-wrap: wrap;
+          max-width: 320px;
           transition: opacity 0.2s ease;
         }
         
@@ -237,6 +334,80 @@
         .control-btn.hide {
           background: rgba(255, 0, 0, 0.2);
         }
+        
+        .loop-display {
+          cursor: pointer;
+          opacity: 0.6;
+          white-space: nowrap;
+        }
+        
+        .loop-display.active {
+          opacity: 1;
+          color: #7cf;
+        }
+        
+        .loop-display[hidden] {
+          display: none;
+        }
+        
+        .silence-display {
+          opacity: 0.6;
+          white-space: nowrap;
+        }
+        
+        .silence-display.active {
+          opacity: 1;
+          color: #9e9;
+        }
+        
+        .silence-display[hidden] {
+          display: none;
+        }
+        
+        .bookmark-panel {
+          flex-basis: 100%;
+          max-height: 240px;
+          min-width: 220px;
+          overflow-y: auto;
+        }
+        
+        .bookmark-panel[hidden] {
+          display: none;
+        }
+        
+        .bookmark-add,
+        .bookmark-list li {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          margin-bottom: 4px;
+        }
+        
+        .bookmark-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+        
+        .bookmark-panel input {
+          flex: 1;
+          min-width: 0;
+          background: rgba(255, 255, 255, 0.1);
+          color: white;
+          border: 1px solid rgba(255, 255, 255, 0.3);
+          border-radius: 3px;
+          padding: 2px 4px;
+          font: inherit;
+        }
+        
+        .bookmark-panel .control-btn {
+          width: auto;
+          padding: 0 6px;
+        }
+        
+        .bookmark-empty {
+          opacity: 0.7;
+        }
       `;
       this.shadowRoot.appendChild(style);
       
@@ -254,6 +425,15 @@
       speedDisplay.className = 'speed-display';
       speedDisplay.textContent = '1.00x';
       
+      // A-B loop markers, click to clear
+      const loopDisplay = document.createElement('div');
+      loopDisplay.className = 'loop-display';
+      loopDisplay.title = 'A-B loop (click to clear)';
+      loopDisplay.hidden = true;
+      loopDisplay.addEventListener('click', () => {
+        if (this.onClearLoop) this.onClearLoop();
+      });
+      
       // Controls
       const controls = document.createElement('div');
       controls.className = 'controls';
@@ -264,6 +444,7 @@
         { text: '«', title: 'Rewind (Z)', action: 'rewind' },
         { text: '»', title: 'Advance (X)', action: 'advance' },
         { text: '⌂', title: 'Reset (R)', action: 'reset' },
+        { text: '🔖', title: 'Bookmarks (M adds one)', action: 'bookmarks' },
         { text: '×', title: 'Hide (V)', action: 'hide' }
       ];
       
@@ -276,8 +457,22 @@
         controls.appendChild(button);
       });
       
+      // Time saved by silence skipping
+      const silenceDisplay = document.createElement('div');
+      silenceDisplay.className = 'silence-display';
+      silenceDisplay.title = 'Time saved by skipping silence';
+      silenceDisplay.hidden = true;
+      
+      // Bookmark panel, opened from the 🔖 button
+      const bookmarkPanel = document.createElement('div');
+      bookmarkPanel.className = 'bookmark-panel';
+      bookmarkPanel.hidden = true;
+      
       controller.appendChild(speedDisplay);
+      controller.appendChild(loopDisplay);
+      controller.appendChild(silenceDisplay);
       controller.appendChild(controls);
+      controller.appendChild(bookmarkPanel);
       this.shadowRoot.appendChild(controller);
       
       // Insert into DOM
@@ -286,6 +481,13 @@
       // Store references
       this.speedDisplay = speedDisplay;
       this.controllerElement = controller;
+      this.bookmarkPanel = bookmarkPanel;
+      this.loopDisplay = loopDisplay;
+      this.silenceDisplay = silenceDisplay;
+      
+      // Redraw when bookmarks change here, in another tab or in the options page
+      this.bookmarkListener = () => this.renderBookmarks();
+      this.bookmarks.subscribe(this.bookmarkListener);
       
       // Setup dragging
       this.setupDragging(speedDisplay, controller);
@@ -337,6 +539,7 @@
     }
     
     onRateChange() {
+      if (this.isSkippingSilence && this.isSkippingSilence()) return;
       const newRate = this.media.playbackRate;
       if (Math.abs(newRate - this.currentSpeed) > 0.01) {
         this.currentSpeed = newRate;
@@ -353,7 +556,8 @@
         }
         
         const src = this.media.src || this.media.currentSrc;
-        let targetSpeed = this.settings.get('speed'); // Default speed from settings
+        let targetSpeed = this.settings.get('speed'); // Default speed from settings (or site profile)
+        const profile = this.settings.getSiteProfile();
         
         // Priority 1: Per-video stored speed (highest priority)
         const speeds = this.settings.get('speeds');
@@ -361,6 +565,11 @@
           targetSpeed = speeds[src];
           log.info('Using per-video stored speed', { speed: targetSpeed, src: src.substring(0, 50) + '...' });
         }
+        // Site profile default speed beats the remembered last speed
+        else if (profile && profile.speed) {
+          targetSpeed = profile.speed;
+          log.info('Using site profile speed', { speed: targetSpeed });
+        }
         // Priority 2: Last used speed (if rememberSpeed is enabled and no per-video speed)
         else if (this.settings.get('rememberSpeed')) {
           const lastSpeed = this.settings.get('lastSpeed');
@@ -400,10 +609,10 @@
             this.adjustSpeed(0.25);
             break;
           case 'rewind':
-            this.seek(-10);
+            this.seek(-this.settings.getSkipAmount('rewind'));
             break;
           case 'advance':
-            this.seek(10);
+            this.seek(this.settings.getSkipAmount('advance'));
             break;
                   case 'reset':
           // Reset toggles between 1.0x and default speed setting
@@ -411,6 +620,9 @@
           const resetSpeed = (Math.abs(this.currentSpeed - 1.0) < 0.01) ? defaultSpeed : 1.0;
           this.setSpeed(resetSpeed);
           break;
+          case 'bookmarks':
+            this.toggleBookmarkPanel();
+            break;
           case 'hide':
             this.toggleVisibility();
             break;
@@ -422,7 +634,7 @@
     
     adjustSpeed(delta) {
       if (this.isLivestream()) {
-        this.showNotification('Speed control not available for live streams');
+        showNotification('Speed control not available for live streams');
         return;
       }
       const newSpeed = Math.max(0.1, Math.min(5.0, this.currentSpeed + delta));
@@ -436,7 +648,7 @@
     
     setSpeed(speed) {
       if (this.isLivestream()) {
-        this.showNotification('Speed control not available for live streams');
+        showNotification('Speed control not available for live streams');
         return;
       }
       
@@ -464,6 +676,9 @@
     }
     
     storeSpeed() {
+      // A live stream's speed is never restored, so it isn't remembered either
+      if (this.isLivestream()) return;
+      
       const src = this.media.src || this.media.currentSrc;
       if (src && this.currentSpeed !== this.lastStoredSpeed) {
         const speeds = this.settings.get('speeds');
@@ -491,26 +706,98 @@
     }
     
     isLivestream() {
-      return this.media.duration === Infinity || isNaN(this.media.duration);
+      return isLiveMedia(this.media) || isNaN(this.media.duration);
     }
     
-    showNotification(message) {
-      const notification = document.createElement('div');
-      notification.textContent = message;
-      notification.style.cssText = `
-        position: fixed; top: 20px; right: 20px;
-        background: rgba(0, 0, 0, 0.8); color: white;
-        padding: 12px 16px; border-radius: 6px;
-        font-family: -apple-system, BlinkMacSystemFont, sans-serif;
-        font-size: 14px; z-index: 2147483647; pointer-events: none;
-      `;
-      document.body.appendChild(notification);
-      setTimeout(() => notification.remove(), 2000);
+    // "A 1:23" while only A is set, "A 1:23 – B 1:45" once both are, highlighted while looping
+    updateLoopDisplay(loop) {
+      if (!this.loopDisplay) return;
+      this.loopDisplay.hidden = !loop;
+      if (!loop) return;
+      this.loopDisplay.textContent = `🔁 A ${formatClock(loop.start)}` + (loop.end !== null ? ` – B ${formatClock(loop.end)}` : '');
+      this.loopDisplay.classList.toggle('active', loop.enabled);
+    }
+    
+    // Shown once silence skipping has saved a second, highlighted while skipping
+    updateSilenceDisplay(saved, skipping) {
+      if (!this.silenceDisplay) return;
+      this.silenceDisplay.hidden = saved < 1;
+      this.silenceDisplay.textContent = `⏩ ${formatClock(saved)} saved`;
+      this.silenceDisplay.classList.toggle('active', skipping);
+    }
+    
+    toggleBookmarkPanel() {
+      if (!this.bookmarkPanel) return;
+      this.bookmarkPanel.hidden = !this.bookmarkPanel.hidden;
+      this.renderBookmarks();
+    }
+    
+    // Name field with Add, then time (jump), name (rename) and remove per bookmark
+    renderBookmarks() {
+      const panel = this.bookmarkPanel;
+      if (!panel || panel.hidden) return;
+      panel.textContent = '';
+      
+      // Keys typed into the panel are text, not shortcuts for us or the player
+      const keepKeys = input => {
+        ['keydown', 'keyup', 'keypress'].forEach(type => {
+          input.addEventListener(type, event => event.stopPropagation());
+        });
+      };
+      const button = (text, title, onClick) => {
+        const element = document.createElement('button');
+        element.className = 'control-btn';
+        element.textContent = text;
+        element.title = title;
+        element.addEventListener('click', onClick);
+        return element;
+      };
+      
+      const addRow = document.createElement('div');
+      addRow.className = 'bookmark-add';
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.placeholder = `Name (at ${formatClock(this.media.currentTime)})`;
+      keepKeys(nameInput);
+      const add = () => this.bookmarks.add(this.media, nameInput.value);
+      nameInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') add();
+      });
+      addRow.append(nameInput, button('Add', 'Bookmark the current position', add));
+      panel.appendChild(addRow);
+      
+      const bookmarks = this.bookmarks.forElement(this.media);
+      if (bookmarks.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'bookmark-empty';
+        empty.textContent = 'No bookmarks yet';
+        panel.appendChild(empty);
+        return;
+      }
+      
+      const list = document.createElement('ol');
+      list.className = 'bookmark-list';
+      bookmarks.forEach(bookmark => {
+        const item = document.createElement('li');
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = bookmark.name;
+        keepKeys(name);
+        name.addEventListener('change', () => this.bookmarks.rename(bookmark.id, name.value));
+        
+        item.append(
+          button(formatClock(bookmark.time), 'Jump here', () => { this.media.currentTime = bookmark.time; }),
+          name,
+          button('×', 'Delete bookmark', () => this.bookmarks.remove(bookmark.id))
+        );
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
     }
     
     notifySpeedChange(speed) {
       try {
-        browserAPI.runtime.sendMessage({
+        this.frameRelay.send({
           type: 'SPEED_CHANGED',
           speed: speed,
           src: this.media.src || this.media.currentSrc
@@ -524,22 +811,513 @@
       if (this.container && this.container.parentNode) {
         this.container.parentNode.removeChild(this.container);
       }
+      if (this.bookmarkListener) {
+        this.bookmarks.unsubscribe(this.bookmarkListener);
+      }
       this.isInitialized = false;
       log.info('Speed controller destroyed');
     }
   }
   
+  // ============================================================================
+  // MEDIA SESSION BRIDGE
+  // ============================================================================
+  
+  // Records page handlers passed to mediaSession.setActionHandler so the extension can trigger them.
+  // Created at document_start; ContentScript injects the shim once it knows the site isn't excluded.
+  class MediaSessionBridge {
+    constructor() {
+      this.actions = new Set();
+      
+      this.setupListener();
+    }
+    
+    injectShim() {
+      const script = document.createElement('script');
+      script.textContent = `
+        (function() {
+          // Runs in the page, so a failure here must never break the page's own Media Session use
+          try {
+            if (!window.MediaSession || window.__umeMediaSessionShim) return;
+            window.__umeMediaSessionShim = true;
+            
+            const handlers = new Map();
+            const originalSetActionHandler = MediaSession.prototype.setActionHandler;
+            
+            function announceActions() {
+              window.postMessage({ type: 'UME_MEDIA_SESSION_HANDLERS', actions: Array.from(handlers.keys()) }, '*');
+            }
+            
+            MediaSession.prototype.setActionHandler = function(action, handler) {
+              const result = originalSetActionHandler.apply(this, arguments);
+              try {
+                if (typeof handler === 'function') {
+                  handlers.set(action, handler);
+                } else {
+                  handlers.delete(action);
+                }
+                announceActions();
+              } catch (error) {
+                console.warn('[UME-PAGE] Failed to record Media Session handler', action, error);
+              }
+              return result;
+            };
+            
+            window.addEventListener('message', function(event) {
+              if (event.source !== window || !event.data || event.data.type !== 'UME_MEDIA_SESSION_ACTION') return;
+              const handler = handlers.get(event.data.action);
+              if (!handler) return;
+              try {
+                handler(Object.assign({}, event.data.details, { action: event.data.action }));
+              } catch (error) {
+                console.warn('[UME-PAGE] Media Session handler failed', event.data.action, error);
+              }
+            });
+          } catch (error) {
+            console.warn('[UME-PAGE] Media Session shim failed', error);
+          }
+        })();
+      `;
+      
+      try {
+        (document.head || document.documentElement).appendChild(script);
+        script.remove();
+      } catch (error) {
+        log.warn('Failed to inject Media Session shim', { error: error.message });
+      }
+    }
+    
+    setupListener() {
+      window.addEventListener('message', (event) => {
+        if (event.source !== window || !event.data || event.data.type !== 'UME_MEDIA_SESSION_HANDLERS') return;
+        if (Array.isArray(event.data.actions)) {
+          this.actions = new Set(event.data.actions);
+        }
+      });
+    }
+    
+    has(action) {
+      return this.actions.has(action);
+    }
+    
+    // Returns false when the page has no handler for the action
+    invoke(action, details = {}) {
+      if (!this.has(action)) return false;
+      
+      window.postMessage({ type: 'UME_MEDIA_SESSION_ACTION', action, details }, '*');
+      log.info('Media Session action invoked', { action });
+      return true;
+    }
+    
+    seek(time, offset) {
+      if (typeof time === 'number') {
+        return this.invoke('seekto', { seekTime: time });
+      }
+      if (offset > 0) {
+        return this.invoke('seekforward', { seekOffset: offset });
+      }
+      if (offset < 0) {
+        return this.invoke('seekbackward', { seekOffset: -offset });
+      }
+      return false;
+    }
+  }
+  
+  // ============================================================================
+  // MEDIA DISCOVERY (SHADOW DOM)
+  // ============================================================================
+  
+  // Calls back with every open shadow root at or below a node, nested roots included
+  function forEachShadowRoot(node, callback) {
+    if (!node) return;
+    if (node.shadowRoot) {
+      callback(node.shadowRoot);
+      forEachShadowRoot(node.shadowRoot, callback);
+    }
+    if (node.querySelectorAll) {
+      node.querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) {
+          callback(element.shadowRoot);
+          forEachShadowRoot(element.shadowRoot, callback);
+        }
+      });
+    }
+  }
+  
+  // Media elements at or below a node (the document by default), including open shadow roots
+  function findMediaElements(root = document, selector = 'video, audio') {
+    const found = [];
+    if (root.matches && root.matches(selector)) {
+      found.push(root);
+    }
+    if (root.querySelectorAll) {
+      found.push(...root.querySelectorAll(selector));
+    }
+    forEachShadowRoot(root, shadowRoot => {
+      found.push(...shadowRoot.querySelectorAll(selector));
+    });
+    return found;
+  }
+  
+  // Custom elements often attach their shadow root after insertion, when the added-node scan
+  // has already run. The page-world hook reports those roots with a composed event.
+  function injectShadowRootHook() {
+    const script = document.createElement('script');
+    script.textContent = `
+      (function() {
+        if (!window.Element || !Element.prototype.attachShadow || Element.prototype.attachShadow.__umeWrapped) return;
+        const originalAttachShadow = Element.prototype.attachShadow;
+        const wrapped = function(init) {
+          const shadowRoot = originalAttachShadow.call(this, init);
+          const host = this;
+          if (init && init.mode === 'open') {
+            // Let the element render its shadow content first
+            setTimeout(function() {
+              host.dispatchEvent(new CustomEvent('ume-shadow-root-attached', { bubbles: true, composed: true }));
+            }, 0);
+          }
+          return shadowRoot;
+        };
+        wrapped.__umeWrapped = true;
+        Element.prototype.attachShadow = wrapped;
+      })();
+    `;
+    
+    try {
+      (document.head || document.documentElement).appendChild(script);
+      script.remove();
+    } catch (error) {
+      log.warn('Failed to inject attachShadow hook', { error: error.message });
+    }
+  }
+  
+  // ============================================================================
+  // FRAME RELAY
+  // ============================================================================
+  
+  const RELAYED_MESSAGE_TYPES = ['MEDIA_STARTED', 'MEDIA_PAUSED', 'MEDIA_ENDED', 'SPEED_CHANGED', 'FULLSCREEN_CHANGED', 'LOOP_CHANGED',
+    'PIP_CHANGED'];
+  const QUERY_MESSAGE_TYPES = ['PLAY_MEDIA', 'SEEK_MEDIA', 'SKIP_TRACK', 'MEDIA_SESSION_ACTION', 'GET_MEDIA_STATE', 'CHECK_FOR_MEDIA',
+    'TOGGLE_PIP', 'ENTER_PIP'];
+  const FRAME_RELAY_TOKEN_ATTEMPTS = 3;
+  const FRAME_RELAY_TOKEN_RETRY_DELAY = 500; // ms; the top frame may not have registered yet
+  
+  // The content script runs in every frame. Subframes post their media notices to the top frame,
+  // which forwards them so the background sees one media tab per tab, not one per frame.
+  // Relays carry a token the top frame registers with the background, where only our own content
+  // scripts can fetch it, so page scripts in other frames (ads) can't forge notices for the tab.
+  class FrameRelay {
+    constructor() {
+      this.isTopFrame = window.top === window;
+      this.playingFrames = new Set(); // Subframe windows that reported playback
+      this.childFrameHasMedia = false;
+      this.localPlaying = false;
+      this.token = null; // Top frame: generated; subframes: promise of the fetched token
+      
+      if (this.isTopFrame) {
+        this.registerToken();
+        this.setupListener();
+      }
+    }
+    
+    registerToken() {
+      const bytes = new Uint8Array(16);
+      crypto.getRandomValues(bytes);
+      this.token = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+      browserAPI.runtime.sendMessage({ type: 'REGISTER_FRAME_RELAY', token: this.token }).catch(error => {
+        log.warn('Failed to register the frame relay token', { error: error.message });
+      });
+    }
+    
+    // Subframes ask the background once; every relay waits on the same request so notices keep their order
+    getToken() {
+      if (!this.token) {
+        this.token = this.requestToken(FRAME_RELAY_TOKEN_ATTEMPTS).then(token => {
+          if (!token) this.token = null; // Ask again on the next notice
+          return token;
+        });
+      }
+      return this.token;
+    }
+    
+    async requestToken(attempts) {
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        if (attempt > 0) {
+          await new Promise(resolve => setTimeout(resolve, FRAME_RELAY_TOKEN_RETRY_DELAY));
+        }
+        try {
+          const response = await browserAPI.runtime.sendMessage({ type: 'GET_FRAME_RELAY_TOKEN' });
+          if (response && response.token) return response.token;
+        } catch (error) {
+          log.warn('Failed to get the frame relay token', { error: error.message });
+        }
+      }
+      return null;
+    }
+    
+    // Whether win is a frame nested somewhere in this page
+    isDescendantFrame(win) {
+      const pending = [window];
+      while (pending.length > 0) {
+        const frames = pending.pop().frames;
+        for (let i = 0; i < frames.length; i++) {
+          if (frames[i] === win) return true;
+          pending.push(frames[i]);
+        }
+      }
+      return false;
+    }
+    
+    setupListener() {
+      window.addEventListener('message', (event) => {
+        if (event.source === window || !event.data || event.data.type !== 'UME_FRAME_RELAY') return;
+        if (event.data.token !== this.token || !this.isDescendantFrame(event.source)) return;
+        const message = event.data.message;
+        if (!message || !RELAYED_MESSAGE_TYPES.includes(message.type)) return;
+        
+        this.childFrameHasMedia = true;
+        if (message.type === 'MEDIA_STARTED') {
+          this.playingFrames.add(event.source);
+        } else if (message.type === 'MEDIA_PAUSED' || message.type === 'MEDIA_ENDED') {
+          this.playingFrames.delete(event.source);
+          // The tab keeps playing while this frame or another subframe does
+          if (this.localPlaying || this.hasPlayingChildFrames()) return;
+        }
+        this.forward(message);
+      });
+    }
+    
+    send(message) {
+      if (!this.isTopFrame && RELAYED_MESSAGE_TYPES.includes(message.type)) {
+        this.getToken().then(token => {
+          if (!token) return;
+          try {
+            window.top.postMessage({ type: 'UME_FRAME_RELAY', token, message }, '*');
+          } catch (error) {
+            log.warn('Failed to relay message to top frame', { type: message.type, error: error.message });
+          }
+        });
+        return;
+      }
+      
+      if (message.type === 'MEDIA_STARTED') {
+        this.localPlaying = true;
+      } else if (message.type === 'MEDIA_PAUSED' || message.type === 'MEDIA_ENDED') {
+        this.localPlaying = false;
+        if (this.hasPlayingChildFrames()) return;
+      }
+      this.forward(message);
+    }
+    
+    forward(message) {
+      try {
+        browserAPI.runtime.sendMessage(message);
+      } catch (error) {
+        log.warn('Failed to notify background script', { type: message.type, error: error.message });
+      }
+    }
+    
+    hasPlayingChildFrames() {
+      this.playingFrames.forEach(frame => {
+        if (frame.closed) this.playingFrames.delete(frame);
+      });
+      return this.playingFrames.size > 0;
+    }
+    
+    // Background messages reach every frame but only the first response is used. Frames with
+    // media answer; the top frame also answers when no subframe reported media.
+    shouldAnswer(frameHasMedia) {
+      return frameHasMedia || (this.isTopFrame && !this.childFrameHasMedia);
+    }
+  }
+  
+  // ============================================================================
+  // POSITION MEMORY
+  // ============================================================================
+  
+  const POSITION_SAVE_INTERVAL = 10000; // ms between periodic SAVE_POSITION messages
+  const POSITION_EDGE_SECONDS = 30; // Nothing to continue this close to the start or end
+  const RESUME_TOAST_DURATION = 10000;
+  
+  // 75 -> "1:15", 3725 -> "1:02:05"
+  function formatClock(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+  }
+  
+  // ============================================================================
+  // BOOKMARKS
+  // ============================================================================
+  
+  const bookmarkUtils = window.umeBookmarks;
+  const BOOKMARK_ACTIONS = ['mark', 'jump', 'prevBookmark', 'nextBookmark'];
+  
+  // A-B loop (loop points live in MediaManager.loopRanges)
+  const LOOP_ACTIONS = ['setLoopA', 'setLoopB', 'toggleLoop'];
+  const LOOP_END_TOLERANCE = 0.05; // Seconds; timeupdate rarely lands exactly on B
+  
+  // Frame stepping (measured durations live in MediaManager.frameDurations)
+  const DEFAULT_FRAME_DURATION = 1 / 30;
+  const FRAME_SAMPLES = 10;
+  
+  // Seeking on keys the page itself uses to scroll; only taken over when media is the target
+  const PAGE_KEY_ACTIONS = ['seekToStart', 'seekToEnd'];
+  
+  // Live streams
+  const LIVE_PLACEHOLDER_DURATION = 7 * 24 * 60 * 60; // MediaSource players that can't report Infinity set a huge duration instead
+  const LIVE_EDGE_MARGIN = 2; // Seconds behind the seekable end, so jumping to live doesn't stall waiting for data
+  
+  // An endless duration, or a MediaSource stream with a placeholder duration no recording has
+  function isLiveMedia(element) {
+    if (element.duration === Infinity) return true;
+    const src = element.currentSrc || element.src || '';
+    return src.startsWith('blob:') && element.duration >= LIVE_PLACEHOLDER_DURATION;
+  }
+  
+  // Silence skipping (detector state lives in MediaManager.silenceStates)
+  const SILENCE_CHECK_INTERVAL = 100; // ms between level checks
+  const MAX_SILENCE_SPEED = 4; // Firefox mutes audio above 4x, which would read as endless silence
+  
+  // Effects chain between the media source and the output (shared with the popup and options page)
+  const audioEffects = window.umeAudioEffects;
+  
+  // Loudness normalization (meter and correction live in MediaManager.audioNodes)
+  const LOUDNESS_CHECK_INTERVAL = 250; // ms between level readings
+  const LOUDNESS_WINDOW_BLOCKS = 12; // Readings averaged into short-term loudness, 3 s at the interval above
+  const LOUDNESS_TIME_CONSTANT = 2; // Seconds; how slowly the gain follows the correction
+  
+  // Named bookmarks of the media in this page, kept in storage.local (store format in bookmarks.js)
+  class MediaBookmarks {
+    constructor() {
+      this.store = {};
+      this.listeners = new Set();
+      this.storageListener = null;
+    }
+    
+    async load(legacyMarkers) {
+      try {
+        const result = await browserAPI.storage.local.get([bookmarkUtils.STORAGE_KEY]);
+        this.store = (result && result[bookmarkUtils.STORAGE_KEY]) || {};
+        
+        // Bookmarks edited in another tab or the options page
+        if (!this.storageListener) {
+          this.storageListener = (changes, areaName) => {
+            if (areaName === 'local' && changes[bookmarkUtils.STORAGE_KEY]) {
+              this.store = changes[bookmarkUtils.STORAGE_KEY].newValue || {};
+              this.notify();
+            }
+          };
+          browserAPI.storage.onChanged.addListener(this.storageListener);
+        }
+        
+        // The old single marker per media becomes a bookmark
+        if (legacyMarkers) {
+          await this.update(store => {
+            Object.entries(legacyMarkers).forEach(([src, time]) => {
+              bookmarkUtils.addBookmark(store, {
+                url: window.location.href,
+                title: document.title,
+                src: src === 'default' ? '' : src,
+                time,
+                name: 'Marker'
+              });
+            });
+          });
+        }
+      } catch (error) {
+        log.warn('Failed to load bookmarks', { error: error.message });
+      }
+    }
+    
+    // Re-read before writing, other tabs and the options page write too
+    async update(change) {
+      try {
+        const result = await browserAPI.storage.local.get([bookmarkUtils.STORAGE_KEY]);
+        const store = (result && result[bookmarkUtils.STORAGE_KEY]) || {};
+        const outcome = change(store);
+        await browserAPI.storage.local.set({ [bookmarkUtils.STORAGE_KEY]: store });
+        this.store = store;
+        this.notify();
+        return outcome;
+      } catch (error) {
+        log.warn('Failed to update bookmarks', { error: error.message });
+        return null;
+      }
+    }
+    
+    forElement(element) {
+      return bookmarkUtils.forMedia(this.store, window.location.href, element.currentSrc || element.src);
+    }
+    
+    async add(element, name) {
+      const bookmark = await this.update(store => bookmarkUtils.addBookmark(store, {
+        url: window.location.href,
+        title: document.title,
+        src: element.currentSrc || element.src,
+        time: element.currentTime,
+        name
+      }));
+      if (bookmark) {
+        showNotification(`${bookmark.name} added at ${formatClock(bookmark.time)}`);
+      }
+      return bookmark;
+    }
+    
+    rename(id, name) {
+      return this.update(store => bookmarkUtils.renameBookmark(store, window.location.href, id, name));
+    }
+    
+    remove(id) {
+      return this.update(store => bookmarkUtils.removeBookmark(store, window.location.href, id));
+    }
+    
+    subscribe(listener) { this.listeners.add(listener); }
+    unsubscribe(listener) { this.listeners.delete(listener); }
+    
+    notify() {
+      this.listeners.forEach(listener => {
+        try {
+          listener();
+        } catch (error) {
+          log.warn('Bookmark listener failed', { error: error.message });
+        }
+      });
+    }
+  }
+  
   // ============================================================================
   // MEDIA MANAGER (COMPLETE REDESIGN)
   // ============================================================================
   
   class MediaManager {
-    constructor(settings) {
+    constructor(settings, mediaSession, frameRelay, bookmarks) {
       this.settings = settings;
+      this.mediaSession = mediaSession;
+      this.frameRelay = frameRelay;
+      this.bookmarks = bookmarks;
       this.trackedMedia = new Map();
       this.activeMedia = new Set();
       this.observer = null;
+      this.shadowObservers = [];
+      this.observedShadowRoots = new WeakSet();
+      this.shadowRootHandler = null;
       this.keyboardHandler = null;
+      this.fullscreenHandler = null;
+      this.pausedByExtension = new Set(); // Paused by PAUSE_MEDIA, candidates for RESUME_MEDIA
+      this.positionSavedAt = new WeakMap(); // Element -> time of the last SAVE_POSITION
+      this.positionOffered = new WeakMap(); // Element -> src a saved position was already looked up for
+      this.loopRanges = new WeakMap(); // Element -> { start, end, enabled, frameHandle } for A-B loops
+      this.frameDurations = new WeakMap(); // Video -> measured seconds per frame, null while sampling
+      this.audioContext = null; // Created on demand for silence skipping and audio effects
+      this.audioNodes = new WeakMap(); // Element -> { source, effects, gain, analyser, correction, loudness }; a source can only be created once
+      this.silenceStates = new WeakMap(); // Element -> silence detector state, see startSilenceDetection
+      this.volumeCap = null; // Quiet hours limit sent by the background, null while none applies
+      this.volumesBeforeCap = new WeakMap(); // Element -> { volume, capped } to put back when the cap lifts
+      this.autoPipVideo = null; // Video put in Picture-in-Picture automatically, taken out when the tab is shown
+      this.autoPipHandlerSet = false; // Whether the enterpictureinpicture Media Session handler is ours
+      this.visibilityHandler = null;
       
       this.init();
     }
@@ -550,13 +1328,15 @@
       this.scanForMedia();
       this.setupMutationObserver();
       this.setupKeyboardShortcuts();
+      this.setupFullscreenTracking();
+      this.setupAutoPictureInPicture();
       this.setupMessageListener();
       
       log.info('Media manager initialized');
     }
     
     scanForMedia() {
-      const mediaElements = document.querySelectorAll('video, audio');
+      const mediaElements = findMediaElements();
       log.info('Scanning for media elements', { count: mediaElements.length });
       
       mediaElements.forEach(element => {
@@ -588,38 +1368,52 @@
     }
     
     setupMutationObserver() {
-      this.observer = new MutationObserver(mutations => {
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              if (node.matches && node.matches('video, audio')) {
-                this.trackMediaElement(node);
-              }
-              const mediaChildren = node.querySelectorAll && node.querySelectorAll('video, audio');
-              if (mediaChildren) {
-                mediaChildren.forEach(child => this.trackMediaElement(child));
-              }
-            }
-          });
-          
-          mutation.removedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              if (node.matches && node.matches('video, audio')) {
-                this.untrackMediaElement(node);
-              }
-              const mediaChildren = node.querySelectorAll && node.querySelectorAll('video, audio');
-              if (mediaChildren) {
-                mediaChildren.forEach(child => this.untrackMediaElement(child));
-              }
-            }
-          });
-        });
-      });
-      
+      this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
       this.observer.observe(document.body || document.documentElement, {
         childList: true,
         subtree: true
       });
+      this.observeShadowRoots(document);
+      
+      // Shadow roots attached after insertion, reported by the page-world hook
+      this.shadowRootHandler = (event) => {
+        const host = event.composedPath()[0];
+        if (host && host.nodeType === Node.ELEMENT_NODE) {
+          findMediaElements(host).forEach(element => this.trackMediaElement(element));
+          this.observeShadowRoots(host);
+        }
+      };
+      document.addEventListener('ume-shadow-root-attached', this.shadowRootHandler, true);
+    }
+    
+    // Shared by the document observer and every shadow root observer
+    handleMutations(mutations) {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            findMediaElements(node).forEach(child => this.trackMediaElement(child));
+            this.observeShadowRoots(node);
+          }
+        });
+        
+        mutation.removedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            findMediaElements(node).forEach(child => this.untrackMediaElement(child));
+          }
+        });
+      });
+    }
+    
+    // Document-level observers don't see mutations inside shadow roots, each root gets its own
+    observeShadowRoots(node) {
+      forEachShadowRoot(node, shadowRoot => {
+        if (this.observedShadowRoots.has(shadowRoot)) return;
+        this.observedShadowRoots.add(shadowRoot);
+        
+        const observer = new MutationObserver(mutations => this.handleMutations(mutations));
+        observer.observe(shadowRoot, { childList: true, subtree: true });
+        this.shadowObservers.push(observer);
+      });
     }
     
     trackMediaElement(element) {
@@ -629,15 +1423,55 @@
         // Create speed controller for video elements
         let controller = null;
         if (element.tagName.toLowerCase() === 'video' && this.settings.get('showController')) {
-          controller = new SpeedController(element, this.settings);
+          controller = new SpeedController(element, this.settings, this.frameRelay, this.bookmarks);
+          controller.onClearLoop = () => this.clearLoop(element);
+          controller.isSkippingSilence = () => {
+            const silence = this.silenceStates.get(element);
+            return !!silence && silence.skipping;
+          };
+        }
+        
+        // Firefox has no volume booster, so a profile volume is applied up to 100%
+        const profile = this.settings.getSiteProfile();
+        if (profile && profile.volume) {
+          element.volume = Math.min(1, profile.volume);
         }
         
         // Setup event listeners
         const listeners = {
-          play: () => this.onMediaPlay(element),
-          pause: () => this.onMediaPause(element),
-          ended: () => this.onMediaEnded(element),
-          loadstart: () => this.onMediaLoadStart(element)
+          play: () => {
+            this.capElementVolume(element);
+            this.onMediaPlay(element);
+            this.measureFrameDuration(element);
+            this.applyAudioEffects(element);
+            this.startSilenceDetection(element);
+            this.startLoudnessNormalization(element);
+          },
+          pause: () => {
+            this.onMediaPause(element);
+            this.stopSilenceDetection(element);
+            this.stopLoudnessNormalization(element);
+          },
+          ended: () => {
+            this.onMediaEnded(element);
+            this.stopSilenceDetection(element);
+            this.stopLoudnessNormalization(element);
+          },
+          loadstart: () => this.onMediaLoadStart(element),
+          // The page raising its own volume during quiet hours
+          volumechange: () => {
+            if (this.volumeCap !== null) this.capElementVolume(element);
+          },
+          enterpictureinpicture: () => this.frameRelay.send({ type: 'PIP_CHANGED', isPip: true }),
+          leavepictureinpicture: () => {
+            if (this.autoPipVideo === element) this.autoPipVideo = null;
+            this.frameRelay.send({ type: 'PIP_CHANGED', isPip: false });
+          },
+          // Loops are checked here when requestVideoFrameCallback isn't available (audio)
+          timeupdate: () => {
+            this.savePlaybackPosition(element);
+            this.enforceLoop(element, element.currentTime);
+          }
         };
         
         Object.entries(listeners).forEach(([event, handler]) => {
@@ -712,13 +1546,21 @@
         tracked.info.isPlaying = true;
         tracked.info.lastPlay = Date.now();
       }
+      this.offerPositionRestore(element);
       
+      const profile = this.settings.getSiteProfile();
       this.notifyBackgroundScript('MEDIA_STARTED', {
         type: element.tagName.toLowerCase(),
         src: element.src || element.currentSrc,
         title: document.title,
         duration: element.duration,
-        playbackRate: element.playbackRate
+        playbackRate: element.playbackRate,
+        isFullscreen: !!document.fullscreenElement,
+        loop: this.getActiveLoop(element),
+        mediaSession: this.getMediaSessionInfo(),
+        live: isLiveMedia(element),
+        // The site profile's mute-instead-of-pause choice; null leaves it to the media type
+        muteInsteadOfPause: profile && typeof profile.muteInsteadOfPause === 'boolean' ? profile.muteInsteadOfPause : null
       });
       
       log.info('Media started playing', { 
@@ -734,6 +1576,7 @@
       if (tracked) {
         tracked.info.isPlaying = false;
       }
+      this.savePlaybackPosition(element, true);
       
       if (this.activeMedia.size === 0) {
         this.notifyBackgroundScript('MEDIA_PAUSED');
@@ -743,12 +1586,21 @@
     }
     
     onMediaEnded(element) {
+      // A loop whose B is the very end starts over instead
+      if (this.enforceLoop(element, element.currentTime)) {
+        element.play().catch(() => {});
+        return;
+      }
+      
       this.activeMedia.delete(element);
       
       const tracked = this.trackedMedia.get(element);
       if (tracked) {
         tracked.info.isPlaying = false;
       }
+      if (this.shouldRememberPosition(element)) {
+        this.frameRelay.send({ type: 'CLEAR_POSITION' });
+      }
       
       if (this.activeMedia.size === 0) {
         this.notifyBackgroundScript('MEDIA_ENDED');
@@ -757,6 +1609,125 @@
       log.info('Media ended');
     }
     
+    // Long media only; the minimum length is set in Options → Playback. Private windows never
+    // save or offer positions
+    shouldRememberPosition(element) {
+      return this.settings.get('rememberPosition') !== false &&
+        !(browserAPI.extension && browserAPI.extension.inIncognitoContext) &&
+        isFinite(element.duration) &&
+        element.duration >= (this.settings.get('rememberPositionMinMinutes') || 10) * 60;
+    }
+    
+    // Throttled unless forced; media near its end clears the saved entry instead
+    savePlaybackPosition(element, force = false) {
+      if (!this.shouldRememberPosition(element)) return;
+      
+      const now = Date.now();
+      if (!force && now - (this.positionSavedAt.get(element) || 0) < POSITION_SAVE_INTERVAL) return;
+      this.positionSavedAt.set(element, now);
+      
+      if (element.currentTime < POSITION_EDGE_SECONDS) return;
+      if (element.duration - element.currentTime < POSITION_EDGE_SECONDS) {
+        this.frameRelay.send({ type: 'CLEAR_POSITION' });
+        return;
+      }
+      
+      const metadata = this.getMediaSessionInfo();
+      this.frameRelay.send({
+        type: 'SAVE_POSITION',
+        position: {
+          currentTime: element.currentTime,
+          duration: element.duration,
+          title: (metadata && metadata.title) || document.title,
+          artwork: metadata && metadata.artwork
+        }
+      });
+    }
+    
+    // Offer the saved position once per source; tabs opened from "Continue watching" seek directly
+    async offerPositionRestore(element) {
+      if (!this.shouldRememberPosition(element)) return;
+      
+      const src = element.src || element.currentSrc;
+      if (this.positionOffered.get(element) === src) return;
+      this.positionOffered.set(element, src);
+      
+      try {
+        const response = await browserAPI.runtime.sendMessage({ type: 'GET_SAVED_POSITION' });
+        const saved = response && response.position;
+        if (!saved) return;
+        
+        // A different video on the same page, or already past the saved point
+        if (Math.abs(saved.duration - element.duration) > 5) return;
+        if (saved.currentTime - element.currentTime < POSITION_EDGE_SECONDS) return;
+        
+        if (response.autoSeek) {
+          element.currentTime = saved.currentTime;
+          log.info('Continued from saved position', { time: saved.currentTime });
+        } else {
+          this.showResumeToast(element, saved.currentTime);
+        }
+      } catch (error) {
+        log.warn('Failed to look up saved position', { error: error.message });
+      }
+    }
+    
+    showResumeToast(element, time) {
+      const rect = element.getBoundingClientRect();
+      const visible = rect.width > 0 && rect.height > 0;
+      
+      const toast = document.createElement('div');
+      toast.className = 'ume-resume-toast';
+      toast.style.cssText = `
+        position: fixed;
+        left: ${visible ? Math.max(8, rect.left + 16) : 20}px;
+        top: ${visible ? Math.max(8, rect.bottom - 64) : 20}px;
+        display: flex; align-items: center; gap: 10px;
+        background: rgba(0, 0, 0, 0.85); color: white;
+        padding: 8px 12px; border-radius: 6px;
+        font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+        font-size: 14px; z-index: 2147483647;
+      `;
+      
+      const label = document.createElement('span');
+      label.textContent = `Continue from ${formatClock(time)}?`;
+      
+      const buttonStyle = `
+        background: transparent; color: white;
+        border: 1px solid rgba(255, 255, 255, 0.6); border-radius: 4px;
+        padding: 2px 8px; font: inherit; cursor: pointer;
+      `;
+      const resumeButton = document.createElement('button');
+      resumeButton.textContent = 'Resume';
+      resumeButton.style.cssText = buttonStyle;
+      const dismissButton = document.createElement('button');
+      dismissButton.textContent = '✕';
+      dismissButton.title = 'Dismiss';
+      dismissButton.style.cssText = buttonStyle;
+      
+      const dismiss = () => {
+        clearTimeout(dismissTimer);
+        toast.remove();
+      };
+      const dismissTimer = setTimeout(dismiss, RESUME_TOAST_DURATION);
+      
+      resumeButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        element.currentTime = time;
+        dismiss();
+      });
+      dismissButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        dismiss();
+      });
+      
+      toast.append(label, resumeButton, dismissButton);
+      // A fullscreen <video> can't hold children, its container can
+      const fullscreenElement = document.fullscreenElement;
+      const container = fullscreenElement && fullscreenElement.tagName !== 'VIDEO' ? fullscreenElement : document.body;
+      (container || document.documentElement).appendChild(toast);
+    }
+    
     onMediaLoadStart(element) {
       const tracked = this.trackedMedia.get(element);
       if (tracked && tracked.controller) {
@@ -764,16 +1735,36 @@
       }
     }
     
+    setupFullscreenTracking() {
+      // The background's protectFullscreen arbitration policy needs to know this
+      this.fullscreenHandler = () => {
+        if (this.activeMedia.size === 0) return;
+        try {
+          this.frameRelay.send({
+            type: 'FULLSCREEN_CHANGED',
+            isFullscreen: !!document.fullscreenElement
+          });
+        } catch (error) {
+          log.warn('Failed to report fullscreen change', { error: error.message });
+        }
+      };
+      
+      document.addEventListener('fullscreenchange', this.fullscreenHandler);
+    }
+    
     setupKeyboardShortcuts() {
       this.keyboardHandler = (event) => {
-        // Skip if modifiers or in input fields
+        // Skip if modifiers or in input fields; the composed path reaches fields inside
+        // shadow roots, such as the bookmark panel
         if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
-        if (event.target.matches('input, textarea, [contenteditable="true"]')) return;
+        const target = event.composedPath()[0];
+        if (target.matches && target.matches('input, textarea, [contenteditable="true"]')) return;
         if (this.trackedMedia.size === 0) return;
         
         // Find matching key binding
         const keyBindings = this.settings.get('keyBindings');
-        const binding = keyBindings.find(b => b.key === event.keyCode);
+        const binding = keyBindings.find(b => b.key && b.key === event.keyCode);
+        if (binding && PAGE_KEY_ACTIONS.includes(binding.action) && !this.isMediaKeyTarget(target)) return;
         
         if (binding && this.settings.get('enabled')) {
           event.preventDefault();
@@ -790,7 +1781,39 @@
       document.addEventListener('keydown', this.keyboardHandler, true);
     }
     
+    // Whether a key press is meant for media: media in fullscreen, a focused player, or media
+    // playing in view. Anywhere else the page keeps its own keys.
+    isMediaKeyTarget(target) {
+      if (document.fullscreenElement) return true;
+      if (target instanceof HTMLMediaElement) return true;
+      if (target !== document.body && target !== document.documentElement &&
+          target.querySelector && target.querySelector('video, audio')) {
+        return true;
+      }
+      return Array.from(this.trackedMedia.keys()).some(element => {
+        if (element.paused || element.ended) return false;
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+      });
+    }
+    
     executeAction(action, value) {
+      // Bookmarks and loops belong to one media, the one the popup would control
+      if (BOOKMARK_ACTIONS.includes(action)) {
+        this.runBookmarkAction(action);
+        return;
+      }
+      if (LOOP_ACTIONS.includes(action)) {
+        this.runLoopAction(action);
+        return;
+      }
+      if (action === 'pip') {
+        this.togglePictureInPicture().then(result => {
+          if (!result.success) showNotification(result.error);
+        });
+        return;
+      }
+      
       const activeElements = Array.from(this.activeMedia);
       const allElements = Array.from(this.trackedMedia.keys());
       const elementsToProcess = activeElements.length > 0 ? activeElements : allElements;
@@ -862,6 +1885,32 @@
             element.currentTime = Math.min(element.currentTime + value, element.duration || element.currentTime + value);
             break;
             
+          case 'frameForward':
+          case 'frameBackward':
+            this.stepFrame(element, action === 'frameForward' ? 1 : -1);
+            break;
+            
+          case 'seekPercent':
+            // value is the percentage, 0-100
+            if (isFinite(element.duration)) {
+              element.currentTime = element.duration * Math.min(Math.max(value, 0), 100) / 100;
+            }
+            break;
+            
+          case 'seekToStart':
+            element.currentTime = 0;
+            break;
+            
+          case 'seekToEnd':
+            if (isFinite(element.duration)) {
+              element.currentTime = element.duration;
+            }
+            break;
+            
+          case 'jumpToLive':
+            this.jumpToLiveEdge(element);
+            break;
+            
           case 'display':
             this.trackedMedia.forEach((tracked) => {
               if (tracked.controller) {
@@ -880,8 +1929,465 @@
       log.info('Keyboard action executed', { action, value, elements: elementsToProcess.length });
     }
     
+    // mark adds a bookmark, jump returns to the latest one, prev/nextBookmark step through them in time order
+    runBookmarkAction(action) {
+      const element = this.getPrimaryMediaElement();
+      if (!element || !isFinite(element.duration)) return;
+      
+      if (action === 'mark') {
+        this.bookmarks.add(element);
+        return;
+      }
+      
+      const bookmarks = this.bookmarks.forElement(element);
+      let target = null;
+      if (action === 'jump') {
+        target = bookmarks.slice().sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+      } else {
+        target = bookmarkUtils.adjacentBookmark(bookmarks, element.currentTime, action === 'nextBookmark' ? 1 : -1);
+      }
+      
+      if (!target) {
+        showNotification(bookmarks.length === 0 ? 'No bookmarks for this media' : 'No more bookmarks this way');
+        return;
+      }
+      element.currentTime = target.time;
+      showNotification(`${target.name} (${formatClock(target.time)})`);
+    }
+    
+    // setLoopA/setLoopB place the loop points at the playhead (B turns the loop on), toggleLoop pauses and resumes it
+    runLoopAction(action) {
+      const element = this.getPrimaryMediaElement();
+      if (!element || !isFinite(element.duration)) return;
+      
+      const time = element.currentTime;
+      const loop = this.loopRanges.get(element) || { start: 0, end: null, enabled: false, frameHandle: null };
+      
+      switch (action) {
+        case 'setLoopA':
+          loop.start = time;
+          if (loop.end !== null && loop.end <= time) {
+            loop.end = null;
+            loop.enabled = false;
+          }
+          this.loopRanges.set(element, loop);
+          showNotification(`Loop start (A) at ${formatClock(time)}`);
+          break;
+          
+        case 'setLoopB':
+          if (time <= loop.start) {
+            showNotification('Loop end (B) must come after the start (A)');
+            return;
+          }
+          loop.end = time;
+          loop.enabled = true;
+          this.loopRanges.set(element, loop);
+          showNotification(`Looping ${formatClock(loop.start)} – ${formatClock(time)}`);
+          break;
+          
+        case 'toggleLoop':
+          if (loop.end === null) {
+            showNotification('Set the loop start (A) and end (B) first');
+            return;
+          }
+          loop.enabled = !loop.enabled;
+          showNotification(loop.enabled ? 'Loop on' : 'Loop off');
+          break;
+      }
+      
+      this.updateLoop(element);
+    }
+    
+    clearLoop(element) {
+      const loop = this.loopRanges.get(element);
+      if (!loop) return;
+      loop.enabled = false;
+      this.updateLoop(element);
+      this.loopRanges.delete(element);
+      this.updateLoopDisplay(element);
+      showNotification('Loop cleared');
+    }
+    
+    // Frame callbacks, controller markers and the popup's loop indicator
+    updateLoop(element) {
+      const loop = this.loopRanges.get(element);
+      
+      if (loop && loop.frameHandle !== null && typeof element.cancelVideoFrameCallback === 'function') {
+        element.cancelVideoFrameCallback(loop.frameHandle);
+        loop.frameHandle = null;
+      }
+      // Video frames are checked as they are presented, much tighter than timeupdate's ~250ms
+      if (loop && loop.enabled && typeof element.requestVideoFrameCallback === 'function') {
+        const onFrame = (now, metadata) => {
+          this.enforceLoop(element, metadata.mediaTime);
+          if (loop.enabled) {
+            loop.frameHandle = element.requestVideoFrameCallback(onFrame);
+          }
+        };
+        loop.frameHandle = element.requestVideoFrameCallback(onFrame);
+      }
+      
+      this.updateLoopDisplay(element);
+      this.frameRelay.send({
+        type: 'LOOP_CHANGED',
+        loop: this.getActiveLoop(element)
+      });
+    }
+    
+    updateLoopDisplay(element) {
+      const tracked = this.trackedMedia.get(element);
+      if (tracked && tracked.controller) {
+        tracked.controller.updateLoopDisplay(this.loopRanges.get(element) || null);
+      }
+    }
+    
+    // Jump back to A once the playhead reaches B; true when it did
+    enforceLoop(element, time) {
+      const loop = this.loopRanges.get(element);
+      if (!loop || !loop.enabled || loop.end === null) return false;
+      if (time < loop.end - LOOP_END_TOLERANCE) return false;
+      element.currentTime = loop.start;
+      return true;
+    }
+    
+    getActiveLoop(element) {
+      const loop = this.loopRanges.get(element);
+      return loop && loop.enabled ? { start: loop.start, end: loop.end } : null;
+    }
+    
+    // Frame duration from the media time between consecutively presented frames, measured once
+    // per video while it plays; the median of the samples ignores dropped frames
+    measureFrameDuration(video) {
+      if (typeof video.requestVideoFrameCallback !== 'function' || this.frameDurations.has(video)) return;
+      this.frameDurations.set(video, null);
+      
+      const samples = [];
+      let previous = null;
+      const onFrame = (now, metadata) => {
+        if (previous && metadata.presentedFrames - previous.presentedFrames === 1) {
+          const delta = metadata.mediaTime - previous.mediaTime;
+          if (delta > 0) samples.push(delta);
+        }
+        previous = metadata;
+        
+        if (samples.length < FRAME_SAMPLES) {
+          video.requestVideoFrameCallback(onFrame);
+          return;
+        }
+        samples.sort((a, b) => a - b);
+        this.frameDurations.set(video, samples[Math.floor(samples.length / 2)]);
+        log.info('Measured frame rate', { fps: Math.round(1 / this.frameDurations.get(video)) });
+      };
+      video.requestVideoFrameCallback(onFrame);
+    }
+    
+    getSilenceSettings() {
+      return {
+        enabled: this.settings.get('silenceSkipEnabled') === true,
+        threshold: this.settings.get('silenceThreshold'),
+        minDuration: this.settings.get('silenceMinDuration'),
+        speed: Math.min(this.settings.get('silenceSpeed'), MAX_SILENCE_SPEED)
+      };
+    }
+    
+    // Web Audio only hears cross-origin media served with CORS; anything else would read as
+    // silence (and be muted by routing it through the graph)
+    canAnalyseAudio(element) {
+      const src = element.currentSrc || element.src;
+      if (!src || /^(blob|data):/i.test(src) || element.crossOrigin !== null) return true;
+      try {
+        return new URL(src, window.location.href).origin === window.location.origin;
+      } catch (error) {
+        return false;
+      }
+    }
+    
+    // Route the element through source -> effects -> gain -> destination with an AnalyserNode
+    // tap on the source, once per element. The gain only carries the loudness correction;
+    // Firefox has no volume booster, the element's own volume stays in charge.
+    getAudioNodes(element) {
+      if (this.audioNodes.has(element)) return this.audioNodes.get(element);
+      
+      try {
+        if (!this.audioContext) {
+          this.audioContext = new AudioContext();
+        }
+        const source = this.audioContext.createMediaElementSource(element);
+        const effects = audioEffects.createEffectsChain(this.audioContext, this.getDomainEffects());
+        const gain = this.audioContext.createGain();
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 2048;
+        source.connect(effects.input);
+        effects.output.connect(gain);
+        gain.connect(this.audioContext.destination);
+        source.connect(analyser);
+        const nodes = { source, effects, gain, analyser, correction: 0, loudness: null };
+        this.audioNodes.set(element, nodes);
+        return nodes;
+      } catch (error) {
+        log.warn('Failed to route media through Web Audio', { error: error.message });
+        return null;
+      }
+    }
+    
+    resumeAudioContext() {
+      if (this.audioContext && this.audioContext.state === 'suspended') {
+        this.audioContext.resume().catch(() => {});
+      }
+    }
+    
+    // Effects saved for this domain (neutral when there are none)
+    getDomainEffects() {
+      return audioEffects.effectsForDomain(this.settings.get('perDomainAudioEffects'), window.location.hostname);
+    }
+    
+    // Route media through the effects chain when this domain has effects set. Media already in
+    // the graph picks up changes, including a reset to neutral; media that isn't stays out of it.
+    applyAudioEffects(element) {
+      const effects = this.getDomainEffects();
+      if (!this.audioNodes.has(element) && (audioEffects.isNeutral(effects) || !this.canAnalyseAudio(element))) return;
+      
+      const nodes = this.getAudioNodes(element);
+      if (!nodes) return;
+      try {
+        nodes.effects.update(effects);
+      } catch (error) {
+        log.warn('Failed to apply audio effects', { error: error.message });
+      }
+      this.resumeAudioContext();
+    }
+    
+    // Set this domain's effects (from the popup) and apply them to playing media
+    setAudioEffects(effects) {
+      const hostname = window.location.hostname;
+      const perDomain = audioEffects.setDomainEffects(this.settings.get('perDomainAudioEffects'), hostname, effects);
+      this.settings.set('perDomainAudioEffects', perDomain);
+      this.activeMedia.forEach(element => this.applyAudioEffects(element));
+      
+      const applied = this.getDomainEffects();
+      log.info('Audio effects set', { hostname, effects: applied });
+      return applied;
+    }
+    
+    // Glide the correction gain to the loudness correction, capped at the boost limit
+    applyCorrectionGain(nodes, smooth = false) {
+      const gain = nodes.gain.gain;
+      const target = this.correctionGain(nodes);
+      const now = this.audioContext.currentTime;
+      
+      gain.cancelScheduledValues(now);
+      if (smooth) {
+        gain.setTargetAtTime(target, now, LOUDNESS_TIME_CONSTANT);
+      } else {
+        gain.setValueAtTime(target, now);
+      }
+    }
+    
+    correctionGain(nodes) {
+      return audioEffects.correctedGain(1, nodes.correction, this.settings.get('volumeBoostLimit'));
+    }
+    
+    // Measure short-term loudness after the effects while the media plays and move the
+    // correction gain toward the target level
+    startLoudnessNormalization(element) {
+      if (this.settings.get('loudnessNormalization') !== true || !this.canAnalyseAudio(element)) return;
+      
+      const nodes = this.getAudioNodes(element);
+      if (!nodes || (nodes.loudness && nodes.loudness.timer)) return;
+      
+      try {
+        if (!nodes.loudness) {
+          const analyser = this.audioContext.createAnalyser();
+          analyser.fftSize = 2048;
+          nodes.effects.output.connect(analyser); // Before the gain, so the correction isn't measured back
+          nodes.loudness = {
+            analyser,
+            samples: new Float32Array(analyser.fftSize),
+            meter: audioEffects.createLoudnessMeter(LOUDNESS_WINDOW_BLOCKS),
+            timer: null
+          };
+        }
+      } catch (error) {
+        log.warn('Failed to set up loudness normalization', { error: error.message });
+        return;
+      }
+      this.resumeAudioContext();
+      
+      const loudness = nodes.loudness;
+      loudness.timer = setInterval(() => {
+        // A suspended context reads as silence, which the meter would ignore anyway
+        if (element.paused || this.audioContext.state !== 'running') return;
+        loudness.analyser.getFloatTimeDomainData(loudness.samples);
+        loudness.meter.add(audioEffects.levelDb(loudness.samples, element.volume));
+        nodes.correction = audioEffects.loudnessCorrection(loudness.meter.loudness(), this.settings.get('loudnessTarget'));
+        // A pause or resume fade owns the gain until it is over
+        if (nodes.fadeEnd > this.audioContext.currentTime) return;
+        this.applyCorrectionGain(nodes, true);
+      }, LOUDNESS_CHECK_INTERVAL);
+    }
+    
+    // Stop measuring; the correction stays for when playback resumes
+    stopLoudnessNormalization(element) {
+      const nodes = this.audioNodes.get(element);
+      if (!nodes || !nodes.loudness || !nodes.loudness.timer) return;
+      clearInterval(nodes.loudness.timer);
+      nodes.loudness.timer = null;
+    }
+    
+    // Start or stop normalization on playing media after a settings change; turning it off
+    // glides back to unity gain
+    refreshLoudnessNormalization() {
+      const enabled = this.settings.get('loudnessNormalization') === true;
+      this.trackedMedia.forEach((tracked, element) => {
+        if (enabled && !element.paused) {
+          this.startLoudnessNormalization(element);
+          return;
+        }
+        this.stopLoudnessNormalization(element);
+        const nodes = this.audioNodes.get(element);
+        if (nodes && nodes.correction !== 0) {
+          nodes.correction = 0;
+          this.applyCorrectionGain(nodes, true);
+        }
+      });
+    }
+    
+    // Volume and loudness correction (dB actually applied, after the boost limit) of the
+    // primary media, for the popup's volume display
+    getVolumeState() {
+      const element = this.getPrimaryMediaElement();
+      if (!element) {
+        return { volume: null, correction: 0, normalizing: false };
+      }
+      
+      const nodes = this.audioNodes.get(element);
+      const correction = nodes ? nodes.correction : 0;
+      const gain = audioEffects.correctedGain(1, correction, this.settings.get('volumeBoostLimit'));
+      return {
+        volume: element.volume,
+        correction: 20 * Math.log10(gain),
+        normalizing: this.settings.get('loudnessNormalization') === true && !!(nodes && nodes.loudness)
+      };
+    }
+    
+    // Check the level while the media plays
+    startSilenceDetection(element) {
+      const existing = this.silenceStates.get(element);
+      if (existing && existing.timer) return;
+      if (!this.getSilenceSettings().enabled || !this.canAnalyseAudio(element)) return;
+      
+      const nodes = this.getAudioNodes(element);
+      if (!nodes) return;
+      const analyser = nodes.analyser;
+      this.resumeAudioContext();
+      
+      const state = existing || { timer: null, silentSince: null, skipping: false, userRate: 1, skipRate: 1, skipStart: null, saved: 0 };
+      const samples = new Float32Array(analyser.fftSize);
+      state.timer = setInterval(() => this.checkSilence(element, analyser, samples), SILENCE_CHECK_INTERVAL);
+      this.silenceStates.set(element, state);
+    }
+    
+    stopSilenceDetection(element) {
+      const state = this.silenceStates.get(element);
+      if (!state || !state.timer) return;
+      clearInterval(state.timer);
+      state.timer = null;
+      state.silentSince = null;
+      if (state.skipping) this.finishSilenceSkip(element, state, true);
+    }
+    
+    // Start or stop detection on playing media after a settings or profile change
+    refreshSilenceDetection() {
+      const enabled = this.getSilenceSettings().enabled;
+      this.trackedMedia.forEach((tracked, element) => {
+        if (enabled && !element.paused) {
+          this.startSilenceDetection(element);
+        } else {
+          this.stopSilenceDetection(element);
+        }
+      });
+    }
+    
+    // Speed up once the level stays under the threshold for the minimum duration, restore the
+    // user's speed as soon as sound returns
+    checkSilence(element, analyser, samples) {
+      const state = this.silenceStates.get(element);
+      // A suspended context reads as silence, so don't judge until it runs
+      if (!state || element.paused || this.audioContext.state !== 'running') return;
+      
+      const settings = this.getSilenceSettings();
+      const now = performance.now();
+      
+      // The user or the player changed speed mid-skip: keep theirs
+      if (state.skipping && element.playbackRate !== state.skipRate) {
+        this.finishSilenceSkip(element, state, false);
+      }
+      
+      analyser.getFloatTimeDomainData(samples);
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+      }
+      const level = 10 * Math.log10(sum / samples.length || 1e-12); // RMS in dBFS
+      
+      if (level >= settings.threshold) {
+        state.silentSince = null;
+        if (state.skipping) this.finishSilenceSkip(element, state, true);
+        return;
+      }
+      
+      if (state.silentSince === null) state.silentSince = now;
+      if (!state.skipping && now - state.silentSince >= settings.minDuration * 1000 && settings.speed > element.playbackRate) {
+        state.skipping = true;
+        state.userRate = element.playbackRate;
+        state.skipRate = settings.speed;
+        state.skipStart = { media: element.currentTime, wall: now };
+        element.playbackRate = settings.speed;
+        this.updateSilenceDisplay(element, state);
+      }
+    }
+    
+    // End a skip, adding the time it saved: the stretch at the user's speed minus the time it took
+    finishSilenceSkip(element, state, restoreSpeed) {
+      const wallSeconds = (performance.now() - state.skipStart.wall) / 1000;
+      // Capped at what the skip speed can cover, so a seek during the skip doesn't count
+      const mediaSeconds = Math.min(Math.max(element.currentTime - state.skipStart.media, 0), wallSeconds * state.skipRate);
+      state.saved += Math.max(0, mediaSeconds / state.userRate - wallSeconds);
+      state.skipping = false;
+      state.skipStart = null;
+      
+      if (restoreSpeed) element.playbackRate = state.userRate;
+      this.updateSilenceDisplay(element, state);
+    }
+    
+    updateSilenceDisplay(element, state) {
+      const tracked = this.trackedMedia.get(element);
+      if (tracked && tracked.controller) {
+        tracked.controller.updateSilenceDisplay(state.saved, state.skipping);
+      }
+    }
+    
+    // Pause and move one frame forward (1) or back (-1)
+    stepFrame(element, direction) {
+      if (element.tagName !== 'VIDEO') return;
+      if (!element.paused) element.pause();
+      
+      const frame = this.frameDurations.get(element) || DEFAULT_FRAME_DURATION;
+      const end = isFinite(element.duration) ? element.duration : Infinity;
+      element.currentTime = Math.min(Math.max(element.currentTime + direction * frame, 0), end);
+    }
+    
+    // Seek a live stream to just behind the newest data it can play
+    jumpToLiveEdge(element) {
+      if (!element || !isLiveMedia(element) || element.seekable.length === 0) return false;
+      
+      const edge = element.seekable.end(element.seekable.length - 1);
+      element.currentTime = Math.max(element.seekable.start(element.seekable.length - 1), edge - LIVE_EDGE_MARGIN);
+      return true;
+    }
+    
     adjustElementSpeed(element, delta) {
-      if (element.duration === Infinity || isNaN(element.duration)) {
+      if (isLiveMedia(element) || isNaN(element.duration)) {
         log.info('Skipping speed adjustment for livestream');
         return;
       }
@@ -907,33 +2413,115 @@
     
     setupMessageListener() {
       browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        // Leave queries to the frame that holds the media
+        if (QUERY_MESSAGE_TYPES.includes(message.type) && !this.frameRelay.shouldAnswer(this.hasMedia())) {
+          return false;
+        }
+        
         try {
           switch (message.type) {
-            case 'PAUSE_MEDIA':
-              this.pauseAllMedia();
-              sendResponse({ success: true });
+            case 'PAUSE_MEDIA': {
+              // Answer once the fade is over, so the background can start the next tab after it
+              const answersPause = this.frameRelay.shouldAnswer(this.hasMedia());
+              this.pauseAllMedia(message.fadeDuration).then(paused => {
+                if (answersPause) sendResponse({ success: true, paused });
+              });
+              if (!answersPause) return false;
+              break;
+            }
+              
+            case 'RESUME_MEDIA': {
+              const resumed = this.resumePausedMedia(message.fadeIn, message.fadeDuration);
+              if (resumed === 0 && !this.frameRelay.shouldAnswer(this.hasMedia())) {
+                return false; // Let the frame that resumed report success
+              }
+              sendResponse({ success: resumed > 0, resumed });
+              break;
+            }
+              
+            case 'PLAY_MEDIA':
+              sendResponse({ success: this.playMedia(message.fadeDuration) });
+              break;
+              
+            case 'SEEK_MEDIA': {
+              if (message.liveEdge) {
+                // Only live media has an edge to jump to; there is no time to fall back on
+                const position = this.jumpToLive();
+                sendResponse({ success: position !== null, position });
+                break;
+              }
+              const position = this.seekMedia(message.time, message.offset);
+              const seeked = position !== null || this.mediaSession.seek(message.time, message.offset);
+              sendResponse({ success: seeked, position });
+              break;
+            }
+              
+            case 'MEDIA_SESSION_ACTION':
+              sendResponse({ success: this.mediaSession.invoke(message.action, message.details) });
+              break;
+              
+            case 'SKIP_TRACK':
+              sendResponse({ success: this.skipTrack(message.direction) });
+              break;
+              
+            case 'GET_MEDIA_STATE':
+              sendResponse({
+                hasActiveMedia: this.activeMedia.size > 0,
+                mediaCount: this.trackedMedia.size,
+                primaryMedia: this.getMediaPosition(this.getPrimaryMediaElement()) || this.getAdapterPosition(),
+                mediaSession: this.getMediaSessionInfo(),
+                mediaSessionActions: Array.from(this.mediaSession.actions)
+              });
               break;
               
             case 'SET_VOLUME':
+              if (message.volumeCap !== undefined) {
+                this.setVolumeCap(message.volumeCap);
+                sendResponse({ success: true, volumeCap: this.volumeCap });
+                break;
+              }
               this.setVolume(message.volume);
               sendResponse({ success: true, volume: message.volume });
               break;
               
+            case 'GET_VOLUME_STATE':
+              sendResponse(this.getVolumeState());
+              break;
+              
+            case 'SET_AUDIO_EFFECTS':
+              sendResponse({ success: true, effects: this.setAudioEffects(message.effects) });
+              break;
+              
             case 'SET_SPEED':
               this.setSpeedAll(message.speed);
               sendResponse({ success: true });
               break;
               
-            case 'SPEED_ACTION':
-              this.executeAction(message.action, message.value);
+            case 'SPEED_ACTION': {
+              // Global commands send no value; use the step from the matching key binding
+              let actionValue = message.value;
+              if (actionValue === undefined) {
+                const binding = this.settings.get('keyBindings').find(item => item.action === message.action);
+                actionValue = binding ? binding.value : 0.1;
+              }
+              this.executeAction(message.action, actionValue);
               sendResponse({ success: true });
               break;
+            }
               
             case 'CHECK_FOR_MEDIA':
               const mediaInfo = this.getMediaInfo();
               sendResponse(mediaInfo);
               break;
               
+            case 'TOGGLE_PIP':
+              this.togglePictureInPicture().then(sendResponse);
+              break;
+              
+            case 'ENTER_PIP':
+              this.enterPictureInPicture(true).then(sendResponse);
+              break;
+              
             case 'SETTINGS_UPDATED':
               this.handleSettingsUpdate(message.settings);
               sendResponse({ success: true });
@@ -957,13 +2545,304 @@
       });
     }
     
-    pauseAllMedia() {
-      this.activeMedia.forEach(element => {
-        if (element && typeof element.pause === 'function') {
-          element.pause();
+    // Fades playing media out over fadeDuration ms first; resolves with the number paused
+    async pauseAllMedia(fadeDuration = 0) {
+      const elements = Array.from(this.activeMedia).filter(element => element && typeof element.pause === 'function');
+      this.pausedByExtension.clear();
+      elements.forEach(element => this.pausedByExtension.add(element));
+      
+      const restoreLevels = fadeDuration > 0
+        ? await Promise.all(elements.filter(element => !element.paused).map(element => this.fadeOutElement(element, fadeDuration)))
+        : [];
+      elements.forEach(element => element.pause());
+      restoreLevels.forEach(restore => restore());
+      
+      // Players without a reachable element (e.g. audio kept out of the DOM): the page's
+      // Media Session handler, else the site adapter
+      if (this.activeMedia.size === 0 && !this.mediaSession.invoke('pause')) {
+        const adapter = this.getSiteAdapter();
+        if (adapter && adapter.pause(document)) {
+          log.info('Paused via site adapter', { adapter: adapter.name });
+        }
+      }
+      log.info('All media paused', { count: elements.length });
+      return elements.length;
+    }
+    
+    resumePausedMedia(fadeIn = false, fadeDuration = 1000) {
+      let candidates = Array.from(this.pausedByExtension).filter(element => element.isConnected && element.paused);
+      this.pausedByExtension.clear();
+      
+      // Paused through the page UI or before a re-render - fall back to media with progress
+      if (candidates.length === 0) {
+        candidates = findMediaElements()
+          .filter(element => element.paused && element.currentTime > 0 && !element.ended)
+          .slice(0, 1);
+      }
+      
+      candidates.forEach(element => {
+        if (fadeIn && fadeDuration > 0) {
+          this.fadeInElement(element, fadeDuration);
+        }
+        
+        const result = element.play();
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => log.warn('Failed to resume media', { error: error.message }));
         }
       });
-      log.info('All media paused', { count: this.activeMedia.size });
+      
+      log.info('Media resumed', { count: candidates.length });
+      return candidates.length;
+    }
+    
+    getPrimaryMediaElement(selector) {
+      const elements = findMediaElements(document, selector);
+      if (elements.length === 0) return null;
+      
+      const playing = elements.find(element => !element.paused && !element.ended);
+      if (playing) return playing;
+      
+      const started = elements.find(element => element.currentTime > 0 && !element.ended);
+      if (started) return started;
+      
+      const length = element => (isFinite(element.duration) ? element.duration : 0);
+      return elements.sort((a, b) => length(b) - length(a))[0];
+    }
+    
+    // Leave Picture-in-Picture, or enter it with the primary video
+    async togglePictureInPicture() {
+      if (document.pictureInPictureElement) {
+        await document.exitPictureInPicture();
+        return { success: true, active: false };
+      }
+      return this.enterPictureInPicture(false);
+    }
+    
+    // Browsers only allow PiP shortly after the user interacted with the page, so requests from the
+    // popup or on tab switches can be refused; auto videos leave PiP when the tab is shown again.
+    // Firefox keeps its own PiP toggle and doesn't expose the API to pages, so this reports that.
+    async enterPictureInPicture(auto) {
+      if (document.pictureInPictureElement) {
+        return { success: true, active: true };
+      }
+      const video = this.getPrimaryMediaElement('video');
+      if (!video) {
+        return { success: false, error: 'No video on this page' };
+      }
+      if (!document.pictureInPictureEnabled || typeof video.requestPictureInPicture !== 'function') {
+        return { success: false, error: 'Picture-in-Picture is not available in this browser' };
+      }
+      if (video.disablePictureInPicture) {
+        return { success: false, error: 'This video does not allow Picture-in-Picture' };
+      }
+      
+      try {
+        await video.requestPictureInPicture();
+        this.autoPipVideo = auto ? video : null;
+        return { success: true, active: true };
+      } catch (error) {
+        log.warn('Picture-in-Picture refused', { error: error.message });
+        return {
+          success: false,
+          error: error.name === 'NotAllowedError' ? 'Click the video once, then try Picture-in-Picture again' : error.message
+        };
+      }
+    }
+    
+    // Automatic PiP: the Media Session enterpictureinpicture action where the browser supports it,
+    // ENTER_PIP from the background on tab switches otherwise
+    setupAutoPictureInPicture() {
+      this.visibilityHandler = () => {
+        if (document.visibilityState === 'visible' && this.autoPipVideo &&
+            document.pictureInPictureElement === this.autoPipVideo) {
+          document.exitPictureInPicture().catch(() => {});
+        }
+      };
+      document.addEventListener('visibilitychange', this.visibilityHandler);
+      this.updateAutoPictureInPicture();
+    }
+    
+    updateAutoPictureInPicture(wanted = this.settings.get('autoPictureInPicture') === true) {
+      if (!('mediaSession' in navigator)) return;
+      // Leave a handler the page registered itself alone unless the setting needs ours
+      if (!wanted && !this.autoPipHandlerSet) return;
+      
+      try {
+        navigator.mediaSession.setActionHandler('enterpictureinpicture', wanted ? () => this.enterPictureInPicture(true) : null);
+        this.autoPipHandlerSet = wanted;
+      } catch (error) {
+        // Browsers without automatic Picture-in-Picture don't know the action
+      }
+    }
+    
+    // Site adapter for this page (see site-adapters.js), or null for the generic HTML5 path
+    getSiteAdapter() {
+      const registry = window.umeSiteAdapters;
+      return registry ? registry.findAdapter(window.location.hostname, document) : null;
+    }
+    
+    getAdapterPosition() {
+      const adapter = this.getSiteAdapter();
+      return adapter ? adapter.getPosition(document) : null;
+    }
+    
+    // Position snapshot for the popup scrubber (duration is null while unknown or live)
+    getMediaPosition(element) {
+      if (!element) return null;
+      return {
+        currentTime: element.currentTime,
+        duration: isFinite(element.duration) && !isLiveMedia(element) ? element.duration : null,
+        paused: element.paused,
+        playbackRate: element.playbackRate,
+        live: isLiveMedia(element)
+      };
+    }
+    
+    // Media Session metadata published by the page, else what the site adapter reads from the player UI
+    // (positionState has no getter, position comes from the element or the adapter)
+    getMediaSessionInfo() {
+      const metadata = navigator.mediaSession && navigator.mediaSession.metadata;
+      if (!metadata) {
+        const adapter = this.getSiteAdapter();
+        return adapter ? adapter.getMetadata(document) : null;
+      }
+      
+      return {
+        title: metadata.title || '',
+        artist: metadata.artist || '',
+        album: metadata.album || '',
+        artwork: this.pickArtwork(metadata.artwork)
+      };
+    }
+    
+    // Largest artwork entry by its declared sizes ("96x96 128x128"), else the last one
+    pickArtwork(artwork) {
+      const images = Array.from(artwork || []).filter(image => image && image.src);
+      if (images.length === 0) return null;
+      
+      const area = image => Math.max(0, ...String(image.sizes || '').split(/\s+/).map(size => {
+        const [width, height] = size.toLowerCase().split('x').map(Number);
+        return width && height ? width * height : 0;
+      }));
+      
+      const best = images.reduce((largest, image) => (area(image) > area(largest) ? image : largest), images[images.length - 1]);
+      return best.src;
+    }
+    
+    // Popup play: the element's play event reports MEDIA_STARTED, so background arbitration still applies
+    playMedia(fadeDuration = 0) {
+      if (this.resumePausedMedia(fadeDuration > 0, fadeDuration) > 0) return true;
+      
+      const element = this.getPrimaryMediaElement();
+      if (!element) {
+        const adapter = this.getSiteAdapter();
+        return this.mediaSession.invoke('play') || (!!adapter && adapter.play(document));
+      }
+      
+      const result = element.play();
+      if (result && typeof result.catch === 'function') {
+        result.catch(error => log.warn('Failed to play media', { error: error.message }));
+      }
+      return true;
+    }
+    
+    seekMedia(time, offset) {
+      const element = this.getPrimaryMediaElement();
+      if (!element) return null;
+      
+      let target = typeof time === 'number' ? time : element.currentTime + (offset || 0);
+      target = Math.max(0, target);
+      if (isFinite(element.duration)) {
+        target = Math.min(target, element.duration);
+      }
+      element.currentTime = target;
+      
+      return this.getMediaPosition(element);
+    }
+    
+    // Jump the main media to the live edge; null when it isn't a live stream
+    jumpToLive() {
+      const element = this.getPrimaryMediaElement();
+      return this.jumpToLiveEdge(element) ? this.getMediaPosition(element) : null;
+    }
+    
+    // Prefers the page's Media Session handlers, then the site adapter;
+    // without a previous track, restart the current media
+    skipTrack(direction) {
+      if (this.mediaSession.invoke(direction === 'next' ? 'nexttrack' : 'previoustrack')) {
+        return true;
+      }
+      
+      const adapter = this.getSiteAdapter();
+      if (adapter && (direction === 'next' ? adapter.next(document) : adapter.prev(document))) {
+        log.info('Track skipped via site adapter', { adapter: adapter.name, direction });
+        return true;
+      }
+      
+      if (direction === 'previous') {
+        return this.seekMedia(0) !== null;
+      }
+      return false;
+    }
+    
+    // Ramp the correction gain when the element is in the Web Audio graph, else step element.volume
+    fadeInElement(element, duration) {
+      const nodes = this.audioNodes.get(element);
+      if (nodes) {
+        const gain = nodes.gain.gain;
+        const now = this.audioContext.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(0, now);
+        gain.linearRampToValueAtTime(this.correctionGain(nodes), now + duration / 1000);
+        nodes.fadeEnd = now + duration / 1000;
+        return;
+      }
+      
+      const targetVolume = element.volume;
+      const steps = 20;
+      let step = 0;
+      element.volume = 0;
+      const timer = setInterval(() => {
+        step++;
+        element.volume = Math.min(targetVolume, targetVolume * step / steps);
+        if (step >= steps) {
+          clearInterval(timer);
+        }
+      }, duration / steps);
+    }
+    
+    // Counterpart of fadeInElement; resolves with a function that puts the level back once paused
+    fadeOutElement(element, duration) {
+      return new Promise(resolve => {
+        const nodes = this.audioNodes.get(element);
+        if (nodes) {
+          const gain = nodes.gain.gain;
+          const now = this.audioContext.currentTime;
+          gain.cancelScheduledValues(now);
+          gain.setValueAtTime(gain.value, now);
+          gain.linearRampToValueAtTime(0, now + duration / 1000);
+          nodes.fadeEnd = now + duration / 1000;
+          setTimeout(() => resolve(() => {
+            nodes.fadeEnd = 0;
+            this.applyCorrectionGain(nodes);
+          }), duration);
+          return;
+        }
+        
+        const startVolume = element.volume;
+        const steps = 20;
+        let step = 0;
+        const timer = setInterval(() => {
+          step++;
+          element.volume = Math.max(0, startVolume * (1 - step / steps));
+          if (step >= steps) {
+            clearInterval(timer);
+            resolve(() => {
+              element.volume = startVolume;
+            });
+          }
+        }, duration / steps);
+      });
     }
     
     setVolume(volume) {
@@ -975,6 +2854,28 @@
       log.info('Volume set for all media', { volume, count: this.trackedMedia.size });
     }
     
+    // Hold all media at or below the quiet hours cap, or lift it (null) and put the volumes back
+    setVolumeCap(cap) {
+      this.volumeCap = typeof cap === 'number' ? cap : null;
+      this.trackedMedia.forEach((tracked, element) => this.capElementVolume(element));
+      log.info('Quiet hours volume cap', { volumeCap: this.volumeCap });
+    }
+    
+    capElementVolume(element) {
+      if (this.volumeCap !== null && element.volume > this.volumeCap) {
+        const before = this.volumesBeforeCap.get(element);
+        this.volumesBeforeCap.set(element, { volume: before ? before.volume : element.volume, capped: this.volumeCap });
+        element.volume = this.volumeCap;
+      } else if (this.volumeCap === null && this.volumesBeforeCap.has(element)) {
+        const { volume, capped } = this.volumesBeforeCap.get(element);
+        this.volumesBeforeCap.delete(element);
+        // Only if nobody turned it down further in the meantime
+        if (Math.abs(element.volume - capped) < 0.01) {
+          element.volume = volume;
+        }
+      }
+    }
+    
     setSpeedAll(speed) {
       this.trackedMedia.forEach((tracked, element) => {
         if (tracked.controller) {
@@ -1000,12 +2901,12 @@
     }
     
     getMediaInfo() {
-      const allMedia = document.querySelectorAll('video, audio');
+      const allMedia = findMediaElements();
       const trackedCount = this.trackedMedia.size;
       const activeCount = this.activeMedia.size;
       
       // CRITICAL FIX: Check for actively playing media
-      const playingMedia = Array.from(allMedia).filter(el => !el.paused && el.currentTime > 0);
+      const playingMedia = allMedia.filter(el => !el.paused && el.currentTime > 0);
       const hasPlayingMedia = playingMedia.length > 0;
       
       return {
@@ -1015,14 +2916,20 @@
         activeCount,
         hasPlayingMedia, // NEW: Indicates if any media is currently playing
         playingMediaCount: playingMedia.length, // NEW: Count of playing media
-        mediaTypes: Array.from(new Set(Array.from(allMedia).map(el => el.tagName.toLowerCase()))),
-        videoCount: document.querySelectorAll('video').length,
-        audioCount: document.querySelectorAll('audio').length
+        mediaTypes: Array.from(new Set(allMedia.map(el => el.tagName.toLowerCase()))),
+        videoCount: allMedia.filter(el => el.tagName === 'VIDEO').length,
+        audioCount: allMedia.filter(el => el.tagName === 'AUDIO').length
       };
     }
     
     handleSettingsUpdate(newSettings) {
       this.settings.update(newSettings);
+      this.refreshSilenceDetection();
+      this.refreshLoudnessNormalization();
+      this.updateAutoPictureInPicture();
+      if (newSettings.perDomainAudioEffects !== undefined) {
+        this.activeMedia.forEach(element => this.applyAudioEffects(element));
+      }
       
       // Update existing controllers
       this.trackedMedia.forEach(tracked => {
@@ -1054,26 +2961,42 @@
       };
     }
     
+    // Whether this frame has anything the popup or background could control
+    hasMedia() {
+      return this.trackedMedia.size > 0 || this.mediaSession.actions.size > 0 || !!this.getSiteAdapter();
+    }
+    
     notifyBackgroundScript(type, data = null) {
-      try {
-        const message = { type };
-        if (data) message.mediaInfo = data;
-        browserAPI.runtime.sendMessage(message);
-      } catch (error) {
-        log.warn('Failed to notify background script', { type, error: error.message });
-      }
+      const message = { type };
+      if (data) message.mediaInfo = data;
+      this.frameRelay.send(message);
     }
     
     destroy() {
       if (this.observer) {
         this.observer.disconnect();
       }
+      this.shadowObservers.forEach(observer => observer.disconnect());
+      this.shadowObservers = [];
+      
+      if (this.shadowRootHandler) {
+        document.removeEventListener('ume-shadow-root-attached', this.shadowRootHandler, true);
+      }
       
       if (this.keyboardHandler) {
         window.removeEventListener('keydown', this.keyboardHandler, true);
         document.removeEventListener('keydown', this.keyboardHandler, true);
       }
       
+      if (this.fullscreenHandler) {
+        document.removeEventListener('fullscreenchange', this.fullscreenHandler);
+      }
+      
+      if (this.visibilityHandler) {
+        document.removeEventListener('visibilitychange', this.visibilityHandler);
+      }
+      this.updateAutoPictureInPicture(false);
+      
       this.trackedMedia.forEach((tracked, element) => {
         this.untrackMediaElement(element);
       });
@@ -1089,8 +3012,32 @@
   class ContentScript {
     constructor() {
       this.settings = new SettingsManager();
+      this.mediaSession = new MediaSessionBridge();
+      this.frameRelay = new FrameRelay();
+      this.bookmarks = new MediaBookmarks();
       this.mediaManager = null;
       this.initialized = false;
+      this.navigationHandlerReady = false;
+      
+      this.setupSettingsListener();
+      this.injectMediaSessionShim();
+    }
+    
+    // The shim must wrap setActionHandler before page scripts call it, so it can't wait for init()
+    // at DOMContentLoaded; only the blacklist is read first. Excluded sites never get it.
+    async injectMediaSessionShim() {
+      let stored = {};
+      try {
+        stored = await StorageManager.get(['blacklist']);
+      } catch (error) {
+        log.warn('Failed to read blacklist for Media Session shim', { error: error.message });
+      }
+      const { blacklist } = { ...this.settings.getDefaultSettings(), ...stored };
+      if (this.settings.matchesSitePatterns(window.location.href, blacklist)) {
+        log.info('Site is blacklisted, skipping Media Session shim');
+        return;
+      }
+      this.mediaSession.injectShim();
     }
     
     async init() {
@@ -1099,6 +3046,10 @@
         
         // Load settings
         await this.settings.load();
+        this.settings.applySiteProfile(window.location.href);
+        
+        // Path-based blacklist entries need SPA navigation tracking even when excluded
+        this.setupNavigationHandler();
         
         // Check if site is blacklisted
         if (this.settings.isBlacklisted(window.location.href)) {
@@ -1112,11 +3063,10 @@
           return;
         }
         
-        // Initialize media manager
-        this.mediaManager = new MediaManager(this.settings);
+        await this.loadBookmarks();
         
-        // Setup navigation handler for SPAs
-        this.setupNavigationHandler();
+        // Initialize media manager
+        this.mediaManager = new MediaManager(this.settings, this.mediaSession, this.frameRelay, this.bookmarks);
         
         // CRITICAL FIX: Add delayed checks for media that starts playing after page load
         this.setupDelayedMediaChecks();
@@ -1129,7 +3079,50 @@
       }
     }
     
+    // Bookmarks for this page, taking over the legacy marker saved for it
+    async loadBookmarks() {
+      const markers = this.settings.get('markers') || {};
+      const legacyMarkers = markers[window.location.href];
+      await this.bookmarks.load(legacyMarkers);
+      if (legacyMarkers) {
+        delete markers[window.location.href];
+        this.settings.set('markers', markers);
+        this.settings.save();
+      }
+    }
+    
+    setupSettingsListener() {
+      // Lives outside MediaManager so blacklisted pages can be re-enabled live
+      browserAPI.runtime.onMessage.addListener((message) => {
+        if (message.type !== 'SETTINGS_UPDATED' || !message.settings) return false;
+        
+        if (message.settings.siteProfiles !== undefined) {
+          this.settings.set('siteProfiles', message.settings.siteProfiles);
+          this.settings.applySiteProfile(window.location.href);
+        }
+        if (message.settings.blacklist === undefined) return false;
+        
+        this.settings.set('blacklist', message.settings.blacklist);
+        const excluded = this.settings.isBlacklisted(window.location.href);
+        
+        if (excluded && this.mediaManager) {
+          log.info('Site is now blacklisted, disabling media controls');
+          if (this.mediaManager.activeMedia.size > 0) {
+            this.mediaManager.notifyBackgroundScript('MEDIA_PAUSED');
+          }
+          this.cleanup();
+        } else if (!excluded && !this.mediaManager) {
+          log.info('Site removed from blacklist, enabling media controls');
+          this.init();
+        }
+        return false;
+      });
+    }
+    
     setupNavigationHandler() {
+      if (this.navigationHandlerReady) return;
+      this.navigationHandlerReady = true;
+      
       // Handle single-page app navigation
       let lastUrl = location.href;
       
@@ -1156,7 +3149,7 @@
       checkIntervals.forEach((delay, index) => {
         setTimeout(() => {
           if (this.mediaManager && this.initialized) {
-            const mediaElements = document.querySelectorAll('video, audio');
+            const mediaElements = findMediaElements();
             let foundNewMedia = false;
             
             mediaElements.forEach(element => {
@@ -1203,6 +3196,9 @@
   // STARTUP
   // ============================================================================
   
+  // Wrap attachShadow before page scripts create their components
+  injectShadowRootHook();
+  
   const contentScript = new ContentScript();
   
   // Initialize when DOM is ready
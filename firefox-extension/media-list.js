@@ -0,0 +1,653 @@
+/**
+ * UME - Media tab list
+ * Renders the media tabs the background reports in GET_ACTIVE_TABS, shared by the popup, the
+ * mini player (popup.html?view=mini) and the side panel / sidebar dashboard. Each page creates
+ * one list with its own messaging and refresh:
+ *   const list = umeMediaList.createMediaList({ browserAPI, sendMessage, showError, refresh, ... })
+ *   list.createTabItem(tabId, tabInfo, isPlaying) - a tab row with its controls
+ *   list.clearTrackers()                          - before re-rendering the rows
+ *   list.tickProgress()                           - advance playing scrubbers, once a second
+ * The row controls send the popup messages (PAUSE_TAB, PLAY_TAB, SEEK_TAB, SKIP_TRACK_TAB,
+ * PIP_TAB, SET_TAB_SPEED, GET_TAB_MEDIA_STATE) and call refresh() where the state changes.
+ */
+
+(function(root) {
+  'use strict';
+  
+  const SPEED_STEP = 0.25; // Per-tab speed buttons
+  const MIN_SPEED = 0.25;
+  const MAX_SPEED = 16;
+  
+  // ============================================================================
+  // FORMATTING
+  // ============================================================================
+  
+  /**
+   * Format seconds as m:ss (or h:mm:ss)
+   */
+  function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(Number(seconds) || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    
+    if (hours > 0) {
+      return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+    }
+    return `${minutes}:${secs}`;
+  }
+  
+  /**
+   * Format URL for display
+   */
+  function formatUrl(url) {
+    if (!url) return 'Unknown URL';
+    
+    try {
+      const urlObj = new URL(url);
+      return urlObj.hostname;
+    } catch (error) {
+      return url.length > 30 ? url.substring(0, 30) + '...' : url;
+    }
+  }
+  
+  /**
+   * Create a placeholder favicon when image fails to load
+   */
+  function createFaviconPlaceholder(imgElement, mediaType) {
+    // Replace img with div for placeholder
+    const placeholder = document.createElement('div');
+    placeholder.className = 'tab-favicon placeholder';
+    placeholder.textContent = mediaType === 'video' ? '📹' : '🎵';
+    
+    // Check if imgElement has a parent before replacing
+    if (imgElement.parentNode) {
+      imgElement.parentNode.replaceChild(placeholder, imgElement);
+    } else {
+      // If no parent, copy the className and return the placeholder
+      // This handles cases where the element isn't in the DOM yet
+      placeholder.className = imgElement.className + ' placeholder';
+      return placeholder;
+    }
+  }
+  
+  // ============================================================================
+  // WINDOWS
+  // ============================================================================
+  
+  /**
+   * Group media tabs by the browser window they are in, for the dashboard. browserTabs are
+   * tabs.query({}) results; media tabs missing from them (closed meanwhile) are left out.
+   * Returns [{ windowId, activeTabId, tabs }] with firstWindowId first, then in window order;
+   * each tab gains windowId, active and muted.
+   */
+  function groupByWindow(mediaTabs, browserTabs, firstWindowId) {
+    const byId = new Map(browserTabs.map(tab => [tab.id, tab]));
+    const groups = new Map();
+    
+    browserTabs.forEach(tab => {
+      if (!groups.has(tab.windowId)) {
+        groups.set(tab.windowId, { windowId: tab.windowId, activeTabId: null, tabs: [] });
+      }
+      if (tab.active) {
+        groups.get(tab.windowId).activeTabId = tab.id;
+      }
+    });
+    
+    mediaTabs.forEach(mediaTab => {
+      const tab = byId.get(mediaTab.tabId);
+      if (!tab) return;
+      groups.get(tab.windowId).tabs.push({
+        ...mediaTab,
+        windowId: tab.windowId,
+        active: !!tab.active,
+        muted: !!(tab.mutedInfo && tab.mutedInfo.muted)
+      });
+    });
+    
+    return Array.from(groups.values())
+      .filter(group => group.tabs.length > 0)
+      .sort((a, b) => (b.windowId === firstWindowId) - (a.windowId === firstWindowId) || a.windowId - b.windowId);
+  }
+  
+  // ============================================================================
+  // TAB LIST
+  // ============================================================================
+  
+  /**
+   * Options:
+   *   browserAPI    - chrome or browser
+   *   sendMessage   - (message) => Promise of the background's response
+   *   showError     - (text) => void, shows a short error
+   *   refresh       - () => void, reloads GET_ACTIVE_TABS after actions that change it
+   *   speedButtons  - add slower/faster buttons to each tab (views without the page at hand)
+   *   closeOnSwitch - close the window after switching to a tab (the popup)
+   */
+  function createMediaList(options) {
+    const { browserAPI, sendMessage, showError, refresh } = options;
+    const positionTrackers = new Map(); // tabId -> last known position and its scrubber, for live progress
+    
+    /**
+     * Create a tab item element
+     */
+    function createTabItem(tabId, tabInfo, isPlaying) {
+      // Determine display status
+      const status = tabInfo.status || (isPlaying ? 'playing' : 'paused');
+    
+      const tabItem = document.createElement('div');
+      tabItem.className = `tab-item ${status} fade-in`;
+      tabItem.setAttribute('data-tab-id', tabId);
+      tabItem.setAttribute('data-status', status);
+    
+      // Create favicon (Media Session artwork takes its place when the page provides one)
+      let favicon = document.createElement('img');
+      favicon.className = 'tab-favicon';
+      const artwork = tabInfo.mediaSession && tabInfo.mediaSession.artwork;
+      if (artwork) {
+        favicon.src = artwork;
+        favicon.classList.add('artwork');
+        favicon.onerror = () => {
+          favicon.classList.remove('artwork');
+          if (tabInfo.favicon) {
+            favicon.src = tabInfo.favicon;
+          } else {
+            createFaviconPlaceholder(favicon, tabInfo.mediaType);
+          }
+        };
+      } else if (tabInfo.favicon) {
+        favicon.src = tabInfo.favicon;
+        favicon.onerror = () => {
+          const placeholder = createFaviconPlaceholder(favicon, tabInfo.mediaType);
+          if (placeholder && favicon.parentNode) {
+            // createFaviconPlaceholder already handled the replacement
+          }
+        };
+      } else {
+        // No favicon URL, use placeholder directly
+        const placeholder = createFaviconPlaceholder(favicon, tabInfo.mediaType);
+        if (placeholder) {
+          favicon = placeholder; // Use the placeholder element instead
+        }
+      }
+    
+      // Create tab info
+      const tabInfoDiv = document.createElement('div');
+      tabInfoDiv.className = 'tab-info';
+    
+      const tabTitle = document.createElement('div');
+      tabTitle.className = 'tab-title';
+      tabTitle.textContent = tabInfo.title || 'Unknown Title';
+      tabTitle.title = tabInfo.title || 'Unknown Title';
+    
+      const tabUrl = document.createElement('div');
+      tabUrl.className = 'tab-url';
+      const urlText = formatUrl(tabInfo.url);
+      tabUrl.textContent = urlText;
+      tabUrl.title = tabInfo.url;
+    
+      // Artist - track line from Media Session metadata
+      const tabTrack = document.createElement('div');
+      tabTrack.className = 'tab-track';
+      renderTrackInfo(tabTrack, tabInfo.mediaSession);
+    
+      tabInfoDiv.appendChild(tabTitle);
+      tabInfoDiv.appendChild(tabTrack);
+      tabInfoDiv.appendChild(tabUrl);
+    
+      // Playback row (track skip, seek scrubber) for tabs known to have media
+      if (status !== 'monitoring') {
+        tabInfoDiv.appendChild(createPlaybackRow(tabId));
+      }
+    
+      // Create status indicator
+      const statusDiv = document.createElement('div');
+      statusDiv.className = `tab-status ${status}`;
+    
+      const statusIcon = document.createElement('span');
+      const statusText = document.createElement('span');
+    
+      // Set icon and text based on status
+      switch (status) {
+        case 'playing':
+          statusIcon.textContent = '▶️';
+          const playbackRate = tabInfo.playbackRate || 1.0;
+          statusText.textContent = `Playing (${playbackRate.toFixed(2)}x)`;
+          break;
+        case 'paused':
+          statusIcon.textContent = '⏸️';
+          statusText.textContent = 'Paused';
+          break;
+        case 'has_media':
+          statusIcon.textContent = '🎬';
+          statusText.textContent = 'Media available';
+          break;
+        case 'monitoring':
+        default:
+          statusIcon.textContent = '👁️';
+          statusText.textContent = 'Monitoring...';
+          break;
+      }
+    
+      statusDiv.appendChild(statusIcon);
+      statusDiv.appendChild(statusText);
+    
+      // A-B loop running in the tab
+      if (tabInfo.loop) {
+        const loopBadge = document.createElement('span');
+        loopBadge.className = 'tab-loop';
+        loopBadge.textContent = '🔁';
+        loopBadge.title = `Looping ${formatTime(tabInfo.loop.start)} – ${formatTime(tabInfo.loop.end)}`;
+        statusDiv.appendChild(loopBadge);
+      }
+    
+      // Live stream; the badge jumps back to the live edge
+      if (tabInfo.live) {
+        const liveBadge = document.createElement('button');
+        liveBadge.className = 'tab-live';
+        liveBadge.textContent = 'LIVE';
+        liveBadge.title = 'Live stream - jump to the live edge';
+        liveBadge.addEventListener('click', (e) => {
+          e.stopPropagation();
+          seekTab(tabId, { liveEdge: true });
+        });
+        statusDiv.appendChild(liveBadge);
+      }
+    
+      // Create controls
+      const controlsDiv = document.createElement('div');
+      controlsDiv.className = 'tab-controls';
+    
+      // Pause button (only show if playing)
+      const pauseBtn = document.createElement('button');
+      pauseBtn.className = 'tab-control-btn';
+      pauseBtn.innerHTML = '⏸️';
+      pauseBtn.title = 'Pause this tab';
+      pauseBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        pauseTab(tabId);
+      });
+      pauseBtn.style.display = isPlaying ? 'flex' : 'none';
+    
+      // Play button (only show if media is present but not playing)
+      const playBtn = document.createElement('button');
+      playBtn.className = 'tab-control-btn';
+      playBtn.innerHTML = '▶️';
+      playBtn.title = 'Play this tab';
+      playBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        playTab(tabId);
+      });
+      playBtn.style.display = !isPlaying && status !== 'monitoring' ? 'flex' : 'none';
+    
+      const focusBtn = document.createElement('button');
+      focusBtn.className = 'tab-control-btn';
+      focusBtn.innerHTML = '🔍';
+      focusBtn.title = 'Switch to this tab';
+      focusBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        switchToTab(tabId);
+      });
+    
+      controlsDiv.appendChild(playBtn);
+      controlsDiv.appendChild(pauseBtn);
+    
+      // Mute / unmute; a tab arbitration muted instead of pausing says so
+      if (status !== 'monitoring') {
+        const muted = !!(tabInfo.mutedInfo && tabInfo.mutedInfo.muted);
+        const muteBtn = document.createElement('button');
+        muteBtn.className = muted ? 'tab-control-btn active' : 'tab-control-btn';
+        muteBtn.innerHTML = muted ? '🔇' : '🔊';
+        muteBtn.title = muted
+          ? (tabInfo.mutedInfo.reason === 'arbitration' ? 'Unmute (muted while another tab plays)' : 'Unmute this tab')
+          : 'Mute this tab';
+        muteBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          setTabMuted(tabId, !muted);
+        });
+        controlsDiv.appendChild(muteBtn);
+      }
+    
+      // Picture-in-Picture for video tabs; highlighted while this tab owns the PiP window
+      if (tabInfo.mediaType === 'video') {
+        const pipBtn = document.createElement('button');
+        pipBtn.className = tabInfo.isPip ? 'tab-control-btn active' : 'tab-control-btn';
+        pipBtn.innerHTML = '⧉';
+        pipBtn.title = tabInfo.isPip ? 'Leave Picture-in-Picture' : 'Picture-in-Picture';
+        pipBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          togglePictureInPicture(tabId);
+        });
+        controlsDiv.appendChild(pipBtn);
+      }
+    
+      controlsDiv.appendChild(focusBtn);
+    
+      // Views that stay open next to the page (mini player, dashboard) get speed buttons per tab
+      if (options.speedButtons && status !== 'monitoring') {
+        controlsDiv.appendChild(createSpeedButtons(tabId, tabInfo.playbackRate || 1.0));
+      }
+    
+      // Add click handler for tab item
+      tabItem.addEventListener('click', () => switchToTab(tabId));
+    
+      // Assemble the tab item
+      tabItem.appendChild(favicon);
+      tabItem.appendChild(tabInfoDiv);
+      tabItem.appendChild(statusDiv);
+      tabItem.appendChild(controlsDiv);
+    
+      if (status !== 'monitoring') {
+        loadTabMediaState(tabId, tabItem);
+      }
+    
+      return tabItem;
+    }
+    
+    /**
+     * Slower / current speed (click resets to 1x) / faster for one tab, sent as SET_TAB_SPEED
+     */
+    function createSpeedButtons(tabId, playbackRate) {
+      const speedDiv = document.createElement('div');
+      speedDiv.className = 'tab-speed';
+    
+      const addButton = (text, title, speed) => {
+        const button = document.createElement('button');
+        button.className = 'tab-control-btn';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          setTabSpeed(tabId, speed);
+        });
+        speedDiv.appendChild(button);
+        return button;
+      };
+    
+      addButton('−', 'Slower', Math.max(MIN_SPEED, playbackRate - SPEED_STEP));
+      addButton(`${playbackRate.toFixed(2)}x`, 'Reset to 1x', 1.0).classList.add('tab-speed-value');
+      addButton('+', 'Faster', Math.min(MAX_SPEED, playbackRate + SPEED_STEP));
+      return speedDiv;
+    }
+    
+    /**
+     * Render "Artist – Title" from Media Session metadata; hidden when the page sets none
+     */
+    function renderTrackInfo(trackElement, mediaSession) {
+      const parts = mediaSession ? [mediaSession.artist, mediaSession.title].filter(Boolean) : [];
+      trackElement.textContent = parts.join(' – ');
+      trackElement.title = mediaSession && mediaSession.album ? `${trackElement.textContent} (${mediaSession.album})` : trackElement.textContent;
+      trackElement.style.display = parts.length > 0 ? '' : 'none';
+    }
+    
+    /**
+     * Create the per-tab playback row: previous/next track, ±10s and a seek scrubber.
+     * Position is fetched from the tab after render since GET_ACTIVE_TABS doesn't carry it.
+     */
+    function createPlaybackRow(tabId) {
+      const row = document.createElement('div');
+      row.className = 'tab-playback';
+    
+      const createButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'tab-playback-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          onClick();
+        });
+        return button;
+      };
+    
+      const seekSlider = document.createElement('input');
+      seekSlider.type = 'range';
+      seekSlider.className = 'tab-seek';
+      seekSlider.min = '0';
+      seekSlider.max = '0';
+      seekSlider.step = '1';
+      seekSlider.value = '0';
+      seekSlider.disabled = true;
+    
+      const timeLabel = document.createElement('span');
+      timeLabel.className = 'tab-time';
+      timeLabel.textContent = '--:--';
+    
+      // Keep scrubber interaction from switching to the tab
+      seekSlider.addEventListener('click', (e) => e.stopPropagation());
+      seekSlider.addEventListener('mousedown', (e) => e.stopPropagation());
+      seekSlider.addEventListener('input', () => {
+        seekSlider.dataset.dragging = 'true';
+        timeLabel.textContent = `${formatTime(seekSlider.value)} / ${formatTime(seekSlider.max)}`;
+      });
+      seekSlider.addEventListener('change', () => {
+        delete seekSlider.dataset.dragging;
+        seekTab(tabId, { time: parseFloat(seekSlider.value) });
+      });
+    
+      row.appendChild(createButton('⏮', 'Previous track', () => skipTrack(tabId, 'previous')));
+      row.appendChild(createButton('-10s', 'Back 10 seconds', () => seekTab(tabId, { offset: -10 })));
+      row.appendChild(seekSlider);
+      row.appendChild(timeLabel);
+      row.appendChild(createButton('+10s', 'Forward 10 seconds', () => seekTab(tabId, { offset: 10 })));
+      row.appendChild(createButton('⏭', 'Next track', () => skipTrack(tabId, 'next')));
+    
+      return row;
+    }
+    
+    /**
+     * Fetch a tab's current position and Media Session metadata into its rendered item
+     */
+    async function loadTabMediaState(tabId, tabItem) {
+      try {
+        const state = await sendMessage({ type: 'GET_TAB_MEDIA_STATE', tabId });
+        if (!state || !tabItem.isConnected) return; // List re-rendered meanwhile
+      
+        const trackElement = tabItem.querySelector('.tab-track');
+        if (trackElement && state.mediaSession) {
+          renderTrackInfo(trackElement, state.mediaSession);
+        }
+      
+        // Pages often publish metadata after playback starts, so artwork may be new here
+        const favicon = tabItem.querySelector('img.tab-favicon');
+        const artwork = state.mediaSession && state.mediaSession.artwork;
+        if (favicon && artwork && favicon.getAttribute('src') !== artwork) {
+          const previousSrc = favicon.getAttribute('src');
+          favicon.onerror = () => {
+            favicon.onerror = null;
+            favicon.classList.remove('artwork');
+            if (previousSrc) favicon.src = previousSrc;
+          };
+          favicon.src = artwork;
+          favicon.classList.add('artwork');
+        }
+      
+        const seekSlider = tabItem.querySelector('.tab-seek');
+        const timeLabel = tabItem.querySelector('.tab-time');
+        if (seekSlider && timeLabel && state.primaryMedia) {
+          positionTrackers.set(tabId, { ...state.primaryMedia, syncedAt: Date.now(), seekSlider, timeLabel });
+          updatePositionDisplay(state.primaryMedia, seekSlider, timeLabel);
+        }
+      } catch (error) {
+        console.warn(`Failed to get media state for tab ${tabId}:`, error);
+      }
+    }
+    
+    /**
+     * Render a position snapshot; live or unknown durations leave the scrubber disabled
+     */
+    function updatePositionDisplay(position, seekSlider, timeLabel) {
+      if (!position) return;
+    
+      if (position.duration) {
+        seekSlider.max = String(Math.floor(position.duration));
+        seekSlider.value = String(Math.floor(position.currentTime));
+        seekSlider.disabled = false;
+        timeLabel.textContent = `${formatTime(position.currentTime)} / ${formatTime(position.duration)}`;
+      } else {
+        seekSlider.disabled = true;
+        timeLabel.textContent = formatTime(position.currentTime);
+      }
+    }
+    
+    /**
+     * Advance playing tabs' progress from their last synced position, without messaging the tabs;
+     * call once a second while the list is shown
+     */
+    function tickProgress() {
+      const now = Date.now();
+      positionTrackers.forEach((tracker) => {
+        if (tracker.paused || tracker.seekSlider.dataset.dragging) return;
+      
+        const elapsed = (now - tracker.syncedAt) / 1000 * (tracker.playbackRate || 1);
+        let currentTime = tracker.currentTime + elapsed;
+        if (tracker.duration) {
+          currentTime = Math.min(currentTime, tracker.duration);
+        }
+        updatePositionDisplay({ ...tracker, currentTime }, tracker.seekSlider, tracker.timeLabel);
+      });
+    }
+    
+    /**
+     * Pause media in a specific tab
+     */
+    async function pauseTab(tabId) {
+      try {
+        await sendMessage({ type: 'PAUSE_TAB', tabId });
+      } catch (error) {
+        console.error(`Failed to pause tab ${tabId}:`, error);
+        throw error;
+      }
+    }
+    
+    /**
+     * Start media in a specific tab; the background arbitrates against other playing tabs
+     */
+    async function playTab(tabId) {
+      try {
+        await sendMessage({ type: 'PLAY_TAB', tabId });
+        setTimeout(refresh, 300);
+      } catch (error) {
+        console.error(`Failed to play tab ${tabId}:`, error);
+        showError('Failed to play tab');
+      }
+    }
+    
+    /**
+     * Seek media in a specific tab ({ time } absolute or { offset } relative, in seconds, or
+     * { liveEdge: true } for the live edge of a live stream)
+     */
+    async function seekTab(tabId, target) {
+      try {
+        await sendMessage({ type: 'SEEK_TAB', tabId, time: target.time, offset: target.offset, liveEdge: !!target.liveEdge });
+        const tabItem = document.querySelector(`.tab-item[data-tab-id="${tabId}"]`);
+        if (tabItem) {
+          await loadTabMediaState(tabId, tabItem);
+        }
+      } catch (error) {
+        console.error(`Failed to seek tab ${tabId}:`, error);
+        showError('Failed to seek');
+      }
+    }
+    
+    /**
+     * Skip to the next or previous track in a specific tab
+     */
+    async function skipTrack(tabId, direction) {
+      try {
+        await sendMessage({ type: 'SKIP_TRACK_TAB', tabId, direction });
+        setTimeout(refresh, 500);
+      } catch (error) {
+        console.error(`Failed to skip track in tab ${tabId}:`, error);
+        showError('Failed to skip track');
+      }
+    }
+    
+    /**
+     * Enter or leave Picture-in-Picture with a tab's video
+     */
+    async function togglePictureInPicture(tabId) {
+      try {
+        const response = await sendMessage({ type: 'PIP_TAB', tabId });
+        if (!response || !response.success) {
+          showError(response && response.error ? response.error : 'Failed to toggle Picture-in-Picture');
+          return;
+        }
+        setTimeout(refresh, 300);
+      } catch (error) {
+        console.error(`Failed to toggle Picture-in-Picture in tab ${tabId}:`, error);
+        showError('Failed to toggle Picture-in-Picture');
+      }
+    }
+    
+    /**
+     * Mute or unmute a tab; unmuting a playing tab lets arbitration pause or mute the others
+     */
+    async function setTabMuted(tabId, muted) {
+      try {
+        await sendMessage({ type: 'SET_TAB_MUTED', tabId, muted });
+        setTimeout(refresh, 300);
+      } catch (error) {
+        console.error(`Failed to ${muted ? 'mute' : 'unmute'} tab ${tabId}:`, error);
+        showError(`Failed to ${muted ? 'mute' : 'unmute'} tab`);
+      }
+    }
+    
+    /**
+     * Set the playback speed of a specific tab; its SPEED_CHANGED refreshes the list
+     */
+    async function setTabSpeed(tabId, speed) {
+      try {
+        await sendMessage({ type: 'SET_TAB_SPEED', tabId, speed: Math.round(speed * 100) / 100 });
+      } catch (error) {
+        console.error(`Failed to set speed in tab ${tabId}:`, error);
+        showError('Failed to change speed');
+      }
+    }
+    
+    /**
+     * Switch to a specific tab
+     */
+    async function switchToTab(tabId) {
+      try {
+        const tab = await browserAPI.tabs.update(parseInt(tabId), { active: true });
+        if (!options.closeOnSwitch) {
+          // Views that stay open bring the tab's window forward instead
+          if (tab && tab.windowId !== undefined) {
+            await browserAPI.windows.update(tab.windowId, { focused: true });
+          }
+          return;
+        }
+        window.close(); // Close the popup after switching
+      } catch (error) {
+        console.error(`Failed to switch to tab ${tabId}:`, error);
+        showError('Failed to switch to tab');
+      }
+    }
+    
+    return {
+      createTabItem,
+      tickProgress,
+      clearTrackers: () => positionTrackers.clear(),
+      pauseTab,
+      playTab,
+      switchToTab
+    };
+  }
+  
+  const api = {
+    SPEED_STEP,
+    MIN_SPEED,
+    MAX_SPEED,
+    formatTime,
+    formatUrl,
+    createFaviconPlaceholder,
+    groupByWindow,
+    createMediaList
+  };
+  
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.umeMediaList = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
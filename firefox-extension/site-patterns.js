@@ -0,0 +1,98 @@
+/**
+ * UME - Site patterns
+ * Matching for the site blacklist and site profile rules, shared by the content script.
+ * Patterns are one per line, # starts a comment:
+ *   example.com            example.com and its subdomains
+ *   *.example.com          subdomains of example.com only
+ *   example.com/watch      host (and its subdomains) plus path prefix
+ *   /youtube\.com\/live/i  regular expression tested against the full URL
+ * Host and path comparisons ignore case; a pasted scheme is ignored.
+ */
+
+(function(root) {
+  'use strict';
+
+  /**
+   * Parse pattern lines into matcher entries: { type: 'regex', regex } or
+   * { type: 'host' | 'path' | 'wildcard', host, path }. Invalid regexes are skipped.
+   */
+  function parseSitePatterns(patterns) {
+    if (!patterns || typeof patterns !== 'string') return [];
+
+    const entries = [];
+    patterns.split('\n').forEach(line => {
+      const item = line.trim();
+      if (!item || item.startsWith('#')) return;
+
+      // Regex entries: /pattern/flags
+      const regexMatch = item.match(/^\/(.+)\/([gimsuy]*)$/);
+      if (regexMatch) {
+        try {
+          entries.push({ type: 'regex', regex: new RegExp(regexMatch[1], regexMatch[2].replace('g', '')) });
+        } catch (error) {
+          console.warn('UME: Ignoring invalid site pattern regex:', item);
+        }
+        return;
+      }
+
+      // Strip any scheme the user may have pasted
+      const pattern = item.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').toLowerCase();
+      const slashIndex = pattern.indexOf('/');
+      const host = slashIndex === -1 ? pattern : pattern.slice(0, slashIndex);
+      const path = slashIndex === -1 ? '' : pattern.slice(slashIndex);
+      if (!host) return;
+
+      if (host.startsWith('*.')) {
+        entries.push({ type: 'wildcard', host: host.slice(2), path });
+      } else {
+        entries.push({ type: path ? 'path' : 'host', host, path });
+      }
+    });
+
+    return entries;
+  }
+
+  // Host equals the pattern host or is a subdomain of it
+  function matchesHost(hostname, host) {
+    return hostname === host || hostname.endsWith('.' + host);
+  }
+
+  /**
+   * Whether a URL matches any of the pattern lines
+   */
+  function matchesSitePatterns(url, patterns) {
+    const entries = parseSitePatterns(patterns);
+    if (entries.length === 0) return false;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    const hostname = parsed.hostname.toLowerCase();
+    const pathname = parsed.pathname.toLowerCase();
+
+    return entries.some(entry => {
+      switch (entry.type) {
+        case 'regex':
+          return entry.regex.test(url);
+        case 'wildcard':
+          return hostname.endsWith('.' + entry.host) && pathname.startsWith(entry.path);
+        case 'path':
+          return matchesHost(hostname, entry.host) && pathname.startsWith(entry.path);
+        case 'host':
+        default:
+          return matchesHost(hostname, entry.host);
+      }
+    });
+  }
+
+  const api = { parseSitePatterns, matchesSitePatterns };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.umeSitePatterns = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,82 @@
+/**
+ * UME - Site settings
+ * How stored settings and the matching site profile combine into what a page runs with,
+ * shared by the content scripts:
+ *   mergeStoredSettings(settings, stored)      - storage.sync values over the defaults; the legacy
+ *                                                videoSpeedSettings copy goes first so current keys win
+ *   getEffectiveKeyBindings(bindings, profile) - global key bindings with the profile's overrides
+ */
+
+(function(root) {
+  'use strict';
+
+  /**
+   * Copy stored key bindings, blacklist and site profiles onto settings. The legacy copy is
+   * rewritten with every speed change and may be stale, so it only fills what the current keys don't.
+   */
+  function mergeStoredSettings(settings, stored) {
+    if (!stored) return settings;
+
+    if (stored.videoSpeedSettings) {
+      Object.assign(settings, stored.videoSpeedSettings);
+    }
+    if (Array.isArray(stored.keyBindings)) {
+      settings.keyBindings = stored.keyBindings;
+    }
+    if (stored.blacklist) {
+      settings.blacklist = stored.blacklist;
+    }
+    if (Array.isArray(stored.siteProfiles)) {
+      settings.siteProfiles = stored.siteProfiles;
+    }
+    return settings;
+  }
+
+  /**
+   * Global key bindings with a site profile's overrides applied, as new objects. A profile
+   * binding replaces the global binding for its action and any global binding on its key;
+   * the profile's skip amounts set the rewind/advance values unless its binding sets a value.
+   */
+  function getEffectiveKeyBindings(keyBindings, profile) {
+    let bindings = (keyBindings || []).map(binding => ({ ...binding }));
+    if (!profile) return bindings;
+
+    const profileValues = new Set(); // Bindings whose value the profile set; skip amounts leave them alone
+    (profile.keyBindings || []).forEach(override => {
+      let existing = bindings.find(binding => binding.action === override.action);
+      // A key the profile claims no longer runs the global action bound to it
+      if (override.key) {
+        bindings = bindings.filter(binding => binding === existing || binding.key !== override.key);
+      }
+      if (existing) {
+        existing.key = override.key;
+      } else {
+        existing = { force: false, ...override };
+        bindings.push(existing);
+      }
+      if (override.value !== undefined) {
+        existing.value = override.value;
+        profileValues.add(existing);
+      }
+    });
+
+    bindings.forEach(binding => {
+      if (profileValues.has(binding)) return;
+      if (binding.action === 'rewind' && profile.rewindAmount) {
+        binding.value = profile.rewindAmount;
+      } else if (binding.action === 'advance' && profile.advanceAmount) {
+        binding.value = profile.advanceAmount;
+      }
+    });
+
+    return bindings;
+  }
+
+  const api = { mergeStoredSettings, getEffectiveKeyBindings };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.umeSiteSettings = api;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,182 @@
+// audio-effects-tests.js
+// Unit tests for the per-domain audio effects settings and pipeline shared by the content scripts,
+// the popup and the options page, and the loudness meter behind loudness normalization
+
+const fs = require('fs');
+const path = require('path');
+
+const chromeEffectsPath = path.join(__dirname, '../chrome-extension/audio-effects.js');
+const ffEffectsPath = path.join(__dirname, '../firefox-extension/audio-effects.js');
+
+// Just enough of AudioContext to follow connections: each node records where it feeds
+function createFakeContext() {
+  const param = (value) => ({ value });
+  const node = (kind, extra = {}) => ({
+    kind,
+    targets: [],
+    connect(target) {
+      this.targets.push(target);
+      return target;
+    },
+    disconnect() {
+      this.targets = [];
+    },
+    ...extra
+  });
+
+  return {
+    createGain: () => node('gain', { gain: param(1) }),
+    createBiquadFilter: () => node('biquad', { type: 'lowpass', frequency: param(350), Q: param(1), gain: param(0) }),
+    createDynamicsCompressor: () => node('compressor', {
+      threshold: param(-24), knee: param(30), ratio: param(12), attack: param(0.003), release: param(0.25)
+    }),
+    createStereoPanner: () => node('panner', { pan: param(0) })
+  };
+}
+
+// Nodes from the chain input to its output, skipping the unity input/output gains
+function chainNodes(chain) {
+  const nodes = [];
+  for (let current = chain.input.targets[0]; current && current !== chain.output; current = current.targets[0]) {
+    nodes.push(current);
+  }
+  return nodes;
+}
+
+function route(chain) {
+  return chainNodes(chain).map((node) => (node.kind === 'gain' && node.channelCount === 1 ? 'mono' : node.kind));
+}
+
+function runSettingsCases(check, effects) {
+  const neutral = effects.defaultEffects();
+  check('Default effects are neutral and flat',
+    effects.isNeutral(neutral) && neutral.preset === 'flat' && neutral.eq.length === effects.EQ_FREQUENCIES.length);
+
+  const normalized = effects.normalizeEffects({ preset: 'voice', eq: [40, 'x', -3], nightMode: 'yes', pan: -4 });
+  check('Stored effects are clamped and filled in',
+    normalized.eq[0] === effects.EQ_RANGE && normalized.eq[1] === 0 && normalized.eq[2] === -3 &&
+    normalized.eq.length === 10 && normalized.nightMode === false && normalized.pan === -1);
+  check('A preset name that does not match the gains becomes custom', normalized.preset === 'custom');
+
+  const bass = effects.applyPreset(neutral, 'bassBoost');
+  check('Applying a preset copies its gains and keeps the other effects',
+    bass.preset === 'bassBoost' && bass.eq.join() === effects.PRESETS.bassBoost.eq.join() &&
+    effects.applyPreset({ ...bass, mono: true }, 'flat').mono === true);
+  check('Unknown presets leave the effects unchanged',
+    effects.applyPreset(bass, 'stadium').eq.join() === bass.eq.join());
+
+  let perDomain = effects.setDomainEffects({}, 'www.youtube.com', { ...neutral, nightMode: true });
+  perDomain = effects.setDomainEffects(perDomain, 'music.example.com', bass);
+  check('Effects are stored per domain and other domains stay neutral',
+    effects.effectsForDomain(perDomain, 'www.youtube.com').nightMode === true &&
+    effects.effectsForDomain(perDomain, 'music.example.com').preset === 'bassBoost' &&
+    effects.isNeutral(effects.effectsForDomain(perDomain, 'example.org')));
+
+  const reset = effects.setDomainEffects(perDomain, 'www.youtube.com', neutral);
+  check('Resetting a domain to neutral removes its entry without touching the original',
+    !('www.youtube.com' in reset) && 'music.example.com' in reset && 'www.youtube.com' in perDomain);
+}
+
+function runChainCases(check, effects) {
+  const context = createFakeContext();
+  const chain = effects.createEffectsChain(context, effects.defaultEffects());
+  check('Neutral effects connect the input straight to the output',
+    chain.input.targets.length === 1 && chain.input.targets[0] === chain.output && chain.activeStages().length === 0);
+
+  chain.update({ ...effects.applyPreset(effects.defaultEffects(), 'voice'), nightMode: true, mono: true, pan: 0.5 });
+  const kinds = route(chain);
+  check('Active stages run EQ, night mode, mono, then balance',
+    chain.activeStages().join() === 'eq,nightMode,mono,balance' &&
+    kinds.filter((kind) => kind === 'biquad').length === 10 &&
+    kinds.slice(10).join() === 'compressor,gain,mono,panner');
+
+  const nodes = chainNodes(chain);
+  const filters = nodes.slice(0, 10);
+  check('EQ bands are shelves at the ends and peaking filters between, at the preset gains',
+    filters[0].type === 'lowshelf' && filters[9].type === 'highshelf' &&
+    filters.slice(1, 9).every((filter) => filter.type === 'peaking') &&
+    filters.map((filter) => filter.frequency.value).join() === effects.EQ_FREQUENCIES.join() &&
+    filters.map((filter) => filter.gain.value).join() === effects.PRESETS.voice.eq.join());
+  check('Mono downmixes to one channel and balance sets the panner',
+    nodes[12].channelCountMode === 'explicit' && nodes[12].channelInterpretation === 'speakers' &&
+    nodes[13].pan.value === 0.5);
+
+  chain.update({ ...effects.defaultEffects(), pan: -0.3 });
+  check('Updating rewires around stages that were switched off',
+    route(chain).join() === 'panner' && chain.getEffects().pan === -0.3);
+
+  chain.update(effects.defaultEffects());
+  check('Switching everything off restores the direct connection',
+    chain.input.targets[0] === chain.output && route(chain).length === 0);
+
+  const custom = effects.createEffectsChain(createFakeContext(), { mono: true }, [effects.STAGES[2]]);
+  check('A chain can be built from a subset of stages', custom.activeStages().join() === 'mono');
+
+  check('Firefox ships the same audio effects as Chrome',
+    fs.readFileSync(chromeEffectsPath, 'utf8') === fs.readFileSync(ffEffectsPath, 'utf8'));
+}
+
+// A block of samples at a constant amplitude, so its level is 20 * log10(amplitude)
+function block(amplitude) {
+  return new Float32Array(256).fill(amplitude);
+}
+
+function near(actual, expected) {
+  return Math.abs(actual - expected) < 0.01;
+}
+
+function runLoudnessCases(check, effects) {
+  check('Levels are RMS in dBFS and digital silence is -Infinity',
+    near(effects.levelDb(block(1)), 0) && near(effects.levelDb(block(0.1)), -20) &&
+    effects.levelDb(block(0)) === -Infinity);
+  check('The element volume is taken back out of the level',
+    near(effects.levelDb(block(0.05), 0.5), -20));
+
+  const meter = effects.createLoudnessMeter(3);
+  check('The meter has no reading before the first block', meter.loudness() === null);
+  meter.add(-20);
+  meter.add(-Infinity);
+  meter.add(effects.LOUDNESS_GATE - 5);
+  check('Blocks under the gate leave the reading alone', near(meter.loudness(), -20));
+  meter.add(-30);
+  meter.add(-30);
+  meter.add(-30);
+  check('Only the last blocks count toward the reading', near(meter.loudness(), -30));
+
+  const mixed = effects.createLoudnessMeter(2);
+  mixed.add(-20);
+  mixed.add(-30);
+  check('Loudness averages power, not decibels', near(mixed.loudness(), 10 * Math.log10((0.01 + 0.001) / 2)));
+
+  check('The correction is zero before any reading and clamped either way',
+    effects.loudnessCorrection(null, -20) === 0 && effects.loudnessCorrection(-26, -20) === 6 &&
+    effects.loudnessCorrection(-50, -20) === effects.MAX_CORRECTION &&
+    effects.loudnessCorrection(0, -20) === -effects.MAX_CORRECTION);
+  check('The corrected gain scales the volume and stops at the boost limit',
+    near(effects.correctedGain(1, 20, 5), 5) && near(effects.correctedGain(0.5, 6, 5), 0.5 * Math.pow(10, 0.3)) &&
+    effects.correctedGain(3, 6, 2.5) === 2.5);
+}
+
+async function runAudioEffectsTests(log) {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (desc, ok) => {
+    if (ok) {
+      log(`✅ ${desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${desc}`, 'FAIL');
+      failed++;
+    }
+  };
+
+  const effects = require(chromeEffectsPath);
+  runSettingsCases(check, effects);
+  runChainCases(check, effects);
+  runLoudnessCases(check, effects);
+
+  return { passed, failed };
+}
+
+module.exports = { runAudioEffectsTests };
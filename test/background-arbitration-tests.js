@@ -0,0 +1,1138 @@
+// background-arbitration-tests.js
+// Unit tests for playback arbitration, auto-resume, pause fades, global commands, popup controls, position memory,
+// the sleep timer and quiet hours - loads the real background scripts
+// against a minimal browser API mock and drives them through module.exports
+
+const path = require('path');
+
+const realSetTimeout = setTimeout;
+
+const chromeBgPath = path.join(__dirname, '../chrome-extension/background.js');
+const ffBgPath = path.join(__dirname, '../firefox-extension/background.js');
+
+function createBrowserMock(syncData = {}) {
+  const sent = [];
+  const localData = {};
+  const openTabs = []; // Tabs returned by tabs.query
+  let nextTabId = 100;
+  const createEvent = () => ({
+    listeners: [],
+    addListener(fn) { this.listeners.push(fn); },
+    fire(...args) { this.listeners.forEach((fn) => fn(...args)); }
+  });
+  const event = createEvent();
+  const badge = { setBadgeText() {}, setBadgeBackgroundColor() {} };
+
+  const api = {
+    runtime: {
+      onMessage: createEvent(),
+      onStartup: event,
+      onInstalled: event,
+      sendMessage: () => Promise.resolve()
+    },
+    storage: {
+      sync: { get: async () => ({ ...syncData }), set: async () => {} },
+      local: {
+        get: async (keys) => {
+          const result = {};
+          [].concat(keys).forEach((key) => {
+            if (localData[key] !== undefined) result[key] = JSON.parse(JSON.stringify(localData[key]));
+          });
+          return result;
+        },
+        set: async (items) => { Object.assign(localData, JSON.parse(JSON.stringify(items))); },
+        remove: async (keys) => { [].concat(keys).forEach((key) => delete localData[key]); }
+      }
+    },
+    alarms: {
+      scheduled: {}, // name -> alarm info
+      create(name, info) { this.scheduled[name] = info; },
+      clear: async function(name) { delete api.alarms.scheduled[name]; return true; },
+      onAlarm: createEvent()
+    },
+    tabs: {
+      onCreated: event,
+      onUpdated: event,
+      onRemoved: createEvent(),
+      onActivated: createEvent(),
+      query: (query, callback) => {
+        if (callback) callback(openTabs.slice());
+        return Promise.resolve(openTabs.slice());
+      },
+      create: async ({ url }) => {
+        const tab = { id: nextTabId++, url, windowId: 1 };
+        openTabs.push(tab);
+        return tab;
+      },
+      update: async (tabId, props = {}) => {
+        if (props.muted !== undefined) sent.push({ tabId, type: 'SET_MUTED', muted: props.muted });
+        return { id: tabId };
+      },
+      get: async (tabId) => ({ id: tabId, url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }),
+      sendMessage: (tabId, message) => {
+        sent.push({
+          tabId, type: message.type, action: message.action, time: message.time,
+          fadeDuration: message.fadeDuration, volumeCap: message.volumeCap
+        });
+        return Promise.resolve({});
+      }
+    },
+    commands: { onCommand: createEvent() },
+    windows: { update: async () => {} },
+    action: badge,
+    browserAction: badge
+  };
+
+  return { api, sent, openTabs };
+}
+
+// Background scripts log heavily; keep the test output readable
+async function quietly(fn) {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+// Timers started by the background scripts must not keep the runner alive
+function withUnrefTimers() {
+  const original = { setTimeout: global.setTimeout, setInterval: global.setInterval };
+  global.setTimeout = (...args) => {
+    const timer = original.setTimeout(...args);
+    if (timer && timer.unref) timer.unref();
+    return timer;
+  };
+  global.setInterval = (...args) => {
+    const timer = original.setInterval(...args);
+    if (timer && timer.unref) timer.unref();
+    return timer;
+  };
+  return () => Object.assign(global, original);
+}
+
+async function flushAsync() {
+  for (let i = 0; i < 20; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+async function loadChromeBackground(syncData) {
+  const { api, sent, openTabs } = createBrowserMock(syncData);
+  global.chrome = api;
+  delete require.cache[require.resolve(chromeBgPath)];
+  const bg = await quietly(async () => {
+    const mod = require(chromeBgPath);
+    await flushAsync();
+    return mod;
+  });
+  delete global.chrome;
+  return { bg, sent, api, openTabs };
+}
+
+function wait(ms) {
+  return new Promise((resolve) => realSetTimeout(resolve, ms));
+}
+
+// Run with Date.now() stuck on one millisecond, so activity can't be ordered by timestamp
+async function atFrozenTime(fn) {
+  const now = Date.now;
+  const frozen = now();
+  Date.now = () => frozen;
+  try {
+    return await fn();
+  } finally {
+    Date.now = now;
+  }
+}
+
+function pausedTabs(sent) {
+  return sent.filter((m) => m.type === 'PAUSE_MEDIA').map((m) => m.tabId);
+}
+
+function resumedTabs(sent) {
+  return sent.filter((m) => m.type === 'RESUME_MEDIA').map((m) => m.tabId);
+}
+
+function mutedTabs(sent, muted = true) {
+  return sent.filter((m) => m.type === 'SET_MUTED' && m.muted === muted).map((m) => m.tabId);
+}
+
+function speedActions(sent) {
+  return sent.filter((m) => m.type === 'SPEED_ACTION').map((m) => `${m.tabId}:${m.action}`);
+}
+
+function sameTabs(actual, expected) {
+  return actual.length === expected.length && actual.every((id, i) => id === expected[i]);
+}
+
+async function runChromeArbitrationCases(check) {
+  const start = (bg, tabId, type = 'video', extra = {}) => quietly(() =>
+    bg.handleMediaStarted(tabId, { url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }, { type, ...extra })
+  );
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    await start(bg, 1);
+    await start(bg, 2);
+    const state = bg.getExtensionState();
+    check('Chrome lastWins pauses the previously playing tab',
+      sameTabs(pausedTabs(sent), [1]) && state.currentPlaying === 2);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ arbitrationPolicy: 'firstWins' });
+    await start(bg, 1);
+    await start(bg, 2);
+    const state = bg.getExtensionState();
+    const blocked = state.activeTabs.find((t) => t.tabId === 2);
+    check('Chrome firstWins pauses the new tab and keeps the first one current',
+      sameTabs(pausedTabs(sent), [2]) && state.currentPlaying === 1 && blocked && !blocked.isPlaying);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ arbitrationPolicy: 'concurrent', maxConcurrentTabs: 2 });
+    await start(bg, 1);
+    await start(bg, 2);
+    const pausedAfterTwo = pausedTabs(sent).length;
+    await start(bg, 3);
+    check('Chrome concurrent allows N tabs and pauses the oldest beyond that',
+      pausedAfterTwo === 0 && sameTabs(pausedTabs(sent), [1]));
+
+    await quietly(() => bg.handleMediaPaused(3));
+    check('Chrome falls back to the most recent playing tab when the current one pauses',
+      bg.getExtensionState().currentPlaying === 2);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ arbitrationPolicy: 'videoPriority' });
+    await start(bg, 1, 'video');
+    await start(bg, 2, 'audio');
+    check('Chrome videoPriority never lets music pause video',
+      sameTabs(pausedTabs(sent), [2]) && bg.getExtensionState().currentPlaying === 1);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ arbitrationPolicy: 'videoPriority' });
+    await start(bg, 1, 'audio');
+    await start(bg, 2, 'video');
+    check('Chrome videoPriority lets video pause music',
+      sameTabs(pausedTabs(sent), [1]) && bg.getExtensionState().currentPlaying === 2);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ arbitrationPolicy: 'protectFullscreen' });
+    await start(bg, 1, 'video', { isFullscreen: true });
+    await start(bg, 2);
+    check('Chrome protectFullscreen never interrupts a fullscreen tab',
+      sameTabs(pausedTabs(sent), [2]) && bg.getExtensionState().currentPlaying === 1);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ arbitrationPolicy: 'protectFullscreen' });
+    await start(bg, 1);
+    await start(bg, 2);
+    check('Chrome protectFullscreen behaves like lastWins without fullscreen',
+      sameTabs(pausedTabs(sent), [1]) && bg.getExtensionState().currentPlaying === 2);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground({ arbitrationPolicy: 'firstWins' });
+    await start(bg, 1);
+    await start(bg, 2);
+    check('Chrome loads the arbitration policy from storage on startup',
+      sameTabs(pausedTabs(sent), [2]));
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ arbitrationPolicy: 'bogus', maxConcurrentTabs: 0 });
+    await start(bg, 1);
+    await start(bg, 2);
+    check('Chrome ignores unknown policies and keeps lastWins',
+      sameTabs(pausedTabs(sent), [1]));
+  }
+}
+
+async function runChromeAutoResumeCases(check) {
+  const start = (bg, tabId) => quietly(() =>
+    bg.handleMediaStarted(tabId, { url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }, { type: 'video' })
+  );
+  const enable = (bg) => bg.applyArbitrationSettings({ autoResumeEnabled: true, autoResumeDelay: 0 });
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    await start(bg, 1);
+    await start(bg, 2);
+    await quietly(() => bg.handleMediaEnded(2));
+    await wait(20);
+    check('Chrome does not auto-resume unless enabled', resumedTabs(sent).length === 0);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    enable(bg);
+    await start(bg, 1);
+    await start(bg, 2);
+    // The interrupted tab reports its own pause - that must not trigger a resume
+    await quietly(() => bg.handleMediaPaused(1));
+    await quietly(() => bg.handleMediaEnded(2));
+    await wait(20);
+    check('Chrome resumes the interrupted tab when the interrupting media ends',
+      sameTabs(resumedTabs(sent), [1]));
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    enable(bg);
+    await start(bg, 1);
+    await start(bg, 2);
+    await start(bg, 3);
+    await quietly(() => bg.handleMediaPaused(2));
+    await quietly(() => bg.handleMediaPaused(3));
+    await wait(20);
+    const firstResume = resumedTabs(sent);
+    await start(bg, 2);
+    await quietly(() => bg.handleMediaEnded(2));
+    await wait(20);
+    check('Chrome unwinds the pause stack one interruption at a time',
+      sameTabs(firstResume, [2]) && sameTabs(resumedTabs(sent), [2, 1]));
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ autoResumeEnabled: true, autoResumeDelay: 0.05 });
+    await start(bg, 1);
+    await start(bg, 2);
+    await quietly(() => bg.handleMediaPaused(2));
+    await start(bg, 2);
+    await wait(80);
+    check('Chrome cancels the auto-resume when media restarts within the grace delay',
+      resumedTabs(sent).length === 0);
+  }
+
+  {
+    const { bg, sent, api } = await loadChromeBackground();
+    enable(bg);
+    await start(bg, 1);
+    await start(bg, 2);
+    await quietly(() => api.tabs.onRemoved.fire(1));
+    await quietly(() => bg.handleMediaEnded(2));
+    await wait(20);
+    check('Chrome drops pause stack entries for removed tabs', resumedTabs(sent).length === 0);
+  }
+}
+
+async function runChromeCommandCases(check) {
+  const start = (bg, tabId) => quietly(() =>
+    bg.handleMediaStarted(tabId, { url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }, { type: 'video' })
+  );
+
+  {
+    const { bg, sent, api } = await loadChromeBackground();
+    await start(bg, 1);
+    await quietly(() => api.commands.onCommand.fire('toggle-playback'));
+    await flushAsync();
+    check('Chrome toggle-playback command pauses the playing tab', sameTabs(pausedTabs(sent), [1]));
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    await atFrozenTime(async () => {
+      await start(bg, 1);
+      await start(bg, 2);
+      await quietly(() => bg.handleMediaPaused(2));
+    });
+    await quietly(() => bg.handleCommand('toggle-playback'));
+    check('Chrome toggle-playback resumes the most recently active media tab',
+      sameTabs(resumedTabs(sent), [2]));
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ arbitrationPolicy: 'concurrent', maxConcurrentTabs: 3 });
+    await start(bg, 1);
+    await start(bg, 2);
+    await quietly(() => bg.handleCommand('speed-up'));
+    await quietly(() => bg.handleCommand('speed-down'));
+    await quietly(() => bg.handleCommand('pause-all'));
+    check('Chrome speed and pause-all commands route through SPEED_ACTION and PAUSE_MEDIA',
+      sameTabs(speedActions(sent), ['2:faster', '2:slower']) && sameTabs(pausedTabs(sent), [1, 2]));
+  }
+}
+
+async function runChromePopupControlCases(check) {
+  const start = (bg, tabId) => quietly(() =>
+    bg.handleMediaStarted(tabId, { url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }, { type: 'video' })
+  );
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    await start(bg, 1);
+    await start(bg, 2);
+    sent.length = 0;
+    await quietly(() => bg.playTabMedia(1));
+    // The tab reports MEDIA_STARTED once playing, which goes through arbitration
+    await start(bg, 1);
+    check('Chrome popup play sends PLAY_MEDIA and arbitration pauses the other tab',
+      sameTabs(sent.filter((m) => m.type === 'PLAY_MEDIA').map((m) => m.tabId), [1]) &&
+      sameTabs(pausedTabs(sent), [2]));
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    await quietly(() => bg.seekTabMedia(3, undefined, 10));
+    await quietly(() => bg.skipTabTrack(3, 'next'));
+    check('Chrome popup seek and track skip route SEEK_MEDIA and SKIP_TRACK to the tab',
+      sameTabs(sent.map((m) => `${m.tabId}:${m.type}`), ['3:SEEK_MEDIA', '3:SKIP_TRACK']));
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    await quietly(() => bg.sendMediaSessionAction(5, 'nexttrack'));
+    check('Chrome Media Session actions are forwarded to the tab as MEDIA_SESSION_ACTION',
+      sameTabs(sent.map((m) => `${m.tabId}:${m.type}:${m.action}`), ['5:MEDIA_SESSION_ACTION:nexttrack']));
+  }
+
+  {
+    const { bg } = await loadChromeBackground();
+    const mediaSession = { title: 'Song', artist: 'Artist', album: '', artwork: 'https://example.com/art.png' };
+    await quietly(() =>
+      bg.handleMediaStarted(4, { url: 'https://example.com/4', title: 'Tab 4' }, { type: 'audio', mediaSession })
+    );
+    const tab = bg.getExtensionState().activeTabs.find((t) => t.tabId === 4);
+    check('Chrome MEDIA_STARTED Media Session metadata reaches the popup state',
+      !!tab && !!tab.mediaSession && tab.mediaSession.artist === 'Artist' && tab.mediaSession.artwork === mediaSession.artwork);
+  }
+
+  {
+    const { bg } = await loadChromeBackground();
+    const loopOf = (tabId) => bg.getExtensionState().activeTabs.find((t) => t.tabId === tabId).loop;
+    await quietly(() =>
+      bg.handleMediaStarted(6, { url: 'https://example.com/6', title: 'Tab 6' }, { type: 'video', loop: { start: 5, end: 12 } })
+    );
+    const started = loopOf(6);
+    await start(bg, 7);
+    await quietly(() => bg.handleLoopChanged(7, { start: 30, end: 45 }));
+    const set = loopOf(7);
+    await quietly(() => bg.handleLoopChanged(7, null));
+    check('Chrome A-B loops from MEDIA_STARTED and LOOP_CHANGED reach the popup state',
+      !!started && started.end === 12 && !!set && set.start === 30 && loopOf(7) === null);
+  }
+
+  {
+    const { bg } = await loadChromeBackground();
+    const endedOf = (tabId) => bg.getExtensionState().activeTabs.find((t) => t.tabId === tabId).ended;
+    await start(bg, 8);
+    await quietly(() => bg.handleMediaEnded(8));
+    const ended = endedOf(8);
+    await start(bg, 8);
+    check('Chrome reports tabs whose media ended until they play again, for the dashboard',
+      ended === true && endedOf(8) === false);
+  }
+}
+
+// Answer PAUSE_MEDIA only when release() is called, like a tab that is still fading out
+function holdPauses(api) {
+  const original = api.tabs.sendMessage;
+  const held = [];
+  api.tabs.sendMessage = (tabId, message) => {
+    const result = original(tabId, message);
+    if (message.type !== 'PAUSE_MEDIA') return result;
+    return new Promise((resolve) => held.push(() => resolve(result)));
+  };
+  return {
+    held,
+    original,
+    release: () => held.splice(0).forEach((resolve) => resolve())
+  };
+}
+
+async function runChromeFadeCases(check) {
+  const start = (bg, tabId) => quietly(() =>
+    bg.handleMediaStarted(tabId, { url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }, { type: 'video' })
+  );
+
+  {
+    const { bg, sent } = await loadChromeBackground({ pauseFadeDuration: 1.5 });
+    await start(bg, 1);
+    await start(bg, 2);
+    await quietly(() => bg.resumeTabMedia(1));
+    check('Chrome sends the stored fade duration with PAUSE_MEDIA and RESUME_MEDIA',
+      sent.filter((m) => m.type === 'PAUSE_MEDIA' || m.type === 'RESUME_MEDIA').every((m) => m.fadeDuration === 1500) &&
+      sameTabs(pausedTabs(sent), [1]));
+  }
+
+  {
+    const { bg, sent, api } = await loadChromeBackground();
+    await start(bg, 1);
+    await start(bg, 2);
+    sent.length = 0;
+    const pauses = holdPauses(api);
+    const playing = quietly(() => bg.playTabMedia(1));
+    await flushAsync();
+    const playedDuringFade = sent.some((m) => m.type === 'PLAY_MEDIA');
+    pauses.release();
+    await playing;
+    await start(bg, 1);
+    check('Chrome popup play waits for the other tab to fade out before starting',
+      !playedDuringFade && pauses.held.length === 0 && sameTabs(pausedTabs(sent), [2]) &&
+      sameTabs(sent.map((m) => m.type), ['PAUSE_MEDIA', 'PLAY_MEDIA']) && bg.getExtensionState().currentPlaying === 1);
+  }
+
+  {
+    const { bg, sent, api } = await loadChromeBackground();
+    await start(bg, 1);
+    await start(bg, 2);
+    sent.length = 0;
+    const sendMessage = api.tabs.sendMessage;
+    api.tabs.sendMessage = (tabId, message) => {
+      const result = sendMessage(tabId, message);
+      return message.type === 'PLAY_MEDIA' ? Promise.resolve({ success: false }) : result;
+    };
+    await quietly(() => bg.playTabMedia(1));
+    check('Chrome resumes the faded tab when the popup play finds nothing to start',
+      sameTabs(pausedTabs(sent), [2]) && sameTabs(resumedTabs(sent), [2]));
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    bg.applyArbitrationSettings({ pauseFadeDuration: 0 });
+    await start(bg, 1);
+    await start(bg, 2);
+    sent.length = 0;
+    await quietly(() => bg.playTabMedia(1));
+    check('Chrome without a fade plays first and leaves pausing to arbitration',
+      sameTabs(sent.map((m) => `${m.tabId}:${m.type}:${m.fadeDuration}`), ['1:PLAY_MEDIA:0']));
+  }
+}
+
+async function runChromeSleepTimerCases(check) {
+  const start = (bg, tabId) => quietly(() =>
+    bg.handleMediaStarted(tabId, { url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }, { type: 'video' })
+  );
+
+  {
+    const { bg, sent, api } = await loadChromeBackground();
+    await start(bg, 1);
+    await start(bg, 2);
+    const badges = [];
+    api.action.setBadgeText = ({ text }) => badges.push(text);
+    const timer = await quietly(() => bg.startSleepTimer(30));
+    const alarm = api.alarms.scheduled.sleepTimer;
+    const stored = (await api.storage.local.get('sleepTimer')).sleepTimer;
+    check('Chrome sleep timer schedules an alarm, persists and shows a moon on the badge',
+      timer.mode === 'duration' && !!alarm && alarm.when === timer.endsAt && stored.endsAt === timer.endsAt &&
+      Math.abs(timer.endsAt - Date.now() - 30 * 60 * 1000) < 1000 &&
+      bg.getExtensionState().sleepTimer.endsAt === timer.endsAt && badges[badges.length - 1].endsWith('☾'));
+
+    sent.length = 0;
+    await quietly(() => api.alarms.onAlarm.fire({ name: 'sleepTimer' }));
+    await flushAsync();
+    check('Chrome sleep timer alarm fades out and pauses every tracked tab, then clears itself',
+      sent.filter((m) => m.type === 'PAUSE_MEDIA').map((m) => `${m.tabId}:${m.fadeDuration}`).sort().join() === '1:10000,2:10000' &&
+      bg.getExtensionState().sleepTimer === null && !(await api.storage.local.get('sleepTimer')).sleepTimer &&
+      !badges[badges.length - 1].endsWith('☾'));
+  }
+
+  {
+    const { bg, sent, api } = await loadChromeBackground();
+    await start(bg, 1);
+    const timer = await quietly(() => bg.startSleepTimer(null, true));
+    sent.length = 0;
+    await quietly(() => bg.handleMediaEnded(1));
+    await flushAsync();
+    check('Chrome end-of-media sleep timer fires when the playing media ends, without an alarm',
+      timer.mode === 'endOfMedia' && timer.tabId === 1 && !api.alarms.scheduled.sleepTimer &&
+      sameTabs(pausedTabs(sent), [1]) && bg.getExtensionState().sleepTimer === null);
+  }
+
+  {
+    const { bg, api } = await loadChromeBackground();
+    const errors = [];
+    for (const args of [[0], [721], ['soon'], [null, true]]) {
+      await quietly(() => bg.startSleepTimer(...args)).catch((error) => errors.push(error.message));
+    }
+    await quietly(() => bg.startSleepTimer(15));
+    await quietly(() => bg.cancelSleepTimer());
+    check('Chrome rejects out-of-range sleep timers and cancels without pausing',
+      errors.length === 4 && errors[3] === 'Nothing is playing' &&
+      !api.alarms.scheduled.sleepTimer && bg.getExtensionState().sleepTimer === null);
+  }
+
+  {
+    const { bg, api } = await loadChromeBackground();
+    await api.storage.local.set({ sleepTimer: { mode: 'duration', endsAt: Date.now() + 60000 } });
+    await quietly(() => bg.restoreSleepTimer());
+    const restored = bg.getExtensionState().sleepTimer;
+    await api.storage.local.set({ sleepTimer: { mode: 'duration', endsAt: Date.now() - 1000 } });
+    await quietly(() => bg.restoreSleepTimer());
+    check('Chrome restores a running sleep timer after suspension and drops one that already ran out',
+      !!restored && restored.mode === 'duration' && bg.getExtensionState().sleepTimer === null &&
+      !(await api.storage.local.get('sleepTimer')).sleepTimer);
+  }
+}
+
+// Local 'HH:MM' this many minutes from now, for rules that apply right away
+function clockTime(offsetMinutes) {
+  const date = new Date(Date.now() + offsetMinutes * 60000);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+function volumeCaps(sent) {
+  return sent.filter((m) => m.type === 'SET_VOLUME' && m.volumeCap !== undefined).map((m) => `${m.tabId}:${m.volumeCap}`);
+}
+
+async function runChromeQuietHoursCases(check) {
+  const start = (bg, tabId) => quietly(() =>
+    bg.handleMediaStarted(tabId, { url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }, { type: 'video' })
+  );
+  const capRule = { action: 'capVolume', start: clockTime(-60), end: clockTime(60), volume: 0.3 };
+
+  {
+    const { bg, sent, api, openTabs } = await loadChromeBackground();
+    openTabs.push({ id: 7 }, { id: 8 });
+    await quietly(() => bg.applyQuietHoursRules([capRule]));
+    const alarm = api.alarms.scheduled.quietHours;
+    const capped = volumeCaps(sent).sort().join();
+    sent.length = 0;
+    await start(bg, 9);
+    const cappedOnStart = volumeCaps(sent).join();
+    sent.length = 0;
+    await quietly(() => bg.applyQuietHoursRules([]));
+    check('Chrome quiet hours cap every tab, cap tabs that start playing and schedule the end of the rule',
+      capped === '7:0.3,8:0.3' && cappedOnStart === '9:0.3' && !!alarm &&
+      Math.abs(alarm.when - Date.now() - 60 * 60000) < 60000);
+    check('Chrome lifts the quiet hours cap when the rule goes away',
+      volumeCaps(sent).sort().join() === '7:null,8:null' && !api.alarms.scheduled.quietHours);
+  }
+
+  {
+    const { bg, sent, api } = await loadChromeBackground();
+    await start(bg, 1);
+    await start(bg, 2);
+    sent.length = 0;
+    await quietly(() => bg.applyQuietHoursRules([{ action: 'pause', start: clockTime(-1) }]));
+    const pausedOnSave = pausedTabs(sent).length;
+    await quietly(() => api.alarms.onAlarm.fire({ name: 'quietHours' }));
+    await flushAsync();
+    check('Chrome quiet hours pause every tab when the alarm fires, not when the rules are saved',
+      pausedOnSave === 0 &&
+      sent.filter((m) => m.type === 'PAUSE_MEDIA').map((m) => `${m.tabId}:${m.fadeDuration}`).sort().join() === '1:10000,2:10000');
+  }
+}
+
+function pipRequests(sent) {
+  return sent.filter((m) => m.type === 'ENTER_PIP').map((m) => m.tabId);
+}
+
+async function runChromePictureInPictureCases(check) {
+  const start = (bg, tabId, type = 'video') => quietly(() =>
+    bg.handleMediaStarted(tabId, { url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }, { type })
+  );
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    await start(bg, 1);
+    await quietly(() => bg.handlePipChanged(1, true));
+    await start(bg, 2);
+    const state = bg.getExtensionState();
+    check('Chrome lastWins keeps the Picture-in-Picture tab playing and reports it to the popup',
+      pausedTabs(sent).length === 0 && state.activeTabs.find((t) => t.tabId === 1).isPip &&
+      !state.activeTabs.find((t) => t.tabId === 2).isPip);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground({ pipExemptFromArbitration: false });
+    await start(bg, 1);
+    await quietly(() => bg.handlePipChanged(1, true));
+    await start(bg, 2);
+    check('Chrome pauses the Picture-in-Picture tab like any other when the exemption is off',
+      sameTabs(pausedTabs(sent), [1]));
+  }
+
+  {
+    const { bg } = await loadChromeBackground();
+    await quietly(() => bg.handlePipChanged(1, true));
+    await quietly(() => bg.handlePipChanged(2, true));
+    await quietly(() => bg.handlePipChanged(1, false)); // The old window's leave arrives late
+    await start(bg, 2);
+    check('Chrome keeps the newest Picture-in-Picture owner when an older tab leaves late',
+      bg.getExtensionState().activeTabs.find((t) => t.tabId === 2).isPip);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground();
+    await start(bg, 1);
+    await quietly(() => bg.handleTabActivated(1, 1));
+    await quietly(() => bg.handleTabActivated(5, 1));
+    const withoutSetting = pipRequests(sent).length;
+    bg.applyArbitrationSettings({ autoPictureInPicture: true });
+    await quietly(() => bg.handleTabActivated(1, 1));
+    await quietly(() => bg.handleTabActivated(5, 1));
+    await start(bg, 6, 'audio');
+    await quietly(() => bg.handleTabActivated(6, 1));
+    await quietly(() => bg.handleTabActivated(7, 1));
+    check('Chrome automatic Picture-in-Picture asks the playing video tab the user left, only when enabled',
+      withoutSetting === 0 && sameTabs(pipRequests(sent), [1]));
+  }
+}
+
+async function runChromeFrameRelayCases(check) {
+  const { bg, api } = await loadChromeBackground();
+  bg.setFrameRelayToken(1, 'token-1');
+  bg.setFrameRelayToken(2, 'token-2');
+  const known = await bg.getFrameRelayToken(1);
+  await quietly(() => api.tabs.onRemoved.fire(1));
+  const afterClose = await bg.getFrameRelayToken(1);
+  check('Chrome keeps one frame relay token per tab and forgets it when the tab closes',
+    known === 'token-1' && afterClose === null && await bg.getFrameRelayToken(2) === 'token-2' &&
+    await bg.getFrameRelayToken(3) === null);
+}
+
+async function runChromeMuteCases(check) {
+  const start = (bg, tabId, type = 'video', extra = {}) => quietly(() =>
+    bg.handleMediaStarted(tabId, { url: `https://example.com/${tabId}`, title: `Tab ${tabId}` }, { type, ...extra })
+  );
+  const mutedInfoOf = (bg, tabId) => bg.getExtensionState().activeTabs.find((t) => t.tabId === tabId).mutedInfo;
+
+  {
+    const { bg, sent } = await loadChromeBackground({ muteInsteadOfPauseTypes: ['video'] });
+    await start(bg, 1);
+    await start(bg, 2);
+    await start(bg, 3, 'audio');
+    const state = bg.getExtensionState();
+    check('Chrome mutes interrupted tabs of the media types set to mute instead of pausing, and still pauses others',
+      sameTabs(mutedTabs(sent), [1, 2]) && sameTabs(pausedTabs(sent), []) &&
+      mutedInfoOf(bg, 1).reason === 'arbitration' && state.activeTabs.find((t) => t.tabId === 1).isPlaying);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground({ muteInsteadOfPauseTypes: ['video'] });
+    await start(bg, 1, 'video', { muteInsteadOfPause: false });
+    await start(bg, 2, 'audio', { muteInsteadOfPause: true });
+    await start(bg, 3);
+    check('Chrome lets the site profile choice override the media type',
+      sameTabs(pausedTabs(sent), [1]) && sameTabs(mutedTabs(sent), [2]));
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground({ muteInsteadOfPauseTypes: ['video'], arbitrationPolicy: 'firstWins' });
+    await start(bg, 1);
+    await start(bg, 2);
+    check('Chrome mutes a tab a blocking policy stops instead of pausing it',
+      sameTabs(mutedTabs(sent), [2]) && pausedTabs(sent).length === 0 &&
+      bg.getExtensionState().currentPlaying === 1);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground({
+      muteInsteadOfPauseTypes: ['video'], autoResumeEnabled: true, autoResumeDelay: 0
+    });
+    await start(bg, 1);
+    await start(bg, 2);
+    await start(bg, 1); // The muted tab's media reports playing again, e.g. after buffering
+    const stillMuted = mutedInfoOf(bg, 1).reason === 'arbitration' && mutedTabs(sent, false).length === 0;
+    await quietly(() => bg.handleMediaEnded(2));
+    await wait(20);
+    check('Chrome keeps a tab muted for another one muted and unmutes it instead of resuming it',
+      stillMuted && sameTabs(mutedTabs(sent, false), [1]) && resumedTabs(sent).length === 0 &&
+      mutedInfoOf(bg, 1).muted === false);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground({ muteInsteadOfPauseTypes: ['video'] });
+    await start(bg, 1);
+    await start(bg, 2, 'audio');
+    await quietly(() => bg.setTabMutedFromPopup(1, false));
+    check('Chrome unmuting a muted tab from the popup hands it playback and pauses the other tab',
+      sameTabs(pausedTabs(sent), [2]) && sameTabs(mutedTabs(sent, false), [1]) &&
+      bg.getExtensionState().currentPlaying === 1 && mutedInfoOf(bg, 1).reason === null);
+  }
+
+  {
+    const { bg, sent } = await loadChromeBackground({ muteInsteadOfPauseTypes: ['live'] });
+    await start(bg, 1, 'video', { live: true });
+    await start(bg, 2, 'audio');
+    await start(bg, 3);
+    check('Chrome mutes interrupted live streams when live is set to mute instead of pausing, and reports them as live',
+      sameTabs(mutedTabs(sent), [1]) && sameTabs(pausedTabs(sent), [2]) &&
+      bg.getExtensionState().activeTabs.find((t) => t.tabId === 1).live === true &&
+      bg.getExtensionState().activeTabs.find((t) => t.tabId === 2).live === false);
+  }
+
+  {
+    const { bg } = await loadChromeBackground();
+    await start(bg, 1);
+    bg.handleMutedInfoChanged(1, { muted: true, reason: 'user' });
+    check('Chrome tracks mutes made in the browser for the popup',
+      mutedInfoOf(bg, 1).muted === true && mutedInfoOf(bg, 1).reason === 'user');
+  }
+}
+
+async function runChromePositionMemoryCases(check) {
+  const position = (currentTime, extra = {}) => ({ currentTime, duration: 3600, title: 'Long talk', ...extra });
+
+  {
+    const { bg } = await loadChromeBackground();
+    await quietly(() => bg.savePlaybackPosition('https://example.com/talk#comments', position(600)));
+    await quietly(() => bg.savePlaybackPosition('chrome://settings', position(600)));
+    const positions = await bg.getSavedPositions();
+    check('Chrome saves positions by page URL without the fragment, web pages only',
+      positions.length === 1 && positions[0].url === 'https://example.com/talk' && positions[0].currentTime === 600);
+  }
+
+  {
+    const { bg } = await loadChromeBackground();
+    await quietly(async () => {
+      for (let i = 0; i < 50; i++) {
+        await bg.savePlaybackPosition(`https://example.com/${i}`, position(100 + i));
+      }
+      await bg.savePlaybackPosition('https://example.com/0', position(200)); // Most recent again
+      await bg.savePlaybackPosition('https://example.com/new', position(300));
+    });
+    const urls = (await bg.getSavedPositions()).map((entry) => entry.url);
+    check('Chrome evicts the least recently saved position beyond the limit',
+      urls.length === 50 && urls[0] === 'https://example.com/new' &&
+      urls.includes('https://example.com/0') && !urls.includes('https://example.com/1'));
+  }
+
+  {
+    const { bg } = await loadChromeBackground();
+    await quietly(() => bg.savePlaybackPosition('https://example.com/talk', position(600)));
+    await quietly(() => bg.clearPlaybackPosition('https://example.com/talk#t'));
+    check('Chrome clears a finished position', (await bg.getSavedPositions()).length === 0);
+  }
+
+  {
+    const { bg, api } = await loadChromeBackground();
+    const sendSave = (incognito) => quietly(async () => {
+      api.runtime.onMessage.fire(
+        { type: 'SAVE_POSITION', position: position(600) },
+        { tab: { id: 1, url: 'https://example.com/talk', incognito } },
+        () => {}
+      );
+      await flushAsync();
+    });
+    const stored = async () => JSON.stringify(await api.storage.local.get('playbackPositions'));
+    const before = await stored();
+    await sendSave(true);
+    const afterPrivate = await stored();
+    await sendSave(false);
+    check('Chrome leaves storage untouched when a private tab sends SAVE_POSITION',
+      afterPrivate === before && (await bg.getSavedPositions()).length === 1);
+  }
+
+  {
+    const { bg, sent, openTabs } = await loadChromeBackground();
+    await quietly(() => bg.savePlaybackPosition('https://example.com/talk', position(600)));
+    await quietly(() => bg.openSavedPosition('https://example.com/talk'));
+    const opened = openTabs.find((tab) => tab.url === 'https://example.com/talk');
+    const first = opened && await bg.getSavedPositionForTab(opened.id, opened.url);
+    const second = opened && await bg.getSavedPositionForTab(opened.id, opened.url);
+    check('Chrome Continue watching opens the page and seeks it once on load',
+      !!first && first.autoSeek && first.position.currentTime === 600 && !second.autoSeek &&
+      sent.every((m) => m.type !== 'SEEK_MEDIA'));
+
+    sent.length = 0;
+    await quietly(() => bg.openSavedPosition('https://example.com/talk'));
+    check('Chrome Continue watching seeks an already open tab instead of opening another',
+      openTabs.length === 1 && sent.some((m) => m.type === 'SEEK_MEDIA' && m.tabId === opened.id && m.time === 600));
+  }
+}
+
+async function runFirefoxArbitrationCases(check) {
+  const { api, sent, openTabs } = createBrowserMock();
+  global.browser = api;
+  delete require.cache[require.resolve(ffBgPath)];
+  const { TabManager, CommandHandler, PositionStore, SleepTimer, QuietHours } = await quietly(async () => {
+    const mod = require(ffBgPath);
+    await flushAsync();
+    return mod;
+  });
+
+  const createManager = (values) => quietly(() => {
+    const settings = { get: (key) => ({ extensionEnabled: true, ...values })[key] };
+    const manager = new TabManager(settings);
+    [1, 2, 3].forEach((id) => manager.addTab(id, `https://example.com/${id}`, `Tab ${id}`, 'has_media'));
+    return manager;
+  });
+  const start = (manager, tabId, type = 'video') => quietly(() => manager.handleMediaStarted(tabId, { type }));
+
+  {
+    sent.length = 0;
+    const manager = await createManager({ arbitrationPolicy: 'firstWins' });
+    await start(manager, 1);
+    await start(manager, 2);
+    check('Firefox firstWins pauses the new tab',
+      sameTabs(pausedTabs(sent), [2]) && manager.currentPlayingTab === 1 && manager.tabs.get(2).status === 'paused');
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({ arbitrationPolicy: 'concurrent', maxConcurrentTabs: 2 });
+    await start(manager, 1);
+    await start(manager, 2);
+    await start(manager, 3);
+    check('Firefox concurrent pauses the oldest tab beyond the limit',
+      sameTabs(pausedTabs(sent), [1]) && manager.tabs.get(2).status === 'playing');
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({ arbitrationPolicy: 'videoPriority' });
+    await start(manager, 1, 'video');
+    await start(manager, 2, 'audio');
+    check('Firefox videoPriority never lets music pause video',
+      sameTabs(pausedTabs(sent), [2]) && manager.currentPlayingTab === 1);
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({ autoResumeEnabled: true, autoResumeDelay: 0 });
+    await start(manager, 1);
+    await start(manager, 2);
+    await quietly(() => manager.handleMediaPaused(1));
+    await quietly(() => manager.handleMediaEnded(2));
+    await quietly(() => wait(20));
+    check('Firefox resumes the interrupted tab when the interrupting media ends',
+      sameTabs(resumedTabs(sent), [1]));
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({});
+    const commands = new CommandHandler(manager, { get: () => true });
+    await start(manager, 1);
+    await quietly(() => commands.handleCommand('speed-up'));
+    await quietly(() => commands.handleCommand('toggle-playback'));
+    check('Firefox commands target the playing tab',
+      sameTabs(speedActions(sent), ['1:faster']) && sameTabs(pausedTabs(sent), [1]));
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({});
+    const commands = new CommandHandler(manager, { get: () => true });
+    await atFrozenTime(async () => {
+      await start(manager, 1);
+      await start(manager, 2);
+      await quietly(() => manager.handleMediaPaused(2));
+    });
+    await quietly(() => commands.handleCommand('toggle-playback'));
+    check('Firefox toggle-playback resumes the most recently active media tab',
+      sameTabs(resumedTabs(sent), [2]));
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({ pauseFadeDuration: 0.8 });
+    await start(manager, 1);
+    await start(manager, 2);
+    sent.length = 0;
+    const pauses = holdPauses(api);
+    const playing = quietly(() => manager.playTab(1));
+    await flushAsync();
+    const playedDuringFade = sent.some((m) => m.type === 'PLAY_MEDIA');
+    pauses.release();
+    await playing;
+    api.tabs.sendMessage = pauses.original;
+    check('Firefox popup play fades the other tab out first and sends the fade duration',
+      !playedDuringFade && sameTabs(sent.map((m) => `${m.tabId}:${m.type}:${m.fadeDuration}`), ['2:PAUSE_MEDIA:800', '1:PLAY_MEDIA:800']) &&
+      manager.tabs.get(2).status === 'paused');
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({});
+    const store = new PositionStore(manager);
+    await quietly(async () => {
+      for (let i = 0; i <= 50; i++) {
+        await store.save(`https://example.com/${i}`, { currentTime: 100 + i, duration: 3600 });
+      }
+      await store.open('https://example.com/50');
+    });
+    const urls = (await store.list()).map((entry) => entry.url);
+    const opened = openTabs.find((tab) => tab.url === 'https://example.com/50');
+    const saved = opened && await store.getForTab(opened.id, opened.url);
+    check('Firefox position store evicts the oldest entry and reopens saved pages with auto-seek',
+      urls.length === 50 && !urls.includes('https://example.com/0') && !!saved && saved.autoSeek && saved.position.currentTime === 150);
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    const stored = async () => JSON.stringify(await api.storage.local.get('playbackPositions'));
+    const before = await stored();
+    await quietly(async () => {
+      api.runtime.onMessage.fire(
+        { type: 'SAVE_POSITION', position: { currentTime: 600, duration: 3600 } },
+        { tab: { id: 1, url: 'https://example.com/private-talk', incognito: true } },
+        () => {}
+      );
+      await flushAsync();
+    });
+    check('Firefox leaves storage untouched when a private tab sends SAVE_POSITION', await stored() === before);
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({});
+    await start(manager, 1);
+    await quietly(() => manager.handleLoopChanged(1, { start: 30, end: 45 }));
+    const looping = manager.getState().activeTabs.find((t) => t.tabId === 1).loop;
+    await quietly(() => manager.handleLoopChanged(1, null));
+    check('Firefox LOOP_CHANGED sets and clears the tab loop shown in the popup',
+      !!looping && looping.end === 45 && manager.getState().activeTabs.find((t) => t.tabId === 1).loop === null);
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({ pipExemptFromArbitration: true, autoPictureInPicture: true });
+    await start(manager, 1);
+    await quietly(() => manager.handlePipChanged(1, true));
+    await start(manager, 2);
+    const kept = pausedTabs(sent).length === 0 && manager.getState().activeTabs.find((t) => t.tabId === 1).isPip;
+    await quietly(() => manager.handleTabActivated(2, 1));
+    await quietly(() => manager.handleTabActivated(3, 1));
+    check('Firefox keeps the Picture-in-Picture tab playing and asks the left video tab for PiP',
+      kept && sameTabs(pipRequests(sent), [2]));
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({ muteInsteadOfPauseTypes: ['video'], autoResumeEnabled: true, autoResumeDelay: 0 });
+    await start(manager, 1);
+    await start(manager, 3, 'audio');
+    await start(manager, 2);
+    const muted = sameTabs(mutedTabs(sent), [1]) && sameTabs(pausedTabs(sent), [3]) &&
+      manager.getState().activeTabs.find((t) => t.tabId === 1).mutedInfo.reason === 'arbitration';
+    await quietly(() => manager.handleMediaEnded(2));
+    await quietly(() => wait(20));
+    await quietly(() => manager.handleMediaEnded(3));
+    await quietly(() => wait(20));
+    check('Firefox mutes interrupted video instead of pausing it and unmutes it on auto-resume',
+      muted && sameTabs(resumedTabs(sent), [3]) && sameTabs(mutedTabs(sent, false), [1]) &&
+      manager.tabs.get(1).mutedInfo.muted === false);
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    const manager = await createManager({ muteInsteadOfPauseTypes: ['live'] });
+    await quietly(() => manager.handleMediaStarted(1, { type: 'video', live: true }));
+    await start(manager, 2);
+    check('Firefox mutes an interrupted live stream when live is set to mute instead of pausing',
+      sameTabs(mutedTabs(sent), [1]) && pausedTabs(sent).length === 0 &&
+      manager.getState().activeTabs.find((t) => t.tabId === 1).live === true);
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    const manager = await createManager({});
+    const endedOf = (tabId) => manager.getState().activeTabs.find((t) => t.tabId === tabId).ended;
+    await start(manager, 1);
+    await quietly(() => manager.handleMediaEnded(1));
+    const ended = endedOf(1);
+    await start(manager, 1);
+    check('Firefox reports tabs whose media ended until they play again, for the dashboard',
+      ended === true && endedOf(1) === false);
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    openTabs.length = 0; // The mock answers the audible query with every open tab
+    const manager = await createManager({ pauseFadeDuration: 0.5 });
+    const sleepTimer = new SleepTimer(manager);
+    await start(manager, 1);
+    await start(manager, 3, 'audio');
+    const timer = await quietly(() => sleepTimer.start(60));
+    const scheduled = api.alarms.scheduled.sleepTimer;
+    const shown = manager.getState().sleepTimer;
+    sent.length = 0;
+    await quietly(() => sleepTimer.fire());
+    check('Firefox sleep timer schedules an alarm and fades out every tab that played media',
+      !!scheduled && scheduled.when === timer.endsAt && shown === timer &&
+      sent.filter((m) => m.type === 'PAUSE_MEDIA').map((m) => `${m.tabId}:${m.fadeDuration}`).sort().join() === '1:10000,3:10000' &&
+      manager.getState().sleepTimer === null && !api.alarms.scheduled.sleepTimer);
+    await quietly(() => manager.destroy());
+  }
+
+  {
+    sent.length = 0;
+    openTabs.length = 0;
+    const values = { quietHoursRules: [{ action: 'capVolume', start: clockTime(-60), end: clockTime(60), volume: 0.4 }] };
+    const manager = await createManager({});
+    const quiet = new QuietHours(manager, { get: (key) => ({ extensionEnabled: true, ...values })[key] });
+    openTabs.push({ id: 1 }, { id: 2 });
+    await quietly(() => quiet.evaluate());
+    const capped = volumeCaps(sent).sort().join();
+    sent.length = 0;
+    await start(manager, 3);
+    const cappedOnStart = volumeCaps(sent).join();
+    values.extensionEnabled = false;
+    sent.length = 0;
+    await quietly(() => quiet.evaluate());
+    check('Firefox quiet hours cap every tab and tabs that start playing, and lift the cap when disabled',
+      capped === '1:0.4,2:0.4' && cappedOnStart === '3:0.4' && !!api.alarms.scheduled.quietHours &&
+      volumeCaps(sent).sort().join() === '1:null,2:null' && manager.volumeCap === null);
+    openTabs.length = 0;
+    await quietly(() => manager.destroy());
+  }
+
+  delete global.browser;
+}
+
+async function runArbitrationTests(log) {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (desc, ok) => {
+    if (ok) {
+      log(`✅ ${desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${desc}`, 'FAIL');
+      failed++;
+    }
+  };
+
+  const restoreTimers = withUnrefTimers();
+  try {
+    await runChromeArbitrationCases(check);
+    await runChromeAutoResumeCases(check);
+    await runChromeCommandCases(check);
+    await runChromePopupControlCases(check);
+    await runChromeFadeCases(check);
+    await runChromeSleepTimerCases(check);
+    await runChromeQuietHoursCases(check);
+    await runChromePictureInPictureCases(check);
+    await runChromeMuteCases(check);
+    await runChromeFrameRelayCases(check);
+    await runChromePositionMemoryCases(check);
+    await runFirefoxArbitrationCases(check);
+  } finally {
+    restoreTimers();
+  }
+
+  return { passed, failed };
+}
+
+module.exports = { runArbitrationTests };
@@ -0,0 +1,97 @@
+// bookmark-tests.js
+// Unit tests for the bookmark store helpers shared by the content scripts and the options page
+
+const fs = require('fs');
+const path = require('path');
+
+const chromeBookmarksPath = path.join(__dirname, '../chrome-extension/bookmarks.js');
+const ffBookmarksPath = path.join(__dirname, '../firefox-extension/bookmarks.js');
+
+const PAGE = 'https://example.com/talk?v=1';
+const SRC = 'https://cdn.example.com/talk.mp4';
+
+function addAll(bookmarks, store, entries) {
+  return entries.map(([time, name, src = SRC, url = PAGE]) =>
+    bookmarks.addBookmark(store, { url, title: 'Talk', src, time, name }));
+}
+
+function runStoreCases(check, bookmarks) {
+  const store = {};
+  const [intro, , , other] = addAll(bookmarks, store, [
+    [754.2, 'Demo'],
+    [12, ''],
+    [3600, 'Q&A'],
+    [30, 'Trailer', 'https://cdn.example.com/trailer.mp4']
+  ]);
+
+  check('Bookmarks are grouped by page without the fragment and by media',
+    bookmarks.forMedia(store, PAGE + '#comments', SRC).length === 3 &&
+    bookmarks.forMedia(store, PAGE, other.media).length === 1);
+  check('Bookmarks for one media come back in time order',
+    bookmarks.forMedia(store, PAGE, SRC).map((bookmark) => bookmark.time).join(',') === '12,754.2,3600');
+  check('Unnamed bookmarks are numbered per media',
+    bookmarks.forMedia(store, PAGE, SRC)[0].name === 'Bookmark 2' && intro.name === 'Demo');
+
+  const blobStore = {};
+  addAll(bookmarks, blobStore, [[5, 'Start', 'blob:https://example.com/1234']]);
+  check('blob: sources share one media key, they change on every load',
+    bookmarks.forMedia(blobStore, PAGE, 'blob:https://example.com/5678').length === 1);
+
+  check('Renaming trims and rejects empty names',
+    bookmarks.renameBookmark(store, PAGE, intro.id, '  Live demo ') &&
+    !bookmarks.renameBookmark(store, PAGE, intro.id, '   ') &&
+    bookmarks.forMedia(store, PAGE, SRC)[1].name === 'Live demo');
+
+  check('Removing the last bookmark of a page drops the page',
+    bookmarks.removeBookmark(store, PAGE, other.id) &&
+    bookmarks.forMedia(store, PAGE, SRC).every((bookmark) => bookmarks.removeBookmark(store, PAGE, bookmark.id)) &&
+    Object.keys(store).length === 0 && bookmarks.listPages(store).length === 0);
+}
+
+function runNavigationCases(check, bookmarks) {
+  const list = [{ time: 60 }, { time: 10 }, { time: 120 }];
+  const at = (bookmark) => (bookmark ? bookmark.time : null);
+
+  check('Next bookmark is the first one ahead of the playhead',
+    at(bookmarks.adjacentBookmark(list, 10, 1)) === 60 && at(bookmarks.adjacentBookmark(list, 130, 1)) === null);
+  check('Previous bookmark skips the one just jumped to',
+    at(bookmarks.adjacentBookmark(list, 60.3, -1)) === 10 && at(bookmarks.adjacentBookmark(list, 90, -1)) === 60 &&
+    at(bookmarks.adjacentBookmark(list, 5, -1)) === null);
+}
+
+function runChapterCases(check, bookmarks) {
+  check('Chapter times are zero-padded hours, minutes and seconds',
+    bookmarks.formatChapterTime(754.9) === '00:12:34' && bookmarks.formatChapterTime(3725) === '01:02:05');
+
+  const store = {};
+  addAll(bookmarks, store, [[754, 'Demo'], [0, 'Intro'], [3600, 'Q&A']]);
+  check('Chapter text lists "00:12:34 Title" lines in time order',
+    bookmarks.toChapterText(bookmarks.forMedia(store, PAGE, SRC)) === '00:00:00 Intro\n00:12:34 Demo\n01:00:00 Q&A');
+
+  check('Firefox ships the same bookmark helpers as Chrome',
+    fs.readFileSync(chromeBookmarksPath, 'utf8') === fs.readFileSync(ffBookmarksPath, 'utf8'));
+}
+
+async function runBookmarkTests(log) {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (desc, ok) => {
+    if (ok) {
+      log(`✅ ${desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${desc}`, 'FAIL');
+      failed++;
+    }
+  };
+
+  const bookmarks = require(chromeBookmarksPath);
+  runStoreCases(check, bookmarks);
+  runNavigationCases(check, bookmarks);
+  runChapterCases(check, bookmarks);
+
+  return { passed, failed };
+}
+
+module.exports = { runBookmarkTests };
@@ -0,0 +1,241 @@
+// fixture-dom.js
+// Minimal HTML parser and selector engine for running site adapters against saved DOM fixtures in node.
+// Covers what the adapters use: querySelector(All), getAttribute/hasAttribute, classList, textContent, click().
+// Selectors: tag, #id, .class, [attr], [attr="v"], [attr*="v" i], [attr^="v"], descendant and child (>)
+// combinators, and comma lists.
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style']);
+
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+class FixtureElement {
+  constructor(tagName, attributes = {}, parent = null) {
+    this.tagName = tagName.toUpperCase();
+    this.attributes = attributes;
+    this.parentNode = parent;
+    this.children = [];
+    this.childNodes = []; // elements and text strings, in document order
+    this.clicks = 0;
+    const element = this;
+    this.classList = {
+      contains: (name) => (element.getAttribute('class') || '').split(/\s+/).includes(name)
+    };
+  }
+
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+
+  hasAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name);
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => (typeof node === 'string' ? node : node.textContent)).join('');
+  }
+
+  click() {
+    this.clicks++;
+  }
+
+  querySelectorAll(selector) {
+    const selectors = parseSelectorList(selector);
+    const results = [];
+    walk(this, (element) => {
+      if (selectors.some((complex) => matchesComplex(element, complex))) {
+        results.push(element);
+      }
+    });
+    return results;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+function walk(root, visit) {
+  root.children.forEach((child) => {
+    visit(child);
+    walk(child, visit);
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+  }
+  return attributes;
+}
+
+function parseHTML(html) {
+  const document = new FixtureElement('#document');
+  let current = document;
+  const tokens = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/\s*([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/gi;
+  let match;
+
+  while ((match = tokens.exec(html))) {
+    const [, closeTag, openTag, attributeSource, selfClosing, textNode] = match;
+
+    if (textNode !== undefined) {
+      current.childNodes.push(decodeEntities(textNode));
+    } else if (openTag) {
+      const tagName = openTag.toLowerCase();
+      const element = new FixtureElement(tagName, parseAttributes(attributeSource || ''), current);
+      current.children.push(element);
+      current.childNodes.push(element);
+
+      if (RAW_TEXT_TAGS.has(tagName)) {
+        const end = html.toLowerCase().indexOf(`</${tagName}`, tokens.lastIndex);
+        const stop = end === -1 ? html.length : end;
+        element.childNodes.push(html.slice(tokens.lastIndex, stop));
+        tokens.lastIndex = stop;
+      } else if (!selfClosing && !VOID_TAGS.has(tagName)) {
+        current = element;
+      }
+    } else if (closeTag) {
+      // Close up to the matching open element; ignore stray close tags
+      let open = current;
+      while (open !== document && open.tagName !== closeTag.toUpperCase()) {
+        open = open.parentNode;
+      }
+      if (open !== document) {
+        current = open.parentNode;
+      }
+    }
+  }
+
+  return document;
+}
+
+// ----------------------------------------------------------------------------
+// Selectors
+// ----------------------------------------------------------------------------
+
+function splitOutsideBrackets(source, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(source.slice(start));
+  return parts;
+}
+
+function parseCompound(source) {
+  const compound = { tag: null, id: null, classes: [], attributes: [] };
+  const pattern = /^([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([*^$]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+))\s*(i)?)?\s*\]/g;
+  let match;
+  let consumed = 0;
+  while ((match = pattern.exec(source))) {
+    if (match.index !== consumed) break;
+    consumed = pattern.lastIndex;
+    if (match[1]) {
+      compound.tag = match[1] === '*' ? null : match[1].toUpperCase();
+    } else if (match[2]) {
+      compound.id = match[2];
+    } else if (match[3]) {
+      compound.classes.push(match[3]);
+    } else {
+      const value = match[6] !== undefined ? match[6] : match[7] !== undefined ? match[7] : match[8];
+      compound.attributes.push({ name: match[4].toLowerCase(), operator: match[5] || null, value, insensitive: !!match[9] });
+    }
+  }
+  if (consumed !== source.length) {
+    throw new Error(`Unsupported selector in fixture DOM: ${source}`);
+  }
+  return compound;
+}
+
+// "a b > c" -> [{ compound: a }, { combinator: ' ', compound: b }, { combinator: '>', compound: c }]
+function parseComplex(source) {
+  const tokens = splitOutsideBrackets(source.trim().replace(/\s*>\s*/g, ' > ').replace(/\s+/g, ' '), ' ');
+  const steps = [];
+  let combinator = null;
+  tokens.forEach((token) => {
+    if (token === '>') {
+      combinator = '>';
+    } else if (token) {
+      steps.push({ combinator: steps.length === 0 ? null : combinator || ' ', compound: parseCompound(token) });
+      combinator = null;
+    }
+  });
+  return steps;
+}
+
+function parseSelectorList(selector) {
+  return splitOutsideBrackets(selector, ',').map(parseComplex);
+}
+
+function matchesAttribute(element, { name, operator, value, insensitive }) {
+  if (!element.hasAttribute(name)) return false;
+  if (!operator) return true;
+  let actual = element.getAttribute(name);
+  let expected = value;
+  if (insensitive) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (operator) {
+    case '=': return actual === expected;
+    case '*=': return actual.includes(expected);
+    case '^=': return actual.startsWith(expected);
+    case '$=': return actual.endsWith(expected);
+    default: return false;
+  }
+}
+
+function matchesCompound(element, compound) {
+  if (compound.tag && element.tagName !== compound.tag) return false;
+  if (compound.id && element.id !== compound.id) return false;
+  if (!compound.classes.every((name) => element.classList.contains(name))) return false;
+  return compound.attributes.every((attribute) => matchesAttribute(element, attribute));
+}
+
+// Match right to left; like the DOM, ancestors may lie outside the element queried from
+function matchesComplex(element, steps, index = steps.length - 1) {
+  if (!matchesCompound(element, steps[index].compound)) return false;
+  if (index === 0) return true;
+
+  const combinator = steps[index].combinator;
+  let ancestor = element.parentNode;
+  while (ancestor && ancestor.tagName !== '#DOCUMENT') {
+    if (matchesComplex(ancestor, steps, index - 1)) return true;
+    if (combinator === '>') return false;
+    ancestor = ancestor.parentNode;
+  }
+  return false;
+}
+
+module.exports = { parseHTML };
@@ -25,6 +25,7 @@ async function runFullExtensionTests(log) {
   const chromeBg = path.join(__dirname, '../chrome-extension/background.js');
   const ffBg = path.join(__dirname, '../firefox-extension/background.js');
   const popupJs = path.join(__dirname, '../chrome-extension/popup/popup.js');
+  const mediaListJs = path.join(__dirname, '../chrome-extension/media-list.js');
   const optionsJs = path.join(__dirname, '../chrome-extension/options.js');
 
   // Background unified tracking checks
@@ -83,6 +84,756 @@ async function runFullExtensionTests(log) {
     log('⚠️ Options export/import not detected (optional QoL)', 'WARN');
   }
 
+  // Site profiles are saved, imported and applied by the content script
+  const chromeContent = path.join(__dirname, '../chrome-extension/content.js');
+  const profileChecks = [
+    {
+      file: optionsJs,
+      desc: 'Options saves and sanitizes imported site profiles',
+      pats: ['siteProfiles: \\[\\]', 'siteProfiles: normalizeSiteProfiles\\(siteProfiles\\)', 'json\\.siteProfiles = normalizeSiteProfiles'],
+    },
+    {
+      file: chromeContent,
+      desc: 'Chrome content applies site profile speed, volume and bindings',
+      pats: ['let storedSpeed = getStoredSpeed\\(src\\)', 'activeSiteProfile\\.volume', 'getEffectiveKeyBindings\\(\\)\\.find'],
+    },
+    {
+      file: path.join(__dirname, '../chrome-extension/manifest.json'),
+      desc: 'Chrome loads site-settings.js before the content script',
+      pats: ['"site-settings\\.js",[^\\]]*"content\\.js"'],
+    },
+    {
+      file: path.join(__dirname, '../firefox-extension/manifest.json'),
+      desc: 'Firefox loads site-settings.js before the content script',
+      pats: ['"site-settings\\.js",[^\\]]*"content\\.js"'],
+    },
+  ];
+
+  for (const check of profileChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Media Session handlers are captured in the page world and preferred over UI selectors
+  const ffContent = path.join(__dirname, '../firefox-extension/content.js');
+  const mediaSessionPats = ['MediaSession\\.prototype\\.setActionHandler = function', 'UME_MEDIA_SESSION_ACTION', "'nexttrack' : 'previoustrack'"];
+  const mediaSessionChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome content captures Media Session action handlers',
+      pats: mediaSessionPats.concat(["if \\(!invokeMediaSessionAction\\('pause'\\)"]),
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content captures Media Session action handlers',
+      pats: mediaSessionPats.concat(['new MediaSessionBridge\\(\\)']),
+    },
+  ];
+
+  for (const check of mediaSessionChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Blacklist and site profile patterns come from site-patterns.js; excluding a page detaches its media listeners
+  const sitePatternChecks = [
+    {
+      file: path.join(__dirname, '../chrome-extension/manifest.json'),
+      desc: 'Chrome loads site-patterns.js before the content script',
+      pats: ['"site-patterns\\.js",[^\\]]*"content\\.js"'],
+    },
+    {
+      file: path.join(__dirname, '../firefox-extension/manifest.json'),
+      desc: 'Firefox loads site-patterns.js before the content script',
+      pats: ['"site-patterns\\.js",[^\\]]*"content\\.js"'],
+    },
+    {
+      file: chromeContent,
+      desc: 'Chrome content matches sites with site-patterns.js and detaches media listeners on cleanup',
+      pats: ['window\\.umeSitePatterns', '\\{ signal: listeners\\.signal \\}', 'listeners\\.abort\\(\\)'],
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content matches sites with site-patterns.js',
+      pats: ['window\\.umeSitePatterns'],
+    },
+  ];
+
+  for (const check of sitePatternChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Media inside open shadow roots and iframes; subframes report through the top frame
+  const discoveryPats = ['element\\.shadowRoot', 'ume-shadow-root-attached', "postMessage\\(\\{ type: 'UME_FRAME_RELAY'", 'QUERY_MESSAGE_TYPES\\.includes'];
+  const discoveryChecks = [
+    {
+      file: path.join(__dirname, '../chrome-extension/manifest.json'),
+      desc: 'Chrome content script is injected into all frames',
+      pats: ['"all_frames": true'],
+    },
+    {
+      file: path.join(__dirname, '../firefox-extension/manifest.json'),
+      desc: 'Firefox content script is injected into all frames',
+      pats: ['"all_frames": true'],
+    },
+    {
+      file: chromeContent,
+      desc: 'Chrome content discovers shadow DOM media and relays subframe media',
+      pats: discoveryPats.concat(['observeShadowRoots\\(document\\)', 'hasPlayingChildFrames\\(\\)\\) \\{\\s*return;']),
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content discovers shadow DOM media and relays subframe media',
+      pats: discoveryPats.concat(['new FrameRelay\\(\\)', 'this\\.observeShadowRoots\\(document\\)']),
+    },
+  ];
+
+  for (const check of discoveryChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Relayed subframe messages must carry the tab's token and come from a descendant frame
+  const relayTokenChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome top frame rejects relays without the tab token',
+      pats: ["type: 'REGISTER_FRAME_RELAY'", "type: 'GET_FRAME_RELAY_TOKEN'", 'event\\.data\\.token !== frameRelayToken', '!isDescendantFrame\\(event\\.source\\)'],
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox top frame rejects relays without the tab token',
+      pats: ["type: 'REGISTER_FRAME_RELAY'", "type: 'GET_FRAME_RELAY_TOKEN'", 'event\\.data\\.token !== this\\.token', '!this\\.isDescendantFrame\\(event\\.source\\)'],
+    },
+    {
+      file: chromeBg,
+      desc: 'Chrome background only accepts relay tokens from the top frame',
+      pats: ["case 'REGISTER_FRAME_RELAY'", 'sender\\.frameId === 0', "case 'GET_FRAME_RELAY_TOKEN'"],
+    },
+    {
+      file: ffBg,
+      desc: 'Firefox background only accepts relay tokens from the top frame',
+      pats: ["case 'REGISTER_FRAME_RELAY'", 'sender\\.frameId === 0', "case 'GET_FRAME_RELAY_TOKEN'"],
+    },
+  ];
+
+  for (const check of relayTokenChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Long media remembers its position; the popup offers to continue where it left off
+  const positionPats = ["type: 'SAVE_POSITION'", "type: 'GET_SAVED_POSITION'", 'showResumeToast\\('];
+  const positionChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome content saves positions and offers to resume them',
+      pats: positionPats.concat(['offerPositionRestore\\(element\\)']),
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content saves positions and offers to resume them',
+      pats: positionPats.concat(['this\\.offerPositionRestore\\(element\\)']),
+    },
+    {
+      file: popupJs,
+      desc: 'Popup lists Continue watching entries',
+      pats: ['GET_SAVED_POSITIONS', 'OPEN_SAVED_POSITION', 'renderSavedPositions'],
+    },
+  ];
+
+  for (const check of positionChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Bookmarks: shared helpers loaded before the content script and by the options manager
+  const bookmarkChecks = [
+    {
+      file: path.join(__dirname, '../chrome-extension/manifest.json'),
+      desc: 'Chrome loads the bookmark helpers before the content script',
+      pats: ['"bookmarks\\.js", "content\\.js"'],
+    },
+    {
+      file: path.join(__dirname, '../firefox-extension/manifest.json'),
+      desc: 'Firefox loads the bookmark helpers before the content script',
+      pats: ['"bookmarks\\.js", "content\\.js"'],
+    },
+    {
+      file: chromeContent,
+      desc: 'Chrome content routes bookmark keys and renders the controller panel',
+      pats: ["BOOKMARK_ACTIONS = \\['mark', 'jump', 'prevBookmark', 'nextBookmark'\\]", 'renderBookmarks\\(\\)', 'composedPath\\(\\)\\[0\\]'],
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content routes bookmark keys and renders the controller panel',
+      pats: ["BOOKMARK_ACTIONS = \\['mark', 'jump', 'prevBookmark', 'nextBookmark'\\]", 'new MediaBookmarks\\(\\)', 'composedPath\\(\\)\\[0\\]'],
+    },
+    {
+      file: optionsJs,
+      desc: 'Options manages and exports bookmarks',
+      pats: ['populateBookmarks', 'umeBookmarks\\.toChapterText', 'ume-bookmarks\\.json'],
+    },
+  ];
+
+  for (const check of bookmarkChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // A-B loop: frame-accurate enforcement in content, loop state reported to the popup
+  const loopPats = ["LOOP_ACTIONS = \\['setLoopA', 'setLoopB', 'toggleLoop'\\]", 'requestVideoFrameCallback', "type: 'LOOP_CHANGED'", 'updateLoopDisplay\\('];
+  const loopChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome content enforces A-B loops and shows the markers',
+      pats: loopPats,
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content enforces A-B loops and shows the markers',
+      pats: loopPats.concat(['this\\.loopRanges = new WeakMap\\(\\)']),
+    },
+    {
+      file: mediaListJs,
+      desc: 'Popup marks looping tabs',
+      pats: ['tabInfo\\.loop', 'tab-loop'],
+    },
+  ];
+
+  for (const check of loopChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Frame stepping and percentage seeks, rebindable from the options dropdown
+  const seekPats = ["case 'frameForward':", "case 'seekPercent':", "case 'seekToEnd':", 'DEFAULT_FRAME_DURATION = 1 / 30', 'presentedFrames'];
+  const seekChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome content steps frames and seeks by percentage',
+      pats: seekPats,
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content steps frames and seeks by percentage',
+      pats: seekPats,
+    },
+    {
+      file: optionsJs,
+      desc: 'Options offers frame step and seek actions with 0-9 defaults',
+      pats: ["frameForward: 'Next Frame'", "seekPercent: 'Seek to % \\(value\\)'", "action: 'seekPercent', key: 57, value: 90"],
+    },
+    {
+      file: chromeContent,
+      desc: 'Chrome leaves seek to start/end unbound and only takes page keys when media is the target',
+      pats: ["action: 'seekToStart', key: 0,", "action: 'seekToEnd', key: 0,", 'PAGE_KEY_ACTIONS\\.includes\\(binding\\.action\\) && !isMediaKeyTarget\\(target\\)'],
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox leaves seek to start/end unbound and only takes page keys when media is the target',
+      pats: ["action: 'seekToStart', key: 0,", "action: 'seekToEnd', key: 0,", 'PAGE_KEY_ACTIONS\\.includes\\(binding\\.action\\) && !this\\.isMediaKeyTarget\\(target\\)'],
+    },
+    {
+      file: optionsJs,
+      desc: 'Options ships seek to start/end unbound',
+      pats: ["action: 'seekToStart', key: 0,", "action: 'seekToEnd', key: 0,"],
+    },
+  ];
+
+  for (const check of seekChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Silence skipping taps an AnalyserNode and restores the user's speed
+  const silencePats = ['createAnalyser\\(\\)', 'getFloatTimeDomainData', 'MAX_SILENCE_SPEED = 4', 'canAnalyseAudio\\(element\\)', 'state\\.userRate'];
+  const silenceChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome content skips silence through the volume booster graph',
+      pats: silencePats.concat(['initializeVolumeBooster\\(element\\);\\s*const volumeData', 'updateSilenceDisplay\\(\\)']),
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content skips silence without storing the temporary speed',
+      pats: silencePats.concat(['isSkippingSilence\\(\\)\\) return']),
+    },
+    {
+      file: optionsJs,
+      desc: 'Options sets silence skipping globally and per site profile',
+      pats: ['silenceSkipEnabled: false', "createNumberField\\('Silence \\(dB\\)', 'silenceThreshold'", 'silenceMinDuration: toNumber'],
+    },
+  ];
+
+  for (const check of silenceChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Audio effects: shared pipeline between the media source and the output, edited per domain
+  const effectsPats = ['umeAudioEffects', "case 'SET_AUDIO_EFFECTS'", 'createEffectsChain\\(', 'applyAudioEffects\\(element\\)'];
+  const effectsChecks = [
+    {
+      file: path.join(__dirname, '../chrome-extension/manifest.json'),
+      desc: 'Chrome loads the audio effects before the content script',
+      pats: ['"audio-effects\\.js", "bookmarks\\.js", "content\\.js"'],
+    },
+    {
+      file: chromeContent,
+      desc: 'Chrome content routes the volume booster through the effects chain',
+      pats: effectsPats.concat(['source\\.connect\\(effects\\.input\\)', 'effects\\.output\\.connect\\(gainNode\\)']),
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content routes analysed media through the effects chain',
+      pats: effectsPats.concat(['effects\\.output\\.connect\\(gain\\)', 'gain\\.connect\\(this\\.audioContext\\.destination\\)']),
+    },
+    {
+      file: popupJs,
+      desc: 'Popup edits the active tab domain effects',
+      pats: ["type: 'SET_AUDIO_EFFECTS'", 'effectsUtils\\.setDomainEffects', 'updateEffectsDisplay\\(hostname\\)'],
+    },
+    {
+      file: optionsJs,
+      desc: 'Options edits effects per site in the Volume section',
+      pats: ['perDomainAudioEffects: \\{\\}', 'createAudioEffectsItem', 'validateAudioEffects\\(\\)'],
+    },
+  ];
+
+  for (const check of effectsChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Loudness normalization
+  const loudnessPats = ['startLoudnessNormalization', 'audioEffects\\.levelDb\\(', 'audioEffects\\.correctedGain\\(', "case 'GET_VOLUME_STATE'"];
+  const loudnessChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome content normalizes loudness on the booster gain',
+      pats: loudnessPats.concat(['loudnessNormalization: false', 'effects\\.output\\.connect\\(analyser\\)', 'setTargetAtTime']),
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content normalizes loudness on a correction gain',
+      pats: loudnessPats.concat(['loudnessNormalization: false', 'nodes\\.effects\\.output\\.connect\\(analyser\\)', 'setTargetAtTime']),
+    },
+    {
+      file: popupJs,
+      desc: 'Popup shows the loudness correction next to the volume',
+      pats: ["type: 'GET_VOLUME_STATE'", 'updateCorrectionDisplay', 'clearInterval\\(correctionTimer\\)'],
+    },
+    {
+      file: optionsJs,
+      desc: 'Options edits loudness normalization and its target',
+      pats: ['loudnessNormalization: false', 'loudnessTarget: -20', 'Target loudness must be between'],
+    },
+  ];
+
+  for (const check of loudnessChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Fade out on automatic pause, fade in on resume
+  const fadeChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome content fades media out before PAUSE_MEDIA pauses it and answers afterwards',
+      pats: ['function fadeOutElement', 'linearRampToValueAtTime\\(0', 'pauseAllMedia\\(message\\.fadeDuration\\)\\.then'],
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content fades media out before PAUSE_MEDIA pauses it and answers afterwards',
+      pats: ['fadeOutElement\\(element, duration\\)', 'linearRampToValueAtTime\\(0', 'this\\.pauseAllMedia\\(message\\.fadeDuration\\)\\.then'],
+    },
+    {
+      file: chromeBg,
+      desc: 'Chrome background sends the fade duration and staggers popup plays',
+      pats: ['pauseFadeDuration: 0\\.5', 'fadeDuration: pauseFadeDuration \\* 1000', 'pauseInterruptedTab'],
+    },
+    {
+      file: ffBg,
+      desc: 'Firefox background sends the fade duration and staggers popup plays',
+      pats: ['pauseFadeDuration: 0\\.5', 'getFadeDuration\\(\\)', 'pauseInterruptedTab'],
+    },
+    {
+      file: optionsJs,
+      desc: 'Options edits the fade duration',
+      pats: ['pauseFadeDuration: 0\\.5', 'Fade duration must be between'],
+    },
+  ];
+
+  for (const check of fadeChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Sleep timer
+  const chromeManifest = path.join(__dirname, '../chrome-extension/manifest.json');
+  const popupHtml = path.join(__dirname, '../chrome-extension/popup/popup.html');
+  const sleepTimerChecks = [
+    {
+      file: chromeManifest,
+      desc: 'Chrome manifest requests the alarms permission',
+      pats: ['"alarms"'],
+    },
+    {
+      file: chromeBg,
+      desc: 'Chrome background drives the sleep timer from an alarm kept in storage',
+      pats: ['SET_SLEEP_TIMER', 'alarms\\.create\\(SLEEP_TIMER_ALARM', 'alarms\\.onAlarm\\.addListener', 'restoreSleepTimer\\(\\)', '☾'],
+    },
+    {
+      file: ffBg,
+      desc: 'Firefox background drives the sleep timer from an alarm kept in storage',
+      pats: ['class SleepTimer', 'SET_SLEEP_TIMER', 'alarms\\.create\\(SLEEP_TIMER_ALARM', '☾'],
+    },
+    {
+      file: popupHtml,
+      desc: 'Popup offers 15/30/60 minute, end of media and custom sleep timers',
+      pats: ['data-minutes="15"', 'data-minutes="60"', 'data-end-of-media', 'id="sleepTimerMinutes"', 'id="sleepTimerCancel"'],
+    },
+    {
+      file: popupJs,
+      desc: 'Popup counts down the running sleep timer',
+      pats: ['SET_SLEEP_TIMER', 'CANCEL_SLEEP_TIMER', 'function renderSleepTimerCountdown', 'data\\.sleepTimer'],
+    },
+  ];
+
+  for (const check of sleepTimerChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Quiet hours
+  const ffManifest = path.join(__dirname, '../firefox-extension/manifest.json');
+  const optionsHtml = path.join(__dirname, '../chrome-extension/options.html');
+  const quietHoursChecks = [
+    {
+      file: chromeBg,
+      desc: 'Chrome background evaluates quiet hours from an alarm and caps every tab',
+      pats: ["importScripts\\('quiet-hours\\.js'\\)", 'QUIET_HOURS_ALARM', 'function evaluateQuietHours', 'volumeCap'],
+    },
+    {
+      file: ffBg,
+      desc: 'Firefox background evaluates quiet hours from an alarm and caps every tab',
+      pats: ['class QuietHours', 'QUIET_HOURS_ALARM', 'sendVolumeCap', 'pauseAllMediaTabs'],
+    },
+    {
+      file: ffManifest,
+      desc: 'Firefox loads quiet-hours.js before the background script',
+      pats: ['"quiet-hours\\.js", "background\\.js"'],
+    },
+    {
+      file: chromeContent,
+      desc: 'Chrome content script applies the quiet hours volume cap',
+      pats: ['message\\.volumeCap', 'function setVolumeCap', 'volumechange'],
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content script applies the quiet hours volume cap',
+      pats: ['message\\.volumeCap', 'setVolumeCap\\(', 'volumechange'],
+    },
+    {
+      file: optionsHtml,
+      desc: 'Options page has a quiet hours section',
+      pats: ['data-section="quietHours"', 'id="quietHoursContainer"', 'id="addQuietHoursRule"', 'quiet-hours\\.js'],
+    },
+  ];
+
+  for (const check of quietHoursChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Picture-in-Picture
+  const pipChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome content script toggles Picture-in-Picture and reports it',
+      pats: ["case 'TOGGLE_PIP'", "case 'ENTER_PIP'", 'requestPictureInPicture', "'PIP_CHANGED'", 'enterpictureinpicture'],
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content script toggles Picture-in-Picture and reports it',
+      pats: ["case 'TOGGLE_PIP'", "case 'ENTER_PIP'", 'requestPictureInPicture', "'PIP_CHANGED'", 'enterpictureinpicture'],
+    },
+    {
+      file: chromeBg,
+      desc: 'Chrome background tracks the Picture-in-Picture tab',
+      pats: ['pipTabId', 'pipExemptFromArbitration', 'function handleTabActivated', "case 'PIP_TAB'"],
+    },
+    {
+      file: ffBg,
+      desc: 'Firefox background tracks the Picture-in-Picture tab',
+      pats: ['pipTabId', 'pipExemptFromArbitration', 'handleTabActivated\\(', "case 'PIP_TAB'"],
+    },
+    {
+      file: mediaListJs,
+      desc: 'Popup has a Picture-in-Picture button for video tabs',
+      pats: ['PIP_TAB', 'tabInfo\\.isPip'],
+    },
+    {
+      file: optionsJs,
+      desc: 'Options ships the Picture-in-Picture shortcut unbound',
+      pats: ["action: 'pip', key: 0,"],
+    },
+  ];
+
+  for (const check of pipChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Mini player
+  const miniPlayerChecks = [
+    {
+      file: path.join(__dirname, '../chrome-extension/popup/mini-player.js'),
+      desc: 'Chrome mini player opens the popup page in a Document Picture-in-Picture window',
+      pats: ['documentPictureInPicture\\.requestWindow', "popup/popup\\.html\\?view=mini", 'pagehide'],
+    },
+    {
+      file: popupJs,
+      desc: 'Popup has a mini player view with per-tab speed controls',
+      pats: ["get\\('view'\\) === 'mini'", 'function openMiniPlayer', 'speedButtons: isMiniView', 'function queryControlledTabs'],
+    },
+    {
+      file: mediaListJs,
+      desc: 'Tab rows have speed buttons where the view asks for them',
+      pats: ['options\\.speedButtons', "type: 'SET_TAB_SPEED'"],
+    },
+    {
+      file: path.join(__dirname, '../firefox-extension/popup/popup.js'),
+      desc: 'Firefox popup opens the mini player in a small window',
+      pats: ["get\\('view'\\) === 'mini'", 'windows\\.create', "type: 'popup'"],
+    },
+  ];
+
+  for (const check of miniPlayerChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Every extension page a popup opens has to ship with that extension
+  for (const browser of ['chrome-extension', 'firefox-extension']) {
+    const source = safeRead(path.join(__dirname, `../${browser}/popup/popup.js`));
+    const pages = [...source.matchAll(/getURL\('([^'?]+)/g)].map((match) => match[1]);
+    const missing = pages.filter((page) => !fs.existsSync(path.join(__dirname, `../${browser}`, page)));
+    if (missing.length === 0) {
+      log(`✅ ${browser} popup only opens pages the extension ships`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${browser} popup opens missing pages: ${missing.join(', ')}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Media dashboard in the side panel / sidebar
+  const dashboardChecks = [
+    {
+      file: path.join(__dirname, '../chrome-extension/manifest.json'),
+      desc: 'Chrome manifest opens the dashboard in the side panel',
+      pats: ['"sidePanel"', '"default_path": "popup/dashboard\\.html"'],
+    },
+    {
+      file: path.join(__dirname, '../firefox-extension/manifest.json'),
+      desc: 'Firefox manifest opens the dashboard in the sidebar',
+      pats: ['"sidebar_action"', '"default_panel": "popup/dashboard\\.html"'],
+    },
+    {
+      file: path.join(__dirname, '../chrome-extension/popup/dashboard.js'),
+      desc: 'Dashboard groups tabs by window with bulk actions',
+      pats: ['groupByWindow\\(', 'muted: true', 'tabs\\.remove\\(', 'tab\\.ended', "'MEDIA_STATE_CHANGED'"],
+    },
+    {
+      file: popupJs,
+      desc: 'Popup renders its tabs with the shared media list',
+      pats: ['mediaListUtils\\.createMediaList\\(', 'mediaList\\.createTabItem\\(', 'sidePanel\\.open'],
+    },
+    {
+      file: path.join(__dirname, '../firefox-extension/popup/popup.js'),
+      desc: 'Firefox popup opens the dashboard in the sidebar',
+      pats: ['mediaListUtils\\.createMediaList\\(', 'sidebarAction\\.open'],
+    },
+  ];
+
+  for (const check of dashboardChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Mute instead of pause
+  const muteChecks = [
+    {
+      file: chromeBg,
+      desc: 'Chrome background mutes tabs instead of pausing them and tracks mutedInfo',
+      pats: ['muteInsteadOfPauseTypes', 'function mutesInsteadOfPausing', 'tabs\\.update\\(tabId, \\{ muted \\}\\)', 'mutedInfo', "case 'SET_TAB_MUTED'"],
+    },
+    {
+      file: ffBg,
+      desc: 'Firefox background mutes tabs instead of pausing them and tracks mutedInfo',
+      pats: ['muteInsteadOfPauseTypes', 'mutesInsteadOfPausing\\(', 'tabs\\.update\\(tabId, \\{ muted \\}\\)', 'mutedInfo', "case 'SET_TAB_MUTED'"],
+    },
+    {
+      file: chromeContent,
+      desc: 'Chrome content script reports the site profile mute choice',
+      pats: ['muteInsteadOfPause: activeSiteProfile'],
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content script reports the site profile mute choice',
+      pats: ['muteInsteadOfPause: profile'],
+    },
+    {
+      file: optionsJs,
+      desc: 'Options set the media types and site profiles that mute instead of pausing',
+      pats: ['muteInsteadOfPauseVideo', 'muteInsteadOfPauseAudio', 'settings\\.muteInsteadOfPauseTypes', 'When interrupted'],
+    },
+    {
+      file: mediaListJs,
+      desc: 'Tab rows have a mute button',
+      pats: ["type: 'SET_TAB_MUTED'", 'tabInfo\\.mutedInfo'],
+    },
+  ];
+
+  for (const check of muteChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
+  // Live streams
+  const liveChecks = [
+    {
+      file: chromeContent,
+      desc: 'Chrome content script detects live streams, skips their speed and jumps to the live edge',
+      pats: ['function isLiveMedia', 'element\\.duration === Infinity', "startsWith\\('blob:'\\)", 'live: isLiveMedia\\(element\\)',
+        'if \\(isLiveMedia\\(element\\)\\) return;', "case 'jumpToLive'", 'if \\(message\\.liveEdge\\) \\{\\s*// [^\\n]*\\n\\s*const position = jumpToLive\\(\\);\\s*sendResponse\\(\\{ success: position !== null, position \\}\\)'],
+    },
+    {
+      file: ffContent,
+      desc: 'Firefox content script detects live streams and jumps to the live edge',
+      pats: ['function isLiveMedia', 'live: isLiveMedia\\(element\\)', "case 'jumpToLive'",
+        'if \\(message\\.liveEdge\\) \\{\\s*// [^\\n]*\\n\\s*const position = this\\.jumpToLive\\(\\);\\s*sendResponse\\(\\{ success: position !== null, position \\}\\)'],
+    },
+    {
+      file: optionsJs,
+      desc: 'Options offer an unbound live edge action and mute live streams instead of pausing',
+      pats: ["action: 'jumpToLive', key: 0,", "jumpToLive: 'Jump to Live Edge'", 'muteInsteadOfPauseLive'],
+    },
+    {
+      file: mediaListJs,
+      desc: 'Tab rows show a LIVE badge that jumps to the live edge',
+      pats: ['tabInfo\\.live', "'tab-live'", 'liveEdge: true'],
+    },
+  ];
+
+  for (const check of liveChecks) {
+    if (fileContains(check.file, check.pats)) {
+      log(`✅ ${check.desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${check.desc}`, 'FAIL');
+      failed++;
+    }
+  }
+
   return { passed, failed };
 }
 
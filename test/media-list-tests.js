@@ -0,0 +1,69 @@
+// media-list-tests.js
+// Unit tests for the media tab list helpers shared by the popup, the mini player and the dashboard
+
+const fs = require('fs');
+const path = require('path');
+
+const chromeMediaListPath = path.join(__dirname, '../chrome-extension/media-list.js');
+const ffMediaListPath = path.join(__dirname, '../firefox-extension/media-list.js');
+
+function runFormattingCases(check, mediaList) {
+  check('Times are m:ss, with hours once there are any',
+    mediaList.formatTime(65) === '1:05' && mediaList.formatTime(3725) === '1:02:05' &&
+    mediaList.formatTime(-4) === '0:00' && mediaList.formatTime('x') === '0:00');
+  check('URLs show their hostname and unparseable ones are shortened',
+    mediaList.formatUrl('https://www.youtube.com/watch?v=abc') === 'www.youtube.com' &&
+    mediaList.formatUrl('not a url but a rather long piece of text') === 'not a url but a rather long pi...' &&
+    mediaList.formatUrl('') === 'Unknown URL');
+}
+
+function runGroupingCases(check, mediaList) {
+  const browserTabs = [
+    { id: 1, windowId: 10, active: true },
+    { id: 2, windowId: 10, active: false, mutedInfo: { muted: true } },
+    { id: 3, windowId: 20, active: false },
+    { id: 4, windowId: 20, active: true },
+    { id: 5, windowId: 30, active: true }
+  ];
+  const mediaTabs = [{ tabId: 3, status: 'playing' }, { tabId: 2, status: 'paused' }, { tabId: 1 }, { tabId: 99 }];
+
+  const groups = mediaList.groupByWindow(mediaTabs, browserTabs, 20);
+  check('Tabs are grouped by window with the given window first',
+    groups.map(group => group.windowId).join() === '20,10' &&
+    groups[1].tabs.map(tab => tab.tabId).join() === '2,1');
+  check('Windows without media tabs and closed tabs are left out',
+    groups.length === 2 && !groups.some(group => group.tabs.some(tab => tab.tabId === 99)));
+  check('Each window knows its current tab',
+    groups[0].activeTabId === 4 && groups[1].activeTabId === 1);
+  check('Tabs carry their window, whether they are current and whether they are muted',
+    groups[1].tabs[0].muted === true && groups[1].tabs[1].active === true && groups[0].tabs[0].windowId === 20 &&
+    groups[0].tabs[0].status === 'playing');
+  check('Without a current window, windows keep their order',
+    mediaList.groupByWindow(mediaTabs, browserTabs, null).map(group => group.windowId).join() === '10,20');
+
+  check('Firefox ships the same media list as Chrome',
+    fs.readFileSync(chromeMediaListPath, 'utf8') === fs.readFileSync(ffMediaListPath, 'utf8'));
+}
+
+async function runMediaListTests(log) {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (desc, ok) => {
+    if (ok) {
+      log(`✅ ${desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${desc}`, 'FAIL');
+      failed++;
+    }
+  };
+
+  const mediaList = require(chromeMediaListPath);
+  runFormattingCases(check, mediaList);
+  runGroupingCases(check, mediaList);
+
+  return { passed, failed };
+}
+
+module.exports = { runMediaListTests };
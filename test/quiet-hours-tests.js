@@ -0,0 +1,96 @@
+// quiet-hours-tests.js
+// Unit tests for the quiet hours rules shared by the background scripts and the options page
+
+const fs = require('fs');
+const path = require('path');
+
+const chromeQuietHoursPath = path.join(__dirname, '../chrome-extension/quiet-hours.js');
+const ffQuietHoursPath = path.join(__dirname, '../firefox-extension/quiet-hours.js');
+
+// 2024-01-01 was a Monday
+function at(day, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2024, 0, 1 + ((day + 6) % 7), hours, minutes);
+}
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+function runRuleCases(check, quietHours) {
+  check('Times parse to minutes after midnight and nonsense is rejected',
+    quietHours.parseTime('07:30') === 450 && quietHours.parseTime('7:05') === 425 &&
+    quietHours.parseTime('24:00') === null && quietHours.parseTime('noon') === null);
+
+  const [rule] = quietHours.normalizeRules([{ action: 'capVolume', start: ' 22:00 ', end: '07:00', volume: 2, days: ['1', 9] }]);
+  check('Stored rules are filled in and clamped',
+    rule.enabled && !!rule.id && rule.start === '22:00' && rule.volume === 1 && rule.days.join() === '1');
+  check('Rules with unknown actions are dropped and missing days mean every day',
+    quietHours.normalizeRules([{ action: 'mute' }, null, { action: 'pause' }]).length === 1 &&
+    quietHours.normalizeRules([{ action: 'pause' }])[0].days.length === 7 &&
+    quietHours.normalizeRules([{ action: 'capVolume', volume: 0 }])[0].volume === quietHours.MIN_VOLUME);
+
+  const errors = [
+    ...quietHours.validateRule(quietHours.normalizeRules([{ action: 'capVolume', start: '22:00', end: '22:00' }])[0], 'A'),
+    ...quietHours.validateRule(quietHours.normalizeRules([{ action: 'pause', start: '', days: [] }])[0], 'B')
+  ];
+  check('Rules that could never apply are reported',
+    errors.join('|') === 'A must end at a different time than it starts|B needs a start time|B needs at least one day');
+  check('Pause rules need no end time',
+    quietHours.validateRule(quietHours.normalizeRules([{ action: 'pause', start: '23:30' }])[0], 'C').length === 0);
+}
+
+function runEvaluationCases(check, quietHours) {
+  const rules = quietHours.normalizeRules([
+    { action: 'capVolume', start: '22:00', end: '07:00', volume: 0.5, days: WEEKDAYS },
+    { action: 'capVolume', start: '23:00', end: '23:30', volume: 0.2 },
+    { action: 'capVolume', start: '12:00', end: '13:00', volume: 0.1, enabled: false },
+    { action: 'pause', start: '23:30', days: WEEKDAYS }
+  ]);
+
+  check('An overnight cap runs from its start day into the next morning',
+    quietHours.volumeCap(rules, at(1, '22:30')) === 0.5 && quietHours.volumeCap(rules, at(6, '06:59')) === 0.5 &&
+    quietHours.volumeCap(rules, at(2, '07:00')) === null);
+  check('An overnight cap belongs to the day it starts on',
+    quietHours.volumeCap(rules, at(0, '22:30')) === null && quietHours.volumeCap(rules, at(1, '03:00')) === null);
+  check('The lowest active cap wins and disabled rules are ignored',
+    quietHours.volumeCap(rules, at(3, '23:10')) === 0.2 && quietHours.volumeCap(rules, at(3, '12:30')) === null);
+
+  check('A weekday pause is due for a few minutes after its start, on weekdays only',
+    quietHours.isPauseDue(rules, at(5, '23:30')) && quietHours.isPauseDue(rules, at(5, '23:34')) &&
+    !quietHours.isPauseDue(rules, at(5, '23:36')) && !quietHours.isPauseDue(rules, at(6, '23:31')));
+  check('A pause just before midnight is still due just after it',
+    quietHours.isPauseDue(quietHours.normalizeRules([{ action: 'pause', start: '23:58', days: [5] }]), at(6, '00:01')));
+
+  check('The next change is the nearest start or end, tomorrow once today has passed',
+    quietHours.nextChange(rules, at(3, '20:00')) === at(3, '22:00').getTime() &&
+    quietHours.nextChange(rules, at(3, '23:30')) === at(4, '07:00').getTime() &&
+    quietHours.nextChange(rules, at(3, '07:00')) === at(3, '22:00').getTime());
+  check('There is nothing to schedule without usable rules',
+    quietHours.nextChange([], at(1, '12:00')) === null &&
+    quietHours.nextChange(quietHours.normalizeRules([{ action: 'pause', start: '' }]), at(1, '12:00')) === null);
+
+  check('Firefox ships the same quiet hours as Chrome',
+    fs.readFileSync(chromeQuietHoursPath, 'utf8') === fs.readFileSync(ffQuietHoursPath, 'utf8'));
+}
+
+async function runQuietHoursTests(log) {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (desc, ok) => {
+    if (ok) {
+      log(`✅ ${desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${desc}`, 'FAIL');
+      failed++;
+    }
+  };
+
+  const quietHours = require(chromeQuietHoursPath);
+  runRuleCases(check, quietHours);
+  runEvaluationCases(check, quietHours);
+
+  return { passed, failed };
+}
+
+module.exports = { runQuietHoursTests };
@@ -298,7 +298,71 @@ class TestSuiteRunner {
                 this.log(`❌ Failed to execute full extension tests: ${e.message}`, 'FAIL');
                 this.testResults.push({ passed: 0, failed: 1 });
             }
-            
+            try {
+                const { runArbitrationTests } = require('./background-arbitration-tests');
+                const res = await runArbitrationTests(this.log.bind(this));
+                this.testResults.push(res);
+            } catch (e) {
+                this.log(`❌ Failed to execute arbitration tests: ${e.message}`, 'FAIL');
+                this.testResults.push({ passed: 0, failed: 1 });
+            }
+            try {
+                const { runSiteAdapterTests } = require('./site-adapter-tests');
+                const res = await runSiteAdapterTests(this.log.bind(this));
+                this.testResults.push(res);
+            } catch (e) {
+                this.log(`❌ Failed to execute site adapter tests: ${e.message}`, 'FAIL');
+                this.testResults.push({ passed: 0, failed: 1 });
+            }
+            try {
+                const { runSitePatternTests } = require('./site-pattern-tests');
+                const res = await runSitePatternTests(this.log.bind(this));
+                this.testResults.push(res);
+            } catch (e) {
+                this.log(`❌ Failed to execute site pattern tests: ${e.message}`, 'FAIL');
+                this.testResults.push({ passed: 0, failed: 1 });
+            }
+            try {
+                const { runSiteSettingsTests } = require('./site-settings-tests');
+                const res = await runSiteSettingsTests(this.log.bind(this));
+                this.testResults.push(res);
+            } catch (e) {
+                this.log(`❌ Failed to execute site settings tests: ${e.message}`, 'FAIL');
+                this.testResults.push({ passed: 0, failed: 1 });
+            }
+            try {
+                const { runBookmarkTests } = require('./bookmark-tests');
+                const res = await runBookmarkTests(this.log.bind(this));
+                this.testResults.push(res);
+            } catch (e) {
+                this.log(`❌ Failed to execute bookmark tests: ${e.message}`, 'FAIL');
+                this.testResults.push({ passed: 0, failed: 1 });
+            }
+            try {
+                const { runAudioEffectsTests } = require('./audio-effects-tests');
+                const res = await runAudioEffectsTests(this.log.bind(this));
+                this.testResults.push(res);
+            } catch (e) {
+                this.log(`❌ Failed to execute audio effects tests: ${e.message}`, 'FAIL');
+                this.testResults.push({ passed: 0, failed: 1 });
+            }
+            try {
+                const { runQuietHoursTests } = require('./quiet-hours-tests');
+                const res = await runQuietHoursTests(this.log.bind(this));
+                this.testResults.push(res);
+            } catch (e) {
+                this.log(`❌ Failed to execute quiet hours tests: ${e.message}`, 'FAIL');
+                this.testResults.push({ passed: 0, failed: 1 });
+            }
+            try {
+                const { runMediaListTests } = require('./media-list-tests');
+                const res = await runMediaListTests(this.log.bind(this));
+                this.testResults.push(res);
+            } catch (e) {
+                this.log(`❌ Failed to execute media list tests: ${e.message}`, 'FAIL');
+                this.testResults.push({ passed: 0, failed: 1 });
+            }
+
             return this.generateTestReport();
         } catch (error) {
             this.log(`💥 Test suite failed: ${error.message}`, 'FAIL');
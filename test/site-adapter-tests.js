@@ -0,0 +1,182 @@
+// site-adapter-tests.js
+// Unit tests for the site adapter registry - runs each adapter against a saved DOM fixture
+
+const fs = require('fs');
+const path = require('path');
+const { parseHTML } = require('./fixture-dom');
+
+const chromeAdaptersPath = path.join(__dirname, '../chrome-extension/site-adapters.js');
+const ffAdaptersPath = path.join(__dirname, '../firefox-extension/site-adapters.js');
+
+function loadFixture(name) {
+  return parseHTML(fs.readFileSync(path.join(__dirname, 'fixtures/site-adapters', `${name}.html`), 'utf8'));
+}
+
+function clicked(doc, selector) {
+  const element = doc.querySelector(selector);
+  return !!element && element.clicks > 0;
+}
+
+function totalClicks(doc) {
+  return doc.querySelectorAll('*').reduce((sum, element) => sum + element.clicks, 0);
+}
+
+function sameJSON(actual, expected) {
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function runYouTubeCases(check, { findAdapter }) {
+  const adapter = findAdapter('www.youtube.com', loadFixture('youtube'));
+  check('YouTube adapter matches youtube.com with a player', !!adapter && adapter.name === 'youtube');
+  if (!adapter) return;
+
+  let doc = loadFixture('youtube');
+  check('YouTube play is a no-op while the video plays', adapter.play(doc) === false && totalClicks(doc) === 0);
+  check('YouTube pause clicks the play/pause button', adapter.pause(doc) && clicked(doc, '.ytp-play-button'));
+
+  doc = loadFixture('youtube');
+  check('YouTube next/prev click the playlist buttons',
+    adapter.next(doc) && adapter.prev(doc) && clicked(doc, '.ytp-next-button') && clicked(doc, '.ytp-prev-button'));
+
+  check('YouTube metadata comes from the watch page',
+    sameJSON(adapter.getMetadata(doc), {
+      title: 'Lofi Beats to Study To',
+      artist: 'Chillhop Music',
+      album: '',
+      artwork: 'https://i.ytimg.com/vi/abc123/hqdefault.jpg'
+    }));
+  check('YouTube position parses the player clock',
+    sameJSON(adapter.getPosition(doc), { currentTime: 245, duration: 3750, paused: false }));
+}
+
+function runSpotifyCases(check, { findAdapter }) {
+  const adapter = findAdapter('open.spotify.com', loadFixture('spotify'));
+  check('Spotify adapter matches open.spotify.com', !!adapter && adapter.name === 'spotify');
+  if (!adapter) return;
+
+  let doc = loadFixture('spotify');
+  check('Spotify pause is a no-op while paused', adapter.pause(doc) === false && totalClicks(doc) === 0);
+  check('Spotify play clicks the play/pause button',
+    adapter.play(doc) && clicked(doc, '[data-testid="control-button-playpause"]'));
+
+  doc = loadFixture('spotify');
+  check('Spotify next/prev click the skip buttons',
+    adapter.next(doc) && adapter.prev(doc) &&
+    clicked(doc, '[data-testid="control-button-skip-forward"]') && clicked(doc, '[data-testid="control-button-skip-back"]'));
+
+  check('Spotify metadata joins all artists and reads the cover art',
+    sameJSON(adapter.getMetadata(doc), {
+      title: 'Midnight City',
+      artist: 'M83, Anthony Gonzalez',
+      album: '',
+      artwork: 'https://i.scdn.co/image/ab67616d00004851cover'
+    }));
+  check('Spotify position reads the playback bar and paused state',
+    sameJSON(adapter.getPosition(doc), { currentTime: 72, duration: 243, paused: true }));
+}
+
+function runSoundCloudCases(check, { findAdapter }) {
+  const adapter = findAdapter('soundcloud.com', loadFixture('soundcloud'));
+  check('SoundCloud adapter matches soundcloud.com', !!adapter && adapter.name === 'soundcloud');
+  if (!adapter) return;
+
+  let doc = loadFixture('soundcloud');
+  check('SoundCloud play is a no-op while playing', adapter.play(doc) === false && totalClicks(doc) === 0);
+  check('SoundCloud pause clicks the bottom bar toggle, not track list buttons',
+    adapter.pause(doc) && clicked(doc, '.playControls .playControl') && totalClicks(doc) === 1);
+
+  doc = loadFixture('soundcloud');
+  check('SoundCloud next/prev click the skip controls',
+    adapter.next(doc) && adapter.prev(doc) && clicked(doc, '.skipControl__next') && clicked(doc, '.skipControl__previous'));
+
+  check('SoundCloud metadata reads the sound badge and artwork style',
+    sameJSON(adapter.getMetadata(doc), {
+      title: 'Night Drive',
+      artist: 'Synth Artist',
+      album: '',
+      artwork: 'https://i1.sndcdn.com/artworks-000-t50x50.jpg'
+    }));
+  check('SoundCloud position skips the screen reader text',
+    sameJSON(adapter.getPosition(doc), { currentTime: 151, duration: 347, paused: false }));
+}
+
+function runTwitchCases(check, { findAdapter }) {
+  const adapter = findAdapter('www.twitch.tv', loadFixture('twitch'));
+  check('Twitch adapter matches twitch.tv', !!adapter && adapter.name === 'twitch');
+  if (!adapter) return;
+
+  const doc = loadFixture('twitch');
+  check('Twitch pause clicks the player button; play is a no-op while playing',
+    adapter.play(doc) === false && adapter.pause(doc) && clicked(doc, '[data-a-target="player-play-pause-button"]'));
+  check('Twitch has no next/prev on live channels', adapter.next(doc) === false && adapter.prev(doc) === false);
+  check('Twitch metadata uses stream title, channel and avatar',
+    sameJSON(adapter.getMetadata(doc), {
+      title: 'Any% world record attempts | !schedule',
+      artist: 'speedrunner',
+      album: '',
+      artwork: 'https://static-cdn.jtvnw.net/jtv_user_pictures/speedrunner-profile_image-70x70.png'
+    }));
+  check('Twitch live streams report no position', adapter.getPosition(doc) === null);
+}
+
+function runNetflixCases(check, { findAdapter }) {
+  const adapter = findAdapter('www.netflix.com', loadFixture('netflix'));
+  check('Netflix adapter matches netflix.com', !!adapter && adapter.name === 'netflix');
+  if (!adapter) return;
+
+  const doc = loadFixture('netflix');
+  check('Netflix pause clicks the pause control; play control is absent while playing',
+    adapter.play(doc) === false && adapter.pause(doc) && clicked(doc, '[data-uia="control-play-pause-pause"]'));
+  check('Netflix next clicks Next Episode; there is no previous',
+    adapter.next(doc) && clicked(doc, '[data-uia="control-next"]') && adapter.prev(doc) === false);
+  check('Netflix metadata splits series and episode',
+    sameJSON(adapter.getMetadata(doc), { title: 'E3 The Lighthouse', artist: '', album: 'Dark Waters', artwork: null }));
+  check('Netflix leaves position to the video element', adapter.getPosition(doc) === null);
+}
+
+function runRegistryCases(check, registry) {
+  check('Unknown sites fall back to the generic HTML5 path (no adapter)',
+    registry.findAdapter('example.com', loadFixture('youtube')) === null);
+  check('Adapters require their player in the page, not just the host',
+    registry.findAdapter('music.youtube.com', parseHTML('<html><body><ytmusic-app></ytmusic-app></body></html>')) === null);
+  check('Host matching covers subdomains only on a dot boundary',
+    registry.matchesHost(registry.adapters[0], 'm.youtube.com') && !registry.matchesHost(registry.adapters[0], 'notyoutube.com'));
+
+  let rejected = false;
+  try {
+    registry.registerAdapter({ name: 'broken', hosts: ['example.com'], detect: () => true });
+  } catch (error) {
+    rejected = true;
+  }
+  check('Registry rejects adapters missing required methods', rejected);
+
+  check('Firefox ships the same site adapters as Chrome',
+    fs.readFileSync(chromeAdaptersPath, 'utf8') === fs.readFileSync(ffAdaptersPath, 'utf8'));
+}
+
+async function runSiteAdapterTests(log) {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (desc, ok) => {
+    if (ok) {
+      log(`✅ ${desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${desc}`, 'FAIL');
+      failed++;
+    }
+  };
+
+  const registry = require(chromeAdaptersPath);
+  runYouTubeCases(check, registry);
+  runSpotifyCases(check, registry);
+  runSoundCloudCases(check, registry);
+  runTwitchCases(check, registry);
+  runNetflixCases(check, registry);
+  runRegistryCases(check, registry);
+
+  return { passed, failed };
+}
+
+module.exports = { runSiteAdapterTests };
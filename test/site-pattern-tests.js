@@ -0,0 +1,94 @@
+// site-pattern-tests.js
+// Unit tests for the blacklist and site profile patterns shared by the content scripts
+
+const fs = require('fs');
+const path = require('path');
+
+const chromeSitePatternsPath = path.join(__dirname, '../chrome-extension/site-patterns.js');
+const ffSitePatternsPath = path.join(__dirname, '../firefox-extension/site-patterns.js');
+
+function runParseCases(check, { parseSitePatterns }) {
+  const entries = parseSitePatterns([
+    '# comment',
+    '',
+    '  Example.com  ',
+    '*.cdn.example.org',
+    'https://video.example.net/Watch',
+    '/youtube\\.com\\/live/gi',
+    '/[unclosed/',
+  ].join('\n'));
+  check('Pattern lines parse into host, wildcard, path and regex entries, skipping comments and blanks',
+    entries.length === 4 &&
+    entries[0].type === 'host' && entries[0].host === 'example.com' &&
+    entries[1].type === 'wildcard' && entries[1].host === 'cdn.example.org' &&
+    entries[2].type === 'path' && entries[2].host === 'video.example.net' && entries[2].path === '/watch' &&
+    entries[3].type === 'regex' && entries[3].regex.flags === 'i');
+
+  check('Empty or non-string patterns parse to nothing',
+    parseSitePatterns('').length === 0 && parseSitePatterns(null).length === 0 && parseSitePatterns(['example.com']).length === 0);
+}
+
+function runMatchCases(check, { matchesSitePatterns }) {
+  check('A bare host matches the host and its subdomains',
+    matchesSitePatterns('https://example.com/', 'example.com') &&
+    matchesSitePatterns('https://www.example.com/page', 'example.com') &&
+    matchesSitePatterns('https://a.b.example.com/', 'EXAMPLE.com'));
+  check('A bare host only matches subdomains on a dot boundary',
+    !matchesSitePatterns('https://notexample.com/', 'example.com') &&
+    !matchesSitePatterns('https://example.com.evil.net/', 'example.com'));
+
+  check('A wildcard matches subdomains but not the host itself',
+    matchesSitePatterns('https://m.example.com/', '*.example.com') &&
+    !matchesSitePatterns('https://example.com/', '*.example.com') &&
+    !matchesSitePatterns('https://badexample.com/', '*.example.com'));
+  check('A wildcard with a path also requires the path prefix',
+    matchesSitePatterns('https://m.example.com/live/1', '*.example.com/live') &&
+    !matchesSitePatterns('https://m.example.com/vod/1', '*.example.com/live'));
+
+  check('A path pattern matches the path prefix on the host and its subdomains, ignoring case',
+    matchesSitePatterns('https://example.com/Watch?v=1', 'example.com/watch') &&
+    matchesSitePatterns('https://www.example.com/watch/later', 'http://example.com/watch') &&
+    !matchesSitePatterns('https://example.com/shorts', 'example.com/watch'));
+
+  check('A regex pattern is tested against the full URL',
+    matchesSitePatterns('https://www.youtube.com/live/abc', '/youtube\\.com\\/live/') &&
+    matchesSitePatterns('https://www.youtube.com/LIVE/abc', '/youtube\\.com\\/live/i') &&
+    !matchesSitePatterns('https://www.youtube.com/watch?v=1', '/youtube\\.com\\/live/'));
+
+  check('Any matching line counts, and unparseable URLs never match',
+    matchesSitePatterns('https://b.test/', 'a.test\nb.test') &&
+    !matchesSitePatterns('not a url', 'example.com') &&
+    !matchesSitePatterns('https://example.com/', ''));
+
+  check('Firefox ships the same site patterns as Chrome',
+    fs.readFileSync(chromeSitePatternsPath, 'utf8') === fs.readFileSync(ffSitePatternsPath, 'utf8'));
+}
+
+async function runSitePatternTests(log) {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (desc, ok) => {
+    if (ok) {
+      log(`✅ ${desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${desc}`, 'FAIL');
+      failed++;
+    }
+  };
+
+  const sitePatterns = require(chromeSitePatternsPath);
+  const warn = console.warn;
+  console.warn = () => {}; // The invalid regex case warns on purpose
+  try {
+    runParseCases(check, sitePatterns);
+  } finally {
+    console.warn = warn;
+  }
+  runMatchCases(check, sitePatterns);
+
+  return { passed, failed };
+}
+
+module.exports = { runSitePatternTests };
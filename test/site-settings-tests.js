@@ -0,0 +1,110 @@
+// site-settings-tests.js
+// Unit tests for how stored settings and site profile key bindings combine, shared by the content scripts
+
+const fs = require('fs');
+const path = require('path');
+
+const chromeSiteSettingsPath = path.join(__dirname, '../chrome-extension/site-settings.js');
+const ffSiteSettingsPath = path.join(__dirname, '../firefox-extension/site-settings.js');
+
+const GLOBAL_BINDINGS = [
+  { action: 'slower', key: 83, value: 0.25, force: false }, // S
+  { action: 'faster', key: 68, value: 0.25, force: false }, // D
+  { action: 'rewind', key: 90, value: 10, force: false }, // Z
+  { action: 'advance', key: 88, value: 10, force: false }, // X
+];
+
+function bindingFor(bindings, action) {
+  return bindings.find((binding) => binding.action === action);
+}
+
+function actionsOnKey(bindings, key) {
+  return bindings.filter((binding) => binding.key === key).map((binding) => binding.action);
+}
+
+function runKeyBindingCases(check, { getEffectiveKeyBindings }) {
+  const withoutProfile = getEffectiveKeyBindings(GLOBAL_BINDINGS, null);
+  check('Without a profile the global bindings come back as copies',
+    withoutProfile.length === GLOBAL_BINDINGS.length && withoutProfile[0] !== GLOBAL_BINDINGS[0] &&
+    JSON.stringify(withoutProfile) === JSON.stringify(GLOBAL_BINDINGS));
+
+  const claimed = getEffectiveKeyBindings(GLOBAL_BINDINGS, { keyBindings: [{ action: 'faster', key: 83 }] });
+  check('A profile key replaces the conflicting global binding',
+    actionsOnKey(claimed, 83).join() === 'faster' && !bindingFor(claimed, 'slower') &&
+    bindingFor(claimed, 'faster').value === 0.25 && actionsOnKey(claimed, 68).length === 0);
+
+  const added = getEffectiveKeyBindings(GLOBAL_BINDINGS, { keyBindings: [{ action: 'reset', key: 90, value: 1 }] });
+  check('A profile binding for a new action also takes its key from the global binding',
+    actionsOnKey(added, 90).join() === 'reset' && bindingFor(added, 'reset').value === 1 && !bindingFor(added, 'rewind'));
+
+  const unbound = getEffectiveKeyBindings(GLOBAL_BINDINGS, { keyBindings: [{ action: 'faster', key: 0 }] });
+  check('An unbound profile key leaves the other global bindings alone',
+    unbound.length === GLOBAL_BINDINGS.length && bindingFor(unbound, 'faster').key === 0);
+
+  const valued = getEffectiveKeyBindings(GLOBAL_BINDINGS, {
+    rewindAmount: 30,
+    advanceAmount: 30,
+    keyBindings: [{ action: 'rewind', key: 81, value: 5 }, { action: 'faster', key: 70, value: 0.5 }]
+  });
+  check('Profile binding values survive the merge, skip amounts included',
+    bindingFor(valued, 'rewind').key === 81 && bindingFor(valued, 'rewind').value === 5 &&
+    bindingFor(valued, 'faster').value === 0.5 && bindingFor(valued, 'advance').value === 30);
+
+  check('Merging a profile leaves the global bindings unchanged',
+    GLOBAL_BINDINGS[1].key === 68 && GLOBAL_BINDINGS[2].value === 10);
+}
+
+function runStoredSettingsCases(check, { mergeStoredSettings }) {
+  const defaults = () => ({ keyBindings: [], blacklist: '', siteProfiles: [], speeds: {} });
+  const legacy = {
+    keyBindings: [{ action: 'faster', key: 68, value: 0.1 }],
+    blacklist: 'old.example.com',
+    siteProfiles: [{ id: 'stale', pattern: 'old.example.com' }],
+    speeds: { 'https://example.com/video.mp4': 1.5 }
+  };
+
+  const merged = mergeStoredSettings(defaults(), {
+    videoSpeedSettings: legacy,
+    keyBindings: [{ action: 'faster', key: 70, value: 0.25 }],
+    blacklist: 'example.com',
+    siteProfiles: [{ id: 'current', pattern: 'youtube.com' }]
+  });
+  check('The legacy copy loads first, so current key bindings, blacklist and site profiles win',
+    merged.keyBindings[0].key === 70 && merged.blacklist === 'example.com' &&
+    merged.siteProfiles.length === 1 && merged.siteProfiles[0].id === 'current' &&
+    merged.speeds['https://example.com/video.mp4'] === 1.5);
+
+  const legacyOnly = mergeStoredSettings(defaults(), { videoSpeedSettings: legacy });
+  check('The legacy copy still fills in what the current keys lack',
+    legacyOnly.keyBindings[0].key === 68 && legacyOnly.blacklist === 'old.example.com' &&
+    legacyOnly.siteProfiles[0].id === 'stale');
+
+  check('Nothing stored leaves the defaults',
+    JSON.stringify(mergeStoredSettings(defaults(), {})) === JSON.stringify(defaults()));
+
+  check('Firefox ships the same site settings as Chrome',
+    fs.readFileSync(chromeSiteSettingsPath, 'utf8') === fs.readFileSync(ffSiteSettingsPath, 'utf8'));
+}
+
+async function runSiteSettingsTests(log) {
+  let passed = 0;
+  let failed = 0;
+
+  const check = (desc, ok) => {
+    if (ok) {
+      log(`✅ ${desc}`, 'PASS');
+      passed++;
+    } else {
+      log(`❌ ${desc}`, 'FAIL');
+      failed++;
+    }
+  };
+
+  const siteSettings = require(chromeSiteSettingsPath);
+  runKeyBindingCases(check, siteSettings);
+  runStoredSettingsCases(check, siteSettings);
+
+  return { passed, failed };
+}
+
+module.exports = { runSiteSettingsTests };